@@ -0,0 +1,352 @@
+// src/analyzers/aggregate-awareness.js
+// Aggregate awareness: clusters the fields, filters and timeframes of slow history queries per explore into aggregate_table recommendations
+
+const { getChildBlocks, getPropertyValue } = require('../parsers/lookml-parser');
+
+// Timeframes an aggregate table at each granularity can roll up into
+const ROLLUPS = {
+    hour: ['hour', 'date', 'week', 'month', 'quarter', 'year'],
+    date: ['date', 'week', 'month', 'quarter', 'year'],
+    week: ['week'],
+    month: ['month', 'quarter', 'year'],
+    quarter: ['quarter', 'year'],
+    year: ['year']
+};
+const GRANULARITIES = ['year', 'quarter', 'month', 'week', 'date', 'hour'];
+const TABLE_SUFFIXES = { hour: 'hourly', date: 'daily', week: 'weekly', month: 'monthly', quarter: 'quarterly', year: 'yearly' };
+
+// Timeframes finer than an hour need the raw rows
+const FINE_TIMEFRAMES = /^(raw|time|minute\d*|second|millisecond\d*|microsecond)$/;
+const TIMEFRAME_SUFFIX = /^(.+)_(raw|time|minute\d*|second|millisecond\d*|microsecond|hour|date|week|month|quarter|year)$/;
+
+// Looker's default dimension_group timeframes when timeframes: is left out
+const DEFAULT_TIMEFRAMES = ['raw', 'time', 'date', 'week', 'month', 'quarter', 'year'];
+
+// Measures an aggregate table can re-aggregate at a coarser grain; the rest only serve identical groupings
+const ADDITIVE_MEASURE_TYPES = new Set(['count', 'sum', 'min', 'max']);
+const MEASURE_NAME = /(^|_)(count|total|sum|avg|average|min|max|median|percentile|ratio|rate|pct|percent)(_|$)/;
+const NON_ADDITIVE_MEASURE_NAME = /(^|_)(avg|average|median|percentile|distinct|ratio|rate|pct|percent)(_|$)/;
+
+const MAX_TABLE_DIMENSIONS = 10;
+const MAX_ADDED_DIMENSIONS = 3;
+const MAX_TABLES_PER_EXPLORE = 3;
+const MIN_SERVED_QUERIES = 2;
+
+/**
+ * One recommendation per explore whose slow queries an aggregate table would serve:
+ * { model, explore, queryCount, totalRuntime, servedQueries, servedPercent, priority, recommendation, tables, code }.
+ * queries: slow history queries with fields and filterFields ("view.field"); options.project: resolved
+ * project graph (LookMLProjectResolver) to tell measures and dimension_group timeframes apart and reuse datagroups
+ */
+function recommendAggregateTables(queries, options = {}) {
+    const byExplore = new Map();
+    queries
+        .filter(query => query.model && query.explore && (query.fields || []).length > 0)
+        .forEach(query => {
+            const key = `${query.model}.${query.explore}`;
+            if (!byExplore.has(key)) byExplore.set(key, []);
+            byExplore.get(key).push(query);
+        });
+
+    return Array.from(byExplore.values())
+        .map(exploreQueries => recommendForExplore(exploreQueries, options.project))
+        .filter(Boolean)
+        .sort((a, b) => b.servedRuntime - a.servedRuntime);
+}
+
+function recommendForExplore(queries, resolved) {
+    const { model, explore } = queries[0];
+    const catalog = fieldCatalog(resolved, model, explore);
+    const shapes = queries.map(query => queryShape(query, catalog));
+    const totalRuntime = sum(shapes.map(shape => shape.runtime));
+
+    const tables = clusterShapes(shapes.filter(shape => shape.servable), catalog)
+        .map(cluster => toTable(cluster, shapes, totalRuntime))
+        .filter(table => table.servedQueries >= MIN_SERVED_QUERIES);
+    if (tables.length === 0) return null;
+
+    const datagroup = chooseDatagroup(catalog, model, explore);
+    const names = new Set();
+    tables.forEach(table => {
+        table.name = uniqueName(`${explore}_${TABLE_SUFFIXES[table.timeframes[0]?.granularity] || 'rollup'}`, names);
+        table.datagroup = datagroup.name;
+    });
+
+    const served = shapes.filter(shape => tables.some(table => serves(table, shape)));
+    const servedRuntime = round(sum(served.map(shape => shape.runtime)));
+
+    return {
+        model,
+        explore,
+        queryCount: shapes.length,
+        totalRuntime: round(totalRuntime),
+        servedQueries: served.length,
+        servedPercent: percentOf(served.length, shapes.length),
+        servedRuntime,
+        recommendation: `${tables.length} aggregate table(s) would have served ${percentOf(served.length, shapes.length)}% of ${shapes.length} slow queries on ${model}.${explore}`,
+        priority: servedRuntime > 200 ? 'critical' : 'high',
+        tables,
+        code: renderAggregateTables(explore, tables, datagroup)
+    };
+}
+
+/**
+ * How a query uses the explore: plain dimensions (selected or filtered), dimension_group timeframes, measures.
+ * Queries on sub-hour timeframes need the raw rows and cannot be served by a rollup.
+ */
+function queryShape(query, catalog) {
+    const shape = {
+        query,
+        runtime: parseFloat(query.runtime_seconds) || 0,
+        dimensions: new Set(),
+        timeframes: new Map(),
+        measures: new Set(),
+        nonAdditive: false,
+        servable: true
+    };
+
+    const addField = (field) => {
+        const kind = catalog.classify(field);
+        if (kind.kind === 'measure') {
+            // Filtering on a measure (HAVING) needs the measure, same as selecting it
+            shape.measures.add(field);
+            shape.nonAdditive = shape.nonAdditive || !kind.additive;
+        } else if (kind.kind === 'time') {
+            if (FINE_TIMEFRAMES.test(kind.timeframe)) shape.servable = false;
+            if (!shape.timeframes.has(kind.group)) shape.timeframes.set(kind.group, new Set());
+            shape.timeframes.get(kind.group).add(kind.timeframe);
+        } else {
+            shape.dimensions.add(field);
+        }
+    };
+
+    [...(query.fields || []), ...(query.filterFields || query.filters || [])].forEach(addField);
+    if (shape.measures.size === 0) shape.servable = false;
+
+    return shape;
+}
+
+/**
+ * Greedy clustering, slowest grouping first: a grouping joins the first cluster it widens by at most
+ * MAX_ADDED_DIMENSIONS (keeping a timeframe every query rolls up to), else starts a new one
+ */
+function clusterShapes(shapes, catalog) {
+    const groupings = new Map();
+    shapes.forEach(shape => {
+        const key = [...shape.dimensions, ...Array.from(shape.timeframes.keys()).map(group => `${group}:time`)].sort().join(',');
+        if (!groupings.has(key)) groupings.set(key, []);
+        groupings.get(key).push(shape);
+    });
+
+    const clusters = [];
+    Array.from(groupings.values())
+        .sort((a, b) => sum(b.map(shape => shape.runtime)) - sum(a.map(shape => shape.runtime)))
+        .forEach(grouping => {
+            const candidate = mergeShapes(grouping);
+            const target = clusters.find(cluster => {
+                const merged = mergeShapes([cluster, candidate]);
+                const width = merged.dimensions.size + merged.timeframes.size;
+                const widest = Math.max(cluster.dimensions.size + cluster.timeframes.size, candidate.dimensions.size + candidate.timeframes.size);
+                return width <= MAX_TABLE_DIMENSIONS && width - widest <= MAX_ADDED_DIMENSIONS && granularities(merged, catalog);
+            });
+
+            if (target) {
+                Object.assign(target, mergeShapes([target, candidate]));
+            } else if (clusters.length < MAX_TABLES_PER_EXPLORE && granularities(candidate, catalog)) {
+                clusters.push(candidate);
+            }
+        });
+
+    return clusters.map(cluster => ({ ...cluster, granularity: granularities(cluster, catalog) }));
+}
+
+function mergeShapes(shapes) {
+    const merged = { dimensions: new Set(), timeframes: new Map(), measures: new Set() };
+    shapes.forEach(shape => {
+        shape.dimensions.forEach(field => merged.dimensions.add(field));
+        shape.measures.forEach(field => merged.measures.add(field));
+        shape.timeframes.forEach((timeframes, group) => {
+            if (!merged.timeframes.has(group)) merged.timeframes.set(group, new Set());
+            timeframes.forEach(timeframe => merged.timeframes.get(group).add(timeframe));
+        });
+    });
+    return merged;
+}
+
+/**
+ * Coarsest timeframe per dimension_group that rolls up into every timeframe used, among those the
+ * dimension_group declares (or the ones queries used, without LookML); null when one has none
+ */
+function granularities(cluster, catalog) {
+    const chosen = new Map();
+    for (const [group, used] of cluster.timeframes) {
+        const available = catalog.timeframesOf(group) || Array.from(used);
+        const granularity = GRANULARITIES.find(candidate =>
+            available.includes(candidate) && Array.from(used).every(timeframe => ROLLUPS[candidate].includes(timeframe)));
+        if (!granularity) return null;
+        chosen.set(group, granularity);
+    }
+    return chosen;
+}
+
+function toTable(cluster, shapes, totalRuntime) {
+    const table = {
+        dimensions: [
+            ...Array.from(cluster.granularity.entries()).map(([group, granularity]) => `${group}_${granularity}`),
+            ...Array.from(cluster.dimensions).sort()
+        ],
+        measures: Array.from(cluster.measures).sort(),
+        timeframes: Array.from(cluster.granularity.entries()).map(([group, granularity]) => ({ dimensionGroup: group, granularity })),
+        plainDimensions: cluster.dimensions,
+        granularity: cluster.granularity
+    };
+
+    const served = shapes.filter(shape => serves(table, shape));
+    // Measures only unserved queries asked for would just widen the table
+    table.measures = table.measures.filter(field => served.some(shape => shape.measures.has(field)));
+    table.servedQueries = served.length;
+    table.servedPercent = percentOf(served.length, shapes.length);
+    table.servedRuntime = round(sum(served.map(shape => shape.runtime)));
+    table.servedRuntimePercent = percentOf(table.servedRuntime, totalRuntime);
+
+    // Sets and maps only drive matching; the report keeps plain arrays
+    Object.defineProperty(table, 'plainDimensions', { enumerable: false });
+    Object.defineProperty(table, 'granularity', { enumerable: false });
+    return table;
+}
+
+/**
+ * Looker answers a query from the table when every field it selects or filters is in the table,
+ * every timeframe rolls up from the table's, and non-additive measures are grouped identically
+ */
+function serves(table, shape) {
+    if (!shape.servable) return false;
+    if (!Array.from(shape.dimensions).every(field => table.plainDimensions.has(field))) return false;
+    if (!Array.from(shape.measures).every(field => table.measures.includes(field))) return false;
+
+    for (const [group, timeframes] of shape.timeframes) {
+        const granularity = table.granularity.get(group);
+        if (!granularity || !Array.from(timeframes).every(timeframe => ROLLUPS[granularity].includes(timeframe))) return false;
+    }
+
+    if (shape.nonAdditive) {
+        const sameGrouping = shape.dimensions.size === table.plainDimensions.size &&
+            shape.timeframes.size === table.granularity.size &&
+            Array.from(shape.timeframes.entries()).every(([group, timeframes]) =>
+                timeframes.size === 1 && timeframes.has(table.granularity.get(group)));
+        if (!sameGrouping) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Field kinds for one explore from the resolved project, with name-based guesses for fields it does not define
+ */
+function fieldCatalog(resolved, model, exploreName) {
+    const project = (resolved?.projects || []).find(candidate =>
+        candidate.explores.some(explore => explore.model === model && explore.name === exploreName));
+    const explore = project?.explores.find(candidate => candidate.model === model && candidate.name === exploreName);
+    const modelInfo = project?.models.find(candidate => candidate.name === model);
+
+    const aliasToView = new Map();
+    if (explore) {
+        aliasToView.set(explore.name, explore.view);
+        explore.joins.forEach(join => aliasToView.set(join.name, join.view));
+    }
+    const viewOf = (alias) => project?.views.find(view => view.name === aliasToView.get(alias)) || null;
+
+    const groupTimeframes = (view, groupName) => {
+        const group = view?.node ? getChildBlocks(view.node, 'dimension_group').find(block => block.name === groupName) : null;
+        if (!group) return null;
+        const timeframes = getPropertyValue(group, 'timeframes', null);
+        return Array.isArray(timeframes) && timeframes.length > 0 ? timeframes : DEFAULT_TIMEFRAMES;
+    };
+
+    return {
+        explore,
+        model: modelInfo,
+
+        classify(field) {
+            const [alias, name = ''] = field.split('.');
+            const view = viewOf(alias);
+
+            if (view) {
+                const measure = view.measures.find(candidate => candidate.name === name);
+                if (measure) return { kind: 'measure', additive: ADDITIVE_MEASURE_TYPES.has(measure.type) };
+                if (view.dimensions.some(candidate => candidate.name === name)) return { kind: 'dimension' };
+
+                const group = view.dimensionGroups.find(candidate => name.startsWith(`${candidate.name}_`));
+                if (group) return { kind: 'time', group: `${alias}.${group.name}`, timeframe: name.slice(group.name.length + 1) };
+            }
+
+            const timeframe = name.match(TIMEFRAME_SUFFIX);
+            if (timeframe) return { kind: 'time', group: `${alias}.${timeframe[1]}`, timeframe: timeframe[2] };
+            if (MEASURE_NAME.test(name)) return { kind: 'measure', additive: !NON_ADDITIVE_MEASURE_NAME.test(name) };
+            return { kind: 'dimension' };
+        },
+
+        /** Declared timeframes of "alias.group", or null when the LookML is not known */
+        timeframesOf(group) {
+            const [alias, name] = group.split('.');
+            return groupTimeframes(viewOf(alias), name);
+        }
+    };
+}
+
+/**
+ * The explore's persist_with, else the model's, else its first datagroup; a new daily datagroup as a last resort
+ */
+function chooseDatagroup(catalog, model, explore) {
+    const existing = catalog.explore?.persistWith || catalog.model?.persistWith || catalog.model?.datagroups?.[0];
+    if (existing) return { name: existing, isNew: false };
+    return { name: `${model}_${explore}_aggregates`, isNew: true };
+}
+
+function renderAggregateTables(explore, tables, datagroup) {
+    const list = (fields) => `[${fields.join(', ')}]`;
+    const blocks = tables.map(table => `  # Would have served ${table.servedPercent}% of the explore's slow queries (${table.servedQueries})
+  aggregate_table: ${table.name} {
+    query: {
+      dimensions: ${list(table.dimensions)}
+      measures: ${list(table.measures)}
+    }
+
+    materialization: {
+      datagroup_trigger: ${datagroup.name}
+    }
+  }`);
+
+    const datagroupBlock = datagroup.isNew ? `# Add to the model file, with a sql_trigger that changes when the data loads
+datagroup: ${datagroup.name} {
+  sql_trigger: SELECT CURRENT_DATE() ;;
+  max_cache_age: "24 hours"
+}
+
+` : '';
+
+    return `${datagroupBlock}explore: +${explore} {
+${blocks.join('\n\n')}
+}`;
+}
+
+function uniqueName(base, names) {
+    let name = base;
+    for (let i = 2; names.has(name); i++) name = `${base}_${i}`;
+    names.add(name);
+    return name;
+}
+
+function percentOf(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { recommendAggregateTables };
@@ -0,0 +1,168 @@
+// src/analyzers/aggregation-patterns.js
+// Extracts the aggregation shape of SQL (tables, joins, GROUP BY keys, aggregates, filtered columns) so repeated shapes can be pre-aggregated
+
+const {
+    parseSQL,
+    tokenizeSQL,
+    findSQLNodes,
+    splitConjuncts,
+    unwrapGroup,
+    getTableSources,
+    isAggregateFunction
+} = require('../parsers/sql-parser');
+const { comparisonSides, columnReferences, isConstant } = require('./sql-dialect-rules');
+
+// Aggregates a BigQuery materialized view can refresh incrementally (not in their DISTINCT form)
+const INCREMENTAL_AGGREGATES = new Set(['COUNT', 'COUNTIF', 'SUM', 'AVG', 'MIN', 'MAX', 'APPROX_COUNT_DISTINCT', 'LOGICAL_AND', 'LOGICAL_OR']);
+
+// A pre-aggregated table cannot group on values that change between reads
+const NON_DETERMINISTIC = /\b(CURRENT_\w+|RAND|GENERATE_UUID|SESSION_USER)\b/i;
+
+const GROUPING_FUNCTIONS = new Set(['ROLLUP', 'CUBE', 'GROUPING']);
+
+/**
+ * Aggregating SELECTs over base tables, one pattern each:
+ * { key, from, tables, groupKeys, filterKeys, aggregates, incrementalBlockers }.
+ * Patterns with the same key read the same tables joined the same way and group by the same keys;
+ * filterKeys are the expressions their WHERE constrains, which a pre-aggregation must also group by.
+ */
+function extractAggregationPatterns(sql, options = {}) {
+    const ast = parseSQL(sql || '', { dialect: options.dialect });
+    if (ast.errors.length > 0) return [];
+
+    const cteNames = new Set(findSQLNodes(ast, 'cte').map(cte => (cte.name || '').toLowerCase()));
+    const text = (start, end) => sourceText(sql, start, end, options.dialect);
+
+    return findSQLNodes(ast, 'select')
+        .map(select => describeAggregation(select, text, cteNames))
+        .filter(Boolean);
+}
+
+function describeAggregation(select, text, cteNames) {
+    const tables = getTableSources(select);
+    const isBaseTable = (source) => source.type === 'table' && !!source.name && !cteNames.has(source.name.toLowerCase());
+    if (tables.length === 0 || !tables.every(isBaseTable)) return null;
+    if (select.distinct || select.windows.length > 0 || select.qualify) return null;
+
+    // Columns and WHERE must be plain expressions over the joined tables
+    if (select.columns.some(column => column.expr?.type === 'star')) return null;
+    if (findSQLNodes([select.columns, select.where], ['subquery', 'exists']).length > 0 ||
+        findSQLNodes(select.where, 'in').some(node => node.query)) return null;
+    if (findSQLNodes(select.columns, 'function').some(call => call.over)) return null;
+
+    const joins = [...findSQLNodes(select.from, 'join'), ...select.joins];
+    if (joins.some(join => join.joinType === 'CROSS' || join.natural || (!join.on && !join.using))) return null;
+
+    const aggregates = uniqueByText(findSQLNodes(select.columns, 'function')
+        .filter(isAggregateFunction)
+        .map(call => ({
+            function: call.name,
+            distinct: !!call.distinct,
+            text: text(call.loc.start.offset, call.loc.end.offset),
+            incremental: INCREMENTAL_AGGREGATES.has(call.name) && !call.distinct && !call.filter && call.orderBy.length === 0
+        })));
+    if (aggregates.length === 0) return null;
+
+    const groupKeys = resolveGroupKeys(select, text);
+    const filterKeys = resolveFilterKeys(select, text);
+    if (!groupKeys || !filterKeys) return null;
+    if ([...groupKeys, ...filterKeys].some(key => NON_DETERMINISTIC.test(key.text))) return null;
+
+    const lastSource = select.joins.length > 0 ? select.joins[select.joins.length - 1] : select.from;
+    const from = text(select.from.loc.start.offset, lastSource.loc.end.offset);
+
+    const incrementalBlockers = unique([
+        ...joins.filter(join => join.joinType !== 'INNER').map(join => `${join.joinType} JOIN ${join.table.name}`),
+        ...aggregates.filter(aggregate => !aggregate.incremental).map(aggregate => aggregate.text)
+    ]);
+
+    return {
+        key: `${from} | ${groupKeys.map(key => key.text).sort().join(', ')}`,
+        from,
+        tables: unique(tables.map(table => table.name)).sort(),
+        groupKeys,
+        filterKeys,
+        aggregates,
+        incrementalBlockers
+    };
+}
+
+/**
+ * GROUP BY items as { text, alias }, with ordinals (GROUP BY 1) and output aliases resolved to their SELECT expression
+ */
+function resolveGroupKeys(select, text) {
+    if (!select.groupBy) return [];
+
+    const columnText = (column) => text(column.expr.loc.start.offset, column.expr.loc.end.offset);
+    const items = select.groupBy.all
+        ? select.columns.filter(column => !findSQLNodes(column.expr, 'function').some(isAggregateFunction))
+        : select.groupBy.items.map(item => {
+            if (item.type === 'literal' && item.valueType === 'number') return select.columns[item.value - 1] || null;
+            if (item.type === 'function' && GROUPING_FUNCTIONS.has(item.name)) return null;
+
+            const itemText = text(item.loc.start.offset, item.loc.end.offset);
+            const byAlias = item.type === 'identifier' && item.parts.length === 1 &&
+                select.columns.find(column => column.alias && column.alias.toLowerCase() === item.parts[0].toLowerCase());
+            return byAlias || select.columns.find(column => columnText(column) === itemText) || { expr: item, alias: null };
+        });
+
+    if (items.some(item => !item)) return null;
+    return uniqueByText(items.map(column => ({ text: columnText(column), alias: column.alias || null })));
+}
+
+/**
+ * Expressions the WHERE compares with constants, or every column of predicates that are not such comparisons
+ */
+function resolveFilterKeys(select, text) {
+    const keys = [];
+
+    splitConjuncts(select.where).forEach(predicate => {
+        const side = comparisonSides(predicate)
+            .find(({ column, values }) => values.every(isConstant) && columnReferences(column).length > 0);
+        const expressions = side ? [unwrapGroup(side.column)] : columnReferences(predicate);
+        expressions.forEach(expr => keys.push({ text: text(expr.loc.start.offset, expr.loc.end.offset) }));
+    });
+
+    return uniqueByText(keys);
+}
+
+/**
+ * Source text between two offsets with comments dropped and whitespace collapsed,
+ * so the same expression matches across queries however Looker indented it
+ */
+function sourceText(sql, start, end, dialect) {
+    const slice = sql.slice(start, end);
+    const { tokens } = tokenizeSQL(slice, { dialect });
+    let result = '';
+    let previous = null;
+
+    tokens.filter(token => token.type !== 'eof').forEach(token => {
+        const spaced = previous && token.loc.start.offset > previous.loc.end.offset;
+        if (spaced && !isOperator(previous, '(') && !isOperator(token, ')') && !isOperator(token, ',')) {
+            result += ' ';
+        }
+        result += slice.slice(token.loc.start.offset, token.loc.end.offset);
+        previous = token;
+    });
+
+    return result;
+}
+
+function isOperator(token, value) {
+    return token?.type === 'operator' && token.value === value;
+}
+
+function uniqueByText(items) {
+    const seen = new Set();
+    return items.filter(item => {
+        if (seen.has(item.text)) return false;
+        seen.add(item.text);
+        return true;
+    });
+}
+
+function unique(values) {
+    return Array.from(new Set(values));
+}
+
+module.exports = { extractAggregationPatterns };
@@ -1,10 +1,44 @@
 // src/analyzers/bigquery-analyzer.js
-// BigQuery-specific analysis and optimization (scaffold for future implementation)
+// BigQuery-specific analysis: dry-run cost estimation, partition/clustering and materialized view recommendations,
+// Looker job correlation and slot usage
+
+const crypto = require('crypto');
+const { PRUNING_SAFE_FUNCTIONS } = require('./sql-dialect-rules');
+const { parseLookerContext, indexHistoryRows, findHistoryRow, attributeJobCosts } = require('./bigquery-cost-attribution');
+const { extractAggregationPatterns } = require('./aggregation-patterns');
+const { buildSlotTimeline } = require('./bigquery-slot-usage');
+
+// On-demand pricing is per TiB scanned, with at least 10 MiB billed per referenced table
+const BYTES_PER_TB = 1024 ** 4;
+const MIN_BYTES_PER_TABLE = 10 * 1024 ** 2;
+
+// BigQuery allows at most four clustering columns, of these types; partitioning needs a time column
+const MAX_CLUSTERING_COLUMNS = 4;
+const CLUSTERING_TYPES = new Set(['STRING', 'INT64', 'NUMERIC', 'BIGNUMERIC', 'BOOL', 'DATE', 'DATETIME', 'TIMESTAMP', 'GEOGRAPHY']);
+const PARTITION_TYPES = new Set(['DATE', 'DATETIME', 'TIMESTAMP']);
+const PRUNING_OPERATORS = new Set(['=', '<', '>', '<=', '>=', 'BETWEEN', 'IN']);
+
+// BI Engine capacity is reserved per project and location, up to 250 GiB, and billed per GiB-hour
+const MAX_BI_ENGINE_GB = 250;
+const HOURS_PER_MONTH = 730;
 
 class BigQueryAnalyzer {
     constructor(config = {}) {
         this.config = config;
-        this.bigQueryClient = null; // Will be initialized when BQ integration is added
+        this.bigqueryConnector = null;
+        this.pricePerTB = parseFloat(config.bigqueryPricePerTB || process.env.BIGQUERY_PRICE_PER_TB) || 6.25;
+        this.costAttributionTopN = parseInt(config.costAttributionTopN || process.env.COST_ATTRIBUTION_TOP_N, 10) || 10;
+        this.materializedViewMinRuns = parseInt(config.materializedViewMinRuns || process.env.MATERIALIZED_VIEW_MIN_RUNS, 10) || 3;
+        this.biEnginePricePerGBHour = parseFloat(config.biEnginePricePerGBHour || process.env.BI_ENGINE_PRICE_PER_GB_HOUR) || 0.0416;
+        this.slotUsageDays = parseInt(config.slotUsageDays || process.env.SLOT_USAGE_DAYS, 10) || 7;
+        this.slotCapacity = parseInt(config.bigquerySlotCapacity || process.env.BIGQUERY_SLOT_CAPACITY, 10) || null;
+    }
+
+    /**
+     * Set the BigQuery connector whose client runs the dry runs
+     */
+    setBigQueryConnector(bigqueryConnector) {
+        this.bigqueryConnector = bigqueryConnector;
     }
 
     /**
@@ -40,51 +74,709 @@ class BigQueryAnalyzer {
     }
 
     /**
-     * Generate BigQuery-specific optimization recommendations
-     * TODO: Implement BQ-specific recommendations
+     * Partition and clustering recommendations for the tables the slow queries read,
+     * from the columns their WHERE and JOIN predicates use and each table's INFORMATION_SCHEMA metadata
      */
-    generateBigQueryRecommendations(queryData) {
-        // Future implementation will include:
-        // - Partition pruning optimization
-        // - Clustering key recommendations  
-        // - Query cost reduction strategies
-        // - Slot usage optimization
-        // - Data freshness vs cost tradeoffs
-        
+    async recommendTableLayouts(analyses, bigqueryConnector = null) {
+        if (bigqueryConnector) {
+            this.setBigQueryConnector(bigqueryConnector);
+        }
+
+        if (!this.bigqueryConnector || !this.bigqueryConnector.getStatus().connected) {
+            return { available: false, reason: 'BigQuery connector not connected' };
+        }
+
+        const usage = this.collectPredicateUsage(analyses);
+        if (usage.tables.size === 0) {
+            return { available: false, reason: 'No BigQuery SQL with table predicates was analyzed' };
+        }
+
+        console.log(`🗂️ Reading partitioning and clustering of ${usage.tables.size} BigQuery tables...`);
+        const tableMetadata = await this.bigqueryConnector.getTableMetadata(Array.from(usage.tables.keys()));
+
+        return {
+            available: true,
+            tablesAnalyzed: Object.keys(tableMetadata).length,
+            unresolvedTables: usage.unresolved,
+            ...this.generateBigQueryRecommendations(usage, tableMetadata)
+        };
+    }
+
+    /**
+     * Filter and join columns per fully qualified table, with the queries, runs and dry-run bytes behind each
+     */
+    collectPredicateUsage(analyses) {
+        const tables = new Map();
+        const unresolved = new Set();
+        const defaultProject = this.bigqueryConnector?.projectId;
+
+        analyses
+            .filter(analysis => analysis.sqlAnalysis?.predicateColumns &&
+                (!analysis.sqlAnalysis.dialect || analysis.sqlAnalysis.dialect === 'bigquery'))
+            .forEach(analysis => {
+                const runs = analysis.fingerprintGroup?.count || 1;
+                const bytes = (analysis.costEstimate?.bytesProcessed || 0) * runs;
+                const referenced = analysis.costEstimate?.referencedTables || [];
+                const { filters, joins } = analysis.sqlAnalysis.predicateColumns;
+
+                const usageFor = (tableName) => {
+                    const name = qualifyTableName(tableName, referenced, defaultProject);
+                    if (!name) {
+                        unresolved.add(tableName);
+                        return null;
+                    }
+                    if (!tables.has(name)) {
+                        tables.set(name, { table: name, queries: new Set(), runs: 0, bytesScanned: 0, columns: new Map() });
+                    }
+                    const table = tables.get(name);
+                    if (!table.queries.has(analysis.queryId)) {
+                        table.queries.add(analysis.queryId);
+                        table.runs += runs;
+                        table.bytesScanned += bytes;
+                    }
+                    return table;
+                };
+
+                const record = (tableName, column, kind, operator = null, wrappedIn = null) => {
+                    const table = usageFor(tableName);
+                    if (!table) return;
+
+                    const key = column.toLowerCase();
+                    if (!table.columns.has(key)) {
+                        table.columns.set(key, { column, filterQueries: new Set(), joinQueries: new Set(), prunableQueries: new Set(), operators: new Set() });
+                    }
+                    const entry = table.columns.get(key);
+
+                    if (kind === 'join') {
+                        entry.joinQueries.add(analysis);
+                        return;
+                    }
+                    entry.filterQueries.add(analysis);
+                    entry.operators.add(operator);
+                    // Partition pruning needs a range or equality on the bare column (or DATE()/TIMESTAMP_TRUNC() of it)
+                    if (PRUNING_OPERATORS.has(operator) && (!wrappedIn || PRUNING_SAFE_FUNCTIONS.has(wrappedIn))) {
+                        entry.prunableQueries.add(analysis);
+                    }
+                };
+
+                filters.forEach(filter => record(filter.table, filter.column, 'filter', filter.operator, filter.wrappedIn));
+                joins.forEach(join => record(join.table, join.column, 'join'));
+            });
+
+        return { tables, unresolved: Array.from(unresolved) };
+    }
+
+    /**
+     * Recommend a partition column and up to four clustering columns per table
+     * usage: collectPredicateUsage() result; tableMetadata: BigQueryConnector.getTableMetadata() result
+     */
+    generateBigQueryRecommendations(usage, tableMetadata = {}) {
+        const partitioning = [];
+        const clustering = [];
+
+        usage.tables.forEach((tableUsage, name) => {
+            const metadata = tableMetadata[name];
+            if (!metadata || metadata.tableType !== 'BASE TABLE') return;
+
+            // Only top-level columns of the table itself; nested fields and aliases drop out here
+            const columnsByName = new Map(metadata.columns.map(column => [column.name.toLowerCase(), column]));
+            const candidates = Array.from(tableUsage.columns.values())
+                .filter(entry => columnsByName.has(entry.column.toLowerCase()))
+                .map(entry => {
+                    const column = columnsByName.get(entry.column.toLowerCase());
+                    return { ...entry, column: column.name, dataType: column.dataType };
+                });
+            const tableEvidence = {
+                queries: tableUsage.queries.size,
+                runs: tableUsage.runs,
+                bytesScanned: tableUsage.bytesScanned,
+                bytesScannedFormatted: formatBytes(tableUsage.bytesScanned)
+            };
+
+            // Partition column: the temporal column most runs filter on in a prunable way
+            const partitionCandidate = candidates
+                .filter(entry => PARTITION_TYPES.has(baseType(entry.dataType)) && entry.prunableQueries.size > 0)
+                .sort((a, b) => runsOf(b.prunableQueries) - runsOf(a.prunableQueries) || bytesOf(b.prunableQueries) - bytesOf(a.prunableQueries))[0];
+
+            const currentPartition = metadata.partitionColumn;
+            const partitionFiltered = currentPartition &&
+                candidates.some(entry => entry.column.toLowerCase() === currentPartition.toLowerCase() && entry.prunableQueries.size > 0);
+
+            // Clustering columns: most-filtered first, then most-joined; the partition column is already pruned on
+            const partitionColumn = (partitionCandidate && !partitionFiltered ? partitionCandidate.column : currentPartition || '').toLowerCase();
+            const clusterColumns = candidates
+                .filter(entry => CLUSTERING_TYPES.has(baseType(entry.dataType)) && entry.column.toLowerCase() !== partitionColumn)
+                .filter(entry => entry.filterQueries.size > 0 || entry.joinQueries.size > 0)
+                .sort((a, b) => runsOf(b.filterQueries) - runsOf(a.filterQueries) ||
+                    runsOf(b.joinQueries) - runsOf(a.joinQueries) ||
+                    bytesOf(b.filterQueries) - bytesOf(a.filterQueries))
+                .slice(0, MAX_CLUSTERING_COLUMNS);
+
+            if (partitionCandidate && !partitionFiltered) {
+                partitioning.push({
+                    table: name,
+                    column: partitionCandidate.column,
+                    dataType: partitionCandidate.dataType,
+                    currentPartitionColumn: currentPartition || null,
+                    priority: this.layoutPriority(tableUsage.bytesScanned),
+                    description: currentPartition
+                        ? `Queries filter ${partitionCandidate.column}, not the partition column ${currentPartition}, so no partitions are pruned`
+                        : `${runsOf(partitionCandidate.prunableQueries)} of ${tableUsage.runs} runs filter ${partitionCandidate.column} by range or equality`,
+                    ddl: partitionDDL(name, partitionCandidate, clusterColumns.map(entry => entry.column)),
+                    evidence: { ...tableEvidence, column: columnEvidence(partitionCandidate) }
+                });
+            }
+
+            const currentClustering = metadata.clusteringColumns.filter(Boolean);
+            const sameClustering = clusterColumns.length === currentClustering.length &&
+                clusterColumns.every((entry, index) => entry.column.toLowerCase() === currentClustering[index].toLowerCase());
+
+            if (clusterColumns.length > 0 && !sameClustering) {
+                clustering.push({
+                    table: name,
+                    columns: clusterColumns.map(entry => entry.column),
+                    currentClusteringColumns: currentClustering,
+                    priority: this.layoutPriority(tableUsage.bytesScanned),
+                    description: `Cluster on ${clusterColumns.map(entry => entry.column).join(', ')}: the columns slow queries filter and join ${name.split('.').pop()} on most often`,
+                    command: `bq update --clustering_fields=${clusterColumns.map(entry => entry.column).join(',')} ${name.replace('.', ':')}`,
+                    evidence: { ...tableEvidence, columns: clusterColumns.map(columnEvidence) }
+                });
+            }
+        });
+
+        const byBytes = (a, b) => b.evidence.bytesScanned - a.evidence.bytesScanned || b.evidence.runs - a.evidence.runs;
+        console.log(`   ${partitioning.length} partitioning and ${clustering.length} clustering recommendations`);
+
         return {
-            partitioning: [],
-            clustering: [],
+            partitioning: partitioning.sort(byBytes),
+            clustering: clustering.sort(byBytes),
             costOptimization: [],
             slotOptimization: []
         };
     }
 
+    layoutPriority(bytesScanned) {
+        if (bytesScanned >= BYTES_PER_TB) return 'high';
+        if (bytesScanned >= 10 * 1024 ** 3) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Dry-run the SQL of each analysis (and its rewrite) to measure bytes scanned and on-demand cost.
+     * analyses: SQLAnalyzer results; each gets a costEstimate, totals are weighted by fingerprint runs.
+     */
+    async estimateQueryCosts(analyses, bigqueryConnector = null) {
+        if (bigqueryConnector) {
+            this.setBigQueryConnector(bigqueryConnector);
+        }
+
+        if (!this.bigqueryConnector || !this.bigqueryConnector.getStatus().connected) {
+            return { available: false, reason: 'BigQuery connector not connected' };
+        }
+
+        const candidates = analyses.filter(analysis =>
+            analysis.sqlAnalysis?.hasActualSQL &&
+            analysis.sqlAnalysis.fetchMethod !== 'representative' &&
+            (!analysis.sqlAnalysis.dialect || analysis.sqlAnalysis.dialect === 'bigquery'));
+
+        if (candidates.length === 0) {
+            return { available: false, reason: 'No BigQuery SQL was fetched for the slow queries' };
+        }
+
+        console.log(`💰 Dry-running ${candidates.length} BigQuery queries at $${this.pricePerTB}/TB...`);
+
+        const estimates = [];
+        for (const analysis of candidates) {
+            const estimate = await this.estimateAnalysisCost(analysis);
+            analysis.costEstimate = estimate;
+            estimates.push({ analysis, estimate });
+
+            // The dry run measures the rewrite only, so the figure belongs to it and not to the SQL recommendations
+            if (estimate.savingsPercent !== undefined) {
+                analysis.sqlRewrite.expectedImprovement = `${estimate.savingsPercent}% fewer bytes scanned (dry run)`;
+            }
+        }
+
+        const measured = estimates.filter(({ estimate }) => !estimate.error);
+        const runsOf = (analysis) => analysis.fingerprintGroup?.count || 1;
+        const sum = (select) => measured.reduce((total, { analysis, estimate }) => total + select(estimate) * runsOf(analysis), 0);
+
+        const current = sum(estimate => estimate.bytesProcessed);
+        const optimized = sum(estimate => estimate.optimizedBytesProcessed ?? estimate.bytesProcessed);
+        const currentCost = sum(estimate => estimate.cost);
+        const optimizedCost = sum(estimate => estimate.optimizedCost ?? estimate.cost);
+
+        console.log(`   Measured ${measured.length} of ${estimates.length}: ${formatBytes(current)} → ${formatBytes(optimized)} per observed runs`);
+
+        return {
+            available: true,
+            pricePerTB: this.pricePerTB,
+            queriesEstimated: measured.length,
+            queriesFailed: estimates.length - measured.length,
+            current: { bytesProcessed: current, cost: roundCost(currentCost) },
+            optimized: { bytesProcessed: optimized, cost: roundCost(optimizedCost) },
+            savings: {
+                bytesProcessed: current - optimized,
+                cost: roundCost(currentCost - optimizedCost),
+                percent: current > 0 ? Math.round(((current - optimized) / current) * 1000) / 10 : 0
+            },
+            queries: estimates.map(({ analysis, estimate }) => ({
+                queryId: analysis.queryId,
+                fingerprint: analysis.fingerprint || null,
+                runs: runsOf(analysis),
+                ...estimate
+            }))
+        };
+    }
+
     /**
-     * Estimate BigQuery costs for query optimization scenarios
-     * TODO: Implement cost estimation
+     * Dry-run one analysis' original SQL, and its rewritten SQL when the rewriter changed it
      */
-    estimateQueryCosts(queries) {
+    async estimateAnalysisCost(analysis) {
+        const estimate = { pricePerTB: this.pricePerTB };
+
+        try {
+            const original = await this.bigqueryConnector.dryRunQuery(analysis.originalSQL);
+            estimate.bytesProcessed = original.totalBytesProcessed;
+            estimate.cost = this.calculateCost(original);
+            estimate.referencedTables = original.referencedTables;
+        } catch (error) {
+            console.log(`   ⚠️ Dry run failed for query ${analysis.queryId}: ${error.message}`);
+            return { ...estimate, error: error.message };
+        }
+
+        if (analysis.sqlRewrite?.changed) {
+            try {
+                const optimized = await this.bigqueryConnector.dryRunQuery(analysis.sqlRewrite.sql);
+                estimate.optimizedBytesProcessed = optimized.totalBytesProcessed;
+                estimate.optimizedCost = this.calculateCost(optimized);
+                estimate.savingsPercent = estimate.bytesProcessed > 0
+                    ? Math.round(((estimate.bytesProcessed - optimized.totalBytesProcessed) / estimate.bytesProcessed) * 1000) / 10
+                    : 0;
+            } catch (error) {
+                estimate.optimizedError = error.message;
+            }
+        }
+
+        return estimate;
+    }
+
+    /**
+     * Join Looker-issued BigQuery jobs to the slow Looker history rows by the history slug (or id) in their Looker context.
+     * Matched queries get bigqueryJob (bytes billed, slot-ms, cache hit), analyses the totals of their fingerprint's runs.
+     */
+    async correlateLookerJobs(queries, analyses, bigqueryConnector = null, lookerApiConnector = null, days = 30) {
+        if (bigqueryConnector) {
+            this.setBigQueryConnector(bigqueryConnector);
+        }
+
+        if (!this.bigqueryConnector || !this.bigqueryConnector.getStatus().connected) {
+            return { available: false, reason: 'BigQuery connector not connected' };
+        }
+
+        const runs = queries.filter(query => query.history_slug || query.history_id);
+        if (runs.length === 0) {
+            return { available: false, reason: 'Slow queries have no Looker history slug or id to match on' };
+        }
+
+        const scanTargets = await this.resolveScanTargets(lookerApiConnector);
+        if (scanTargets.length === 0) {
+            return { available: false, reason: 'No BigQuery project to read job history from' };
+        }
+
+        console.log(`🔗 Matching ${runs.length} Looker runs to BigQuery jobs in ${scanTargets.length} project/region pair(s)...`);
+        const jobs = await this.bigqueryConnector.getLookerJobs({ scanTargets }, days);
+        if (jobs.source !== 'bigquery') {
+            return { available: false, reason: 'BigQuery job history could not be read', errors: jobs.errors || [] };
+        }
+
+        const runIndex = indexHistoryRows(runs);
+        const jobsByRun = new Map();
+        let jobsWithContext = 0;
+        jobs.data.forEach(row => {
+            const context = parseLookerContext(row);
+            if (!context.historySlug && !context.historyId) return;
+            jobsWithContext++;
+            const run = findHistoryRow(runIndex, context);
+            if (!run) return;
+            if (!jobsByRun.has(run)) jobsByRun.set(run, []);
+            jobsByRun.get(run).push({ row, context });
+        });
+
+        let matched = 0;
+        runs.forEach(query => {
+            const queryJobs = jobsByRun.get(query);
+            if (!queryJobs) return;
+            query.bigqueryJob = this.summarizeJobs(queryJobs);
+            matched++;
+        });
+
+        analyses.forEach(analysis => {
+            const analysisRuns = queries.filter(query => query.bigqueryJob && (analysis.fingerprint
+                ? query.fingerprint === analysis.fingerprint
+                : String(query.query_id || query['query.id']) === String(analysis.queryId)));
+            if (analysisRuns.length > 0) {
+                analysis.bigqueryJobs = this.totalJobStatistics(analysisRuns.map(query => query.bigqueryJob));
+            }
+        });
+
+        const matchedJobs = runs.filter(query => query.bigqueryJob).map(query => query.bigqueryJob);
+        console.log(`   Matched ${matched} of ${runs.length} runs (${jobsWithContext} of ${jobs.data.length} jobs had a Looker history slug or id)`);
+
         return {
-            current: 'Not implemented',
-            optimized: 'Not implemented', 
-            savings: 'Not implemented'
+            available: true,
+            scanTargets,
+            errors: jobs.errors || [],
+            jobsScanned: jobs.data.length,
+            jobsWithContext,
+            runsMatched: matched,
+            runsUnmatched: runs.length - matched,
+            totals: this.totalJobStatistics(matchedJobs)
         };
     }
 
     /**
-     * Analyze BigQuery job statistics
-     * TODO: Connect to BigQuery Jobs API
+     * Weekly and monthly BigQuery cost and slot usage of Looker-issued jobs by model, explore, dashboard,
+     * user and table, joining each job's Looker context to the Looker query history of the same days
      */
-    async analyzeJobStatistics() {
+    async attributeLookerCosts(bigqueryConnector, mcpConnector, lookerApiConnector = null, options = {}) {
+        const days = options.days || 90;
+
+        if (bigqueryConnector) {
+            this.setBigQueryConnector(bigqueryConnector);
+        }
+
+        if (!this.bigqueryConnector || !this.bigqueryConnector.getStatus().connected) {
+            return { available: false, reason: 'BigQuery connector not connected' };
+        }
+        if (!mcpConnector || !mcpConnector.isConnected) {
+            return { available: false, reason: 'Looker MCP connector not connected; query history is needed to attribute jobs' };
+        }
+
+        const scanTargets = options.scanTargets?.length > 0
+            ? this.bigqueryConnector.getScanTargets({ scanTargets: options.scanTargets })
+            : await this.resolveScanTargets(lookerApiConnector);
+        if (scanTargets.length === 0) {
+            return { available: false, reason: 'No BigQuery project to read job history from' };
+        }
+
+        console.log(`🧾 Attributing ${days} days of Looker BigQuery jobs in ${scanTargets.length} project/region pair(s)...`);
+        const jobs = await this.bigqueryConnector.getLookerJobs({ scanTargets }, days, options.jobLimit || 100000);
+        if (jobs.source !== 'bigquery') {
+            return { available: false, reason: 'BigQuery job history could not be read', errors: jobs.errors || [] };
+        }
+        const history = await mcpConnector.getQueryHistory(days, options.historyLimit);
+
+        const attribution = attributeJobCosts(jobs.data, history.rows, {
+            pricePerTB: this.pricePerTB,
+            topN: options.topN || this.costAttributionTopN
+        });
+        console.log(`   Attributed ${attribution.jobsAttributed} of ${attribution.jobs} jobs, $${attribution.totals.cost} total`);
+
         return {
-            implemented: false,
-            futureFeatures: [
-                'Slot usage patterns',
-                'Query execution stages',
-                'Data processing volumes',
-                'Cache hit rates',
-                'Shuffling analysis'
-            ]
+            available: true,
+            days,
+            scanTargets,
+            errors: jobs.errors || [],
+            jobsTruncated: !!jobs.truncated,
+            historyTruncated: history.truncated,
+            ...attribution
+        };
+    }
+
+    /**
+     * Configured scan targets, else the projects and regions of the Looker BigQuery connections,
+     * else the connector's own project
+     */
+    async resolveScanTargets(lookerApiConnector) {
+        const configured = this.bigqueryConnector.getScanTargets();
+        if (configured.length > 0) return configured;
+
+        const connections = await this.bigqueryConnector.discoverConnections(lookerApiConnector);
+        return this.bigqueryConnector.getScanTargets({
+            projectId: connections.length === 0 ? this.bigqueryConnector.projectId : undefined,
+            scanTargets: connections.map(details => ({ projectId: details.projectId, region: details.region }))
+        });
+    }
+
+    /**
+     * Statistics of the job(s) one Looker run issued
+     */
+    summarizeJobs(jobs) {
+        const sum = (field) => jobs.reduce((total, { row }) => total + (parseInt(row[field], 10) || 0), 0);
+        const bytesBilled = sum('total_bytes_billed');
+        const first = jobs[0];
+
+        return {
+            jobIds: jobs.map(({ row }) => row.job_id),
+            projectId: first.row.project_id,
+            region: first.row.region,
+            lookerUserId: first.context.userId || null,
+            explore: first.context.explore || null,
+            bytesBilled,
+            bytesProcessed: sum('total_bytes_processed'),
+            slotMs: sum('total_slot_ms'),
+            cacheHit: jobs.every(({ row }) => row.cache_hit === true),
+            cost: roundCost((bytesBilled / BYTES_PER_TB) * this.pricePerTB)
+        };
+    }
+
+    totalJobStatistics(jobs) {
+        const sum = (field) => jobs.reduce((total, job) => total + job[field], 0);
+        return {
+            runs: jobs.length,
+            bytesBilled: sum('bytesBilled'),
+            bytesProcessed: sum('bytesProcessed'),
+            slotMs: sum('slotMs'),
+            cost: roundCost(sum('cost')),
+            cacheHitRate: jobs.length > 0 ? Math.round((jobs.filter(job => job.cacheHit).length / jobs.length) * 100) / 100 : 0
+        };
+    }
+
+    /**
+     * Materialized view and BI Engine candidates: aggregations over the same tables, joins and GROUP BY keys
+     * that fingerprinted queries repeat with different filters, with the bytes their runs scanned
+     */
+    async findMaterializationCandidates(analyses, bigqueryConnector = null) {
+        if (bigqueryConnector) {
+            this.setBigQueryConnector(bigqueryConnector);
+        }
+
+        const patterns = this.collectAggregationPatterns(analyses);
+        if (patterns.size === 0) {
+            return { available: false, reason: 'No aggregating BigQuery SQL was analyzed' };
+        }
+
+        const candidates = Array.from(patterns.values())
+            .filter(pattern => runsOf(pattern.analyses) >= this.materializedViewMinRuns)
+            .map(pattern => this.describeMaterializationCandidate(pattern))
+            .sort((a, b) => b.bytesScannedByRuns - a.bytesScannedByRuns || b.runs - a.runs);
+
+        const bytesScannedByRuns = candidates.reduce((sum, candidate) => sum + candidate.bytesScannedByRuns, 0);
+        console.log(`   ${candidates.length} of ${patterns.size} aggregation patterns repeat in ${this.materializedViewMinRuns}+ runs`);
+
+        return {
+            available: true,
+            patternsFound: patterns.size,
+            minRuns: this.materializedViewMinRuns,
+            materializedViews: candidates.filter(candidate => candidate.recommendation === 'materialized_view').length,
+            candidates,
+            biEngine: await this.recommendBIEngineReservation(candidates.filter(candidate => candidate.recommendation === 'bi_engine')),
+            totals: {
+                bytesScannedByRuns,
+                bytesScannedByRunsFormatted: formatBytes(bytesScannedByRuns),
+                costOfRuns: roundCost((bytesScannedByRuns / BYTES_PER_TB) * this.pricePerTB),
+                description: 'Upper bound on savings: what the candidates\' runs scanned, before materialized view reads and refreshes or BI Engine capacity'
+            }
+        };
+    }
+
+    /**
+     * Aggregation patterns of the analyzed BigQuery SQL by pattern key, merging the keys and aggregates each query uses
+     */
+    collectAggregationPatterns(analyses) {
+        const patterns = new Map();
+
+        analyses
+            .filter(analysis => analysis.originalSQL &&
+                (!analysis.sqlAnalysis?.dialect || analysis.sqlAnalysis.dialect === 'bigquery'))
+            .forEach(analysis => {
+                extractAggregationPatterns(analysis.originalSQL, { dialect: 'bigquery' }).forEach(pattern => {
+                    if (!patterns.has(pattern.key)) {
+                        patterns.set(pattern.key, {
+                            key: pattern.key,
+                            from: pattern.from,
+                            tables: pattern.tables,
+                            analyses: new Set(),
+                            groupKeys: new Map(),
+                            filterKeys: new Map(),
+                            aggregates: new Map(),
+                            incrementalBlockers: new Set()
+                        });
+                    }
+                    const entry = patterns.get(pattern.key);
+                    const merge = (target, items) => items.forEach(item => {
+                        if (!target.has(item.text)) target.set(item.text, item);
+                    });
+
+                    entry.analyses.add(analysis);
+                    merge(entry.groupKeys, pattern.groupKeys);
+                    merge(entry.filterKeys, pattern.filterKeys);
+                    merge(entry.aggregates, pattern.aggregates);
+                    pattern.incrementalBlockers.forEach(blocker => entry.incrementalBlockers.add(blocker));
+                });
+            });
+
+        return patterns;
+    }
+
+    /**
+     * An incrementally refreshed materialized view when BigQuery can maintain one for the pattern, BI Engine otherwise.
+     * A view or BI Engine answers the runs without billing their base-table scans, so the bytes those runs
+     * scanned (job history where matched, dry run otherwise) are an upper bound on what it saves: reads of the
+     * view, its refreshes and BI Engine capacity are billed instead and not estimated here.
+     */
+    describeMaterializationCandidate(pattern) {
+        const analyses = Array.from(pattern.analyses);
+        const scans = analyses.map(historicalBytes);
+        const bytesScanned = Math.round(scans.reduce((sum, scan) => sum + scan.bytes, 0));
+        const bases = Array.from(new Set(scans.map(scan => scan.basis).filter(Boolean)));
+        const runs = runsOf(analyses);
+
+        const aggregates = Array.from(pattern.aggregates.values());
+        const incremental = pattern.incrementalBlockers.size === 0;
+        // Re-aggregating view rows only gives the right answer when no aggregate is DISTINCT or order-dependent
+        const reaggregatable = aggregates.every(aggregate => aggregate.incremental);
+        const name = materializedViewName(pattern);
+        const tables = pattern.tables.map(table => table.split('.').pop()).join(', ');
+        const groupKeys = Array.from(pattern.groupKeys.keys());
+        const repeated = `${runs} runs of ${analyses.length} ${analyses.length === 1 ? 'query' : 'queries'}`;
+        const costOfRuns = roundCost((bytesScanned / BYTES_PER_TB) * this.pricePerTB);
+        const upperBound = `. Saves at most the ${formatBytes(bytesScanned)} ($${costOfRuns}) these runs scanned, less ${incremental ? 'view reads and refreshes' : 'the BI Engine reservation'}`;
+
+        return {
+            name,
+            tables: pattern.tables,
+            groupKeys,
+            filterColumns: Array.from(pattern.filterKeys.keys()),
+            aggregates: aggregates.map(aggregate => aggregate.text),
+            queries: analyses.map(analysis => ({
+                queryId: analysis.queryId,
+                fingerprint: analysis.fingerprint || null,
+                explore: analysis.model && analysis.explore ? `${analysis.model}.${analysis.explore}` : null,
+                runs: analysis.fingerprintGroup?.count || 1
+            })),
+            fingerprints: analyses.length,
+            runs,
+            incremental,
+            incrementalBlockers: Array.from(pattern.incrementalBlockers),
+            recommendation: incremental ? 'materialized_view' : 'bi_engine',
+            priority: this.layoutPriority(bytesScanned),
+            description: (incremental
+                ? `${repeated} aggregate ${tables} by ${groupKeys.join(', ') || 'nothing'} with different filters; BigQuery can answer them from an incrementally refreshed materialized view`
+                : `${repeated} aggregate ${tables} the same way, but ${Array.from(pattern.incrementalBlockers).join(', ')} rule out incremental refresh; accelerate the tables with BI Engine` +
+                    (reaggregatable ? ' or use a materialized view that may be up to 4 hours stale' : '')) + upperBound,
+            ddl: reaggregatable ? materializedViewDDL(name, pattern, incremental) : null,
+            bytesPerRun: Math.round(Math.max(...scans.map(scan => scan.bytesPerRun))),
+            bytesScannedByRuns: bytesScanned,
+            bytesScannedByRunsFormatted: formatBytes(bytesScanned),
+            costOfRuns,
+            bytesBasis: bases.length === 1 ? bases[0] : bases.length > 1 ? 'mixed' : 'unknown'
+        };
+    }
+
+    /**
+     * BI Engine reservations holding the columns the candidates read, one per region of their tables: each set of
+     * tables is sized by its largest uncached run and each reservation is rounded up to whole GiB, at most 250
+     */
+    async recommendBIEngineReservation(candidates) {
+        if (candidates.length === 0) {
+            return { recommended: false, reason: 'No candidate needs BI Engine' };
+        }
+
+        // BI Engine capacity is regional, and the tables one query reads share a location
+        const byRegion = new Map();
+        for (const candidate of candidates) {
+            const region = await this.getTableRegion(candidate.tables[0]);
+            if (!byRegion.has(region)) byRegion.set(region, []);
+            byRegion.get(region).push(candidate);
+        }
+
+        const project = this.bigqueryConnector?.projectId || candidates[0].tables[0].split('.')[0];
+        const reservations = Array.from(byRegion, ([region, regionCandidates]) => {
+            const workingSets = new Map();
+            regionCandidates.forEach(candidate => {
+                const key = candidate.tables.join(',');
+                workingSets.set(key, Math.max(workingSets.get(key) || 0, candidate.bytesPerRun));
+            });
+            const workingSetBytes = Array.from(workingSets.values()).reduce((sum, bytes) => sum + bytes, 0);
+            const reservationGB = Math.min(Math.max(Math.ceil(workingSetBytes / 1024 ** 3), 1), MAX_BI_ENGINE_GB);
+            const tableList = Array.from(new Set(regionCandidates.flatMap(candidate => candidate.tables)))
+                .map(table => `'${table}'`).join(', ');
+
+            return {
+                region,
+                reservationGB,
+                capped: workingSetBytes > MAX_BI_ENGINE_GB * 1024 ** 3,
+                workingSetBytes,
+                candidates: regionCandidates.map(candidate => candidate.name),
+                ddl: `ALTER BI_CAPACITY \`${project}.region-${region}.default\` SET OPTIONS (size_gb = ${reservationGB}, preferred_tables = [${tableList}])`
+            };
+        });
+
+        const reservationGB = reservations.reduce((sum, reservation) => sum + reservation.reservationGB, 0);
+        const workingSetBytes = reservations.reduce((sum, reservation) => sum + reservation.workingSetBytes, 0);
+
+        return {
+            recommended: true,
+            reservationGB,
+            capped: reservations.some(reservation => reservation.capped),
+            workingSetBytes,
+            workingSetFormatted: formatBytes(workingSetBytes),
+            monthlyCost: Math.round(reservationGB * this.biEnginePricePerGBHour * HOURS_PER_MONTH * 100) / 100,
+            // Upper bound on savings, to weigh against monthlyCost
+            costOfRuns: roundCost(candidates.reduce((sum, candidate) => sum + candidate.costOfRuns, 0)),
+            candidates: candidates.map(candidate => candidate.name),
+            reservations,
+            ddl: reservations.map(reservation => reservation.ddl).join(';\n')
+        };
+    }
+
+    /**
+     * Region of the dataset holding a "project.dataset.table" (or "dataset.table" in the connector's project)
+     */
+    async getTableRegion(tableName) {
+        if (!this.bigqueryConnector) return 'us';
+        const parts = tableName.split('.');
+        if (parts.length < 2) return this.bigqueryConnector.defaultRegion;
+
+        const dataset = parts[parts.length - 2];
+        const projectId = parts.length > 2 ? parts[parts.length - 3] : this.bigqueryConnector.projectId;
+        return await this.bigqueryConnector.getDatasetRegion(projectId, dataset);
+    }
+
+    calculateCost(dryRun) {
+        const billedBytes = Math.max(dryRun.totalBytesProcessed, MIN_BYTES_PER_TABLE * dryRun.referencedTables.length);
+        return roundCost((billedBytes / BYTES_PER_TB) * this.pricePerTB);
+    }
+
+    /**
+     * Per-hour slot usage and concurrency of the scan targets from JOBS_TIMELINE, as a time series to chart,
+     * with the windows where Looker competes with ETL for slots and schedule or reservation recommendations
+     */
+    async analyzeJobStatistics(bigqueryConnector = null, lookerApiConnector = null, options = {}) {
+        const days = options.days || this.slotUsageDays;
+
+        if (bigqueryConnector) {
+            this.setBigQueryConnector(bigqueryConnector);
+        }
+
+        if (!this.bigqueryConnector || !this.bigqueryConnector.getStatus().connected) {
+            return { available: false, reason: 'BigQuery connector not connected' };
+        }
+
+        const scanTargets = options.scanTargets?.length > 0
+            ? this.bigqueryConnector.getScanTargets({ scanTargets: options.scanTargets })
+            : await this.resolveScanTargets(lookerApiConnector);
+        if (scanTargets.length === 0) {
+            return { available: false, reason: 'No BigQuery project to read job history from' };
+        }
+
+        console.log(`📈 Reading ${days} days of slot usage in ${scanTargets.length} project/region pair(s)...`);
+        const rows = await this.bigqueryConnector.getSlotTimeline({ scanTargets }, days);
+        if (rows.source !== 'bigquery') {
+            return { available: false, reason: 'BigQuery job timeline could not be read', errors: rows.errors || [] };
+        }
+
+        const slotUsage = buildSlotTimeline(rows.data, { slotCapacity: options.slotCapacity || this.slotCapacity });
+        console.log(`   ${slotUsage.totals.slotHours} slot-hours over ${slotUsage.totals.hours} hours, ${slotUsage.contentionWindows.length} Looker/ETL contention windows`);
+
+        return {
+            available: true,
+            days,
+            scanTargets,
+            errors: rows.errors || [],
+            ...slotUsage
         };
     }
 
@@ -114,4 +806,133 @@ class BigQueryAnalyzer {
     }
 }
 
-module.exports = { BigQueryAnalyzer };
\ No newline at end of file
+/**
+ * "project.dataset.table" for a table name as written in the SQL, using the tables the dry run
+ * resolved and then the connector's project; null when the dataset is unknown
+ */
+function qualifyTableName(tableName, referencedTables, defaultProject) {
+    const parts = tableName.split('.');
+    if (parts.length === 3) return tableName;
+
+    const suffix = `.${tableName}`.toLowerCase();
+    const referenced = referencedTables.find(table => table.toLowerCase().endsWith(suffix));
+    if (referenced) return referenced;
+
+    return parts.length === 2 && defaultProject ? `${defaultProject}.${tableName}` : null;
+}
+
+/**
+ * Partitioning cannot be added to an existing table, so the DDL copies it into a new partitioned one
+ */
+function partitionDDL(tableName, candidate, clusterColumns) {
+    const type = baseType(candidate.dataType);
+    const expression = type === 'DATE' ? candidate.column
+        : type === 'TIMESTAMP' ? `DATE(${candidate.column})`
+            : `DATETIME_TRUNC(${candidate.column}, DAY)`;
+    const clusterBy = clusterColumns.length > 0 ? ` CLUSTER BY ${clusterColumns.join(', ')}` : '';
+    return `CREATE TABLE \`${tableName}_partitioned\` PARTITION BY ${expression}${clusterBy} AS SELECT * FROM \`${tableName}\``;
+}
+
+function columnEvidence(entry) {
+    return {
+        column: entry.column,
+        dataType: entry.dataType,
+        filterQueries: entry.filterQueries.size,
+        filterRuns: runsOf(entry.filterQueries),
+        joinQueries: entry.joinQueries.size,
+        joinRuns: runsOf(entry.joinQueries),
+        operators: Array.from(entry.operators),
+        bytesScanned: bytesOf(new Set([...entry.filterQueries, ...entry.joinQueries]))
+    };
+}
+
+function runsOf(analyses) {
+    return Array.from(analyses).reduce((sum, analysis) => sum + (analysis.fingerprintGroup?.count || 1), 0);
+}
+
+function bytesOf(analyses) {
+    return Array.from(analyses).reduce((sum, analysis) =>
+        sum + (analysis.costEstimate?.bytesProcessed || 0) * (analysis.fingerprintGroup?.count || 1), 0);
+}
+
+/**
+ * Bytes the runs of an analysis scanned: its matched jobs scaled to all its runs, else the dry run times its runs.
+ * bytesPerRun leaves out cache hits, which scan nothing.
+ */
+function historicalBytes(analysis) {
+    const runs = analysis.fingerprintGroup?.count || 1;
+    const jobs = analysis.bigqueryJobs;
+
+    if (jobs?.runs > 0) {
+        const uncachedRuns = Math.max(jobs.runs * (1 - jobs.cacheHitRate), 1);
+        return { bytes: (jobs.bytesProcessed / jobs.runs) * runs, bytesPerRun: jobs.bytesProcessed / uncachedRuns, basis: 'job_history' };
+    }
+    if (analysis.costEstimate?.bytesProcessed) {
+        const bytesPerRun = analysis.costEstimate.bytesProcessed;
+        return { bytes: bytesPerRun * runs, bytesPerRun, basis: 'dry_run' };
+    }
+    return { bytes: 0, bytesPerRun: 0, basis: null };
+}
+
+/**
+ * mv_<first table>_<hash of the pattern>, in the dataset of the pattern's first table
+ */
+function materializedViewName(pattern) {
+    const parts = pattern.tables[0].split('.');
+    const table = parts.pop().toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+    const suffix = crypto.createHash('sha1').update(pattern.key).digest('hex').slice(0, 8);
+    return [...parts, `mv_${table}_${suffix}`].join('.');
+}
+
+/**
+ * The pattern's joins aggregated by its GROUP BY keys and every filtered expression, so each query's own
+ * filters and grouping still apply on top of the view. Without incremental refresh the view may be stale.
+ */
+function materializedViewDDL(name, pattern, incremental) {
+    const used = new Set();
+    const columnName = (text, preferred) => {
+        let base = (preferred || text).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60) || 'value';
+        if (/^[0-9]/.test(base)) base = `c_${base}`;
+        let candidate = base;
+        for (let i = 2; used.has(candidate); i++) candidate = `${base}_${i}`;
+        used.add(candidate);
+        return candidate;
+    };
+
+    const keys = [...pattern.groupKeys.values()];
+    pattern.filterKeys.forEach((key, text) => {
+        if (!pattern.groupKeys.has(text)) keys.push(key);
+    });
+
+    const columns = [
+        ...keys.map(key => `${key.text} AS ${columnName(key.text, key.alias)}`),
+        ...Array.from(pattern.aggregates.values()).map(aggregate => `${aggregate.text} AS ${columnName(aggregate.text)}`)
+    ];
+    const options = incremental
+        ? ['enable_refresh = true', 'refresh_interval_minutes = 30']
+        : ['enable_refresh = true', 'refresh_interval_minutes = 60', 'max_staleness = INTERVAL "4:0:0" HOUR TO SECOND', 'allow_non_incremental_definition = true'];
+    const groupBy = keys.length > 0 ? `\nGROUP BY\n    ${keys.map(key => key.text).join(',\n    ')}` : '';
+
+    return `CREATE MATERIALIZED VIEW \`${name}\`\nOPTIONS (${options.join(', ')})\nAS SELECT\n    ${columns.join(',\n    ')}\nFROM ${pattern.from}${groupBy}`;
+}
+
+function baseType(dataType) {
+    return (dataType || '').toUpperCase().replace(/\(.*$/, '').trim();
+}
+
+function roundCost(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${Math.round(value * 10) / 10} ${units[unit]}`;
+}
+
+module.exports = { BigQueryAnalyzer, formatBytes };
\ No newline at end of file
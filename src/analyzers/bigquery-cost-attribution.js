@@ -0,0 +1,194 @@
+// src/analyzers/bigquery-cost-attribution.js
+// Attributes the cost and slot usage of Looker-issued BigQuery jobs to models, explores, dashboards, users and tables
+
+const BYTES_PER_TB = 1024 ** 4;
+
+const DIMENSIONS = ['model', 'explore', 'dashboard', 'user', 'table'];
+
+/**
+ * Looker context of a job from its labels ("looker-context-history_id") and the
+ * "-- Looker Query Context '{...}'" JSON; the comment wins where both are present
+ */
+function parseLookerContext(row) {
+    const context = {};
+
+    (row.labels || []).forEach(({ key, value }) => {
+        const match = /^looker[-_](?:context[-_])?(.+)$/.exec(key || '');
+        if (match) context[match[1].replace(/-/g, '_')] = value;
+    });
+
+    if (row.looker_context) {
+        try {
+            Object.assign(context, JSON.parse(row.looker_context));
+        } catch (error) {
+            // A truncated or non-JSON comment leaves the labels as the only context
+        }
+    }
+
+    const value = (key) => context[key] !== undefined && context[key] !== null && context[key] !== '' ? String(context[key]) : null;
+    return {
+        historyId: value('history_id'),
+        historySlug: value('history_slug'),
+        userId: value('user_id'),
+        explore: value('explore'),
+        instanceSlug: value('instance_slug')
+    };
+}
+
+/**
+ * History rows by history slug and by history id, for matching job contexts
+ */
+function indexHistoryRows(rows) {
+    const index = { bySlug: new Map(), byId: new Map() };
+    rows.forEach(row => {
+        if (row.history_slug) index.bySlug.set(String(row.history_slug), row);
+        if (row.history_id) index.byId.set(String(row.history_id), row);
+    });
+    return index;
+}
+
+/**
+ * History row of a job's Looker context: Looker writes history_slug, so the slug decides and the id is the fallback
+ */
+function findHistoryRow(index, context) {
+    return (context.historySlug && index.bySlug.get(context.historySlug)) ||
+        (context.historyId && index.byId.get(context.historyId)) ||
+        null;
+}
+
+/**
+ * Weekly, monthly and whole-period cost and slot usage by model, explore, dashboard, user and table.
+ * jobs: BigQueryConnector.getLookerJobs() rows; historyRows: MCPConnector.getQueryHistory() rows.
+ * A job reading several tables counts in full for each of them.
+ */
+function attributeJobCosts(jobs, historyRows, options = {}) {
+    const pricePerTB = options.pricePerTB || 6.25;
+    const topN = options.topN || 10;
+    const historyIndex = indexHistoryRows(historyRows);
+
+    const overall = createBucket('all');
+    const weeks = new Map();
+    const months = new Map();
+    let attributed = 0;
+
+    jobs.forEach(row => {
+        const context = parseLookerContext(row);
+        const history = findHistoryRow(historyIndex, context);
+        if (history) attributed++;
+
+        const createdAt = toDate(row.creation_time);
+        const job = {
+            bytesBilled: parseInt(row.total_bytes_billed, 10) || 0,
+            slotMs: parseInt(row.total_slot_ms, 10) || 0
+        };
+        job.cost = (job.bytesBilled / BYTES_PER_TB) * pricePerTB;
+
+        const keys = {
+            model: [history?.model || '(unknown model)'],
+            explore: [history ? `${history.model}.${history.explore}` : context.explore || '(unknown explore)'],
+            dashboard: [history?.dashboard_title || (history ? '(not on a dashboard)' : '(unknown dashboard)')],
+            user: [history?.user_email || (context.userId ? `Looker user ${context.userId}` : '(unknown user)')],
+            table: (row.referenced_tables || []).map(table => `${table.project_id}.${table.dataset_id}.${table.table_id}`)
+        };
+
+        addJob(overall, keys, job);
+        if (createdAt) {
+            addJob(bucketFor(weeks, weekStart(createdAt)), keys, job);
+            addJob(bucketFor(months, createdAt.toISOString().slice(0, 7)), keys, job);
+        }
+    });
+
+    const summarize = (bucket) => ({
+        totals: formatTotals(bucket.totals),
+        ...Object.fromEntries(DIMENSIONS.map(dimension => [
+            `by${dimension[0].toUpperCase()}${dimension.slice(1)}`,
+            topEntries(bucket[dimension], bucket.totals.cost, topN)
+        ]))
+    });
+    const byPeriod = (buckets) => Array.from(buckets.values())
+        .sort((a, b) => b.period.localeCompare(a.period))
+        .map(bucket => ({ period: bucket.period, ...summarize(bucket) }));
+
+    return {
+        pricePerTB,
+        topN,
+        jobs: jobs.length,
+        jobsAttributed: attributed,
+        jobsUnattributed: jobs.length - attributed,
+        ...summarize(overall),
+        weekly: byPeriod(weeks),
+        monthly: byPeriod(months)
+    };
+}
+
+function createBucket(period) {
+    const bucket = { period, totals: emptyTotals() };
+    DIMENSIONS.forEach(dimension => { bucket[dimension] = new Map(); });
+    return bucket;
+}
+
+function bucketFor(buckets, period) {
+    if (!buckets.has(period)) buckets.set(period, createBucket(period));
+    return buckets.get(period);
+}
+
+function addJob(bucket, keys, job) {
+    addTotals(bucket.totals, job);
+    DIMENSIONS.forEach(dimension => {
+        keys[dimension].forEach(key => {
+            if (!bucket[dimension].has(key)) bucket[dimension].set(key, emptyTotals());
+            addTotals(bucket[dimension].get(key), job);
+        });
+    });
+}
+
+function emptyTotals() {
+    return { jobs: 0, bytesBilled: 0, slotMs: 0, cost: 0 };
+}
+
+function addTotals(totals, job) {
+    totals.jobs++;
+    totals.bytesBilled += job.bytesBilled;
+    totals.slotMs += job.slotMs;
+    totals.cost += job.cost;
+}
+
+function formatTotals(totals) {
+    return {
+        jobs: totals.jobs,
+        bytesBilled: totals.bytesBilled,
+        slotMs: totals.slotMs,
+        slotHours: Math.round((totals.slotMs / 3600000) * 100) / 100,
+        cost: Math.round(totals.cost * 100) / 100
+    };
+}
+
+/**
+ * Most expensive keys first (slot usage breaks ties, e.g. between cached runs), with their share of the cost
+ */
+function topEntries(entries, totalCost, topN) {
+    return Array.from(entries.entries())
+        .sort(([, a], [, b]) => b.cost - a.cost || b.slotMs - a.slotMs)
+        .slice(0, topN)
+        .map(([key, totals]) => ({
+            key,
+            ...formatTotals(totals),
+            costShare: totalCost > 0 ? Math.round((totals.cost / totalCost) * 1000) / 10 : 0
+        }));
+}
+
+/**
+ * Monday (UTC) of the week a date falls in, as YYYY-MM-DD
+ */
+function weekStart(date) {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+}
+
+function toDate(value) {
+    const date = new Date(value?.value || value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { parseLookerContext, indexHistoryRows, findHistoryRow, attributeJobCosts };
@@ -0,0 +1,266 @@
+// src/analyzers/bigquery-slot-usage.js
+// Hourly BigQuery slot usage and concurrency curves, the windows where Looker competes with ETL, and schedule/reservation advice
+
+const { percentile } = require('./query-fingerprint');
+
+const MS_PER_HOUR = 3600000;
+
+// An hour is contended when Looker and ETL jobs held slots at the same time for at least five minutes of it
+const CONTENTION_MIN_SECONDS = 300;
+
+// Reservation baselines and autoscaling move in steps of 50 slots
+const SLOT_INCREMENT = 50;
+
+/**
+ * Time series of slot usage per hour (UTC) with the contention windows, a 24-hour profile and recommendations.
+ * rows: BigQueryConnector.getSlotTimeline() rows; projects are added up per hour, so peaks of several
+ * projects are an upper bound. options.slotCapacity: slots available to them (baseline plus autoscale), if known.
+ */
+function buildSlotTimeline(rows, options = {}) {
+    const slotCapacity = options.slotCapacity || null;
+    const timeline = mergeHours(rows).map(hour => toPoint(hour, slotCapacity));
+    const windows = contentionWindows(timeline);
+    const hourOfDay = hourOfDayProfile(timeline, slotCapacity);
+
+    const sum = (field) => round(timeline.reduce((total, point) => total + point[field], 0));
+    const peaks = timeline.map(point => point.peakSlots);
+    const totals = {
+        hours: timeline.length,
+        slotHours: sum('slots'),
+        lookerSlotHours: sum('lookerSlots'),
+        etlSlotHours: sum('etlSlots'),
+        otherSlotHours: sum('otherSlots'),
+        avgSlots: timeline.length > 0 ? round(sum('slots') / timeline.length) : 0,
+        peakSlots: peaks.length > 0 ? Math.max(...peaks) : 0,
+        p95PeakSlots: round(percentile(peaks, 95)),
+        p95PeakLookerSlots: round(percentile(timeline.map(point => point.peakLookerSlots), 95)),
+        contendedHours: timeline.filter(point => point.contended).length,
+        saturatedHours: slotCapacity ? timeline.filter(point => point.saturated).length : null
+    };
+
+    return {
+        slotCapacity,
+        totals,
+        timeline,
+        hourOfDay,
+        contentionWindows: windows,
+        recommendations: [
+            ...recommendScheduleShift(windows, hourOfDay, timeline),
+            ...recommendReservation(totals, windows, slotCapacity)
+        ]
+    };
+}
+
+/**
+ * One entry per hour: slot-ms and job counts added up over projects, contended seconds of the busiest project
+ */
+function mergeHours(rows) {
+    const hours = new Map();
+
+    rows.forEach(row => {
+        const date = new Date(row.hour?.value || row.hour);
+        if (isNaN(date.getTime())) return;
+
+        const key = date.toISOString();
+        if (!hours.has(key)) {
+            hours.set(key, {
+                hour: key,
+                slotMs: 0,
+                lookerSlotMs: 0,
+                etlSlotMs: 0,
+                peakSlots: 0,
+                peakLookerSlots: 0,
+                peakRunnableUnits: 0,
+                peakConcurrentJobs: 0,
+                peakLookerJobs: 0,
+                peakEtlJobs: 0,
+                contendedSeconds: 0
+            });
+        }
+        const hour = hours.get(key);
+        const number = (field) => parseFloat(row[field]) || 0;
+
+        hour.slotMs += number('slot_ms');
+        hour.lookerSlotMs += number('looker_slot_ms');
+        hour.etlSlotMs += number('etl_slot_ms');
+        hour.peakSlots += number('peak_slots');
+        hour.peakLookerSlots += number('peak_looker_slots');
+        hour.peakRunnableUnits += number('peak_runnable_units');
+        hour.peakConcurrentJobs += number('peak_concurrent_jobs');
+        hour.peakLookerJobs += number('peak_looker_jobs');
+        hour.peakEtlJobs += number('peak_etl_jobs');
+        hour.contendedSeconds = Math.max(hour.contendedSeconds, number('contended_seconds'));
+    });
+
+    return Array.from(hours.values()).sort((a, b) => a.hour.localeCompare(b.hour));
+}
+
+/**
+ * Chart point for an hour; slots are the hour's average (slot-hours), peaks the busiest second.
+ * Saturated: at capacity, or null when the capacity is unknown (runnable units alone show most busy hours waiting).
+ */
+function toPoint(hour, slotCapacity) {
+    const lookerSlots = round(hour.lookerSlotMs / MS_PER_HOUR);
+    const etlSlots = round(hour.etlSlotMs / MS_PER_HOUR);
+    const slots = round(hour.slotMs / MS_PER_HOUR);
+
+    return {
+        hour: hour.hour,
+        slots,
+        lookerSlots,
+        etlSlots,
+        otherSlots: round(Math.max(slots - lookerSlots - etlSlots, 0)),
+        peakSlots: round(hour.peakSlots),
+        peakLookerSlots: round(hour.peakLookerSlots),
+        peakRunnableUnits: round(hour.peakRunnableUnits),
+        peakConcurrentJobs: hour.peakConcurrentJobs,
+        peakLookerJobs: hour.peakLookerJobs,
+        peakEtlJobs: hour.peakEtlJobs,
+        contendedSeconds: hour.contendedSeconds,
+        contended: hour.contendedSeconds >= CONTENTION_MIN_SECONDS,
+        saturated: slotCapacity ? hour.peakSlots >= slotCapacity : null
+    };
+}
+
+/**
+ * Consecutive contended hours merged into windows; a window is high severity when slots ran out in it, unknown without a capacity
+ */
+function contentionWindows(timeline) {
+    const windows = [];
+    let current = null;
+
+    timeline.filter(point => point.contended).forEach(point => {
+        const start = new Date(point.hour).getTime();
+        if (!current || start !== current.endTime) {
+            current = { start: point.hour, endTime: start, points: [] };
+            windows.push(current);
+        }
+        current.points.push(point);
+        current.endTime = start + MS_PER_HOUR;
+    });
+
+    return windows.map(({ start, endTime, points }) => {
+        const saturated = points[0].saturated === null ? null : points.some(point => point.saturated);
+        return {
+            start,
+            end: new Date(endTime).toISOString(),
+            hours: points.length,
+            lookerSlotHours: round(points.reduce((sum, point) => sum + point.lookerSlots, 0)),
+            etlSlotHours: round(points.reduce((sum, point) => sum + point.etlSlots, 0)),
+            peakSlots: Math.max(...points.map(point => point.peakSlots)),
+            peakLookerJobs: Math.max(...points.map(point => point.peakLookerJobs)),
+            peakEtlJobs: Math.max(...points.map(point => point.peakEtlJobs)),
+            saturated,
+            severity: saturated ? 'high' : 'medium'
+        };
+    });
+}
+
+/**
+ * Average day: mean slots per hour of day (UTC) over the days covered, peak and how many days it was contended or saturated
+ */
+function hourOfDayProfile(timeline, slotCapacity) {
+    const days = new Set(timeline.map(point => point.hour.slice(0, 10))).size || 1;
+
+    return Array.from({ length: 24 }, (_, hourOfDay) => {
+        const points = timeline.filter(point => new Date(point.hour).getUTCHours() === hourOfDay);
+        const mean = (field) => round(points.reduce((sum, point) => sum + point[field], 0) / days);
+
+        return {
+            hour: hourOfDay,
+            slots: mean('slots'),
+            lookerSlots: mean('lookerSlots'),
+            etlSlots: mean('etlSlots'),
+            otherSlots: mean('otherSlots'),
+            peakSlots: points.length > 0 ? Math.max(...points.map(point => point.peakSlots)) : 0,
+            contendedDays: points.filter(point => point.contended).length,
+            saturatedDays: slotCapacity ? points.filter(point => point.saturated).length : null
+        };
+    });
+}
+
+/**
+ * Move ETL out of the hours of day where it keeps colliding with Looker into the hours Looker uses least
+ */
+function recommendScheduleShift(windows, hourOfDay, timeline) {
+    if (windows.length === 0) return [];
+
+    const contendedHours = hourOfDay
+        .filter(entry => entry.contendedDays > 0)
+        .sort((a, b) => b.contendedDays - a.contendedDays || b.etlSlots - a.etlSlots);
+    const quietHours = hourOfDay
+        .filter(entry => entry.contendedDays === 0)
+        .sort((a, b) => a.lookerSlots - b.lookerSlots || a.slots - b.slots)
+        .slice(0, 3)
+        .map(entry => entry.hour)
+        .sort((a, b) => a - b);
+    const etlSlotHours = round(timeline.filter(point => point.contended).reduce((sum, point) => sum + point.etlSlots, 0));
+    const saturated = windows.some(window => window.saturated);
+
+    return [{
+        type: 'schedule_shift',
+        priority: saturated ? 'high' : 'medium',
+        fromHours: contendedHours.map(entry => entry.hour),
+        toHours: quietHours,
+        etlSlotHours,
+        description: `ETL used ${etlSlotHours} slot-hours in hours it overlapped Looker queries (${windows.length} window(s), ` +
+            `most often at ${contendedHours.slice(0, 3).map(entry => formatHour(entry.hour)).join(', ')} UTC)` +
+            (quietHours.length > 0 ? `; schedule it at ${quietHours.map(formatHour).join(', ')} UTC, when Looker uses the fewest slots` : '') +
+            (saturated ? '. Slots ran out during these windows, so dashboards queued behind ETL' : '')
+    }];
+}
+
+/**
+ * Resize a known capacity to the p95 hourly peak, and give Looker its own baseline when it ran out during contention
+ */
+function recommendReservation(totals, windows, slotCapacity) {
+    const recommendations = [];
+    const neededSlots = roundUpToIncrement(totals.p95PeakSlots);
+
+    if (slotCapacity && totals.p95PeakSlots >= slotCapacity) {
+        // Usage cannot exceed the capacity, so a peak at it only says more is needed
+        const recommendedSlots = Math.max(neededSlots, roundUpToIncrement(slotCapacity) + SLOT_INCREMENT);
+        recommendations.push({
+            type: 'reservation_increase',
+            priority: 'high',
+            currentSlots: slotCapacity,
+            recommendedSlots,
+            description: `1 in 20 hours peaks at ${totals.p95PeakSlots}+ slots, at or above the ${slotCapacity} available; raise the autoscale maximum to ${recommendedSlots}`
+        });
+    } else if (slotCapacity && totals.p95PeakSlots < slotCapacity / 2 && totals.saturatedHours === 0) {
+        recommendations.push({
+            type: 'reservation_decrease',
+            priority: 'low',
+            currentSlots: slotCapacity,
+            recommendedSlots: Math.max(neededSlots, SLOT_INCREMENT),
+            description: `Hourly peaks stay below ${totals.p95PeakSlots} slots 95% of the time, under half of the ${slotCapacity} available; lower the baseline to ${Math.max(neededSlots, SLOT_INCREMENT)}`
+        });
+    }
+
+    if (windows.some(window => window.saturated) && totals.p95PeakLookerSlots > 0) {
+        const lookerSlots = roundUpToIncrement(totals.p95PeakLookerSlots);
+        recommendations.push({
+            type: 'dedicated_reservation',
+            priority: 'medium',
+            recommendedSlots: lookerSlots,
+            description: `Looker and ETL ran out of shared slots in ${windows.filter(window => window.saturated).length} window(s); ` +
+                `assign the Looker connection's project to its own reservation with a ${lookerSlots}-slot baseline (Looker's p95 peak) so ETL cannot starve dashboards`
+        });
+    }
+
+    return recommendations;
+}
+
+function roundUpToIncrement(slots) {
+    return Math.ceil(slots / SLOT_INCREMENT) * SLOT_INCREMENT;
+}
+
+function formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { buildSlotTimeline };
@@ -0,0 +1,343 @@
+// src/analyzers/dead-code-analyzer.js
+// Finds LookML explores, joins, views and fields that query history shows nobody used in the last N days
+
+const { getChildBlocks } = require('../parsers/lookml-parser');
+
+// Ratings from most to least confident; truncated usage data moves every rating one step down,
+// and a project whose files were only partly fetched gets 'review' throughout
+const RATINGS = ['safe_to_delete', 'safe_to_hide', 'review'];
+
+class DeadCodeAnalyzer {
+    constructor(config = {}) {
+        this.config = config;
+        this.maxItems = config.deadCodeMaxItems || 500;
+    }
+
+    /**
+     * resolved: LookMLProjectResolver output, usage: MCPConnector.getFieldUsage() result
+     */
+    analyze(resolved, usage) {
+        const projects = (resolved?.projects || []).filter(project => project.models.length > 0);
+
+        if (projects.length === 0) {
+            return this.unavailable('No LookML model files were fetched, so explores cannot be resolved');
+        }
+        if (!usage || usage.rows.length === 0) {
+            return this.unavailable('No field usage found in query history');
+        }
+
+        const usageIndex = this.indexUsage(usage.rows);
+        const result = { explores: [], joins: [], views: [], fields: [], files: [] };
+
+        projects.forEach(project => this.analyzeProject(project, usageIndex, usage.truncated, result));
+
+        const all = [...result.explores, ...result.joins, ...result.views, ...result.fields, ...result.files];
+
+        return {
+            available: true,
+            days: usage.days,
+            usageRows: usage.rows.length,
+            truncated: usage.truncated,
+            coverage: projects.map(project => ({ project: project.project, ...projectCoverage(project) })),
+            summary: {
+                unusedExplores: result.explores.length,
+                unusedJoins: result.joins.length,
+                unusedViews: result.views.length,
+                unusedFields: result.fields.length,
+                unincludedFiles: result.files.length,
+                safeToDelete: all.filter(item => item.rating === 'safe_to_delete').length,
+                safeToHide: all.filter(item => item.rating === 'safe_to_hide').length,
+                review: all.filter(item => item.rating === 'review').length
+            },
+            explores: result.explores,
+            joins: result.joins,
+            views: result.views,
+            fields: result.fields.slice(0, this.maxItems),
+            fieldsTruncated: result.fields.length > this.maxItems,
+            files: result.files
+        };
+    }
+
+    unavailable(reason) {
+        console.log(`⚠️ Dead code analysis skipped: ${reason}`);
+        return { available: false, reason: reason };
+    }
+
+    /**
+     * Runs per explore and per "alias.field" within each explore
+     */
+    indexUsage(rows) {
+        const explores = new Map();
+
+        rows.forEach(row => {
+            const key = `${row.model}.${row.explore}`;
+            if (!explores.has(key)) {
+                explores.set(key, { runs: 0, fields: new Map() });
+            }
+
+            const entry = explores.get(key);
+            entry.runs += row.runCount;
+
+            new Set([...row.fields, ...row.filters]).forEach(field => {
+                entry.fields.set(field, (entry.fields.get(field) || 0) + row.runCount);
+            });
+        });
+
+        return explores;
+    }
+
+    analyzeProject(project, usageIndex, truncated, result) {
+        // Files that were not fetched may use anything this project defines
+        const partial = !projectCoverage(project).complete;
+        const rate = (rating) => {
+            if (partial) return 'review';
+            return truncated ? RATINGS[Math.min(RATINGS.indexOf(rating) + 1, RATINGS.length - 1)] : rating;
+        };
+        const usedFields = new Map(); // view name -> Set of used field names
+        const joinedViews = new Set(); // views joined in explores that were queried
+        const unqueriedExploreViews = new Set();
+        const references = this.collectReferences(project);
+
+        const markUsed = (viewName, fieldName) => {
+            if (!usedFields.has(viewName)) usedFields.set(viewName, new Set());
+            usedFields.get(viewName).add(fieldName);
+        };
+
+        project.explores.forEach(explore => {
+            const aliasToView = new Map([[explore.name, explore.view]]);
+            explore.joins.forEach(join => aliasToView.set(join.name, join.view));
+
+            const usage = usageIndex.get(`${explore.model}.${explore.name}`);
+
+            if (!usage) {
+                aliasToView.forEach(viewName => unqueriedExploreViews.add(viewName));
+                const hidden = !!explore.node && this.isHidden(explore.node);
+                result.explores.push({
+                    project: project.project,
+                    model: explore.model,
+                    explore: explore.name,
+                    rating: rate(hidden ? 'safe_to_delete' : 'safe_to_hide'),
+                    reason: hidden
+                        ? 'Hidden and not queried in the period'
+                        : 'Not queried in the period; hide it first, then delete if nobody asks for it',
+                    source: explore.sources[0]
+                });
+                return;
+            }
+
+            aliasToView.forEach(viewName => joinedViews.add(viewName));
+
+            const usedAliases = new Set();
+            usage.fields.forEach((runs, field) => {
+                const [alias, name] = field.split('.');
+                if (!aliasToView.has(alias)) return;
+                usedAliases.add(alias);
+                markUsed(aliasToView.get(alias), name);
+            });
+
+            // A used join needs whatever its sql_on references, transitively
+            const pending = explore.joins.filter(join => usedAliases.has(join.name));
+            while (pending.length > 0) {
+                const join = pending.pop();
+                referencesIn(join.sql_on).forEach(({ alias, field }) => {
+                    if (!field || !aliasToView.has(alias)) return;
+                    markUsed(aliasToView.get(alias), field);
+                    if (!usedAliases.has(alias)) {
+                        usedAliases.add(alias);
+                        const dependency = explore.joins.find(other => other.name === alias);
+                        if (dependency) pending.push(dependency);
+                    }
+                });
+            }
+
+            const referencedAliases = this.referencedAliases(explore);
+
+            explore.joins.forEach(join => {
+                if (usedAliases.has(join.name) || referencedAliases.has(join.name)) return;
+                result.joins.push({
+                    project: project.project,
+                    model: explore.model,
+                    explore: explore.name,
+                    join: join.name,
+                    view: join.view,
+                    rating: rate('safe_to_delete'),
+                    reason: `No field of ${join.name} was selected or filtered in ${usage.runs} runs of this explore, and no other join depends on it`,
+                    source: join.sources[join.sources.length - 1]
+                });
+            });
+        });
+
+        project.views.forEach(view => {
+            const used = usedFields.get(view.name);
+            const extendedBy = project.views.filter(other => other.extends.includes(view.name)).map(other => other.name);
+
+            if (!used || used.size === 0) {
+                if (view.extensionRequired || extendedBy.length > 0) return;
+
+                let rating = 'safe_to_delete';
+                let reason = 'Not used by any explore and not referenced by other LookML';
+                if (joinedViews.has(view.name)) {
+                    rating = 'review';
+                    reason = 'No field was queried in the period, but queried explores still join it; remove those joins first';
+                } else if (unqueriedExploreViews.has(view.name)) {
+                    rating = 'review';
+                    reason = 'Only used by explores that were not queried in the period; remove those explores first';
+                } else if (references.views.has(view.name)) {
+                    rating = 'review';
+                    reason = 'Not in any explore, but other LookML references it';
+                }
+
+                result.views.push({
+                    project: project.project,
+                    view: view.name,
+                    rating: rate(rating),
+                    reason: reason,
+                    source: view.sources[0]
+                });
+                return;
+            }
+
+            [
+                ...view.dimensions.map(field => ({ field, kind: 'dimension' })),
+                ...view.dimensionGroups.map(field => ({ field, kind: 'dimension_group' })),
+                ...view.measures.map(field => ({ field, kind: 'measure' }))
+            ].forEach(({ field, kind }) => {
+                if (field.primaryKey) return;
+
+                const isUsed = kind === 'dimension_group'
+                    ? Array.from(used).some(name => name.startsWith(`${field.name}_`))
+                    : used.has(field.name);
+                if (isUsed) return;
+
+                const referenced = references.fields.has(`${view.name}.${field.name}`);
+                if (referenced && field.hidden) return;
+
+                result.fields.push({
+                    project: project.project,
+                    view: view.name,
+                    field: field.name,
+                    kind: kind,
+                    hidden: field.hidden,
+                    rating: rate(referenced ? 'safe_to_hide' : 'safe_to_delete'),
+                    reason: referenced
+                        ? 'Not queried in the period, but other LookML references it; hide it instead of deleting'
+                        : 'Not queried in the period and not referenced by other LookML',
+                    source: field.sources[0]
+                });
+            });
+        });
+
+        project.unincludedFiles.forEach(file => {
+            result.files.push({
+                project: project.project,
+                file: file,
+                rating: 'review',
+                reason: 'Not included by any fetched model file (a model that was not fetched may still include it)'
+            });
+        });
+    }
+
+    /**
+     * "view.field" and view names referenced from SQL and other LookML across the project
+     */
+    collectReferences(project) {
+        const fields = new Set();
+        const views = new Set();
+
+        project.views.forEach(view => {
+            walkValues(view.node, (value) => {
+                referencesIn(value).forEach(({ alias, field }) => {
+                    if (alias === 'TABLE') return;
+                    if (!field) {
+                        // ${field} inside a view refers to its own fields
+                        fields.add(`${view.name}.${alias}`);
+                    } else if (field === 'SQL_TABLE_NAME') {
+                        views.add(alias);
+                    } else {
+                        fields.add(`${alias}.${field}`);
+                        if (alias !== view.name) views.add(alias);
+                    }
+                });
+            });
+        });
+
+        project.explores.forEach(explore => {
+            const aliasToView = new Map([[explore.name, explore.view]]);
+            explore.joins.forEach(join => aliasToView.set(join.name, join.view));
+
+            walkValues(explore.node, (value) => {
+                referencesIn(value).forEach(({ alias, field }) => {
+                    if (field) fields.add(`${aliasToView.get(alias) || alias}.${field}`);
+                });
+            });
+        });
+
+        return { fields, views };
+    }
+
+    /**
+     * Join aliases that explore-level SQL or other joins depend on
+     */
+    referencedAliases(explore) {
+        const aliases = new Set();
+
+        explore.joins.forEach(join => {
+            referencesIn(join.sql_on).forEach(({ alias, field }) => {
+                if (field && alias !== join.name) aliases.add(alias);
+            });
+        });
+
+        if (explore.node) {
+            getChildBlocks(explore.node, 'join').forEach(join => {
+                const required = join.children.find(child => child.type === 'property' && child.key === 'required_joins');
+                (Array.isArray(required?.value) ? required.value : []).forEach(alias => aliases.add(alias));
+            });
+
+            explore.node.children
+                .filter(child => child.type === 'property')
+                .forEach(property => referencesIn(JSON.stringify(property.value)).forEach(({ alias }) => aliases.add(alias)));
+        }
+
+        return aliases;
+    }
+
+    isHidden(node) {
+        return node.children.some(child => child.type === 'property' && child.key === 'hidden' && child.value === 'yes');
+    }
+}
+
+/**
+ * Resolver coverage of a project; projects resolved without a file listing count as complete
+ */
+function projectCoverage(project) {
+    return project.coverage || { filesListed: null, filesFetched: project.fileCount, complete: true };
+}
+
+/**
+ * ${view.field}, ${field} and ${view.SQL_TABLE_NAME} references in a LookML value
+ */
+function referencesIn(value) {
+    const refs = [];
+    const pattern = /\$\{\s*(\w+)(?:\.(\w+))?\s*\}/g;
+    let match;
+    while ((match = pattern.exec(value || '')) !== null) {
+        refs.push({ alias: match[1], field: match[2] || null });
+    }
+    return refs;
+}
+
+/**
+ * Call fn with every property value (as text) below node
+ */
+function walkValues(node, fn) {
+    if (!node) return;
+    (node.children || []).forEach(child => {
+        if (child.type === 'property') {
+            fn(typeof child.value === 'string' ? child.value : JSON.stringify(child.value));
+        } else {
+            walkValues(child, fn);
+        }
+    });
+}
+
+module.exports = { DeadCodeAnalyzer };
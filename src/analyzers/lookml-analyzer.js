@@ -1,35 +1,85 @@
 // src/analyzers/lookml-analyzer.js
 // LookML parsing and analysis extracted from diagnostic-engine.js
 
+const { parseLookML, findNodes, getChildBlocks, getPropertyValue } = require('../parsers/lookml-parser');
+const { LookMLProjectResolver, normalizeLookMLPath } = require('./lookml-project-resolver');
+const { LookMLRuleEngine } = require('./lookml-rule-engine');
+
 class LookMLAnalyzer {
     constructor(config = {}) {
         this.config = config;
+        this.ruleEngine = config.ruleEngine || new LookMLRuleEngine({ configPath: config.lookmlRulesPath });
     }
 
     /**
      * Analyze LookML files for structure and optimization opportunities
      */
     async analyzeLookMLFiles(files) {
+        const parsedFiles = files.map(file => this.ensureParsed(file));
         const analyses = [];
         
-        for (const file of files) {
+        for (const file of parsedFiles) {
             const analysis = this.analyzeLookMLFile(file);
             analyses.push(analysis);
         }
 
+        const project = this.resolveProject(parsedFiles, analyses);
+
         return {
             totalFiles: analyses.length,
             analyses: analyses,
+            project: project,
             summary: this.generateLookMLSummary(analyses)
         };
     }
 
+    /**
+     * Resolve includes, refinements and extends across files and attach
+     * model-level issues to the analysis of the file that caused them
+     */
+    resolveProject(files, analyses = []) {
+        try {
+            const resolved = new LookMLProjectResolver(files).resolve();
+            const analysisByPath = new Map(analyses.map(analysis => [analysis.path, analysis]));
+            const filesByPath = new Map(files.map(file => [normalizeLookMLPath(file.path || file.fileName), file]));
+
+            resolved.projects.forEach(project => {
+                project.issues = this.ruleEngine.checkProject(project, filesByPath);
+                project.issues.forEach(issue => {
+                    const analysis = analysisByPath.get(issue.source?.file);
+                    if (analysis) analysis.issues.push(issue);
+                });
+            });
+
+            return resolved;
+        } catch (error) {
+            console.log('Error resolving LookML project graph:', error.message);
+            return { projects: [], error: error.message };
+        }
+    }
+
+    /**
+     * Parse files fetched without parsing (e.g. fetchAndAnalyzeLookML), keeping their fetched type
+     */
+    ensureParsed(file) {
+        if (!file.content || file.ast) return file;
+        
+        const parsed = this.parseLookMLContent(file.content, file.fileName, file.project);
+        if (!parsed) return file;
+        
+        const knownType = file.type && file.type !== 'unknown' && file.type !== 'lookml';
+        return { ...file, ...parsed, type: knownType ? file.type : parsed.type };
+    }
+
     /**
      * Analyze individual LookML file
      */
     analyzeLookMLFile(file) {
+        file = this.ensureParsed(file);
+        
         return {
             fileName: file.fileName,
+            path: normalizeLookMLPath(file.path || file.fileName),
             project: file.project,
             type: file.type,
             
@@ -37,9 +87,11 @@ class LookMLAnalyzer {
             structure: {
                 joins: file.joins || [],
                 dimensions: file.dimensions || [],
+                dimensionGroups: file.dimensionGroups || [],
                 measures: file.measures || [],
                 explores: file.explores || []
             },
+            parseErrors: file.parseErrors || [],
             
             // Complexity metrics
             complexity: this.calculateLookMLComplexity(file),
@@ -57,23 +109,32 @@ class LookMLAnalyzer {
      */
     parseLookMLContent(content, fileName, projectName) {
         try {
-            const fileType = this.determineFileType(fileName);
+            const ast = parseLookML(content, { fileName });
+            const fileType = this.determineFileType(fileName, ast);
+            
+            if (ast.errors.length > 0) {
+                console.log(`⚠️ ${ast.errors.length} LookML syntax errors in ${fileName} (first: line ${ast.errors[0].loc.line}: ${ast.errors[0].message})`);
+            }
             
             const parsed = {
                 fileName: fileName,
                 project: projectName,
                 type: fileType,
                 content: content,
+                ast: ast,
+                parseErrors: ast.errors,
                 joins: [],
                 dimensions: [],
+                dimensionGroups: [],
                 measures: [],
                 explores: []
             };
             
             if (fileType === 'view') {
-                parsed.joins = this.extractJoinsFromLookML(content);
-                parsed.dimensions = this.extractDimensionsFromLookML(content);
-                parsed.measures = this.extractMeasuresFromLookML(content);
+                parsed.joins = this.extractJoinsFromLookML(ast);
+                parsed.dimensions = this.extractDimensionsFromLookML(ast);
+                parsed.dimensionGroups = this.extractDimensionGroupsFromLookML(ast);
+                parsed.measures = this.extractMeasuresFromLookML(ast);
             } else if (fileType === 'explore') {
                 parsed.explores = this.extractExploresFromLookML(content);
                 parsed.joins = this.extractExploreJoinsFromLookML(content);
@@ -92,11 +153,18 @@ class LookMLAnalyzer {
     /**
      * Determine LookML file type
      */
-    determineFileType(fileName) {
+    determineFileType(fileName, ast = null) {
         if (fileName.endsWith('.view.lkml')) return 'view';
         if (fileName.endsWith('.explore.lkml')) return 'explore';
         if (fileName.endsWith('.model.lkml')) return 'model';
         if (fileName.endsWith('.dashboard.lkml')) return 'dashboard';
+        
+        // Fall back to what the file declares at the top level
+        if (ast) {
+            if (getChildBlocks(ast, 'view').length > 0) return 'view';
+            if (getPropertyValue(ast, 'connection')) return 'model';
+            if (getChildBlocks(ast, 'explore').length > 0) return 'explore';
+        }
         return 'unknown';
     }
 
@@ -130,171 +198,197 @@ class LookMLAnalyzer {
     }
 
     /**
-     * Extract joins from LookML content
+     * Accept either LookML source or an already parsed AST
      */
-    extractJoinsFromLookML(content) {
-        const joins = [];
-        const joinRegex = /join:\s*(\w+)\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-        let match;
-        
-        while ((match = joinRegex.exec(content)) !== null) {
-            const joinName = match[1];
-            const joinBlock = match[2];
-            
-            const join = {
-                name: joinName,
-                type: this.extractJoinType(joinBlock),
-                relationship: this.extractJoinRelationship(joinBlock),
-                sql_on: this.extractJoinSqlOn(joinBlock),
-                foreign_key: this.extractJoinForeignKey(joinBlock)
-            };
-            
-            joins.push(join);
+    toAST(contentOrAst, fileName = null) {
+        if (contentOrAst && typeof contentOrAst === 'object' && contentOrAst.type === 'document') {
+            return contentOrAst;
         }
+        return parseLookML(contentOrAst || '', { fileName });
+    }
+
+    /**
+     * Source text of a node, used where callers expect the raw block
+     */
+    getNodeSource(ast, node, content) {
+        if (typeof content !== 'string' || !node.loc) return '';
+        return content.slice(node.loc.start.offset, node.loc.end.offset);
+    }
+
+    /**
+     * Extract joins from LookML content (or AST)
+     */
+    extractJoinsFromLookML(contentOrAst) {
+        const ast = this.toAST(contentOrAst);
         
-        return joins;
+        return findNodes(ast, 'join').map(joinNode => ({
+            name: joinNode.name,
+            type: this.extractJoinType(joinNode),
+            relationship: this.extractJoinRelationship(joinNode),
+            sql_on: this.extractJoinSqlOn(joinNode),
+            foreign_key: this.extractJoinForeignKey(joinNode),
+            from: getPropertyValue(joinNode, 'from', null),
+            loc: joinNode.loc
+        }));
     }
 
-    extractJoinType(joinBlock) {
-        const typeMatch = joinBlock.match(/type:\s*(\w+)/);
-        return typeMatch ? typeMatch[1] : 'left_outer';
+    extractJoinType(joinNode) {
+        return getPropertyValue(joinNode, 'type', 'left_outer');
     }
 
-    extractJoinRelationship(joinBlock) {
-        const relationshipMatch = joinBlock.match(/relationship:\s*(\w+)/);
-        return relationshipMatch ? relationshipMatch[1] : 'many_to_one';
+    extractJoinRelationship(joinNode) {
+        return getPropertyValue(joinNode, 'relationship', 'many_to_one');
     }
 
-    extractJoinSqlOn(joinBlock) {
-        const sqlOnMatch = joinBlock.match(/sql_on:\s*([^;]+);/);
-        return sqlOnMatch ? sqlOnMatch[1].trim() : '';
+    extractJoinSqlOn(joinNode) {
+        return getPropertyValue(joinNode, 'sql_on', '');
     }
 
-    extractJoinForeignKey(joinBlock) {
-        const foreignKeyMatch = joinBlock.match(/foreign_key:\s*([^}]+)/);
-        return foreignKeyMatch ? foreignKeyMatch[1].trim() : '';
+    extractJoinForeignKey(joinNode) {
+        return getPropertyValue(joinNode, 'foreign_key', '');
     }
 
     /**
-     * Extract dimensions from LookML content
+     * Extract dimensions from LookML content (or AST)
      */
-    extractDimensionsFromLookML(content) {
-        const dimensions = [];
-        const dimensionRegex = /dimension:\s*(\w+)\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-        let match;
-        
-        while ((match = dimensionRegex.exec(content)) !== null) {
-            const dimensionName = match[1];
-            const dimensionBlock = match[2];
-            
-            dimensions.push({
-                name: dimensionName,
-                type: this.extractDimensionType(dimensionBlock),
-                sql: this.extractDimensionSql(dimensionBlock),
-                label: this.extractFieldLabel(dimensionBlock),
-                description: this.extractFieldDescription(dimensionBlock)
-            });
-        }
+    extractDimensionsFromLookML(contentOrAst) {
+        const ast = this.toAST(contentOrAst);
+        
+        return this.extractFields(ast, 'dimension').map(({ node, view }) => ({
+            name: node.name,
+            view: view,
+            type: this.extractDimensionType(node),
+            sql: this.extractDimensionSql(node),
+            label: this.extractFieldLabel(node),
+            description: this.extractFieldDescription(node),
+            primaryKey: getPropertyValue(node, 'primary_key') === 'yes',
+            hidden: getPropertyValue(node, 'hidden') === 'yes',
+            loc: node.loc
+        }));
+    }
+
+    /**
+     * Extract dimension groups from LookML content (or AST)
+     */
+    extractDimensionGroupsFromLookML(contentOrAst) {
+        const ast = this.toAST(contentOrAst);
         
-        return dimensions;
+        return this.extractFields(ast, 'dimension_group').map(({ node, view }) => ({
+            name: node.name,
+            view: view,
+            type: getPropertyValue(node, 'type', 'time'),
+            timeframes: getPropertyValue(node, 'timeframes', []),
+            sql: this.extractDimensionSql(node),
+            label: this.extractFieldLabel(node),
+            description: this.extractFieldDescription(node),
+            loc: node.loc
+        }));
     }
 
-    extractDimensionType(dimensionBlock) {
-        const typeMatch = dimensionBlock.match(/type:\s*(\w+)/);
-        return typeMatch ? typeMatch[1] : 'string';
+    /**
+     * Field nodes of a type with the name of the view that declares them
+     */
+    extractFields(ast, type) {
+        const fields = [];
+        const topLevelViews = getChildBlocks(ast, 'view');
+        
+        topLevelViews.forEach(viewNode => {
+            findNodes(viewNode, type).forEach(node => fields.push({ node, view: viewNode.name }));
+        });
+        
+        // Fields outside any view (fragments passed in by callers)
+        getChildBlocks(ast, type).forEach(node => fields.push({ node, view: null }));
+        
+        return fields;
+    }
+
+    extractDimensionType(dimensionNode) {
+        return getPropertyValue(dimensionNode, 'type', 'string');
     }
 
-    extractDimensionSql(dimensionBlock) {
-        const sqlMatch = dimensionBlock.match(/sql:\s*([^;]+);/);
-        return sqlMatch ? sqlMatch[1].trim() : '';
+    extractDimensionSql(dimensionNode) {
+        return getPropertyValue(dimensionNode, 'sql', '');
     }
 
     /**
-     * Extract measures from LookML content
+     * Extract measures from LookML content (or AST)
      */
-    extractMeasuresFromLookML(content) {
-        const measures = [];
-        const measureRegex = /measure:\s*(\w+)\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-        let match;
-        
-        while ((match = measureRegex.exec(content)) !== null) {
-            const measureName = match[1];
-            const measureBlock = match[2];
-            
-            measures.push({
-                name: measureName,
-                type: this.extractMeasureType(measureBlock),
-                sql: this.extractMeasureSql(measureBlock),
-                label: this.extractFieldLabel(measureBlock),
-                description: this.extractFieldDescription(measureBlock)
-            });
-        }
+    extractMeasuresFromLookML(contentOrAst) {
+        const ast = this.toAST(contentOrAst);
         
-        return measures;
+        return this.extractFields(ast, 'measure').map(({ node, view }) => ({
+            name: node.name,
+            view: view,
+            type: this.extractMeasureType(node),
+            sql: this.extractMeasureSql(node),
+            label: this.extractFieldLabel(node),
+            description: this.extractFieldDescription(node),
+            hidden: getPropertyValue(node, 'hidden') === 'yes',
+            loc: node.loc
+        }));
     }
 
-    extractMeasureType(measureBlock) {
-        const typeMatch = measureBlock.match(/type:\s*(\w+)/);
-        return typeMatch ? typeMatch[1] : 'count';
+    extractMeasureType(measureNode) {
+        return getPropertyValue(measureNode, 'type', 'count');
     }
 
-    extractMeasureSql(measureBlock) {
-        const sqlMatch = measureBlock.match(/sql:\s*([^;]+);/);
-        return sqlMatch ? sqlMatch[1].trim() : '';
+    extractMeasureSql(measureNode) {
+        return getPropertyValue(measureNode, 'sql', '');
     }
 
-    extractFieldLabel(fieldBlock) {
-        const labelMatch = fieldBlock.match(/label:\s*"([^"]+)"/);
-        return labelMatch ? labelMatch[1] : '';
+    extractFieldLabel(fieldNode) {
+        return getPropertyValue(fieldNode, 'label', '');
     }
 
-    extractFieldDescription(fieldBlock) {
-        const descMatch = fieldBlock.match(/description:\s*"([^"]+)"/);
-        return descMatch ? descMatch[1] : '';
+    extractFieldDescription(fieldNode) {
+        return getPropertyValue(fieldNode, 'description', '');
     }
 
     /**
-     * Extract explores from LookML content
+     * Extract explores from LookML content (or AST)
      */
-    extractExploresFromLookML(content) {
-        const explores = [];
-        const exploreRegex = /explore:\s*(\w+)\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-        let match;
-        
-        while ((match = exploreRegex.exec(content)) !== null) {
-            explores.push({
-                name: match[1],
-                content: match[2],
-                label: this.extractExploreLabel(match[2]),
-                description: this.extractExploreDescription(match[2])
-            });
-        }
+    extractExploresFromLookML(contentOrAst) {
+        const ast = this.toAST(contentOrAst);
+        const content = typeof contentOrAst === 'string' ? contentOrAst : null;
         
-        return explores;
+        return findNodes(ast, 'explore').map(exploreNode => ({
+            name: exploreNode.name,
+            refinement: exploreNode.refinement,
+            content: this.getNodeSource(ast, exploreNode, content),
+            label: this.extractExploreLabel(exploreNode),
+            description: this.extractExploreDescription(exploreNode),
+            joins: getChildBlocks(exploreNode, 'join').map(join => join.name),
+            loc: exploreNode.loc
+        }));
     }
 
-    extractExploreLabel(exploreBlock) {
-        const labelMatch = exploreBlock.match(/label:\s*"([^"]+)"/);
-        return labelMatch ? labelMatch[1] : '';
+    extractExploreLabel(exploreNode) {
+        return getPropertyValue(exploreNode, 'label', '');
     }
 
-    extractExploreDescription(exploreBlock) {
-        const descMatch = exploreBlock.match(/description:\s*"([^"]+)"/);
-        return descMatch ? descMatch[1] : '';
+    extractExploreDescription(exploreNode) {
+        return getPropertyValue(exploreNode, 'description', '');
     }
 
-    extractExploreJoinsFromLookML(content) {
+    extractExploreJoinsFromLookML(contentOrAst) {
+        const ast = this.toAST(contentOrAst);
+        const content = typeof contentOrAst === 'string' ? contentOrAst : null;
         const joins = [];
-        const joinRegex = /join:\s*(\w+)\s*\{([^{}]*(?:\{[^{}]*\}[^{}]*)*)\}/g;
-        let match;
-        
-        while ((match = joinRegex.exec(content)) !== null) {
-            joins.push({
-                name: match[1],
-                exploreLevel: true,
-                content: match[2]
+        
+        findNodes(ast, 'explore').forEach(exploreNode => {
+            getChildBlocks(exploreNode, 'join').forEach(joinNode => {
+                joins.push({
+                    name: joinNode.name,
+                    explore: exploreNode.name,
+                    exploreLevel: true,
+                    type: this.extractJoinType(joinNode),
+                    relationship: this.extractJoinRelationship(joinNode),
+                    sql_on: this.extractJoinSqlOn(joinNode),
+                    content: this.getNodeSource(ast, joinNode, content),
+                    loc: joinNode.loc
+                });
             });
-        }
+        });
         
         return joins;
     }
@@ -336,58 +430,13 @@ class LookMLAnalyzer {
     }
 
     /**
-     * Identify issues in LookML files
+     * Identify issues in LookML files with the configured lint rules
      */
     identifyLookMLIssues(file) {
-        const issues = [];
-        
-        // Missing documentation
-        if (file.type === 'view') {
-            const dimensionsWithoutDesc = (file.dimensions || []).filter(d => !d.description).length;
-            const measuresWithoutDesc = (file.measures || []).filter(m => !m.description).length;
-            
-            if (dimensionsWithoutDesc > 0) {
-                issues.push({
-                    type: 'documentation',
-                    severity: 'low',
-                    issue: `${dimensionsWithoutDesc} dimensions missing descriptions`,
-                    recommendation: 'Add descriptions to improve user experience'
-                });
-            }
-            
-            if (measuresWithoutDesc > 0) {
-                issues.push({
-                    type: 'documentation',
-                    severity: 'medium',
-                    issue: `${measuresWithoutDesc} measures missing descriptions`,
-                    recommendation: 'Add descriptions to measures for clarity'
-                });
-            }
-        }
-        
-        // Complex joins
-        const joinCount = (file.joins || []).length;
-        if (joinCount > 5) {
-            issues.push({
-                type: 'performance',
-                severity: 'high',
-                issue: `View has ${joinCount} joins which may impact performance`,
-                recommendation: 'Consider breaking into multiple views or using PDTs'
-            });
-        }
-        
-        // Large number of fields
-        const fieldCount = (file.dimensions || []).length + (file.measures || []).length;
-        if (fieldCount > 50) {
-            issues.push({
-                type: 'usability',
-                severity: 'medium',
-                issue: `View has ${fieldCount} fields which may overwhelm users`,
-                recommendation: 'Consider organizing fields into groups or hiding less common ones'
-            });
-        }
-        
-        return issues;
+        return this.ruleEngine.checkFile({
+            ...file,
+            path: normalizeLookMLPath(file.path || file.fileName)
+        });
     }
 
     /**
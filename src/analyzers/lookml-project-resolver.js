@@ -0,0 +1,533 @@
+// src/analyzers/lookml-project-resolver.js
+// Project-level LookML model graph: follows includes, applies refinements and extends, merges views and explores
+
+const { parseLookML, getChildBlocks, getPropertyValue } = require('../parsers/lookml-parser');
+
+// Properties that control resolution itself and are not inherited through extends
+const NON_INHERITED_PROPERTIES = new Set(['extends', 'extension', 'final']);
+
+// Findings about something missing, which a file that was not fetched may provide
+const COVERAGE_DEPENDENT_RULES = new Set(['include-unresolved', 'extends-missing', 'refinement-undefined']);
+
+class LookMLProjectResolver {
+    /**
+     * files: { fileName, path?, project, content?, ast?, projectFileCount? } as fetched from the Looker API;
+     * projectFileCount is the number of LookML files the project lists, fetched or not
+     */
+    constructor(files = []) {
+        this.files = files
+            .filter(file => file && (file.ast || typeof file.content === 'string'))
+            .map(file => ({
+                ...file,
+                path: normalizePath(file.path || file.fileName),
+                ast: file.ast || parseLookML(file.content, { fileName: file.fileName })
+            }));
+    }
+
+    /**
+     * Resolve every project; returns { projects: [...] }
+     */
+    resolve() {
+        const byProject = new Map();
+        this.files.forEach(file => {
+            const project = file.project || 'default';
+            if (!byProject.has(project)) byProject.set(project, []);
+            byProject.get(project).push(file);
+        });
+
+        return {
+            projects: Array.from(byProject.entries()).map(([name, files]) => this.resolveProject(name, files))
+        };
+    }
+
+    resolveProject(projectName, files) {
+        const fileIndex = new Map(files.map(file => [file.path, file]));
+        const issues = [];
+        const modelFiles = files.filter(file => isModelFile(file));
+
+        const models = modelFiles.map(modelFile =>
+            this.resolveModel(modelFile, fileIndex, issues)
+        );
+
+        const views = new Map();
+        models.forEach(model => model.views.forEach(view => {
+            if (!views.has(view.name)) views.set(view.name, view);
+        }));
+
+        const includedPaths = new Set(models.flatMap(model => model.files));
+        const coverage = projectCoverage(files);
+
+        if (!coverage.complete) {
+            markIncomplete(issues, coverage);
+        }
+
+        return {
+            project: projectName,
+            fileCount: files.length,
+            coverage: coverage,
+            models: models.map(model => ({
+                ...model,
+                explores: model.explores.map(explore => explore.name),
+                views: model.views.map(view => view.name)
+            })),
+            views: Array.from(views.values()),
+            explores: models.flatMap(model => model.explores),
+            // Files no model includes are not part of any explore
+            unincludedFiles: files
+                .filter(file => !includedPaths.has(file.path))
+                .map(file => file.path),
+            issues: issues
+        };
+    }
+
+    /**
+     * Resolve one model: walk its includes in order, then merge every view and explore it can see
+     */
+    resolveModel(modelFile, fileIndex, issues) {
+        const modelName = baseName(modelFile.path).replace(/\.model\.(lkml|lookml)$/, '');
+        const definitions = { view: new Map(), explore: new Map() };
+        const visited = [];
+
+        this.collectDefinitions(modelFile, fileIndex, definitions, visited, new Set(), issues);
+
+        const resolvedCache = { view: new Map(), explore: new Map() };
+        const resolveContext = { definitions, resolvedCache, issues, modelName };
+
+        const views = Array.from(definitions.view.keys())
+            .map(name => this.resolveObject('view', name, resolveContext, []))
+            .filter(Boolean)
+            .map(node => summarizeView(node));
+
+
+        const explores = Array.from(definitions.explore.keys())
+            .map(name => this.resolveObject('explore', name, resolveContext, []))
+            .filter(Boolean)
+            .map(node => summarizeExplore(node, modelName))
+            .filter(explore => !explore.extensionRequired);
+
+        return {
+            name: modelName,
+            file: modelFile.path,
+            connection: getPropertyValue(modelFile.ast, 'connection', null),
+            persistWith: getPropertyValue(modelFile.ast, 'persist_with', null),
+            datagroups: getChildBlocks(modelFile.ast, 'datagroup').map(datagroup => datagroup.name),
+            files: visited,
+            explores: explores,
+            views: views
+        };
+    }
+
+    /**
+     * Register view/explore definitions and refinements in Looker's order: an include pulls
+     * the included files in at the point where it appears
+     */
+    collectDefinitions(file, fileIndex, definitions, visited, seen, issues) {
+        if (seen.has(file.path)) return;
+        seen.add(file.path);
+        visited.push(file.path);
+
+        file.ast.children.forEach(node => {
+            if (node.type === 'property' && node.key === 'include') {
+                const patterns = Array.isArray(node.value) ? node.value : [node.value];
+                patterns.forEach(pattern => {
+                    this.resolveInclude(pattern, file, fileIndex, node, issues).forEach(included => {
+                        this.collectDefinitions(included, fileIndex, definitions, visited, seen, issues);
+                    });
+                });
+                return;
+            }
+
+            if (node.type !== 'view' && node.type !== 'explore') return;
+
+            const entry = definitions[node.type].get(node.name) || { base: null, refinements: [] };
+            const occurrence = { node, file: file.path };
+
+            if (node.refinement) {
+                entry.refinements.push(occurrence);
+            } else if (entry.base) {
+                issues.push(createIssue({
+                    rule: 'duplicate-definition',
+                    type: 'duplicate_definition',
+                    severity: 'medium',
+                    issue: `${node.type} "${node.name}" is defined more than once in the same model`,
+                    recommendation: `Rename one of the definitions or use a refinement (+${node.name})`,
+                    file: file.path,
+                    node: node,
+                    related: [sourceOf(entry.base.node, entry.base.file)]
+                }));
+            } else {
+                entry.base = occurrence;
+            }
+
+            definitions[node.type].set(node.name, entry);
+        });
+    }
+
+    resolveInclude(pattern, fromFile, fileIndex, node, issues) {
+        if (typeof pattern !== 'string' || !pattern) return [];
+
+        // Imported projects are not fetched
+        if (pattern.startsWith('//')) return [];
+
+        const absolute = pattern.startsWith('/')
+            ? pattern.slice(1)
+            : joinPath(dirName(fromFile.path), pattern);
+        const matcher = globToRegExp(absolute);
+
+        const matches = Array.from(fileIndex.keys())
+            .filter(path => matcher.test(path))
+            .sort()
+            .map(path => fileIndex.get(path));
+
+        if (matches.length === 0) {
+            issues.push(createIssue({
+                rule: 'include-unresolved',
+                type: 'include',
+                severity: 'low',
+                issue: `include "${pattern}" matches no fetched files`,
+                recommendation: 'Check the include path, or fetch more project files before resolving',
+                file: fromFile.path,
+                node: node
+            }));
+        }
+
+        return matches;
+    }
+
+    /**
+     * Base definition + refinements (include order), then extends (applied after refinements)
+     */
+    resolveObject(type, name, context, stack) {
+        const { definitions, resolvedCache, issues } = context;
+
+        if (resolvedCache[type].has(name)) return resolvedCache[type].get(name);
+
+        const entry = definitions[type].get(name);
+        if (!entry) return null;
+
+        if (!entry.base) {
+            const first = entry.refinements[0];
+            issues.push(createIssue({
+                rule: 'refinement-undefined',
+                type: 'reference',
+                severity: 'medium',
+                issue: `Refinement +${name} refines a ${type} that is not defined in this model`,
+                recommendation: `Include the file that defines ${type} "${name}" or remove the refinement`,
+                file: first.file,
+                node: first.node
+            }));
+            resolvedCache[type].set(name, null);
+            return null;
+        }
+
+        let merged = annotate(entry.base.node, entry.base.file, 'definition');
+        let finalAt = getPropertyValue(entry.base.node, 'final') === 'yes' ? entry.base : null;
+
+        entry.refinements.forEach(refinement => {
+            if (finalAt) {
+                issues.push(createIssue({
+                    rule: 'refinement-after-final',
+                    type: 'reference',
+                    severity: 'high',
+                    issue: `Refinement +${name} comes after a refinement marked final: yes and is rejected by Looker`,
+                    recommendation: 'Remove final: yes or move this refinement before the final one',
+                    file: refinement.file,
+                    node: refinement.node,
+                    related: [sourceOf(finalAt.node, finalAt.file)]
+                }));
+                return;
+            }
+            merged = mergeNodes(merged, annotate(refinement.node, refinement.file, 'refinement'));
+            if (getPropertyValue(refinement.node, 'final') === 'yes') finalAt = refinement;
+        });
+
+        const parents = toList(getPropertyValue(merged, 'extends', []));
+        if (parents.length > 0) {
+            merged = this.applyExtends(type, name, merged, parents, context, [...stack, name]);
+        }
+
+        resolvedCache[type].set(name, merged);
+        return merged;
+    }
+
+    applyExtends(type, name, node, parents, context, stack) {
+        let base = null;
+
+        parents.forEach(parentName => {
+            if (stack.includes(parentName)) {
+                context.issues.push(createIssue({
+                    rule: 'extends-cycle',
+                    type: 'reference',
+                    severity: 'high',
+                    issue: `${type} "${name}" extends "${parentName}" in a cycle (${[...stack, parentName].join(' -> ')})`,
+                    recommendation: 'Break the extends cycle',
+                    source: node.sources[0]
+                }));
+                return;
+            }
+
+            const parent = this.resolveObject(type, parentName, context, stack);
+            if (!parent) {
+                context.issues.push(createIssue({
+                    rule: 'extends-missing',
+                    type: 'reference',
+                    severity: 'high',
+                    issue: `${type} "${name}" extends "${parentName}", which is not defined in this model`,
+                    recommendation: `Include the file that defines ${type} "${parentName}"`,
+                    source: node.sources[0]
+                }));
+                return;
+            }
+
+            const inherited = withoutProperties(parent, NON_INHERITED_PROPERTIES);
+            base = base ? mergeNodes(base, inherited) : inherited;
+        });
+
+        if (!base) return node;
+
+        // The extending object keeps its own name and wins over everything it inherits
+        const merged = mergeNodes(base, node);
+        merged.name = name;
+        merged.extendsChain = parents;
+        merged.sources = [...node.sources, ...base.sources];
+        return merged;
+    }
+}
+
+// ---------------------------------------------------------------------
+// Merging
+// ---------------------------------------------------------------------
+
+/**
+ * Deep copy of a block with provenance on every nested block
+ */
+function annotate(node, file, kind) {
+    if (!node || typeof node !== 'object' || node.type === 'property') return node;
+
+    return {
+        ...node,
+        children: (node.children || []).map(child => child.type === 'property' ? child : annotate(child, file, kind)),
+        sources: [sourceOf(node, file, kind)]
+    };
+}
+
+/**
+ * Overlay source onto target: properties replace by key, blocks merge by type and name
+ */
+function mergeNodes(target, source) {
+    const children = [...target.children];
+
+    source.children.forEach(child => {
+        if (child.type === 'property') {
+            const previous = children.find(existing => existing.type === 'property' && existing.key === child.key);
+            const kept = children.filter(existing => !(existing.type === 'property' && existing.key === child.key));
+            // A refinement's extends adds to the parents instead of replacing them
+            kept.push(child.key === 'extends' && previous
+                ? { ...child, value: Array.from(new Set([...toList(previous.value), ...toList(child.value)])), valueType: 'list' }
+                : child);
+            children.splice(0, children.length, ...kept);
+            return;
+        }
+
+        const index = children.findIndex(existing =>
+            existing.type !== 'property' &&
+            existing.key === child.key &&
+            existing.name === child.name
+        );
+
+        if (index === -1) {
+            children.push(child);
+        } else {
+            children[index] = mergeNodes(children[index], child);
+        }
+    });
+
+    return {
+        ...target,
+        children: children,
+        sources: [...(target.sources || []), ...(source.sources || [])]
+    };
+}
+
+function withoutProperties(node, keys) {
+    return {
+        ...node,
+        children: node.children.filter(child => !(child.type === 'property' && keys.has(child.key)))
+    };
+}
+
+// ---------------------------------------------------------------------
+// Summaries (JSON-safe; the merged node stays available as a non-enumerable property)
+// ---------------------------------------------------------------------
+
+function summarizeView(node) {
+    const summarizeField = (field) => ({
+        name: field.name,
+        type: getPropertyValue(field, 'type', field.type === 'measure' ? 'count' : 'string'),
+        sql: getPropertyValue(field, 'sql', ''),
+        label: getPropertyValue(field, 'label', ''),
+        description: getPropertyValue(field, 'description', ''),
+        hidden: getPropertyValue(field, 'hidden') === 'yes',
+        primaryKey: getPropertyValue(field, 'primary_key') === 'yes',
+        sources: field.sources
+    });
+
+    const view = {
+        name: node.name,
+        sqlTableName: getPropertyValue(node, 'sql_table_name', null),
+        derivedTable: getChildBlocks(node, 'derived_table').length > 0,
+        extends: node.extendsChain || [],
+        extensionRequired: getPropertyValue(node, 'extension') === 'required',
+        dimensions: getChildBlocks(node, 'dimension').map(summarizeField),
+        dimensionGroups: getChildBlocks(node, 'dimension_group').map(summarizeField),
+        measures: getChildBlocks(node, 'measure').map(summarizeField),
+        sources: node.sources
+    };
+
+    Object.defineProperty(view, 'node', { value: node, enumerable: false });
+    return view;
+}
+
+function summarizeExplore(node, modelName) {
+    const explore = {
+        name: node.name,
+        model: modelName,
+        view: getPropertyValue(node, 'from', null) || getPropertyValue(node, 'view_name', null) || node.name,
+        label: getPropertyValue(node, 'label', ''),
+        description: getPropertyValue(node, 'description', ''),
+        persistWith: getPropertyValue(node, 'persist_with', null),
+        extends: node.extendsChain || [],
+        extensionRequired: getPropertyValue(node, 'extension') === 'required',
+        joins: getChildBlocks(node, 'join').map(join => ({
+            name: join.name,
+            view: getPropertyValue(join, 'from', null) || join.name,
+            type: getPropertyValue(join, 'type', 'left_outer'),
+            relationship: getPropertyValue(join, 'relationship', 'many_to_one'),
+            sql_on: getPropertyValue(join, 'sql_on', ''),
+            foreign_key: getPropertyValue(join, 'foreign_key', ''),
+            sources: join.sources
+        })),
+        sources: node.sources
+    };
+
+    Object.defineProperty(explore, 'node', { value: node, enumerable: false });
+    return explore;
+}
+
+// ---------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------
+
+function sourceOf(node, file, kind) {
+    const source = {
+        file: file,
+        line: node.loc?.start?.line || null,
+        column: node.loc?.start?.column || null
+    };
+    if (kind) source.kind = kind;
+    return source;
+}
+
+/**
+ * Issue in the shape LookMLAnalyzer uses, with the file/line that caused it
+ */
+function createIssue({ rule, type, severity, issue, recommendation, file, node, source, related }) {
+    const result = {
+        rule,
+        type,
+        severity,
+        issue,
+        recommendation,
+        source: source || sourceOf(node, file)
+    };
+    if (related && related.length > 0) result.related = related;
+    return result;
+}
+
+/**
+ * Fetched versus listed LookML files; files without a listing count are taken as the whole project
+ */
+function projectCoverage(files) {
+    const counts = files.map(file => file.projectFileCount).filter(count => Number.isFinite(count));
+    const filesListed = counts.length > 0 ? Math.max(...counts) : null;
+
+    return {
+        filesListed: filesListed,
+        filesFetched: files.length,
+        complete: filesListed === null || files.length >= filesListed
+    };
+}
+
+function markIncomplete(issues, coverage) {
+    const skipped = coverage.filesListed - coverage.filesFetched;
+
+    issues.forEach(issue => {
+        if (!COVERAGE_DEPENDENT_RULES.has(issue.rule)) return;
+        issue.incomplete = true;
+        issue.severity = 'low';
+        issue.issue += ` (${skipped} of ${coverage.filesListed} project files were not fetched and may define it)`;
+    });
+}
+
+function isModelFile(file) {
+    if (/\.model\.(lkml|lookml)$/.test(file.path)) return true;
+    return file.type === 'model';
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value.filter(item => typeof item === 'string');
+    return typeof value === 'string' && value ? [value] : [];
+}
+
+function normalizePath(path) {
+    return String(path || '').replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+function dirName(path) {
+    const index = path.lastIndexOf('/');
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+function baseName(path) {
+    return path.slice(path.lastIndexOf('/') + 1);
+}
+
+function joinPath(dir, relative) {
+    const parts = (dir ? dir.split('/') : []);
+    relative.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.' && part !== '') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+/**
+ * Looker include glob: "*" within a directory, "**" across directories, ".lkml" optional
+ */
+function globToRegExp(pattern) {
+    const hasExtension = /\.(lkml|lookml)$/.test(pattern);
+    let regex = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            if (pattern[i + 2] === '/') {
+                regex += '(?:.*/)?';
+                i += 2;
+            } else {
+                regex += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            regex += '[^/]*';
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else {
+            regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${regex}${hasExtension ? '' : '(?:\\.lkml|\\.lookml)?'}$`);
+}
+
+module.exports = { LookMLProjectResolver, globToRegExp, mergeNodes, normalizeLookMLPath: normalizePath };
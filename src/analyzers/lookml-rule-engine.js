@@ -0,0 +1,245 @@
+// src/analyzers/lookml-rule-engine.js
+// Runs LookML lint rules with per-project severities/options from a config file and inline "# lhd:disable" suppression
+
+const fs = require('fs');
+const path = require('path');
+const { STARTER_RULES } = require('./lookml-rules');
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const DIRECTIVE_PATTERN = /^lhd:(disable-file|disable)\b\s*(.*)$/;
+
+/**
+ * Read the rule config; a missing file means "catalog defaults"
+ *
+ * {
+ *   "rules": { "max-fields": { "severity": "high", "options": { "max": 80 } }, "explore-description": "off" },
+ *   "projects": { "legacy": { "rules": { "primary-key-required": "off" } } }
+ * }
+ */
+function loadLookMLRuleConfig(configPath) {
+    const resolvedPath = configPath || process.env.LOOKML_RULES_CONFIG ||
+        path.join(__dirname, '..', '..', 'lookml-rules.json');
+
+    if (!fs.existsSync(resolvedPath)) {
+        return {};
+    }
+
+    try {
+        const config = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        console.log(`📏 Loaded LookML rule config from ${resolvedPath}`);
+        return config;
+    } catch (error) {
+        console.log(`⚠️ Ignoring invalid LookML rule config ${resolvedPath}: ${error.message}`);
+        return {};
+    }
+}
+
+class LookMLRuleEngine {
+    /**
+     * options: rules (catalog), config (object) or configPath
+     */
+    constructor(options = {}) {
+        this.rules = options.rules || STARTER_RULES;
+        this.config = options.config || loadLookMLRuleConfig(options.configPath);
+        this.warnUnknownRules();
+    }
+
+    warnUnknownRules() {
+        const known = new Set(this.rules.map(rule => rule.id));
+        const configured = [
+            ...Object.keys(this.config.rules || {}),
+            ...Object.values(this.config.projects || {}).flatMap(project => Object.keys(project.rules || {}))
+        ];
+
+        new Set(configured).forEach(id => {
+            if (!known.has(id)) {
+                console.log(`⚠️ LookML rule config mentions unknown rule "${id}"`);
+            }
+        });
+    }
+
+    /**
+     * Effective severity/options per rule for a project (defaults, then global, then project settings)
+     */
+    getRuleSettings(projectName = null) {
+        const globalRules = this.config.rules || {};
+        const projectRules = (projectName && this.config.projects?.[projectName]?.rules) || {};
+
+        return this.rules.map(rule => {
+            let setting = { enabled: true, severity: rule.defaultSeverity, options: { ...rule.defaultOptions } };
+            setting = applySetting(setting, globalRules[rule.id]);
+            setting = applySetting(setting, projectRules[rule.id]);
+            return { rule, ...setting };
+        });
+    }
+
+    /**
+     * Catalog with the settings that apply to a project, as returned by the API
+     */
+    listRules(projectName = null) {
+        return this.getRuleSettings(projectName).map(({ rule, enabled, severity, options }) => ({
+            id: rule.id,
+            description: rule.description,
+            type: rule.type,
+            scope: rule.scope,
+            defaultSeverity: rule.defaultSeverity,
+            defaultOptions: rule.defaultOptions,
+            enabled,
+            severity,
+            options
+        }));
+    }
+
+    /**
+     * Run file-scoped rules against one parsed file
+     */
+    checkFile(file) {
+        if (!file || !file.ast) return [];
+
+        const filePath = file.path || file.fileName;
+        const issues = [];
+
+        this.getRuleSettings(file.project).forEach(({ rule, enabled, severity, options }) => {
+            if (!enabled || rule.scope !== 'file') return;
+
+            try {
+                rule.check({ file }, options).forEach(finding => {
+                    issues.push(this.toIssue(rule, severity, finding, filePath));
+                });
+            } catch (error) {
+                console.log(`⚠️ LookML rule ${rule.id} failed on ${filePath}: ${error.message}`);
+            }
+        });
+
+        return this.applySuppressions(issues, new Map([[filePath, file]]));
+    }
+
+    /**
+     * Run project-scoped rules on a resolved project and apply settings to resolver findings
+     */
+    checkProject(project, filesByPath = new Map()) {
+        const settings = new Map(this.getRuleSettings(project.project).map(setting => [setting.rule.id, setting]));
+        const issues = [];
+
+        // Resolver findings already carry their rule id and source; incomplete ones stay low
+        project.issues.forEach(issue => {
+            const setting = settings.get(issue.rule);
+            if (setting && !setting.enabled) return;
+            issues.push(setting && !issue.incomplete ? { ...issue, severity: setting.severity } : issue);
+        });
+
+        settings.forEach(({ rule, enabled, severity, options }) => {
+            if (!enabled || rule.scope !== 'project') return;
+
+            try {
+                rule.check({ project }, options).forEach(finding => {
+                    issues.push(this.toIssue(rule, severity, finding, finding.source?.file));
+                });
+            } catch (error) {
+                console.log(`⚠️ LookML rule ${rule.id} failed on project ${project.project}: ${error.message}`);
+            }
+        });
+
+        return this.applySuppressions(issues, filesByPath);
+    }
+
+    toIssue(rule, severity, finding, filePath) {
+        const loc = finding.node?.loc?.start;
+        const source = finding.source
+            ? { file: filePath, ...finding.source }
+            : { file: filePath, line: loc?.line || null, column: loc?.column || null };
+
+        const issue = {
+            rule: rule.id,
+            type: rule.type,
+            severity: severity,
+            issue: finding.message,
+            recommendation: finding.recommendation,
+            source: source
+        };
+        if (finding.related && finding.related.length > 0) issue.related = finding.related;
+        return issue;
+    }
+
+    /**
+     * Drop issues covered by "# lhd:disable rule-id" (next or same-line node) or "# lhd:disable-file rule-id"
+     */
+    applySuppressions(issues, filesByPath) {
+        const directivesByFile = new Map();
+
+        return issues.filter(issue => {
+            const file = filesByPath.get(issue.source?.file);
+            if (!file || !file.ast) return true;
+
+            if (!directivesByFile.has(issue.source.file)) {
+                directivesByFile.set(issue.source.file, collectDirectives(file.ast));
+            }
+
+            return !directivesByFile.get(issue.source.file).some(directive =>
+                (directive.rules.length === 0 || directive.rules.includes(issue.rule)) &&
+                (directive.wholeFile || (issue.source.line >= directive.fromLine && issue.source.line <= directive.toLine))
+            );
+        });
+    }
+}
+
+function applySetting(current, value) {
+    if (value === undefined || value === null) return current;
+
+    if (value === 'off' || value === false) {
+        return { ...current, enabled: false };
+    }
+
+    if (typeof value === 'string') {
+        return SEVERITIES.includes(value)
+            ? { ...current, enabled: true, severity: value }
+            : current;
+    }
+
+    if (typeof value === 'object') {
+        // Only enabled or severity: 'off' switch a rule; { severity: 'low' } keeps a rule turned off elsewhere off
+        const enabled = value.enabled !== undefined ? value.enabled !== false : current.enabled;
+        return {
+            enabled: enabled && value.severity !== 'off',
+            severity: SEVERITIES.includes(value.severity) ? value.severity : current.severity,
+            options: { ...current.options, ...(value.options || {}) }
+        };
+    }
+
+    return current;
+}
+
+/**
+ * Suppression directives in a file with the line range each one covers
+ */
+function collectDirectives(ast) {
+    const nodes = [];
+    const visit = (node) => (node.children || []).forEach(child => {
+        if (child.loc) nodes.push(child);
+        if (child.children) visit(child);
+    });
+    visit(ast);
+
+    return (ast.comments || [])
+        .map(comment => {
+            const match = comment.text.match(DIRECTIVE_PATTERN);
+            if (!match) return null;
+
+            const rules = match[2].split(/[\s,]+/).filter(Boolean);
+            if (match[1] === 'disable-file') {
+                return { rules, wholeFile: true };
+            }
+
+            // A trailing comment covers the node starting on its line, otherwise the next node
+            const line = comment.loc.start.line;
+            const target = nodes.find(node => node.loc.start.line === line && node.loc.start.offset < comment.loc.start.offset) ||
+                nodes.find(node => node.loc.start.offset > comment.loc.start.offset);
+
+            return target
+                ? { rules, wholeFile: false, fromLine: target.loc.start.line, toLine: target.loc.end.line }
+                : null;
+        })
+        .filter(Boolean);
+}
+
+module.exports = { LookMLRuleEngine, loadLookMLRuleConfig, SEVERITIES };
@@ -0,0 +1,377 @@
+// src/analyzers/lookml-rules.js
+// Starter catalog of LookML lint rules run by LookMLRuleEngine
+
+const { findNodes, getChildBlocks, getPropertyValue } = require('../parsers/lookml-parser');
+
+const FIELD_TYPES = ['dimension', 'dimension_group', 'measure', 'filter', 'parameter'];
+
+// Relationships where a row of one side can match many rows of the other
+const FANOUT_RELATIONSHIPS = ['one_to_many', 'many_to_many'];
+
+/**
+ * Rule shape:
+ *   id, description, type (issue category), defaultSeverity, defaultOptions,
+ *   scope: 'file' (check({ file }, options)), 'project' (check({ project }, options))
+ *          or 'resolver' (reported by LookMLProjectResolver while resolving the model graph),
+ *   check returns findings: { message, recommendation, node or source, related? }
+ */
+const STARTER_RULES = [
+    {
+        id: 'parse-error',
+        description: 'LookML that the parser could not read',
+        type: 'syntax',
+        scope: 'file',
+        defaultSeverity: 'high',
+        defaultOptions: {},
+        check: ({ file }) => (file.parseErrors || file.ast?.errors || []).map(error => ({
+            message: `LookML syntax error: ${error.message}`,
+            recommendation: 'Fix the syntax error; Looker will not validate this file',
+            source: { line: error.loc.line, column: error.loc.column }
+        }))
+    },
+    {
+        id: 'dimension-description',
+        description: 'Views whose dimensions have no description',
+        type: 'documentation',
+        scope: 'file',
+        defaultSeverity: 'low',
+        defaultOptions: { includeHidden: true },
+        check: ({ file }, options) => definedViews(file).map(view => {
+            const missing = getChildBlocks(view, 'dimension')
+                .filter(field => options.includeHidden || getPropertyValue(field, 'hidden') !== 'yes')
+                .filter(field => !getPropertyValue(field, 'description'));
+            return missing.length > 0 && {
+                message: `View "${view.name}" has ${missing.length} dimensions missing descriptions`,
+                recommendation: 'Add descriptions to improve user experience',
+                node: view
+            };
+        }).filter(Boolean)
+    },
+    {
+        id: 'measure-description',
+        description: 'Views whose measures have no description',
+        type: 'documentation',
+        scope: 'file',
+        defaultSeverity: 'medium',
+        defaultOptions: { includeHidden: true },
+        check: ({ file }, options) => definedViews(file).map(view => {
+            const missing = getChildBlocks(view, 'measure')
+                .filter(field => options.includeHidden || getPropertyValue(field, 'hidden') !== 'yes')
+                .filter(field => !getPropertyValue(field, 'description'));
+            return missing.length > 0 && {
+                message: `View "${view.name}" has ${missing.length} measures missing descriptions`,
+                recommendation: 'Add descriptions to measures for clarity',
+                node: view
+            };
+        }).filter(Boolean)
+    },
+    {
+        id: 'max-joins',
+        description: 'Explores with more joins than the threshold',
+        type: 'performance',
+        scope: 'file',
+        defaultSeverity: 'high',
+        defaultOptions: { max: 5 },
+        check: ({ file }, options) => findNodes(file.ast, 'explore').map(explore => {
+            const joins = getChildBlocks(explore, 'join').length;
+            return joins > options.max && {
+                message: `Explore "${explore.name}" has ${joins} joins which may impact performance`,
+                recommendation: 'Consider breaking into multiple explores or using PDTs',
+                node: explore
+            };
+        }).filter(Boolean)
+    },
+    {
+        id: 'max-fields',
+        description: 'Views with more dimensions and measures than the threshold',
+        type: 'usability',
+        scope: 'file',
+        defaultSeverity: 'medium',
+        defaultOptions: { max: 50 },
+        check: ({ file }, options) => getChildBlocks(file.ast, 'view').map(view => {
+            const fields = getChildBlocks(view, 'dimension').length + getChildBlocks(view, 'measure').length;
+            return fields > options.max && {
+                message: `View "${view.name}" has ${fields} fields which may overwhelm users`,
+                recommendation: 'Consider organizing fields into groups or hiding less common ones',
+                node: view
+            };
+        }).filter(Boolean)
+    },
+    {
+        id: 'primary-key-required',
+        description: 'Views with dimensions but no primary_key: yes dimension',
+        type: 'correctness',
+        scope: 'file',
+        defaultSeverity: 'medium',
+        defaultOptions: {},
+        check: ({ file }) => definedViews(file)
+            .filter(view => getPropertyValue(view, 'extension') !== 'required')
+            .filter(view => getChildBlocks(view, 'dimension').length > 0)
+            .filter(view => !getChildBlocks(view, 'dimension').some(d => getPropertyValue(d, 'primary_key') === 'yes'))
+            .map(view => ({
+                message: `View "${view.name}" has no primary key dimension`,
+                recommendation: 'Mark a unique dimension with primary_key: yes so symmetric aggregates work in joins',
+                node: view
+            }))
+    },
+    {
+        id: 'duplicate-field-name',
+        description: 'Fields declared twice in the same view',
+        type: 'correctness',
+        scope: 'file',
+        defaultSeverity: 'high',
+        defaultOptions: {},
+        check: ({ file }) => getChildBlocks(file.ast, 'view').flatMap(view => {
+            const seen = new Map();
+            const findings = [];
+            getChildBlocks(view).filter(node => FIELD_TYPES.includes(node.type)).forEach(field => {
+                if (seen.has(field.name)) {
+                    findings.push({
+                        message: `Field "${field.name}" is declared more than once in view "${view.name}" (first on line ${seen.get(field.name).loc.start.line})`,
+                        recommendation: 'Rename or remove the duplicate field',
+                        node: field
+                    });
+                } else {
+                    seen.set(field.name, field);
+                }
+            });
+            return findings;
+        })
+    },
+    {
+        id: 'derived-table-select-star',
+        description: 'Derived tables that SELECT *',
+        type: 'performance',
+        scope: 'file',
+        defaultSeverity: 'medium',
+        defaultOptions: {},
+        check: ({ file }) => findNodes(file.ast, 'derived_table')
+            .filter(table => /\bselect\s+(\w+\.)?\*/i.test(getPropertyValue(table, 'sql', '')))
+            .map(table => ({
+                message: 'Derived table uses SELECT *, scanning every column of its source',
+                recommendation: 'List only the columns the view needs',
+                node: table
+            }))
+    },
+    {
+        id: 'explore-description',
+        description: 'Explores without a description',
+        type: 'documentation',
+        scope: 'file',
+        defaultSeverity: 'low',
+        defaultOptions: {},
+        check: ({ file }) => findNodes(file.ast, 'explore')
+            .filter(explore => !explore.refinement)
+            .filter(explore => getPropertyValue(explore, 'extension') !== 'required')
+            .filter(explore => !getPropertyValue(explore, 'description'))
+            .map(explore => ({
+                message: `Explore "${explore.name}" has no description`,
+                recommendation: 'Describe what the explore answers so users pick the right one',
+                node: explore
+            }))
+    },
+    {
+        id: 'explore-missing-view',
+        description: 'Explores or joins that use a view the model does not include',
+        type: 'reference',
+        scope: 'project',
+        defaultSeverity: 'high',
+        defaultOptions: {},
+        check: ({ project }) => {
+            const findings = [];
+            project.models.forEach(model => {
+                const viewNames = new Set(model.views);
+                project.explores.filter(explore => explore.model === model.name).forEach(explore => {
+                    if (!viewNames.has(explore.view)) {
+                        findings.push({
+                            message: `Explore "${explore.name}" is based on view "${explore.view}", which is not included in model ${model.name}`,
+                            recommendation: `Include the file that defines view "${explore.view}"`,
+                            source: explore.sources[0]
+                        });
+                    }
+                    explore.joins.filter(join => !viewNames.has(join.view)).forEach(join => {
+                        findings.push({
+                            message: `Join "${join.name}" in explore "${explore.name}" uses view "${join.view}", which is not included in model ${model.name}`,
+                            recommendation: `Include the file that defines view "${join.view}" or fix the join's from:`,
+                            source: join.sources[join.sources.length - 1]
+                        });
+                    });
+                });
+            });
+            return findings;
+        }
+    },
+    {
+        id: 'fanout-missing-primary-key',
+        description: 'one_to_many/many_to_many joins involving views without a primary key (symmetric aggregates cannot work)',
+        type: 'fanout',
+        scope: 'project',
+        defaultSeverity: 'high',
+        defaultOptions: {},
+        check: ({ project }) => forEachJoin(project, ({ explore, join, views, repeatedAliases, aliasToView }) => {
+            if (!FANOUT_RELATIONSHIPS.includes(join.relationship)) return [];
+
+            const involved = new Set([...repeatedAliases, join.name]);
+            return Array.from(involved)
+                .map(alias => ({ alias, view: views.get(aliasToView.get(alias)) }))
+                .filter(({ view }) => view && !hasPrimaryKey(view))
+                .map(({ alias, view }) => ({
+                    message: `Join "${join.name}" in explore "${explore.name}" is ${join.relationship}, but view "${view.name}"${alias !== view.name ? ` (as ${alias})` : ''} has no primary key, so Looker cannot use symmetric aggregates and its measures will be inflated`,
+                    recommendation: `Add primary_key: yes to a unique dimension in view "${view.name}"`,
+                    source: lastSource(join),
+                    related: view.sources.slice(0, 1)
+                }));
+        })
+    },
+    {
+        id: 'fanout-aggregate',
+        description: 'sum/average measures on views without a primary key whose rows a join repeats (wrong totals)',
+        type: 'fanout',
+        scope: 'project',
+        defaultSeverity: 'high',
+        defaultOptions: { measureTypes: ['sum', 'average'] },
+        check: ({ project }, options) => fannedMeasures(project, options, false).map(({ explore, join, alias, view, measures }) => ({
+            message: `Join "${join.name}" (${join.relationship}) in explore "${explore.name}" repeats rows of "${alias}", and without a primary key its measures ${measureList(alias, measures)} will return inflated totals`,
+            recommendation: `Add primary_key: yes to view "${view.name}" so Looker can correct the totals`,
+            source: lastSource(join),
+            related: measures.map(measure => measure.sources[0]).filter(Boolean)
+        }))
+    },
+    {
+        id: 'fanout-symmetric-aggregate',
+        description: 'sum/average measures that need symmetric aggregates because a join repeats their rows (slow)',
+        type: 'fanout',
+        scope: 'project',
+        defaultSeverity: 'medium',
+        defaultOptions: { measureTypes: ['sum', 'average'] },
+        check: ({ project }, options) => fannedMeasures(project, options, true).map(({ explore, join, alias, measures }) => ({
+            message: `Join "${join.name}" (${join.relationship}) in explore "${explore.name}" repeats rows of "${alias}", so its measures ${measureList(alias, measures)} run as symmetric aggregates (SUM DISTINCT over hashed keys), which are much slower`,
+            recommendation: `Pre-aggregate "${alias}" in a derived table at the join grain, or query these measures from an explore without the fanning join`,
+            source: lastSource(join),
+            related: measures.map(measure => measure.sources[0]).filter(Boolean)
+        }))
+    },
+    {
+        id: 'join-sql-on-primary-key',
+        description: 'many_to_one/one_to_one joins whose sql_on does not use the joined view\'s primary key',
+        type: 'fanout',
+        scope: 'project',
+        defaultSeverity: 'medium',
+        defaultOptions: {},
+        check: ({ project }) => forEachJoin(project, ({ explore, join, views }) => {
+            if (!['many_to_one', 'one_to_one'].includes(join.relationship)) return [];
+            // foreign_key always joins on the primary key
+            if (join.foreign_key || !join.sql_on) return [];
+
+            const view = views.get(join.view);
+            if (!view) return [];
+
+            const primaryKeys = view.dimensions.filter(dimension => dimension.primaryKey).map(dimension => dimension.name);
+            const referenced = referencedFields(join.sql_on)
+                .filter(ref => ref.alias === join.name)
+                .map(ref => ref.field);
+
+            if (primaryKeys.length > 0 && referenced.some(field => primaryKeys.includes(field))) return [];
+
+            return [{
+                message: primaryKeys.length > 0
+                    ? `Join "${join.name}" in explore "${explore.name}" is declared ${join.relationship} but its sql_on does not use ${join.name}.${primaryKeys[0]}; if the joined key is not unique, rows fan out`
+                    : `Join "${join.name}" in explore "${explore.name}" is declared ${join.relationship}, but view "${view.name}" has no primary key to confirm it`,
+                recommendation: `Join on the primary key of "${join.name}" or correct the relationship`,
+                source: lastSource(join)
+            }];
+        })
+    },
+    resolverRule('include-unresolved', 'include globs that match no fetched file', 'include', 'low'),
+    resolverRule('duplicate-definition', 'Views or explores defined twice in one model', 'duplicate_definition', 'medium'),
+    resolverRule('refinement-undefined', 'Refinements of views or explores the model does not define', 'reference', 'medium'),
+    resolverRule('refinement-after-final', 'Refinements after one marked final: yes', 'reference', 'high'),
+    resolverRule('extends-missing', 'extends: targets the model does not define', 'reference', 'high'),
+    resolverRule('extends-cycle', 'Circular extends', 'reference', 'high')
+];
+
+/**
+ * Rules whose findings come from LookMLProjectResolver; the engine only applies settings to them
+ */
+function resolverRule(id, description, type, defaultSeverity) {
+    return { id, description, type, scope: 'resolver', defaultSeverity, defaultOptions: {} };
+}
+
+/**
+ * Run fn for every join of every resolved explore with the view lookups fanout rules need:
+ * aliasToView maps explore/join aliases to view names, repeatedAliases are the aliases whose rows the join repeats
+ */
+function forEachJoin(project, fn) {
+    const views = new Map(project.views.map(view => [view.name, view]));
+
+    return project.explores.flatMap(explore => {
+        const aliasToView = new Map([[explore.name, explore.view]]);
+        explore.joins.forEach(join => aliasToView.set(join.name, join.view));
+
+        return explore.joins.flatMap(join => {
+            // Other aliases in sql_on are the side the join is attached to; default to the base view
+            const leftAliases = Array.from(new Set(
+                referencedFields(join.sql_on)
+                    .map(ref => ref.alias)
+                    .filter(alias => alias !== join.name && aliasToView.has(alias))
+            ));
+            const left = leftAliases.length > 0 ? leftAliases : [explore.name];
+
+            let repeatedAliases = [];
+            if (join.relationship === 'one_to_many') repeatedAliases = left;
+            else if (join.relationship === 'many_to_one') repeatedAliases = [join.name];
+            else if (join.relationship === 'many_to_many') repeatedAliases = [...left, join.name];
+
+            return fn({ explore, join, views, aliasToView, repeatedAliases });
+        });
+    });
+}
+
+/**
+ * ${alias.field} references in a LookML SQL snippet
+ */
+function referencedFields(sql) {
+    const refs = [];
+    const pattern = /\$\{\s*(\w+)\.(\w+)\s*\}/g;
+    let match;
+    while ((match = pattern.exec(sql || '')) !== null) {
+        refs.push({ alias: match[1], field: match[2] });
+    }
+    return refs;
+}
+
+/**
+ * Measures of the configured types on views a join repeats, split by whether the view has a primary key
+ */
+function fannedMeasures(project, options, withPrimaryKey) {
+    return forEachJoin(project, ({ explore, join, views, repeatedAliases, aliasToView }) =>
+        repeatedAliases.map(alias => {
+            const view = views.get(aliasToView.get(alias));
+            if (!view || hasPrimaryKey(view) !== withPrimaryKey) return null;
+
+            const measures = view.measures.filter(measure => options.measureTypes.includes(measure.type));
+            return measures.length > 0 ? { explore, join, alias, view, measures } : null;
+        }).filter(Boolean)
+    );
+}
+
+function measureList(alias, measures) {
+    return measures.map(measure => `${alias}.${measure.name}`).join(', ');
+}
+
+function hasPrimaryKey(view) {
+    return view.dimensions.some(dimension => dimension.primaryKey);
+}
+
+function lastSource(join) {
+    return join.sources[join.sources.length - 1];
+}
+
+/**
+ * Top-level view definitions in a file (refinements add to a view defined elsewhere)
+ */
+function definedViews(file) {
+    return getChildBlocks(file.ast, 'view').filter(view => !view.refinement);
+}
+
+module.exports = { STARTER_RULES };
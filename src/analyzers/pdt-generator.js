@@ -0,0 +1,340 @@
+// src/analyzers/pdt-generator.js
+// Builds a PDT view from a slow query's SQL: fields from its SELECT list, primary key from the source view, persistence keys per dialect
+
+const { parseSQL, findSQLNodes, isAggregateFunction } = require('../parsers/sql-parser');
+const { normalizeDialect, columnReferences } = require('./sql-dialect-rules');
+
+// Aggregated columns that can be re-aggregated over the PDT's rows, and how
+const REAGGREGATE = { SUM: 'sum', COUNT: 'sum', COUNTIF: 'sum', MIN: 'min', MAX: 'max' };
+const MEASURE_TYPES = { sum: 'sum', count: 'sum', min: 'min', max: 'max' };
+
+const TIME_TIMEFRAMES = ['raw', 'time', 'date', 'week', 'month', 'quarter', 'year'];
+const DATE_TIMEFRAMES = ['raw', 'date', 'week', 'month', 'quarter', 'year'];
+const DIMENSION_TYPES = new Set(['string', 'number', 'yesno', 'date', 'zipcode']);
+
+const PLAIN_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_CLUSTER_KEYS = 4;
+
+/**
+ * PDT view for a query's SQL, or null when it has no named columns to build fields from:
+ * { viewName, code, dimensions, measures, primaryKey, persistence, notes }.
+ * options: query (model, explore, fields), project (resolved LookML), dialect (Looker dialect name)
+ */
+function generatePDTView(sql, options = {}) {
+    const query = options.query || {};
+    const dialect = normalizeDialect(options.dialect || query.dialect);
+    const ast = parseSQL(sql || '', { dialect: options.dialect || query.dialect || undefined });
+    const statement = ast.statements?.[0];
+    const select = statement?.body;
+    if (ast.errors.length > 0 || select?.type !== 'select') return null;
+
+    const catalog = sourceCatalog(options.project, query.model, query.explore);
+    const filtered = new Set(columnReferences(select.where).map(identifier => identifier.name.toLowerCase()));
+    const names = new Set();
+    const notes = [];
+
+    const columns = select.columns
+        .map((column, index) => describeColumn(column, index, { query, catalog, filtered, dialect }))
+        .filter(column => {
+            if (!column.column) notes.push(`SELECT item ${column.index + 1} has no alias and was left out`);
+            return !!column.column;
+        });
+    if (columns.length === 0) return null;
+
+    // A dimension_group also defines a field per timeframe (created_date, created_month, ...)
+    columns.filter(column => column.kind === 'dimension_group').forEach(column => {
+        column.name = uniqueName(column.name, names);
+        timeframesOf(column).forEach(timeframe => names.add(`${column.name}_${timeframe}`));
+    });
+    columns.filter(column => column.kind !== 'dimension_group').forEach(column => {
+        column.name = uniqueName(names.has(column.name) ? identifierFor(column.alias) : column.name, names);
+    });
+
+    const primaryKey = choosePrimaryKey(columns, select, catalog, dialect, names);
+    if (!primaryKey) notes.push('No primary key: the query is not grouped and does not select the source view\'s primary key');
+
+    const persistence = choosePersistence(catalog, columns, dialect);
+    const viewName = uniqueName(identifierFor(`${query.explore || 'query'}_pdt`), new Set(catalog.viewNames));
+    const derivedSQL = derivedTableSQL(sql, statement, ast.comments);
+
+    return {
+        viewName,
+        code: renderView(viewName, derivedSQL, columns, primaryKey, persistence),
+        dimensions: columns.filter(column => column.kind !== 'measure').map(column => column.name),
+        measures: columns.filter(column => column.kind === 'measure').map(column => column.name),
+        primaryKey: primaryKey ? primaryKey.name : null,
+        persistence,
+        notes
+    };
+}
+
+/**
+ * LookML for one SELECT item: the source field it was generated from (Looker aliases fields as view_field),
+ * else what the expression says (aggregate, date, timestamp)
+ */
+function describeColumn(column, index, { query, catalog, filtered, dialect }) {
+    const alias = column.alias || (column.expr?.type === 'identifier' ? column.expr.parts[column.expr.parts.length - 1] : null);
+    if (!alias) return { index, column: null };
+
+    const source = catalog.fieldForAlias(alias, query.fields || []);
+    const aggregate = findSQLNodes(column.expr, 'function').find(isAggregateFunction);
+    const described = {
+        index,
+        alias,
+        column: PLAIN_IDENTIFIER.test(alias) ? alias : quote(alias, dialect),
+        keyable: PLAIN_IDENTIFIER.test(alias),
+        name: identifierFor(source ? source.name : stripPrefix(alias, query.explore)),
+        filtered: columnReferences(column.expr).some(identifier => filtered.has(identifier.name.toLowerCase())),
+        source
+    };
+
+    if (aggregate || source?.kind === 'measure') {
+        const measureType = source?.kind === 'measure' ? MEASURE_TYPES[source.type] : REAGGREGATE[aggregate?.name];
+        // COUNT(DISTINCT ...) of a group cannot be added up across groups
+        const additive = !!measureType && !aggregate?.distinct;
+        return { ...described, kind: additive ? 'measure' : 'dimension', type: additive ? measureType : 'number', preAggregated: true };
+    }
+
+    const timeframe = source?.timeframe || (alias.match(/_(date|time|raw)$/) || [])[1] || expressionTimeframe(column.expr);
+    if (timeframe === 'date' || timeframe === 'time' || timeframe === 'raw') {
+        const groupName = source?.group || stripTimeframe(described.name);
+        return { ...described, kind: 'dimension_group', name: identifierFor(groupName), datatype: timeframe === 'date' ? 'date' : null };
+    }
+
+    const type = source?.type && DIMENSION_TYPES.has(source.type) ? source.type : expressionType(column.expr);
+    return { ...described, kind: 'dimension', type };
+}
+
+/**
+ * The source view's primary key when the query selects it, else a key over the GROUP BY columns
+ */
+function choosePrimaryKey(columns, select, catalog, dialect, names) {
+    const selectedKey = columns.find(column => column.kind === 'dimension' && column.source?.primaryKey);
+    if (selectedKey && (!select.groupBy || catalog.isBaseView(selectedKey.source.view))) {
+        return { name: selectedKey.name, column: selectedKey };
+    }
+
+    if (!select.groupBy) return null;
+    const keyColumns = columns.filter(column => !column.preAggregated);
+    if (keyColumns.length === 0) return null;
+    if (keyColumns.length === 1 && keyColumns[0].kind === 'dimension') return { name: keyColumns[0].name, column: keyColumns[0] };
+
+    const stringType = dialect === 'bigquery' ? 'STRING' : 'VARCHAR';
+    const parts = keyColumns.map(column => `COALESCE(CAST(\${TABLE}.${column.column} AS ${stringType}), '')`);
+    return {
+        name: uniqueName('pk', names),
+        compound: true,
+        sql: dialect === 'bigquery' ? `CONCAT(${parts.join(`, '|', `)})` : parts.join(` || '|' || `)
+    };
+}
+
+/**
+ * Rebuild trigger (an existing datagroup of the explore or model, else persist_for) and the dialect's
+ * physical layout: filtered and date columns become partition, cluster, sort or index keys
+ */
+function choosePersistence(catalog, columns, dialect) {
+    const datagroup = catalog.datagroup();
+    const keyable = columns.filter(column => column.keyable && !column.preAggregated);
+    const timeColumns = keyable.filter(column => column.kind === 'dimension_group');
+    const filteredFirst = (list) => [...list.filter(column => column.filtered), ...list.filter(column => !column.filtered)];
+    const partition = filteredFirst(timeColumns)[0] || null;
+    const clusterColumns = filteredFirst(keyable.filter(column => column !== partition)).slice(0, MAX_CLUSTER_KEYS);
+
+    const persistence = datagroup
+        ? { trigger: 'datagroup_trigger', value: datagroup }
+        : { trigger: 'persist_for', value: '24 hours' };
+
+    if (dialect === 'bigquery') {
+        if (partition) persistence.partition_keys = [partition.column];
+        if (clusterColumns.length > 0) persistence.cluster_keys = clusterColumns.map(column => column.column);
+    } else if (dialect === 'snowflake') {
+        if (clusterColumns.length > 0 || partition) persistence.cluster_keys = [partition, ...clusterColumns].filter(Boolean).slice(0, MAX_CLUSTER_KEYS).map(column => column.column);
+    } else if (dialect === 'redshift') {
+        const sortColumns = [partition, ...clusterColumns].filter(Boolean).slice(0, MAX_CLUSTER_KEYS);
+        if (sortColumns.length > 0) persistence.sortkeys = sortColumns.map(column => column.column);
+        persistence.distribution_style = 'even';
+    } else if (keyable.length > 0) {
+        persistence.indexes = [partition, ...clusterColumns].filter(Boolean).slice(0, MAX_CLUSTER_KEYS).map(column => column.column);
+    }
+
+    return persistence;
+}
+
+/**
+ * Fields of the query's explore from the resolved project: Looker aliases a field view.field as view_field,
+ * or quotes "view.field" on some dialects
+ */
+function sourceCatalog(resolved, model, exploreName) {
+    const projects = resolved?.projects || [];
+    const project = projects.find(candidate =>
+        candidate.explores.some(explore => explore.model === model && explore.name === exploreName));
+    const explore = project?.explores.find(candidate => candidate.model === model && candidate.name === exploreName);
+    const modelInfo = project?.models.find(candidate => candidate.name === model);
+
+    const aliasToView = new Map();
+    if (explore) {
+        aliasToView.set(explore.name, explore.view);
+        explore.joins.forEach(join => aliasToView.set(join.name, join.view));
+    }
+
+    const lookupField = (field) => {
+        const [alias, name = ''] = field.split('.');
+        const view = project?.views.find(candidate => candidate.name === aliasToView.get(alias));
+        if (!view) return null;
+
+        const dimension = view.dimensions.find(candidate => candidate.name === name);
+        if (dimension) return { view: view.name, name, kind: 'dimension', type: dimension.type, primaryKey: dimension.primaryKey };
+        const measure = view.measures.find(candidate => candidate.name === name);
+        if (measure) return { view: view.name, name, kind: 'measure', type: measure.type };
+        const group = view.dimensionGroups.find(candidate => name.startsWith(`${candidate.name}_`));
+        if (group) return { view: view.name, name, kind: 'time', group: group.name, timeframe: name.slice(group.name.length + 1) };
+        return null;
+    };
+
+    return {
+        viewNames: projects.flatMap(candidate => candidate.views.map(view => view.name)),
+
+        fieldForAlias(alias, fields) {
+            const normalized = alias.toLowerCase();
+            const field = fields.find(candidate =>
+                candidate.toLowerCase() === normalized || candidate.toLowerCase().replace('.', '_') === normalized);
+            return field ? lookupField(field) : null;
+        },
+
+        isBaseView(viewName) {
+            return !explore || explore.view === viewName;
+        },
+
+        datagroup() {
+            return explore?.persistWith || modelInfo?.persistWith || modelInfo?.datagroups?.[0] || null;
+        }
+    };
+}
+
+function renderView(viewName, sql, columns, primaryKey, persistence) {
+    const { trigger, value, ...layout } = persistence;
+    const list = (values) => `[${values.map(entry => JSON.stringify(entry)).join(', ')}]`;
+    const sqlLines = sql.trim().replace(/;+\s*$/, '').split('\n').map(line => `      ${line}`).join('\n');
+
+    const layoutLines = Object.entries(layout).map(([key, entry]) =>
+        Array.isArray(entry) ? `    ${key}: ${list(entry)}` : `    ${key}: ${entry}`);
+    const persistLine = trigger === 'persist_for' ? `    persist_for: "${value}"` : `    ${trigger}: ${value}`;
+
+    const blocks = [];
+    if (primaryKey?.compound) {
+        blocks.push(`  dimension: ${primaryKey.name} {
+    primary_key: yes
+    hidden: yes
+    sql: ${primaryKey.sql} ;;
+  }`);
+    }
+
+    columns.forEach(column => {
+        const reference = `\${TABLE}.${column.column}`;
+        if (column.kind === 'dimension_group') {
+            blocks.push(`  dimension_group: ${column.name} {
+    type: time
+    timeframes: [${timeframesOf(column).join(', ')}]${column.datatype ? `\n    datatype: ${column.datatype}` : ''}
+    sql: ${reference} ;;
+  }`);
+        } else if (column.kind === 'measure') {
+            blocks.push(`  measure: ${column.name} {
+    type: ${column.type}
+    sql: ${reference} ;;
+  }`);
+        } else {
+            const lines = [];
+            if (primaryKey?.column === column) lines.push('    primary_key: yes');
+            lines.push(`    type: ${column.type}`);
+            if (column.preAggregated) lines.push('    description: "Aggregated per row of the PDT; it cannot be re-aggregated across rows"');
+            lines.push(`    sql: ${reference} ;;`);
+            blocks.push(`  dimension: ${column.name} {\n${lines.join('\n')}\n  }`);
+        }
+    });
+
+    return `view: ${viewName} {
+  derived_table: {
+    sql:
+${sqlLines} ;;
+
+${persistLine}
+${layoutLines.join('\n')}${layoutLines.length > 0 ? '\n' : ''}  }
+
+${blocks.join('\n\n')}
+}`;
+}
+
+/**
+ * The statement without comments, which could swallow the closing ;; (Looker ends its SQL with a
+ * "-- Looker Query Context" line), and without its trailing ORDER BY and LIMIT
+ */
+function derivedTableSQL(sql, statement, comments) {
+    // Comments are blanked rather than cut so the statement's offsets still apply
+    const blanked = comments.reduce((text, { loc }) => text.slice(0, loc.start.offset) +
+        text.slice(loc.start.offset, loc.end.offset).replace(/[^\n]/g, ' ') + text.slice(loc.end.offset), sql);
+    const originalLines = withoutOrderAndLimit(sql, statement).split('\n');
+
+    return withoutOrderAndLimit(blanked, statement)
+        .split('\n')
+        .filter((line, index) => line.trim() !== '' || originalLines[index].trim() === '')
+        .map(line => line.trimEnd())
+        .join('\n');
+}
+
+/**
+ * The statement without its trailing ORDER BY and LIMIT, which would cap what the PDT stores
+ */
+function withoutOrderAndLimit(sql, statement) {
+    if (statement.orderBy.length === 0 && !statement.limit && !statement.offset) return sql;
+    return sql.slice(statement.loc.start.offset, statement.body.loc.end.offset);
+}
+
+function timeframesOf(column) {
+    return column.datatype ? DATE_TIMEFRAMES : TIME_TIMEFRAMES;
+}
+
+function expressionTimeframe(expr) {
+    const call = expr?.type === 'function' ? expr : null;
+    if (call && ['DATE', 'TO_DATE'].includes(call.name)) return 'date';
+    if (call && ['TIMESTAMP', 'DATETIME', 'TO_TIMESTAMP'].includes(call.name)) return 'time';
+    if (expr?.type === 'cast' && /^DATE$/i.test(expr.targetType || '')) return 'date';
+    return null;
+}
+
+function expressionType(expr) {
+    if (expr?.type === 'literal' && expr.valueType === 'number') return 'number';
+    if (expr?.type === 'binary' && ['+', '-', '*', '/'].includes(expr.operator)) return 'number';
+    if (expr?.type === 'cast' && /INT|NUMERIC|DECIMAL|FLOAT|DOUBLE|NUMBER|REAL/i.test(expr.targetType || '')) return 'number';
+    return 'string';
+}
+
+function stripPrefix(alias, explore) {
+    const prefix = `${explore || ''}_`.toLowerCase();
+    const stripped = alias.toLowerCase().replace('.', '_');
+    return explore && stripped.startsWith(prefix) && stripped.length > prefix.length ? stripped.slice(prefix.length) : stripped;
+}
+
+function stripTimeframe(name) {
+    return name.replace(/_(date|time|raw)$/, '') || name;
+}
+
+/**
+ * Lowercase LookML name: letters, digits and underscores, not starting with a digit
+ */
+function identifierFor(value) {
+    const name = String(value).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+    return /^[a-z]/.test(name) ? name : `f_${name || 'column'}`;
+}
+
+function quote(name, dialect) {
+    return dialect === 'bigquery' ? `\`${name}\`` : `"${name.replace(/"/g, '""')}"`;
+}
+
+function uniqueName(base, names) {
+    let name = base;
+    for (let i = 2; names.has(name); i++) name = `${base}_${i}`;
+    names.add(name);
+    return name;
+}
+
+module.exports = { generatePDTView };
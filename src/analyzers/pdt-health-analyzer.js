@@ -0,0 +1,474 @@
+// src/analyzers/pdt-health-analyzer.js
+// Health of the existing PDTs: build durations and failures, rebuilds versus reads, and PDTs built on other PDTs
+
+const { getChildBlocks, getPropertyValue } = require('../parsers/lookml-parser');
+const { percentile } = require('./query-fingerprint');
+
+// pdt_event_log actions look like "create begin", "regenerate begin", "create complete", "create failed", "trigger value changed"
+const BUILD_ACTION = /^(create|regenerat|rebuild|build)/i;
+const BEGIN_ACTION = /\b(begin|start)/i;
+const COMPLETE_ACTION = /\b(complete|success)/i;
+const FAILURE_ACTION = /\b(fail|error)/i;
+const TRIGGER_CHANGE_ACTION = /trigger.*\b(change|new)/i;
+
+// A derived_table with any of these is persisted
+const PERSISTENCE_PROPERTIES = ['datagroup_trigger', 'sql_trigger_value', 'interval_trigger', 'persist_for', 'materialized_view'];
+
+// Most to least severe; truncated usage moves unused and over_rebuilt one step down, partial project coverage to the last
+const SEVERITIES = ['high', 'medium', 'low'];
+
+class PDTHealthAnalyzer {
+    constructor(config = {}) {
+        this.config = config;
+        this.slowBuildSeconds = parseInt(config.pdtSlowBuildSeconds || process.env.PDT_SLOW_BUILD_SECONDS, 10) || 600;
+    }
+
+    /**
+     * events: MCPConnector.getPDTEvents() result; builds: getPDTBuilds() result, whose rows may be empty
+     * (builds are then paired from begin/complete events); usage: getFieldUsage() over the same days;
+     * resolved: LookMLProjectResolver output, for triggers and PDT-on-PDT dependencies
+     */
+    analyze(events, builds, usage, resolved) {
+        const fromBuildLog = (builds?.rows || []).length > 0;
+        const records = fromBuildLog ? builds.rows.map(toBuildRecord) : buildsFromEvents(events.rows);
+        const graph = this.buildDependencyGraph(resolved);
+
+        if (records.length === 0 && events.rows.length === 0) {
+            return this.unavailable(`No PDT builds or events in the last ${events.days} days`);
+        }
+
+        const pdts = new Map();
+        const pdtFor = (model, view, connection) => {
+            const key = `${model || ''}.${view}`;
+            if (!pdts.has(key)) {
+                pdts.set(key, { model, view, connection, builds: [], triggerChanges: 0, lastError: null });
+            }
+            const pdt = pdts.get(key);
+            pdt.connection = pdt.connection || connection;
+            return pdt;
+        };
+
+        records.forEach(record => pdtFor(record.model, record.view, record.connection).builds.push(record));
+        events.rows.forEach(event => {
+            const action = event.action || '';
+            if (TRIGGER_CHANGE_ACTION.test(action)) {
+                pdtFor(event.model, event.view, event.connection).triggerChanges++;
+            } else if (FAILURE_ACTION.test(action)) {
+                const pdt = pdtFor(event.model, event.view, event.connection);
+                // Events arrive newest first
+                if (!pdt.lastError) pdt.lastError = { at: event.created_time, error: event.action_data || action };
+            }
+        });
+
+        const readsIndex = indexReads(usage?.rows || []);
+        const completeness = { usageTruncated: !!usage?.truncated, partialProjects: partialProjects(resolved) };
+        const report = Array.from(pdts.values())
+            .map(pdt => this.describePDT(pdt, pdts, graph, readsIndex, events.days, completeness))
+            .sort((a, b) => b.buildSeconds.total - a.buildSeconds.total || b.builds - a.builds);
+        const cascades = this.findCascades(graph, report);
+        const count = (type) => report.filter(pdt => pdt.issues.some(issue => issue.type === type)).length;
+
+        return {
+            available: true,
+            days: events.days,
+            buildSource: fromBuildLog ? 'pdt_builds' : 'pdt_event_log',
+            eventsTruncated: events.truncated,
+            usageTruncated: completeness.usageTruncated,
+            partialProjects: Array.from(completeness.partialProjects),
+            summary: {
+                pdts: report.length,
+                builds: records.length,
+                failures: records.filter(record => record.failed).length,
+                buildHours: round(records.reduce((sum, record) => sum + (record.seconds || 0), 0) / 3600),
+                failingPDTs: count('build_failures'),
+                slowPDTs: count('slow_build'),
+                overRebuiltPDTs: count('over_rebuilt'),
+                unusedPDTs: count('unused'),
+                cascades: cascades.length
+            },
+            pdts: report,
+            cascades,
+            regenerator: summarizeRegenerator(records)
+        };
+    }
+
+    unavailable(reason) {
+        console.log(`⚠️ PDT health analysis skipped: ${reason}`);
+        return { available: false, reason: reason };
+    }
+
+    /**
+     * Build statistics, reads and issues of one PDT. A PDT is consumed by query runs that use its fields
+     * and by builds of the PDTs that depend on it; rebuilding it more often than that wastes regenerator time.
+     * completeness: whether usage was truncated and which projects were resolved from part of their files
+     */
+    describePDT(pdt, pdts, graph, readsIndex, days, completeness) {
+        const durations = pdt.builds.map(build => build.seconds).filter(seconds => seconds !== null);
+        const failures = pdt.builds.filter(build => build.failed).length;
+        const lastBuild = pdt.builds.reduce((latest, build) => !latest || build.startedAt > latest.startedAt ? build : latest, null);
+        const node = graph.get(pdt.view);
+
+        const dependentBuilds = (node?.dependents || []).reduce((sum, dependent) =>
+            sum + Array.from(pdts.values())
+                .filter(other => other.view === dependent && (!pdt.model || !other.model || other.model === pdt.model))
+                .reduce((total, other) => total + other.builds.length, 0), 0);
+        const reads = readsIndex.get(`${pdt.model}.${pdt.view}`) || readsIndex.get(`*.${pdt.view}`) || 0;
+
+        const described = {
+            model: pdt.model,
+            view: pdt.view,
+            connection: pdt.connection,
+            trigger: node?.trigger || null,
+            builds: pdt.builds.length,
+            failures,
+            failureRate: pdt.builds.length > 0 ? round(failures / pdt.builds.length) : 0,
+            lastBuildAt: lastBuild?.startedAtText || null,
+            lastBuildFailed: !!lastBuild?.failed,
+            lastError: pdt.lastError,
+            buildSeconds: {
+                avg: durations.length > 0 ? round(durations.reduce((sum, seconds) => sum + seconds, 0) / durations.length) : 0,
+                p95: round(percentile(durations, 95)),
+                max: durations.length > 0 ? Math.max(...durations) : 0,
+                total: round(durations.reduce((sum, seconds) => sum + seconds, 0))
+            },
+            buildsPerDay: round(pdt.builds.length / days),
+            triggerChanges: pdt.triggerChanges,
+            reads,
+            dependentBuilds,
+            dependsOn: node?.dependsOn || [],
+            dependents: node?.dependents || [],
+            issues: []
+        };
+        described.issues = this.findIssues(described, days, {
+            usageTruncated: completeness.usageTruncated,
+            // A PDT missing from the graph may be defined in a file that was not fetched
+            partialCoverage: node ? completeness.partialProjects.has(node.project) : completeness.partialProjects.size > 0
+        });
+        return described;
+    }
+
+    /**
+     * Issues of a described PDT. Reads may be undercounted when usage was truncated, and dependent PDTs missed when
+     * files of its project were not fetched, so unused and over_rebuilt are then downgraded and marked incomplete.
+     */
+    findIssues(pdt, days, { usageTruncated = false, partialCoverage = false } = {}) {
+        const issues = [];
+        const consumption = pdt.reads + pdt.dependentBuilds;
+        const caveats = [
+            usageTruncated && 'usage rows were truncated, so reads may be undercounted',
+            partialCoverage && 'not every project file was fetched, so dependent PDTs may be missing'
+        ].filter(Boolean);
+        const consumptionIssue = (issue) => {
+            if (caveats.length === 0) return issue;
+            const severity = partialCoverage
+                ? SEVERITIES[SEVERITIES.length - 1]
+                : SEVERITIES[Math.min(SEVERITIES.indexOf(issue.severity) + 1, SEVERITIES.length - 1)];
+            return { ...issue, severity, incomplete: true, description: `${issue.description} (${caveats.join('; ')})` };
+        };
+
+        if (pdt.failures > 0) {
+            issues.push({
+                type: 'build_failures',
+                severity: pdt.lastBuildFailed || pdt.failureRate >= 0.2 ? 'high' : 'medium',
+                description: `${pdt.failures} of ${pdt.builds} builds failed${pdt.lastBuildFailed ? ', including the latest, so queries read a stale table or wait for a rebuild' : ''}` +
+                    (pdt.lastError ? `; last error: ${pdt.lastError.error}` : '')
+            });
+        }
+
+        if (pdt.buildSeconds.p95 >= this.slowBuildSeconds) {
+            issues.push({
+                type: 'slow_build',
+                severity: pdt.buildSeconds.p95 >= this.slowBuildSeconds * 6 ? 'high' : 'medium',
+                description: `Builds take ${Math.round(pdt.buildSeconds.p95 / 60)} min (p95) and hold a regenerator slot meanwhile; build it incrementally (increment_key) or persist a narrower table`
+            });
+        }
+
+        if (pdt.builds > 0 && consumption === 0) {
+            issues.push(consumptionIssue({
+                type: 'unused',
+                severity: 'high',
+                description: `Built ${times(pdt.builds)} in ${days} days but no query or dependent PDT read it; stop persisting it or delete it`
+            }));
+        } else if (pdt.builds > consumption) {
+            issues.push(consumptionIssue({
+                type: 'over_rebuilt',
+                severity: pdt.builds >= consumption * 5 ? 'high' : 'medium',
+                description: `Built ${times(pdt.builds)} but read ${times(pdt.reads)}` +
+                    (pdt.dependentBuilds > 0 ? ` (plus ${pdt.dependentBuilds} dependent PDT builds)` : '') +
+                    ` in ${days} days; trigger it${pdt.trigger ? ` (now ${pdt.trigger.type}: ${pdt.trigger.value})` : ''} only as often as it is read, e.g. with a daily datagroup`
+            }));
+        }
+
+        return issues;
+    }
+
+    /**
+     * Persisted derived tables of the project graph with their trigger, the PDTs they build from
+     * (${view.SQL_TABLE_NAME} or explore_source, looking through non-persisted derived tables) and the PDTs built from them
+     */
+    buildDependencyGraph(resolved) {
+        const graph = new Map();
+
+        (resolved?.projects || []).forEach(project => {
+            const derived = new Map();
+            project.views.forEach(view => {
+                const derivedTable = view.node ? getChildBlocks(view.node, 'derived_table')[0] : null;
+                if (derivedTable) derived.set(view.name, { view, derivedTable });
+            });
+
+            const directDependencies = (derivedTable) => {
+                const names = new Set();
+                const sql = getPropertyValue(derivedTable, 'sql', '') || '';
+                const pattern = /\$\{\s*(\w+)\.SQL_TABLE_NAME\s*\}/g;
+                let match;
+                while ((match = pattern.exec(sql)) !== null) names.add(match[1]);
+
+                exploreSourceViews(derivedTable, project.explores).forEach(name => names.add(name));
+                return Array.from(names).filter(name => derived.has(name));
+            };
+
+            const persistedDependencies = (name, seen = new Set()) => {
+                if (seen.has(name)) return [];
+                seen.add(name);
+                return directDependencies(derived.get(name).derivedTable).flatMap(dependency =>
+                    triggerOf(derived.get(dependency).derivedTable) ? [dependency] : persistedDependencies(dependency, seen));
+            };
+
+            derived.forEach(({ derivedTable }, name) => {
+                const trigger = triggerOf(derivedTable);
+                if (!trigger || graph.has(name)) return;
+                graph.set(name, {
+                    view: name,
+                    project: project.project,
+                    trigger,
+                    dependsOn: Array.from(new Set(persistedDependencies(name))).filter(dependency => dependency !== name),
+                    dependents: []
+                });
+            });
+        });
+
+        graph.forEach(node => node.dependsOn.forEach(dependency => {
+            if (graph.has(dependency)) graph.get(dependency).dependents.push(node.view);
+        }));
+
+        return graph;
+    }
+
+    /**
+     * PDTs built on PDTs: the longest upstream chain ending at each PDT nothing else builds from, when two or more deep.
+     * A rebuild at the top cascades down the chain and the regenerator builds them one after another.
+     */
+    findCascades(graph, report) {
+        const avgBuild = new Map(report.map(pdt => [pdt.view, pdt.buildSeconds.avg]));
+        const longestChain = (name, seen = new Set()) => {
+            if (seen.has(name)) return [name];
+            const next = new Set(seen).add(name);
+            const upstream = graph.get(name).dependsOn
+                .map(dependency => longestChain(dependency, next))
+                .sort((a, b) => b.length - a.length)[0] || [];
+            return [...upstream, name];
+        };
+
+        return Array.from(graph.values())
+            .filter(node => node.dependents.length === 0 && node.dependsOn.length > 0)
+            .map(node => {
+                const chain = longestChain(node.view);
+                const triggers = new Set(chain.map(name => JSON.stringify(graph.get(name).trigger)));
+                return {
+                    chain,
+                    depth: chain.length,
+                    avgChainBuildSeconds: round(chain.reduce((sum, name) => sum + (avgBuild.get(name) || 0), 0)),
+                    mixedTriggers: triggers.size > 1,
+                    description: `${chain.join(' → ')} rebuild in sequence` +
+                        (triggers.size > 1
+                            ? '; their triggers differ, so a downstream PDT can rebuild on stale upstream data or twice per cycle. Trigger the chain from one datagroup'
+                            : '')
+                };
+            })
+            .sort((a, b) => b.depth - a.depth || b.avgChainBuildSeconds - a.avgChainBuildSeconds);
+    }
+}
+
+/**
+ * A pdt_builds row as a build record
+ */
+function toBuildRecord(row) {
+    const startedAt = toTime(row.start_time);
+    const endedAt = toTime(row.end_time);
+    return {
+        model: row.model,
+        view: row.view,
+        connection: row.connection,
+        startedAt,
+        startedAtText: row.start_time,
+        seconds: startedAt !== null && endedAt !== null ? Math.max((endedAt - startedAt) / 1000, 0) : null,
+        failed: FAILURE_ACTION.test(row.status || '')
+    };
+}
+
+/**
+ * Build records from event log rows of one transaction (tid) and view: the begin event starts the build,
+ * a complete or failure event ends it
+ */
+function buildsFromEvents(rows) {
+    const builds = new Map();
+
+    rows
+        .filter(row => row.tid && BUILD_ACTION.test(row.action || ''))
+        .forEach(row => {
+            const key = `${row.tid}|${row.model}|${row.view}`;
+            if (!builds.has(key)) {
+                builds.set(key, { model: row.model, view: row.view, connection: row.connection, begin: null, end: null, failed: false });
+            }
+            const build = builds.get(key);
+            const at = toTime(row.created_time);
+
+            if (BEGIN_ACTION.test(row.action) && (!build.begin || at < build.begin.at)) {
+                build.begin = { at, text: row.created_time };
+            }
+            if (FAILURE_ACTION.test(row.action)) build.failed = true;
+            if ((FAILURE_ACTION.test(row.action) || COMPLETE_ACTION.test(row.action)) && (!build.end || at > build.end)) {
+                build.end = at;
+            }
+        });
+
+    return Array.from(builds.values())
+        .filter(build => build.begin)
+        .map(build => ({
+            model: build.model,
+            view: build.view,
+            connection: build.connection,
+            startedAt: build.begin.at,
+            startedAtText: build.begin.text,
+            seconds: build.end !== null && build.begin.at !== null ? Math.max((build.end - build.begin.at) / 1000, 0) : null,
+            failed: build.failed
+        }));
+}
+
+/**
+ * Names of the resolved projects some of whose listed files were not fetched
+ */
+function partialProjects(resolved) {
+    return new Set((resolved?.projects || [])
+        .filter(project => project.coverage && !project.coverage.complete)
+        .map(project => project.project));
+}
+
+/**
+ * Query runs per "model.view" (and "*.view") whose selected or filtered fields, or explore, use the view
+ */
+function indexReads(rows) {
+    const reads = new Map();
+    const add = (key, runs) => reads.set(key, (reads.get(key) || 0) + runs);
+
+    rows.forEach(row => {
+        const views = new Set([row.explore, ...[...row.fields, ...row.filters].map(field => field.split('.')[0])]);
+        views.forEach(view => {
+            add(`${row.model}.${view}`, row.runCount);
+            add(`*.${view}`, row.runCount);
+        });
+    });
+
+    return reads;
+}
+
+/**
+ * Builds, failures and build hours the PDT regenerator spent per connection and on its busiest days,
+ * with the most builds any connection ran at once
+ */
+function summarizeRegenerator(records) {
+    const byConnection = new Map();
+    const byDay = new Map();
+
+    records.forEach(record => {
+        const connection = record.connection || '(unknown connection)';
+        if (!byConnection.has(connection)) byConnection.set(connection, { connection, builds: 0, failures: 0, seconds: 0, records: [] });
+        const entry = byConnection.get(connection);
+        entry.builds++;
+        entry.failures += record.failed ? 1 : 0;
+        entry.seconds += record.seconds || 0;
+        entry.records.push(record);
+
+        const day = String(record.startedAtText || '').slice(0, 10);
+        if (!day) return;
+        if (!byDay.has(day)) byDay.set(day, { date: day, builds: 0, seconds: 0 });
+        byDay.get(day).builds++;
+        byDay.get(day).seconds += record.seconds || 0;
+    });
+
+    return {
+        byConnection: Array.from(byConnection.values())
+            .map(entry => ({
+                connection: entry.connection,
+                builds: entry.builds,
+                failures: entry.failures,
+                buildHours: round(entry.seconds / 3600),
+                maxConcurrentBuilds: maxConcurrent(entry.records)
+            }))
+            .sort((a, b) => b.buildHours - a.buildHours),
+        busiestDays: Array.from(byDay.values())
+            .sort((a, b) => b.seconds - a.seconds)
+            .slice(0, 5)
+            .map(day => ({ date: day.date, builds: day.builds, buildHours: round(day.seconds / 3600) }))
+    };
+}
+
+function maxConcurrent(records) {
+    const edges = records
+        .filter(record => record.startedAt !== null && record.seconds !== null)
+        .flatMap(record => [[record.startedAt, 1], [record.startedAt + record.seconds * 1000, -1]])
+        .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+    let running = 0;
+    let max = 0;
+    edges.forEach(([, change]) => {
+        running += change;
+        max = Math.max(max, running);
+    });
+    return max;
+}
+
+function triggerOf(derivedTable) {
+    const type = PERSISTENCE_PROPERTIES.find(key => getPropertyValue(derivedTable, key) !== undefined);
+    if (!type) return null;
+    if (type === 'materialized_view' && getPropertyValue(derivedTable, type) !== 'yes') return null;
+    return { type, value: getPropertyValue(derivedTable, type) };
+}
+
+/**
+ * Views a native derived table reads through its explore_source: the explore's base view
+ * for columns without field:, and the view behind the alias of each field: reference
+ */
+function exploreSourceViews(derivedTable, explores) {
+    const source = (derivedTable.children || []).find(child => child.type !== 'property' && child.key === 'explore_source');
+    if (!source) return [];
+
+    const explore = explores.find(candidate => candidate.name === source.name);
+    if (!explore) return [];
+
+    const aliasToView = new Map([[explore.name, explore.view]]);
+    (explore.joins || []).forEach(join => aliasToView.set(join.name, join.view));
+
+    const views = new Set();
+    getChildBlocks(source).filter(child => child.key === 'column').forEach(column => {
+        const field = getPropertyValue(column, 'field');
+        views.add(field ? aliasToView.get(String(field).split('.')[0]) || String(field).split('.')[0] : explore.view);
+    });
+    return Array.from(views).filter(Boolean);
+}
+
+function toTime(value) {
+    if (!value) return null;
+    const time = new Date(value?.value || value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+function times(count) {
+    return count === 1 ? 'once' : `${count} times`;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { PDTHealthAnalyzer };
@@ -0,0 +1,175 @@
+// src/analyzers/query-fingerprint.js
+// Normalizes SQL into a stable fingerprint so repeated runs of the same query shape are analyzed once
+
+const crypto = require('crypto');
+const { tokenizeSQL } = require('../parsers/sql-parser');
+
+const LITERAL_TOKENS = new Set(['string', 'number', 'parameter']);
+
+/**
+ * SQL with comments and literals removed, IN lists sorted and whitespace collapsed
+ */
+function normalizeSQL(sql, options = {}) {
+    const { tokens } = tokenizeSQL(sql || '', { dialect: options.dialect });
+    return renderTokens(tokens.filter(token => token.type !== 'eof'), sql || '').join(' ');
+}
+
+/**
+ * Short hash of normalizeSQL(); the same query with other filter values gets the same fingerprint
+ */
+function fingerprintSQL(sql, options = {}) {
+    const normalized = normalizeSQL(sql, options);
+    return normalized ? hash(normalized) : null;
+}
+
+/**
+ * Fallback when no SQL was fetched: explore plus selected fields and filtered fields (not filter values)
+ */
+function fingerprintQueryMetadata(query) {
+    const model = query.model || query['query.model'];
+    const explore = query.explore || query['query.explore'];
+    const fields = query.fields || [];
+
+    if (!model || !explore || fields.length === 0) return null;
+
+    return hash([
+        `${model}.${explore}`,
+        unique(fields).sort().join(','),
+        unique(query.filterFields || []).sort().join(',')
+    ].join('|'));
+}
+
+/**
+ * Group items by item.fingerprint (items without one stay alone), slowest total runtime first.
+ * Each item needs { fingerprint, query }; runtime is read from the query.
+ */
+function groupByFingerprint(items) {
+    const groups = new Map();
+
+    items.forEach((item, index) => {
+        const key = item.fingerprint || `query:${item.query.query_id || item.query['query.id'] || index}`;
+        if (!groups.has(key)) {
+            groups.set(key, { fingerprint: item.fingerprint || null, items: [] });
+        }
+        groups.get(key).items.push(item);
+    });
+
+    return Array.from(groups.values())
+        .map(group => {
+            const runtimes = group.items.map(item => queryRuntime(item.query));
+            const totalRuntime = runtimes.reduce((sum, runtime) => sum + runtime, 0);
+            const slowest = group.items.reduce((max, item) =>
+                queryRuntime(item.query) > queryRuntime(max.query) ? item : max);
+
+            return {
+                fingerprint: group.fingerprint,
+                items: group.items,
+                representative: slowest,
+                count: group.items.length,
+                totalRuntime: round(totalRuntime),
+                avgRuntime: round(totalRuntime / group.items.length),
+                p95Runtime: round(percentile(runtimes, 95)),
+                maxRuntime: round(Math.max(...runtimes))
+            };
+        })
+        .sort((a, b) => b.totalRuntime - a.totalRuntime);
+}
+
+/**
+ * Nearest-rank percentile
+ */
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(Math.max(rank, 1), sorted.length) - 1];
+}
+
+/**
+ * Token texts with literals as "?"; IN (...) value lists are sorted and deduplicated,
+ * so IN (3, 1) and IN (1, 2, 3) normalize alike
+ */
+function renderTokens(tokens, source) {
+    const parts = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+
+        if (token.type === 'word' && token.upper === 'IN' && isOperator(next, '(') &&
+            !['SELECT', 'WITH'].includes(tokens[i + 2]?.upper)) {
+            const close = matchingParen(tokens, i + 1);
+            if (close !== -1) {
+                const items = splitTopLevel(tokens.slice(i + 2, close))
+                    .map(item => renderTokens(item, source).join(' '));
+                parts.push('IN', `( ${unique(items).sort().join(' , ')} )`);
+                i = close;
+                continue;
+            }
+        }
+
+        parts.push(renderToken(token, source));
+    }
+
+    return parts;
+}
+
+function renderToken(token, source) {
+    if (LITERAL_TOKENS.has(token.type)) return '?';
+    if (token.type === 'word') return token.upper;
+    return source.slice(token.loc.start.offset, token.loc.end.offset);
+}
+
+function matchingParen(tokens, open) {
+    let depth = 0;
+    for (let i = open; i < tokens.length; i++) {
+        if (isOperator(tokens[i], '(')) depth++;
+        if (isOperator(tokens[i], ')') && --depth === 0) return i;
+    }
+    return -1;
+}
+
+function splitTopLevel(tokens) {
+    const items = [[]];
+    let depth = 0;
+
+    tokens.forEach(token => {
+        if (isOperator(token, '(')) depth++;
+        if (isOperator(token, ')')) depth--;
+        if (isOperator(token, ',') && depth === 0) {
+            items.push([]);
+        } else {
+            items[items.length - 1].push(token);
+        }
+    });
+
+    return items.filter(item => item.length > 0);
+}
+
+function isOperator(token, value) {
+    return token?.type === 'operator' && token.value === value;
+}
+
+function queryRuntime(query) {
+    return parseFloat(query.runtime_seconds || query['history.runtime'] || 0);
+}
+
+function hash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function unique(values) {
+    return Array.from(new Set(values));
+}
+
+module.exports = {
+    normalizeSQL,
+    fingerprintSQL,
+    fingerprintQueryMetadata,
+    groupByFingerprint,
+    percentile
+};
@@ -0,0 +1,234 @@
+// src/analyzers/run-diff-analyzer.js
+// Compares two stored diagnostic runs and reports what changed between them
+
+const GRADE_ORDER = ['F', 'D', 'C', 'B', 'A'];
+
+class RunDiffAnalyzer {
+    constructor(config = {}) {
+        this.config = config;
+    }
+
+    /**
+     * Diff two stored runs; baseRun is the "before" side, compareRun the "after" side
+     */
+    diffRuns(baseRun, compareRun) {
+        const baseReport = baseRun.report || {};
+        const compareReport = compareRun.report || {};
+
+        const slowQueries = this.diffSlowQueries(baseReport, compareReport);
+        const explores = this.diffExploreRisks(baseReport, compareReport);
+        const grade = this.diffGrades(baseReport, compareReport);
+        const lookmlIssues = this.diffLookMLIssues(baseReport, compareReport);
+
+        return {
+            base: this.describeRun(baseRun),
+            compare: this.describeRun(compareRun),
+            sameConfiguration: baseRun.configFingerprint === compareRun.configFingerprint,
+            grade: grade,
+            healthMetrics: this.diffHealthMetrics(baseReport, compareReport),
+            slowQueries: slowQueries,
+            explores: explores,
+            lookmlIssues: lookmlIssues,
+            summary: {
+                gradeDirection: grade.direction,
+                newSlowQueries: slowQueries.new.length,
+                resolvedSlowQueries: slowQueries.resolved.length,
+                exploresWithRiskChange: explores.riskChanged.length,
+                newLookMLIssues: lookmlIssues.new.length,
+                fixedLookMLIssues: lookmlIssues.fixed.length
+            }
+        };
+    }
+
+    describeRun(run) {
+        return {
+            id: run.id,
+            type: run.type,
+            createdAt: run.createdAt,
+            configFingerprint: run.configFingerprint
+        };
+    }
+
+    diffGrades(baseReport, compareReport) {
+        const from = baseReport.overallGrade || null;
+        const to = compareReport.overallGrade || null;
+        const fromRank = GRADE_ORDER.indexOf(from);
+        const toRank = GRADE_ORDER.indexOf(to);
+
+        let direction = 'unchanged';
+        if (fromRank === -1 || toRank === -1) {
+            direction = from === to ? 'unchanged' : 'unknown';
+        } else if (toRank > fromRank) {
+            direction = 'improved';
+        } else if (toRank < fromRank) {
+            direction = 'regressed';
+        }
+
+        return { from, to, changed: from !== to, direction };
+    }
+
+    diffHealthMetrics(baseReport, compareReport) {
+        const base = baseReport.healthMetrics || {};
+        const compare = compareReport.healthMetrics || {};
+        const metrics = {};
+
+        new Set([...Object.keys(base), ...Object.keys(compare)]).forEach(metric => {
+            const from = typeof base[metric] === 'number' ? base[metric] : null;
+            const to = typeof compare[metric] === 'number' ? compare[metric] : null;
+            metrics[metric] = {
+                from,
+                to,
+                delta: from !== null && to !== null ? to - from : null
+            };
+        });
+
+        return metrics;
+    }
+
+    /**
+     * Match slow queries by fingerprint or slug, falling back to query id
+     */
+    diffSlowQueries(baseReport, compareReport) {
+        const baseQueries = this.extractSlowQueries(baseReport);
+        const compareQueries = this.extractSlowQueries(compareReport);
+
+        const baseIndex = this.indexQueries(baseQueries);
+        const compareIndex = this.indexQueries(compareQueries);
+
+        const isIn = (query, index) => this.getQueryKeys(query).some(key => index.has(key));
+
+        const newQueries = compareQueries.filter(q => !isIn(q, baseIndex));
+        const resolved = baseQueries.filter(q => !isIn(q, compareIndex));
+        const persisting = compareQueries
+            .filter(q => isIn(q, baseIndex))
+            .map(q => {
+                const previous = this.getQueryKeys(q)
+                    .map(key => baseIndex.get(key))
+                    .find(Boolean);
+                const from = previous?.runtime_seconds ?? null;
+                const to = q.runtime_seconds ?? null;
+                return {
+                    ...q,
+                    previousRuntime: from,
+                    runtimeDelta: from !== null && to !== null
+                        ? Math.round((to - from) * 100) / 100
+                        : null
+                };
+            });
+
+        return {
+            new: newQueries,
+            resolved: resolved,
+            persisting: persisting,
+            totals: { from: baseQueries.length, to: compareQueries.length }
+        };
+    }
+
+    extractSlowQueries(report) {
+        const queries = report.slowQueryAnalysis?.queries ||
+            report.slowQuerySummary?.queries;
+
+        if (Array.isArray(queries)) {
+            return queries;
+        }
+
+        // Older reports only carry the analyzed queries
+        return (report.queryAnalysis || []).map(analysis => ({
+            query_id: analysis.queryId,
+            slug: analysis.slug,
+            fingerprint: analysis.fingerprint,
+            runtime_seconds: analysis.runtime,
+            model: analysis.model,
+            explore: analysis.explore
+        }));
+    }
+
+    getQueryKeys(query) {
+        const keys = [];
+        if (query.fingerprint) keys.push(`fingerprint:${query.fingerprint}`);
+        if (query.slug) keys.push(`slug:${query.slug}`);
+        if (keys.length === 0 && query.query_id) keys.push(`id:${query.query_id}`);
+        return keys;
+    }
+
+    indexQueries(queries) {
+        const index = new Map();
+        queries.forEach(query => {
+            this.getQueryKeys(query).forEach(key => {
+                if (!index.has(key)) index.set(key, query);
+            });
+        });
+        return index;
+    }
+
+    diffExploreRisks(baseReport, compareReport) {
+        const toMap = (report) => new Map(
+            (report.exploreAnalysis?.exploreRisks || []).map(e => [e.exploreId, e])
+        );
+        const baseExplores = toMap(baseReport);
+        const compareExplores = toMap(compareReport);
+
+        const riskChanged = [];
+        const added = [];
+        const removed = [];
+
+        compareExplores.forEach((explore, exploreId) => {
+            const previous = baseExplores.get(exploreId);
+            if (!previous) {
+                added.push({ exploreId, level: explore.performanceRisk?.level || null });
+                return;
+            }
+
+            const from = previous.performanceRisk?.level || null;
+            const to = explore.performanceRisk?.level || null;
+            if (from !== to) {
+                riskChanged.push({
+                    exploreId,
+                    from,
+                    to,
+                    scoreFrom: previous.performanceRisk?.score ?? null,
+                    scoreTo: explore.performanceRisk?.score ?? null
+                });
+            }
+        });
+
+        baseExplores.forEach((explore, exploreId) => {
+            if (!compareExplores.has(exploreId)) {
+                removed.push({ exploreId, level: explore.performanceRisk?.level || null });
+            }
+        });
+
+        return { riskChanged, added, removed };
+    }
+
+    /**
+     * LookML issues are only comparable when both runs analyzed LookML
+     */
+    diffLookMLIssues(baseReport, compareReport) {
+        const comparable = !!(baseReport.lookmlAnalysis && compareReport.lookmlAnalysis);
+        const baseIssues = this.extractLookMLIssues(baseReport);
+        const compareIssues = this.extractLookMLIssues(compareReport);
+
+        const baseKeys = new Set(baseIssues.map(issue => this.getIssueKey(issue)));
+        const compareKeys = new Set(compareIssues.map(issue => this.getIssueKey(issue)));
+
+        return {
+            comparable: comparable,
+            new: compareIssues.filter(issue => !baseKeys.has(this.getIssueKey(issue))),
+            fixed: baseIssues.filter(issue => !compareKeys.has(this.getIssueKey(issue)))
+        };
+    }
+
+    extractLookMLIssues(report) {
+        return (report.detailedIssues || []).filter(issue => issue.category === 'lookml');
+    }
+
+    /**
+     * Issues match on where they are and which rule raised them; the message embeds counts that change between runs
+     */
+    getIssueKey(issue) {
+        return [issue.item, issue.rule || issue.type, issue.line ?? ''].join('|');
+    }
+}
+
+module.exports = { RunDiffAnalyzer };
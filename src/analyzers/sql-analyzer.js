@@ -1,12 +1,29 @@
 // src/analyzers/sql-analyzer.js
 // COMPLETE UPDATED FILE with Gemini 2.0 API support
 
+const { parseSQL, findSQLNodes, getTableSources, isAggregateFunction } = require('../parsers/sql-parser');
+const { checkDialectRules, normalizeDialect, predicateColumns } = require('./sql-dialect-rules');
+const { fingerprintSQL, fingerprintQueryMetadata, groupByFingerprint } = require('./query-fingerprint');
+const { SQLRewriter } = require('./sql-rewriter');
+const { recommendAggregateTables } = require('./aggregate-awareness');
+const { generatePDTView } = require('./pdt-generator');
+
+const REPRESENTATIVE_SQL_HEADER = '-- Representative SQL for';
+
+// Improvements are only stated when a BigQuery dry run measured them (BigQueryAnalyzer.estimateQueryCosts)
+const IMPROVEMENT_NOT_MEASURED = 'not measured';
+
 class SQLAnalyzer {
     constructor(config = {}) {
         this.config = config;
         this.geminiApiKey = config.geminiApiKey || process.env.GEMINI_API_KEY;
         this.hasAI = !!this.geminiApiKey;
         this.lookerApiConnector = null;
+        this.defaultDialect = config.sqlDialect || process.env.LOOKER_SQL_DIALECT || null;
+        this.sqlRewriter = new SQLRewriter(config);
+        this.lastProfile = null;
+        this.historyQueries = [];
+        this.lookmlProject = null;
     }
 
     /**
@@ -18,9 +35,11 @@ class SQLAnalyzer {
     }
 
     /**
-     * Analyze slow queries with direct API SQL fetching
+     * Analyze slow queries with direct API SQL fetching, once per query fingerprint (highest total runtime first)
+     * options.onProgress is called per query while fetching and per fingerprint while analyzing,
+     * options.isCancelled stops either loop early, options.project (resolved LookML) shapes generated PDTs
      */
-    async analyzeSlowQueries(queries, mcpConnector, lookerApiConnector = null) {
+    async analyzeSlowQueries(queries, mcpConnector, lookerApiConnector = null, options = {}) {
         console.log(`📊 Analyzing ${queries.length} slow queries for SQL optimization...`);
         
         // Set the API connector if provided
@@ -35,30 +54,76 @@ class SQLAnalyzer {
             console.log('✅ Looker API connector available for SQL fetching');
         }
         
-        const analyses = [];
-        let successfulSQLFetches = 0;
+        // Aggregate table suggestions cluster every slow query on the same explore
+        this.historyQueries = queries;
+        this.lookmlProject = options.project || null;
+        
+        // Fetch SQL first so runs of the same query shape are analyzed once
+        const fetched = [];
         
         for (let i = 0; i < queries.length; i++) {
+            if (options.isCancelled && options.isCancelled()) {
+                console.log(`🛑 SQL fetching cancelled after ${i} of ${queries.length} queries`);
+                break;
+            }
+
             const query = queries[i];
-            console.log(`\n[${i + 1}/${queries.length}] Processing query...`);
+            const queryId = query.query_id || query['query.id'];
+            console.log(`\n[${i + 1}/${queries.length}] Fetching query SQL...`);
+            if (options.onProgress) {
+                options.onProgress({ stage: 'fetch', current: i + 1, total: queries.length, queryId: queryId });
+            }
             
+            let fetchResult = { sql: null, fetchMethod: 'none' };
             try {
-                const analysis = await this.analyzeRealQuery(query);
-                if (analysis) {
-                    analyses.push(analysis);
-                    if (analysis.sqlAnalysis.hasActualSQL) {
-                        successfulSQLFetches++;
-                    }
-                }
+                fetchResult = await this.fetchQuerySQL(query);
+            } catch (error) {
+                console.error(`Failed to fetch SQL for query ${queryId}:`, error.message);
+            }
+
+            const dialect = fetchResult.sql ? await this.resolveDialect(query) : null;
+            query.fingerprint = this.fingerprintQuery(query, fetchResult.sql, dialect);
+            fetched.push({ query, ...fetchResult, fingerprint: query.fingerprint });
+        }
+
+        const groups = groupByFingerprint(fetched);
+        console.log(`\n🧬 ${fetched.length} queries share ${groups.length} fingerprints`);
+        
+        const analyses = [];
+        let successfulSQLFetches = 0;
+        
+        for (let i = 0; i < groups.length; i++) {
+            if (options.isCancelled && options.isCancelled()) {
+                console.log(`🛑 SQL analysis cancelled after ${i} of ${groups.length} fingerprints`);
+                break;
+            }
+
+            const group = groups[i];
+            const { query, sql, fetchMethod } = group.representative;
+            console.log(`\n[${i + 1}/${groups.length}] Analyzing fingerprint ${group.fingerprint || 'n/a'} (${group.count} runs, ${group.totalRuntime}s total)...`);
+            if (options.onProgress) {
+                options.onProgress({ stage: 'analyze', current: i + 1, total: groups.length, queryId: query.query_id });
+            }
+            
+            let analysis;
+            try {
+                analysis = sql
+                    ? await this.buildSQLAnalysis(query, sql, fetchMethod)
+                    : this.createEnhancedBasicAnalysis(query);
             } catch (error) {
                 console.error(`Failed to analyze query ${query.query_id}:`, error.message);
-                analyses.push(this.createEnhancedBasicAnalysis(query));
+                analysis = this.createEnhancedBasicAnalysis(query);
+            }
+
+            analyses.push(this.attachFingerprintGroup(analysis, group));
+            if (analysis.sqlAnalysis.hasActualSQL) {
+                successfulSQLFetches++;
             }
         }
 
-        console.log(`\n✅ Analysis complete: ${analyses.length} queries analyzed`);
-        console.log(`   - ${successfulSQLFetches} queries with actual SQL`);
-        console.log(`   - ${analyses.length - successfulSQLFetches} queries with metadata-only analysis`);
+        console.log(`\n✅ Analysis complete: ${analyses.length} query fingerprints analyzed`);
+        console.log(`   - ${successfulSQLFetches} fingerprints with actual SQL`);
+        console.log(`   - ${analyses.length - successfulSQLFetches} fingerprints with metadata-only analysis`);
         
         return analyses;
     }
@@ -67,43 +132,121 @@ class SQLAnalyzer {
      * Analyze query - prioritize Looker API over MCP
      */
     async analyzeRealQuery(query) {
+        const { sql, fetchMethod } = await this.fetchQuerySQL(query);
+        
+        if (!sql) {
+            console.log(`   📝 Using metadata-based analysis for query ${query.query_id || query['query.id']}`);
+            return this.createEnhancedBasicAnalysis(query);
+        }
+
+        return this.buildSQLAnalysis(query, sql, fetchMethod);
+    }
+
+    /**
+     * Fetch the query's SQL via Looker API (not MCP); sql is null when unavailable
+     */
+    async fetchQuerySQL(query) {
         const queryId = query.query_id || query['query.id'];
         const runtime = parseFloat(query.runtime_seconds || query['history.runtime'] || 0);
         const slug = query.slug || query['query.slug'];
         
         console.log(`   Query ID: ${queryId}, Slug: ${slug}, Runtime: ${runtime}s`);
         
-        // Try to fetch actual SQL via Looker API (not MCP)
-        let actualSQL = null;
-        let fetchMethod = 'none';
-        
-        if (this.lookerApiConnector && this.lookerApiConnector.getStatus().connected) {
-            console.log(`   🔍 Attempting to fetch SQL via Looker API...`);
-            actualSQL = await this.fetchActualSQLViaAPI(query);
-            if (actualSQL) {
-                fetchMethod = 'looker_api';
-                console.log(`   ✅ Got ${actualSQL.length} characters of actual SQL`);
-            } else {
-                console.log(`   ⚠️ Could not fetch SQL via API`);
-            }
-        } else {
+        if (!this.lookerApiConnector || !this.lookerApiConnector.getStatus().connected) {
             console.log(`   ⚠️ Looker API not connected, skipping SQL fetch`);
+            return { sql: null, fetchMethod: 'none' };
+        }
+
+        console.log(`   🔍 Attempting to fetch SQL via Looker API...`);
+        const sql = await this.fetchActualSQLViaAPI(query);
+        if (!sql) {
+            console.log(`   ⚠️ Could not fetch SQL via API`);
+            return { sql: null, fetchMethod: 'none' };
+        }
+
+        // The last fetch strategy falls back to a template that was never run against the warehouse
+        if (sql.startsWith(REPRESENTATIVE_SQL_HEADER)) {
+            console.log(`   ⚠️ Using representative SQL for ${query.model}.${query.explore}`);
+            return { sql: sql, fetchMethod: 'representative' };
+        }
+
+        console.log(`   ✅ Got ${sql.length} characters of actual SQL`);
+        return { sql: sql, fetchMethod: 'looker_api' };
+    }
+
+    /**
+     * Fingerprint of the normalized SQL, or of the query metadata when there is no real SQL
+     */
+    fingerprintQuery(query, sql, dialect) {
+        // Representative SQL is the same template for every query of an explore
+        if (sql && !sql.startsWith(REPRESENTATIVE_SQL_HEADER)) {
+            return fingerprintSQL(sql, { dialect });
         }
+        return fingerprintQueryMetadata(query);
+    }
+
+    /**
+     * Add the run count and runtime stats of every query sharing the analyzed query's fingerprint
+     */
+    attachFingerprintGroup(analysis, group) {
+        const queries = group.items.map(item => item.query);
         
-        if (!actualSQL) {
-            console.log(`   📝 Using metadata-based analysis for query ${queryId}`);
-            return this.createEnhancedBasicAnalysis(query);
+        analysis.fingerprint = group.fingerprint;
+        analysis.fingerprintGroup = {
+            count: group.count,
+            totalRuntime: group.totalRuntime,
+            avgRuntime: group.avgRuntime,
+            p95Runtime: group.p95Runtime,
+            maxRuntime: group.maxRuntime,
+            queryIds: queries.map(query => query.query_id || query['query.id']),
+            dashboards: Array.from(new Set(queries
+                .map(query => query.dashboard_title || query['dashboard.title'])
+                .filter(Boolean)))
+        };
+        
+        return analysis;
+    }
+
+    /**
+     * Analyze SQL supplied by the caller (e.g. pasted into an MCP client) instead of fetched from Looker
+     */
+    async analyzeSQLText(sql, query = {}) {
+        // isValidSQL is tuned for API responses; caller-supplied SQL only needs to be a SELECT
+        if (typeof sql !== 'string' || !/\bselect\b/i.test(sql)) {
+            throw new Error('Provided text does not look like a SELECT query');
+        }
+        return this.buildSQLAnalysis(query, sql, 'provided');
+    }
+
+    async buildSQLAnalysis(query, actualSQL, fetchMethod) {
+        const queryId = query.query_id || query['query.id'];
+        const runtime = parseFloat(query.runtime_seconds || query['history.runtime'] || 0);
+        const slug = query.slug || query['query.slug'];
+        const dialect = await this.resolveDialect(query);
+        const profile = this.getSQLProfile(actualSQL, dialect);
+
+        if (profile.parseErrors.length > 0) {
+            console.log(`   ⚠️ SQL parsed with ${profile.parseErrors.length} error(s), first: ${profile.parseErrors[0].message}`);
         }
 
         // Analyze the real SQL
-        console.log(`   🧠 Analyzing SQL with ${this.hasAI ? 'AI' : 'heuristics'}...`);
+        console.log(`   🧠 Analyzing ${normalizeDialect(dialect) || 'SQL'} SQL with ${this.hasAI ? 'AI' : 'heuristics'}...`);
         const analysis = this.hasAI 
-            ? await this.analyzeWithAI(actualSQL, runtime, query)
-            : this.analyzeWithEnhancedHeuristics(actualSQL, runtime, query);
+            ? await this.analyzeWithAI(actualSQL, runtime, { ...query, dialect })
+            : this.analyzeWithEnhancedHeuristics(actualSQL, runtime, { ...query, dialect });
+
+        // Heuristic analysis applies the dialect rules itself; AI results get them added here
+        if (analysis.aiPowered) {
+            analysis.issues = this.applyDialectRules(analysis.issues || [], profile, dialect);
+        }
+
+        // The rewrite is verified against the parser; AI-suggested SQL is only kept when no rule applied
+        const rewrite = analysis.sqlRewrite || this.sqlRewriter.rewrite(actualSQL, { dialect });
 
         return {
             queryId: queryId,
             slug: slug,
+            fingerprint: query.fingerprint || this.fingerprintQuery(query, actualSQL, dialect),
             runtime: runtime,
             model: query.model || query['query.model'],
             explore: query.explore || query['query.explore'],
@@ -117,21 +260,29 @@ class SQLAnalyzer {
             analysis: analysis,
             issues: analysis.issues || [],
             recommendations: analysis.recommendations || [],
-            optimizedSQL: analysis.optimizedSQL || null,
+            optimizedSQL: rewrite.changed ? rewrite.sql : analysis.optimizedSQL || null,
+            sqlRewrite: rewrite,
             overallPriority: this.calculatePriority(runtime, analysis.complexity || 'medium'),
             implementationSteps: analysis.implementationSteps || [],
             
             sqlAnalysis: {
                 hasActualSQL: true,
                 fetchMethod: fetchMethod,
+                dialect: normalizeDialect(dialect),
+                connectionDialect: dialect || null,
                 sqlComplexityScore: this.calculateSQLComplexity(actualSQL),
-                joinCount: this.countJoins(actualSQL),
-                whereClausePresent: actualSQL.toLowerCase().includes('where'),
-                orderByClauseCount: (actualSQL.toLowerCase().match(/order by/g) || []).length,
-                subqueryCount: this.countSubqueries(actualSQL),
-                lookmlGenerated: actualSQL.includes('-- Looker') || actualSQL.includes('${TABLE}'),
+                joinCount: profile.joins.length,
+                whereClausePresent: profile.hasWhere,
+                orderByClauseCount: profile.orderByCount,
+                subqueryCount: profile.subqueryCount,
+                cteCount: profile.cteCount,
+                windowFunctionCount: profile.windowFunctionCount,
+                tablesScanned: profile.tablesScanned,
+                predicateColumns: predicateColumns(profile),
+                lookmlGenerated: profile.lookmlGenerated,
                 estimatedRows: this.estimateRowsFromSQL(actualSQL),
-                hasAggregations: this.hasAggregations(actualSQL)
+                hasAggregations: this.hasAggregations(actualSQL),
+                parseErrors: profile.parseErrors
             }
         };
     }
@@ -272,7 +423,7 @@ class SQLAnalyzer {
             return null;
         }
 
-        const sql = `-- Representative SQL for ${model}.${explore}
+        const sql = `${REPRESENTATIVE_SQL_HEADER} ${model}.${explore}
 -- Note: This is a template based on query metadata, not the actual executed SQL
 
 SELECT 
@@ -352,33 +503,74 @@ LIMIT 1000`;
         return hasSelect && (hasFrom || sql.includes('dual') || sql.includes('unnest'));
     }
 
+    /**
+     * Connection dialect of the query's explore from the Looker API, else LOOKER_SQL_DIALECT
+     */
+    async resolveDialect(query) {
+        if (query.dialect) return query.dialect;
+
+        const model = query.model || query['query.model'];
+        const explore = query.explore || query['query.explore'];
+
+        if (model && explore && this.lookerApiConnector && this.lookerApiConnector.getStatus().connected) {
+            const connection = await this.lookerApiConnector.getExploreConnection(model, explore);
+            if (connection?.dialect) return connection.dialect;
+        }
+
+        return this.defaultDialect;
+    }
+
+    /**
+     * Structure of the SQL read off its parse tree (cached for the last SQL text analyzed);
+     * without a dialect the cached profile is reused whatever dialect it was parsed with
+     */
+    getSQLProfile(sql, dialect = undefined) {
+        if (this.lastProfile && this.lastProfile.sql === sql && (dialect === undefined || this.lastProfile.dialect === dialect)) {
+            return this.lastProfile.profile;
+        }
+
+        const parseDialect = dialect === undefined ? this.defaultDialect : dialect;
+        const profile = buildSQLProfile(parseSQL(sql || '', { dialect: parseDialect || undefined }));
+        this.lastProfile = { sql, dialect: parseDialect, profile };
+        return profile;
+    }
+
+    /**
+     * Add the warehouse-specific findings for a dialect, dropping the generic issues they replace
+     */
+    applyDialectRules(issues, profile, dialect) {
+        const result = checkDialectRules({ ast: profile.ast, profile, dialect });
+        return [
+            ...issues.filter(issue => !result.supersedes.includes(issue.rule)),
+            ...result.issues
+        ];
+    }
+
     calculateSQLComplexity(sql) {
+        const profile = this.getSQLProfile(sql);
         let complexity = 0;
-        const sqlLower = sql.toLowerCase();
         
         complexity += sql.split('\n').length * 0.5;
-        complexity += this.countJoins(sql) * 8;
-        complexity += this.countSubqueries(sql) * 12;
-        complexity += this.countAggregations(sql) * 3;
-        complexity += (sqlLower.match(/over\s*\(/g) || []).length * 15;
-        complexity += (sqlLower.match(/case\s+when/g) || []).length * 4;
-        complexity += (sqlLower.match(/with\s+\w+\s+as/g) || []).length * 6;
+        complexity += profile.joins.length * 8;
+        complexity += profile.subqueryCount * 12;
+        complexity += profile.aggregationCount * 3;
+        complexity += profile.windowFunctionCount * 15;
+        complexity += profile.caseCount * 4;
+        complexity += profile.cteCount * 6;
         
         return Math.min(complexity, 150);
     }
 
     countJoins(sql) {
-        const sqlLower = sql.toLowerCase();
-        return (sqlLower.match(/\b(left|right|inner|outer|full|cross)?\s*(outer\s+)?join\b/g) || []).length;
+        return this.getSQLProfile(sql).joins.length;
     }
 
     countSubqueries(sql) {
-        return (sql.match(/\(\s*select/gi) || []).length;
+        return this.getSQLProfile(sql).subqueryCount;
     }
 
     countAggregations(sql) {
-        const sqlLower = sql.toLowerCase();
-        return (sqlLower.match(/\b(count|sum|avg|max|min|string_agg|array_agg|group_concat)\s*\(/g) || []).length;
+        return this.getSQLProfile(sql).aggregationCount;
     }
 
     hasAggregations(sql) {
@@ -386,16 +578,15 @@ LIMIT 1000`;
     }
 
     estimateRowsFromSQL(sql) {
-        const sqlLower = sql.toLowerCase();
+        const profile = this.getSQLProfile(sql);
         
-        const limitMatch = sqlLower.match(/limit\s+(\d+)/);
-        if (limitMatch) {
-            const limit = parseInt(limitMatch[1]);
+        if (profile.limit !== null) {
+            const limit = profile.limit;
             return limit < 1000 ? `≤${limit} rows` : `${limit.toLocaleString()} rows`;
         }
         
-        const joinCount = this.countJoins(sql);
-        const hasGroupBy = sqlLower.includes('group by');
+        const joinCount = profile.joins.length;
+        const hasGroupBy = profile.groupByCount > 0;
         
         if (joinCount > 4 && hasGroupBy) return 'Potentially millions of rows';
         if (joinCount > 2 && hasGroupBy) return 'Hundreds of thousands of rows';
@@ -410,11 +601,12 @@ LIMIT 1000`;
         const recommendations = [];
         let complexity = 'medium';
 
-        const sqlLower = sql.toLowerCase();
+        const profile = this.getSQLProfile(sql, query.dialect);
         
-        if (sqlLower.includes('select *')) {
+        if (profile.starTables.length > 0) {
             issues.push({
                 type: 'performance',
+                rule: 'select-star',
                 severity: 'medium',
                 description: 'SELECT * fetches unnecessary columns',
                 location: 'SELECT clause',
@@ -422,11 +614,12 @@ LIMIT 1000`;
             });
         }
 
-        const joinCount = this.countJoins(sql);
+        const joinCount = profile.joins.length;
         if (joinCount > 5) {
             complexity = 'high';
             issues.push({
                 type: 'performance',
+                rule: 'excessive-joins',
                 severity: 'high',
                 description: `${joinCount} JOINs detected - major performance impact`,
                 location: 'JOIN clauses',
@@ -434,20 +627,34 @@ LIMIT 1000`;
             });
         }
 
-        if (!sqlLower.includes('where') && sqlLower.includes('from')) {
+        const cartesianJoins = profile.joins.filter(join => join.cartesian);
+        if (cartesianJoins.length > 0) {
             issues.push({
                 type: 'performance',
+                rule: 'cartesian-join',
                 severity: 'high',
-                description: 'Missing WHERE clause causes full table scan',
+                description: `JOIN without a join condition on ${cartesianJoins.map(join => join.table).join(', ')} produces a cartesian product`,
+                location: 'JOIN clauses',
+                recommendation: 'Add an ON condition relating the joined tables'
+            });
+        }
+
+        if (profile.unfilteredTables.length > 0) {
+            issues.push({
+                type: 'performance',
+                rule: 'missing-where',
+                severity: 'high',
+                description: `Missing WHERE clause causes full table scan of ${profile.unfilteredTables.join(', ')}`,
                 location: 'WHERE clause',
                 recommendation: 'Add filtering conditions'
             });
         }
 
-        const subqueryCount = this.countSubqueries(sql);
+        const subqueryCount = profile.subqueryCount;
         if (subqueryCount > 2) {
             issues.push({
                 type: 'performance',
+                rule: 'many-subqueries',
                 severity: 'medium',
                 description: `${subqueryCount} subqueries may impact performance`,
                 location: 'Subqueries',
@@ -462,7 +669,7 @@ LIMIT 1000`;
                 priority: 'critical',
                 title: 'URGENT: Create PDT',
                 description: `Query takes ${runtime}s - immediate PDT required`,
-                expectedImprovement: '85-95%',
+                expectedImprovement: IMPROVEMENT_NOT_MEASURED,
                 effort: 'high',
                 category: 'lookml'
             });
@@ -473,7 +680,7 @@ LIMIT 1000`;
                 priority: 'high',
                 title: 'Implement PDT',
                 description: 'Create PDT for this query pattern',
-                expectedImprovement: '70-85%',
+                expectedImprovement: IMPROVEMENT_NOT_MEASURED,
                 effort: 'medium',
                 category: 'lookml'
             });
@@ -483,17 +690,21 @@ LIMIT 1000`;
                 priority: 'medium',
                 title: 'Query Optimization',
                 description: 'Optimize query structure and indexes',
-                expectedImprovement: '40-60%',
+                expectedImprovement: IMPROVEMENT_NOT_MEASURED,
                 effort: 'low',
                 category: 'sql'
             });
         }
 
+        const checkedIssues = this.applyDialectRules(issues, profile, query.dialect);
+        const rewrite = this.sqlRewriter.rewrite(sql, { dialect: query.dialect });
+
         return {
             complexity,
-            issues,
+            issues: checkedIssues,
             recommendations,
-            optimizedSQL: this.generateOptimizedSQL(sql, issues),
+            optimizedSQL: rewrite.changed ? rewrite.sql : null,
+            sqlRewrite: rewrite,
             lookmlSuggestions: this.generateLookMLSuggestions(query, sql, runtime),
             performanceAnalysis: {
                 estimatedRowsProcessed: this.estimateRowsFromSQL(sql),
@@ -506,109 +717,77 @@ LIMIT 1000`;
 
     findExpensiveOperations(sql) {
         const operations = [];
-        const sqlLower = sql.toLowerCase();
+        const profile = this.getSQLProfile(sql);
         
-        if (sqlLower.includes('distinct')) operations.push('DISTINCT operation');
-        if (this.countJoins(sql) > 3) operations.push('Multiple JOINs');
-        if (this.countSubqueries(sql) > 1) operations.push('Subqueries');
-        if (sqlLower.includes('group by') && this.countAggregations(sql) > 3) operations.push('Complex aggregations');
-        if (sqlLower.includes('order by') && !sqlLower.includes('limit')) operations.push('Unlimited ORDER BY');
-        if (sqlLower.includes('union')) operations.push('UNION operation');
+        if (profile.distinctCount > 0) operations.push('DISTINCT operation');
+        if (profile.joins.length > 3) operations.push('Multiple JOINs');
+        if (profile.joins.some(join => join.joinType === 'CROSS' && join.tableType !== 'unnest')) operations.push('CROSS JOIN');
+        if (profile.subqueryCount > 1) operations.push('Subqueries');
+        if (profile.groupByCount > 0 && profile.aggregationCount > 3) operations.push('Complex aggregations');
+        if (profile.windowFunctionCount > 0) operations.push('Window functions');
+        if (profile.unboundedOrderByCount > 0) operations.push('Unlimited ORDER BY');
+        // UNION ALL just concatenates; UNION [DISTINCT] deduplicates the combined rows
+        if (profile.setOperations.some(operator => operator === 'UNION' || operator === 'UNION DISTINCT')) operations.push('UNION operation');
         
         return operations;
     }
 
     identifyBottlenecks(sql, runtime) {
         const bottlenecks = [];
+        const profile = this.getSQLProfile(sql);
         
         if (runtime > 300) bottlenecks.push('Critical: 5+ minute runtime');
-        if (this.countJoins(sql) > 5) bottlenecks.push('Excessive JOINs');
-        if (!sql.toLowerCase().includes('where')) bottlenecks.push('Full table scan');
-        if (sql.toLowerCase().includes('select *')) bottlenecks.push('Fetching all columns');
-        if (this.countSubqueries(sql) > 3) bottlenecks.push('Multiple subqueries');
+        if (profile.joins.length > 5) bottlenecks.push('Excessive JOINs');
+        if (profile.joins.some(join => join.cartesian)) bottlenecks.push('Cartesian JOIN');
+        if (profile.unfilteredTables.length > 0) bottlenecks.push('Full table scan');
+        if (profile.starTables.length > 0) bottlenecks.push('Fetching all columns');
+        if (profile.subqueryCount > 3) bottlenecks.push('Multiple subqueries');
         
         return bottlenecks;
     }
 
-    generateOptimizedSQL(originalSQL, issues) {
-        let optimized = `-- OPTIMIZED SQL RECOMMENDATIONS\n`;
-        optimized += `-- Original runtime: Check query performance\n`;
-        optimized += `-- Issues found: ${issues.length}\n\n`;
-        
-        issues.forEach((issue, index) => {
-            optimized += `-- Issue ${index + 1}: ${issue.description}\n`;
-            optimized += `-- Fix: ${issue.recommendation}\n\n`;
-        });
-        
-        optimized += `-- ORIGINAL SQL:\n${originalSQL}`;
-        
-        return optimized;
-    }
-
     generateLookMLSuggestions(query, sql, runtime) {
         const suggestions = [];
         
-        if (runtime > 60) {
+        const pdt = runtime > 60 ? this.generatePDTCode(query, sql) : null;
+        if (pdt) {
             suggestions.push({
                 type: 'pdt',
                 suggestion: 'Create Persistent Derived Table',
                 reasoning: `Query takes ${runtime}s to run`,
-                code: this.generatePDTCode(query, sql)
+                code: pdt.code,
+                notes: pdt.notes
             });
         }
         
-        if (this.countJoins(sql) > 3) {
+        const aggregateTable = this.countJoins(sql) > 3 ? this.generateAggregateTableCode(query) : null;
+        if (aggregateTable) {
             suggestions.push({
                 type: 'aggregate_table',
                 suggestion: 'Create Aggregate Table',
-                reasoning: 'Pre-aggregate common groupings',
-                code: this.generateAggregateTableCode(query)
+                reasoning: `Pre-aggregate common groupings; would have served ${aggregateTable.servedPercent}% of ${aggregateTable.queryCount} slow queries on this explore`,
+                code: aggregateTable.code
             });
         }
         
         return suggestions;
     }
 
+    /**
+     * PDT view for the query's SQL with fields from its SELECT list (see pdt-generator); null when it has no named columns
+     */
     generatePDTCode(query, sql) {
-        const model = query.model || 'model';
-        const explore = query.explore || 'explore';
-        
-        return `view: pdt_${explore}_optimized {
-  derived_table: {
-    sql: 
-      ${sql.split('\n').map(line => '      ' + line).join('\n')} ;;
-    
-    datagroup_trigger: ${model}_datagroup
-    indexes: ["id", "created_date"]
-  }
-  
-  dimension: id {
-    primary_key: yes
-    type: string
-    sql: \${TABLE}.id ;;
-  }
-  
-  measure: count {
-    type: count
-  }
-}`;
+        return generatePDTView(sql, { query, project: this.lookmlProject, dialect: query.dialect || this.defaultDialect });
     }
 
+    /**
+     * Aggregate table recommendation (code and coverage) for the query's explore, clustered from
+     * the slow queries of that explore; null when no table would serve two or more of them
+     */
     generateAggregateTableCode(query) {
-        const model = query.model || 'model';
-        const explore = query.explore || 'explore';
-        
-        return `aggregate_table: ${explore}_daily_rollup {
-  query: {
-    dimensions: [created_date, category]
-    measures: [count, total_amount]
-    timezone: "America/Los_Angeles"
-  }
-  
-  materialization: {
-    datagroup_trigger: ${model}_datagroup
-  }
-}`;
+        const sameExplore = this.historyQueries.filter(other => other.model === query.model && other.explore === query.explore);
+        const [recommendation] = recommendAggregateTables(sameExplore.includes(query) ? sameExplore : [...sameExplore, query], { project: this.lookmlProject });
+        return recommendation || null;
     }
 
     generateImplementationSteps(recommendations) {
@@ -648,7 +827,7 @@ LIMIT 1000`;
                 priority: 'critical',
                 title: 'Critical Performance Issue',
                 description: `Query takes ${runtime}s - requires immediate investigation`,
-                expectedImprovement: '80-95% possible',
+                expectedImprovement: IMPROVEMENT_NOT_MEASURED,
                 effort: 'high',
                 category: 'investigation'
             });
@@ -660,7 +839,7 @@ LIMIT 1000`;
                 priority: 'high',
                 title: 'Performance Review Needed',
                 description: `Query takes ${runtime}s - likely needs PDT`,
-                expectedImprovement: '60-80% possible',
+                expectedImprovement: IMPROVEMENT_NOT_MEASURED,
                 effort: 'medium',
                 category: 'optimization'
             });
@@ -672,7 +851,7 @@ LIMIT 1000`;
                 priority: 'medium',
                 title: 'Optimization Opportunity',
                 description: 'Query could benefit from optimization',
-                expectedImprovement: '30-50% possible',
+                expectedImprovement: IMPROVEMENT_NOT_MEASURED,
                 effort: 'low',
                 category: 'optimization'
             });
@@ -681,6 +860,7 @@ LIMIT 1000`;
         return {
             queryId: queryId,
             slug: query.slug || query['query.slug'],
+            fingerprint: query.fingerprint || fingerprintQueryMetadata(query),
             runtime: runtime,
             model: model,
             explore: explore,
@@ -745,6 +925,7 @@ QUERY DETAILS:
 - Runtime: ${runtime} seconds
 - Model: ${query.model || 'Unknown'}
 - Explore: ${query.explore || 'Unknown'}
+- Warehouse dialect: ${query.dialect || 'Unknown'}
 - Dashboard: ${query.dashboard || 'Unknown'}
 
 SQL QUERY:
@@ -962,7 +1143,7 @@ parseAIResponse(aiResponse, originalSQL, runtime) {
                         priority: runtime > 300 ? 'critical' : runtime > 120 ? 'high' : 'medium',
                         title: 'Consider PDT Implementation',
                         action: 'Create PDT to pre-compute query results',
-                        expectedImprovement: runtime > 300 ? '85-95%' : runtime > 120 ? '70-85%' : '50-70%',
+                        expectedImprovement: IMPROVEMENT_NOT_MEASURED,
                         effort: 'medium',
                         category: 'lookml'
                     });
@@ -1004,6 +1185,7 @@ QUERY DETAILS:
 - Runtime: ${runtime} seconds (${runtime > 300 ? 'CRITICAL' : runtime > 120 ? 'HIGH' : 'MEDIUM'} priority)
 - Model: ${query.model || 'Unknown'}
 - Explore: ${query.explore || 'Unknown'}
+- Warehouse dialect: ${query.dialect || 'Unknown'}
 
 ACTUAL SQL FROM LOOKER:
 \`\`\`sql
@@ -1045,4 +1227,88 @@ Focus on the most impactful optimizations for this ${runtime}-second query. Prov
 }
 }
 
-module.exports = { SQLAnalyzer };
\ No newline at end of file
+/**
+ * Joins, subqueries, predicates and aggregations of a parsed SQL script, as used by the heuristics
+ */
+function buildSQLProfile(ast) {
+    const cteNames = new Set(findSQLNodes(ast, 'cte').map(cte => (cte.name || '').toLowerCase()));
+    const isBaseTable = (source) => source.type === 'table' && !!source.name && !cteNames.has(source.name.toLowerCase());
+    const selects = findSQLNodes(ast, 'select');
+    const queries = findSQLNodes(ast, 'query');
+    const functions = findSQLNodes(ast, 'function');
+
+    const joins = findSQLNodes(ast, 'join').map(join => ({
+        joinType: join.joinType,
+        table: describeTableSource(join.table),
+        tableType: join.table.type,
+        hasCondition: !!join.on || !!join.using || join.natural,
+        // Explicit CROSS JOINs and comma joins are intended; UNNEST is correlated with the row it expands
+        cartesian: join.joinType !== 'CROSS' && join.table.type !== 'unnest' && !join.on && !join.using && !join.natural
+    }));
+
+    const tablesScanned = new Set();
+    const unfilteredTables = new Set();
+    const starTables = new Set();
+    const reads = [];
+
+    selects.forEach(select => {
+        const tables = getTableSources(select).filter(isBaseTable);
+        tables.forEach(table => tablesScanned.add(table.name));
+        if (tables.length > 0) reads.push({ select, tables });
+
+        if (tables.length > 0 && !select.where) {
+            tables.forEach(table => unfilteredTables.add(table.name));
+        }
+
+        // SELECT * over a CTE or subquery only passes columns through; over a table it reads them all
+        select.columns.forEach(column => {
+            if (column.expr?.type !== 'star') return;
+            const qualifier = column.expr.qualifier?.toLowerCase();
+            tables
+                .filter(table => !qualifier || (table.alias || table.parts[table.parts.length - 1]).toLowerCase() === qualifier)
+                .forEach(table => starTables.add(table.name));
+        });
+    });
+
+    const subqueryCount = findSQLNodes(ast, ['subquery', 'exists']).length +
+        findSQLNodes(ast, 'in').filter(node => node.query).length;
+
+    const outerQuery = ast.statements.map(statement => statement.type === 'query' ? statement : statement.query).find(Boolean);
+    const outerLimit = outerQuery?.limit?.type === 'literal' && outerQuery.limit.valueType === 'number'
+        ? outerQuery.limit.value
+        : null;
+
+    return {
+        ast: ast,
+        reads: reads,
+        parseErrors: ast.errors,
+        selectCount: selects.length,
+        cteCount: cteNames.size,
+        subqueryCount: subqueryCount,
+        joins: joins,
+        tablesScanned: Array.from(tablesScanned),
+        unfilteredTables: Array.from(unfilteredTables),
+        starTables: Array.from(starTables),
+        hasWhere: selects.some(select => !!select.where),
+        groupByCount: selects.filter(select => select.groupBy).length,
+        distinctCount: selects.filter(select => select.distinct).length + functions.filter(call => call.distinct).length,
+        aggregationCount: functions.filter(isAggregateFunction).length,
+        windowFunctionCount: functions.filter(call => call.over).length,
+        caseCount: findSQLNodes(ast, 'case').length,
+        orderByCount: queries.filter(query => query.orderBy.length > 0).length,
+        unboundedOrderByCount: queries.filter(query => query.orderBy.length > 0 && !query.limit).length,
+        setOperations: findSQLNodes(ast, 'set_operation').map(node => node.operator),
+        outerOrderBy: (outerQuery?.orderBy.length || 0) > 0,
+        limit: outerLimit,
+        lookmlGenerated: ast.comments.some(comment => /^Looker\b/i.test(comment.text)) ||
+            findSQLNodes(ast, 'template').some(node => node.raw === '${TABLE}')
+    };
+}
+
+function describeTableSource(source) {
+    if (source.type === 'table' || source.type === 'table_function') return source.name;
+    if (source.type === 'unnest') return `UNNEST ${source.alias || ''}`.trim();
+    return source.alias ? `(${source.type}) ${source.alias}` : `(${source.type})`;
+}
+
+module.exports = { SQLAnalyzer, IMPROVEMENT_NOT_MEASURED };
\ No newline at end of file
@@ -0,0 +1,441 @@
+// src/analyzers/sql-dialect-rules.js
+// Warehouse-specific SQL checks for BigQuery, Snowflake, Redshift and Postgres, picked by the Looker connection dialect
+
+const {
+    findSQLNodes,
+    splitConjuncts,
+    unwrapGroup,
+    COMPARISON_OPERATORS
+} = require('../parsers/sql-parser');
+
+// Bare words in Looker SQL that are constants or date parts rather than column references
+const CONSTANT_WORDS = new Set([
+    'CURRENT_DATE', 'CURRENT_DATETIME', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'LOCALTIMESTAMP', 'SYSDATE',
+    'MICROSECOND', 'MILLISECOND', 'SECOND', 'MINUTE', 'HOUR', 'DAY', 'DAYOFWEEK', 'DAYOFYEAR', 'WEEK',
+    'ISOWEEK', 'MONTH', 'QUARTER', 'YEAR', 'ISOYEAR', 'SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY',
+    'THURSDAY', 'FRIDAY', 'SATURDAY'
+]);
+
+// Date truncation/conversion still lets BigQuery and Snowflake prune by the underlying column
+const PRUNING_SAFE_FUNCTIONS = new Set(['DATE', 'DATETIME', 'TIMESTAMP', 'DATE_TRUNC', 'DATETIME_TRUNC', 'TIMESTAMP_TRUNC', 'TO_DATE']);
+const RANGE_OPERATORS = new Set(['<', '>', '<=', '>=', 'BETWEEN']);
+
+/**
+ * Rule family for a Looker dialect name (bigquery_standard_sql, snowflake, redshift, postgres, ...)
+ */
+function normalizeDialect(dialect) {
+    const name = String(dialect || '').toLowerCase();
+    if (!name) return null;
+    if (name.includes('bigquery')) return 'bigquery';
+    if (name.includes('snowflake')) return 'snowflake';
+    if (name.includes('redshift')) return 'redshift';
+    if (name.includes('postgres')) return 'postgres';
+    return 'other';
+}
+
+const DIALECT_RULES = [
+    // BigQuery
+    {
+        id: 'bigquery-select-star',
+        dialects: ['bigquery'],
+        supersedes: 'select-star',
+        check: ({ profile }) => profile.starTables.map(table => ({
+            severity: 'high',
+            description: `SELECT * on ${table} - BigQuery bills every column of the table, and LIMIT does not reduce bytes billed`,
+            location: 'SELECT clause',
+            recommendation: 'Select only the columns the query needs (SELECT * EXCEPT(...) if most are needed)'
+        }))
+    },
+    {
+        id: 'bigquery-partition-filter',
+        dialects: ['bigquery'],
+        supersedes: 'missing-where',
+        check: ({ profile }) => tablesWithoutPruningFilter(profile).map(table => ({
+            severity: 'high',
+            description: `No constant filter on ${table}, so BigQuery scans every partition of it`,
+            location: 'WHERE clause',
+            recommendation: 'Filter on the partitioning column with a constant expression; in LookML, use always_filter or sql_always_where on the explore'
+        }))
+    },
+    {
+        id: 'bigquery-filter-function',
+        dialects: ['bigquery'],
+        check: ({ profile }) => wrappedFilters(profile, PRUNING_SAFE_FUNCTIONS).map(filter => ({
+            severity: 'medium',
+            description: `${filter.wrappedIn}(${filter.table}.${filter.column}) in the WHERE clause hides the column from partition pruning and clustering`,
+            location: 'WHERE clause',
+            recommendation: `Compare ${filter.column} itself to a constant and convert the constant instead`
+        }))
+    },
+    {
+        id: 'bigquery-order-without-limit',
+        dialects: ['bigquery'],
+        check: ({ profile }) => profile.outerOrderBy && profile.limit === null
+            ? [{
+                severity: 'medium',
+                description: 'ORDER BY without LIMIT sorts the whole result on a single BigQuery worker and can fail with "Resources exceeded"',
+                location: 'ORDER BY clause',
+                recommendation: 'Add a LIMIT (Looker row limit) or drop the sort'
+            }]
+            : []
+    },
+    {
+        id: 'bigquery-count-distinct',
+        dialects: ['bigquery'],
+        check: ({ ast }) => countDistinctFinding(ast, 'APPROX_COUNT_DISTINCT(x)', 'BigQuery')
+    },
+
+    // Snowflake
+    {
+        id: 'snowflake-select-star',
+        dialects: ['snowflake'],
+        supersedes: 'select-star',
+        check: ({ profile }) => profile.starTables.map(table => ({
+            severity: 'medium',
+            description: `SELECT * on ${table} reads every column from remote storage and crowds the warehouse cache`,
+            location: 'SELECT clause',
+            recommendation: 'Select only the columns the query needs'
+        }))
+    },
+    {
+        id: 'snowflake-pruning',
+        dialects: ['snowflake'],
+        supersedes: 'missing-where',
+        check: ({ profile }) => tablesWithoutPruningFilter(profile).map(table => ({
+            severity: 'high',
+            description: `No constant filter on ${table}, so Snowflake cannot prune its micro-partitions`,
+            location: 'WHERE clause',
+            recommendation: `Filter on the table's clustering key, or define one (ALTER TABLE ${table} CLUSTER BY (...)) on the column this explore is usually filtered by`
+        }))
+    },
+    {
+        id: 'snowflake-filter-function',
+        dialects: ['snowflake'],
+        check: ({ profile }) => wrappedFilters(profile, PRUNING_SAFE_FUNCTIONS).map(filter => ({
+            severity: 'medium',
+            description: `${filter.wrappedIn}(${filter.table}.${filter.column}) in the WHERE clause prevents micro-partition pruning on the clustering key`,
+            location: 'WHERE clause',
+            recommendation: `Compare ${filter.column} itself to a constant and convert the constant instead`
+        }))
+    },
+    {
+        id: 'snowflake-qualify',
+        dialects: ['snowflake'],
+        check: ({ ast }) => windowFiltersInOuterQuery(ast).map(({ alias, column }) => ({
+            severity: 'medium',
+            description: `Subquery ${alias} computes window column ${column} only so the outer query can filter on it`,
+            location: 'Subqueries',
+            recommendation: `Filter the window function in the same query with QUALIFY instead of wrapping it (QUALIFY ${column} = 1)`
+        }))
+    },
+
+    // Redshift
+    {
+        id: 'redshift-join-distribution',
+        dialects: ['redshift'],
+        check: ({ profile }) => equalityJoins(profile).map(join => ({
+            severity: 'medium',
+            description: `Join on ${join.left} = ${join.right} redistributes rows across nodes unless both tables are distributed on these columns`,
+            location: 'JOIN clauses',
+            recommendation: 'Use the join columns as DISTKEY on both large tables, or DISTSTYLE ALL for small dimension tables'
+        }))
+    },
+    {
+        id: 'redshift-sortkey-filter',
+        dialects: ['redshift'],
+        check: ({ profile }) => {
+            const columns = unique(tableFilters(profile)
+                .filter(filter => !filter.wrappedIn && RANGE_OPERATORS.has(filter.operator))
+                .map(filter => `${filter.table}.${filter.column}`));
+
+            return columns.length > 0
+                ? [{
+                    severity: 'low',
+                    description: `Range filters on ${columns.join(', ')} only skip blocks if the column leads the table's SORTKEY`,
+                    location: 'WHERE clause',
+                    recommendation: 'Make the column the query is range-filtered on (usually a date) the leading SORTKEY column'
+                }]
+                : [];
+        }
+    },
+    {
+        id: 'redshift-count-distinct',
+        dialects: ['redshift'],
+        check: ({ ast }) => countDistinctFinding(ast, 'APPROXIMATE COUNT(DISTINCT x)', 'Redshift')
+    },
+
+    // Postgres
+    {
+        id: 'postgres-filter-function',
+        dialects: ['postgres'],
+        type: 'index',
+        check: ({ profile }) => wrappedFilters(profile, new Set()).map(filter => ({
+            severity: 'medium',
+            description: `${filter.wrappedIn}(${filter.table}.${filter.column}) in the WHERE clause cannot use an index on ${filter.column}`,
+            location: 'WHERE clause',
+            recommendation: `Create an expression index on ${filter.wrappedIn}(${filter.column}), or compare the bare column`
+        }))
+    },
+    {
+        id: 'postgres-leading-wildcard',
+        dialects: ['postgres'],
+        type: 'index',
+        check: ({ ast }) => findSQLNodes(ast, 'like')
+            .filter(like => like.pattern?.type === 'literal' && typeof like.pattern.value === 'string' && like.pattern.value.startsWith('%'))
+            .map(like => ({
+                severity: 'medium',
+                description: `${like.operator} '${like.pattern.value}' starts with a wildcard, so a B-tree index cannot be used`,
+                location: 'WHERE clause',
+                recommendation: 'Anchor the pattern, or add a pg_trgm GIN index for substring search'
+            }))
+    },
+    {
+        id: 'postgres-index-candidates',
+        dialects: ['postgres'],
+        type: 'index',
+        check: ({ profile }) => {
+            const columns = unique([
+                ...tableFilters(profile).filter(filter => !filter.wrappedIn).map(filter => `${filter.table}.${filter.column}`),
+                ...equalityJoins(profile).flatMap(join => [join.left, join.right])
+            ]);
+
+            return columns.length > 0
+                ? [{
+                    severity: 'low',
+                    description: `Filters and joins use ${columns.join(', ')}; without indexes on them Postgres falls back to sequential scans`,
+                    location: 'WHERE clause',
+                    recommendation: 'Check EXPLAIN for Seq Scan nodes and index these columns (one multicolumn index for filters used together)'
+                }]
+                : [];
+        }
+    }
+];
+
+/**
+ * Run the rules for a dialect; returns the issues and the generic heuristics they replace
+ * context: { ast, profile, dialect }
+ */
+function checkDialectRules(context) {
+    const family = normalizeDialect(context.dialect);
+    const issues = [];
+    const supersedes = new Set();
+
+    DIALECT_RULES.filter(rule => rule.dialects.includes(family)).forEach(rule => {
+        try {
+            const findings = rule.check(context);
+            findings.forEach(finding => {
+                issues.push({ type: rule.type || 'performance', rule: rule.id, dialect: family, ...finding });
+            });
+            // Only a rule that found something replaces the generic check; its narrower test may miss what that one catches
+            if (rule.supersedes && findings.length > 0) supersedes.add(rule.supersedes);
+        } catch (error) {
+            console.log(`⚠️ SQL dialect rule ${rule.id} failed: ${error.message}`);
+        }
+    });
+
+    return { dialect: family, issues, supersedes: Array.from(supersedes) };
+}
+
+/**
+ * Constant filters the WHERE clause of each SELECT applies to the base tables it reads
+ */
+function tableFilters(profile) {
+    const filters = [];
+
+    profile.reads.forEach(({ select, tables }) => {
+        splitConjuncts(select.where).forEach(predicate => {
+            comparisonSides(predicate).forEach(({ column: columnSide, values, operator }) => {
+                if (!values.every(isConstant)) return;
+
+                const target = unwrapGroup(columnSide);
+                let identifier = null;
+                let wrappedIn = null;
+
+                if (target?.type === 'identifier') {
+                    identifier = target;
+                } else if (target && ['function', 'cast', 'extract'].includes(target.type)) {
+                    const columns = columnReferences(target);
+                    if (columns.length !== 1) return;
+                    identifier = columns[0];
+                    wrappedIn = target.type === 'function' ? target.name : target.type.toUpperCase();
+                }
+                if (!identifier || isConstantWord(identifier)) return;
+
+                const table = tableForColumn(identifier, tables);
+                if (!table) return;
+
+                filters.push({
+                    table: table.name,
+                    column: identifier.parts[identifier.parts.length - 1],
+                    operator,
+                    wrappedIn
+                });
+            });
+        });
+    });
+
+    return filters;
+}
+
+/**
+ * Base tables read without a constant filter that a warehouse could prune on
+ */
+function tablesWithoutPruningFilter(profile) {
+    const pruned = new Set(tableFilters(profile)
+        .filter(filter => !filter.wrappedIn || PRUNING_SAFE_FUNCTIONS.has(filter.wrappedIn))
+        .map(filter => filter.table));
+
+    return profile.tablesScanned.filter(table => !pruned.has(table));
+}
+
+function wrappedFilters(profile, allowedFunctions) {
+    const seen = new Set();
+    return tableFilters(profile).filter(filter => {
+        if (!filter.wrappedIn || allowedFunctions.has(filter.wrappedIn)) return false;
+        const key = `${filter.wrappedIn}|${filter.table}|${filter.column}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * "a.x = b.y" ON conditions between two base tables of the same SELECT
+ */
+function equalityJoins(profile) {
+    const joins = [];
+
+    profile.reads.forEach(({ select, tables }) => {
+        select.joins.forEach(join => {
+            splitConjuncts(join.on).forEach(predicate => {
+                if (predicate.type !== 'binary' || predicate.operator !== '=') return;
+
+                const left = unwrapGroup(predicate.left);
+                const right = unwrapGroup(predicate.right);
+                if (left?.type !== 'identifier' || right?.type !== 'identifier') return;
+
+                const leftTable = tableForColumn(left, tables);
+                const rightTable = tableForColumn(right, tables);
+                if (!leftTable || !rightTable || leftTable === rightTable) return;
+
+                const leftColumn = left.parts[left.parts.length - 1];
+                const rightColumn = right.parts[right.parts.length - 1];
+                joins.push({
+                    left: `${leftTable.name}.${leftColumn}`,
+                    right: `${rightTable.name}.${rightColumn}`,
+                    columns: [
+                        { table: leftTable.name, column: leftColumn },
+                        { table: rightTable.name, column: rightColumn }
+                    ]
+                });
+            });
+        });
+    });
+
+    return joins;
+}
+
+/**
+ * Base-table columns the SQL filters on with constants and joins on, for layout advice
+ * (partitioning, clustering, indexes) that depends on which columns queries actually use
+ */
+function predicateColumns(profile) {
+    return {
+        filters: tableFilters(profile),
+        joins: equalityJoins(profile).flatMap(join => join.columns)
+    };
+}
+
+/**
+ * Subqueries whose window-function column is only filtered on by the enclosing SELECT
+ */
+function windowFiltersInOuterQuery(ast) {
+    const found = [];
+
+    findSQLNodes(ast, 'select').forEach(select => {
+        if (!select.where || select.from?.type !== 'subquery') return;
+
+        const inner = select.from.query?.body;
+        if (inner?.type !== 'select') return;
+
+        const windowColumns = inner.columns
+            .filter(column => column.alias && unwrapGroup(column.expr)?.type === 'function' && unwrapGroup(column.expr).over)
+            .map(column => column.alias.toLowerCase());
+
+        const filtered = columnReferences(select.where)
+            .map(identifier => identifier.parts[identifier.parts.length - 1].toLowerCase())
+            .filter(name => windowColumns.includes(name));
+
+        unique(filtered).forEach(column => found.push({ alias: select.from.alias || '(subquery)', column }));
+    });
+
+    return found;
+}
+
+function countDistinctFinding(ast, replacement, warehouse) {
+    const count = findSQLNodes(ast, 'function').filter(call => call.name === 'COUNT' && call.distinct).length;
+    return count > 0
+        ? [{
+            severity: 'low',
+            description: `${count} exact COUNT(DISTINCT ...) aggregation(s); exact distinct counts are memory-heavy in ${warehouse}`,
+            location: 'SELECT clause',
+            recommendation: `Use ${replacement} where an error of about 1% is acceptable`
+        }]
+        : [];
+}
+
+/**
+ * Column side and value side(s) of a filter predicate; both orientations for binary comparisons
+ */
+function comparisonSides(predicate) {
+    if (predicate.type === 'binary' && COMPARISON_OPERATORS.has(predicate.operator)) {
+        return [
+            { column: predicate.left, values: [predicate.right], operator: predicate.operator },
+            { column: predicate.right, values: [predicate.left], operator: predicate.operator }
+        ];
+    }
+    if (predicate.type === 'between') return [{ column: predicate.expr, values: [predicate.low, predicate.high], operator: 'BETWEEN' }];
+    if (predicate.type === 'in' && predicate.values) return [{ column: predicate.expr, values: predicate.values, operator: 'IN' }];
+    if (predicate.type === 'like') return [{ column: predicate.expr, values: [predicate.pattern], operator: predicate.operator }];
+    if (predicate.type === 'is') return [{ column: predicate.expr, values: [predicate.value], operator: 'IS' }];
+    return [];
+}
+
+function isConstant(expr) {
+    return !!expr && findSQLNodes(expr, ['subquery', 'exists', 'star']).length === 0 && columnReferences(expr).length === 0;
+}
+
+function isConstantWord(identifier) {
+    return identifier.parts.length === 1 && CONSTANT_WORDS.has(identifier.parts[0].toUpperCase());
+}
+
+function columnReferences(expr) {
+    return findSQLNodes(expr, 'identifier').filter(identifier => !isConstantWord(identifier));
+}
+
+/**
+ * Base table a column belongs to, by qualifier (alias or table name); unqualified only with a single table
+ */
+function tableForColumn(identifier, tables) {
+    if (identifier.parts.length === 1) {
+        return tables.length === 1 ? tables[0] : null;
+    }
+
+    const qualifier = identifier.parts[identifier.parts.length - 2].toLowerCase();
+    return tables.find(table => (table.alias || table.parts[table.parts.length - 1]).toLowerCase() === qualifier) || null;
+}
+
+function unique(values) {
+    return Array.from(new Set(values));
+}
+
+module.exports = {
+    DIALECT_RULES,
+    checkDialectRules,
+    normalizeDialect,
+    predicateColumns,
+    comparisonSides,
+    columnReferences,
+    isConstant,
+    PRUNING_SAFE_FUNCTIONS
+};
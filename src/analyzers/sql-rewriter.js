@@ -0,0 +1,649 @@
+// src/analyzers/sql-rewriter.js
+// Rewrites parsed SQL with safe transformations and returns SQL Runner-ready text, the applied rules and a diff
+
+const {
+    parseSQL,
+    walkSQL,
+    findSQLNodes,
+    splitConjuncts,
+    unwrapGroup,
+    getTableSources,
+    isAggregateFunction
+} = require('../parsers/sql-parser');
+const { normalizeDialect } = require('./sql-dialect-rules');
+
+// Each rule finds one rewrite site per call; the engine re-parses and calls it again until it returns null
+const REWRITE_RULES = [
+    {
+        id: 'correlated-subquery-to-join',
+        title: 'Correlated subquery rewritten as a join',
+        rewrite: rewriteCorrelatedSubquery
+    },
+    {
+        id: 'push-predicate-into-cte',
+        title: 'Filter pushed into CTE',
+        rewrite: pushPredicateIntoCTE
+    },
+    {
+        id: 'expand-select-star',
+        title: 'SELECT * replaced with referenced columns',
+        rewrite: expandSelectStar
+    },
+    {
+        id: 'limit-unbounded-order-by',
+        title: 'LIMIT added to unbounded ORDER BY',
+        // Only the row count changes, but it does change the result set
+        changesResults: true,
+        dialects: ['bigquery', 'snowflake', 'redshift', 'postgres'],
+        rewrite: limitUnboundedOrderBy
+    }
+];
+
+const MAX_APPLICATIONS_PER_RULE = 20;
+const COUNT_FUNCTIONS = new Set(['COUNT', 'COUNTIF', 'COUNT_IF', 'APPROX_COUNT_DISTINCT']);
+const NONDETERMINISTIC_FUNCTIONS = new Set(['RAND', 'RANDOM', 'UUID', 'GENERATE_UUID', 'UUID_STRING', 'NEWID']);
+const CONSTANT_WORDS = new Set([
+    'CURRENT_DATE', 'CURRENT_DATETIME', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'LOCALTIMESTAMP', 'SYSDATE',
+    'MICROSECOND', 'MILLISECOND', 'SECOND', 'MINUTE', 'HOUR', 'DAY', 'DAYOFWEEK', 'DAYOFYEAR', 'WEEK',
+    'ISOWEEK', 'MONTH', 'QUARTER', 'YEAR', 'ISOYEAR', 'TRUE', 'FALSE', 'NULL'
+]);
+const SIMPLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class SQLRewriter {
+    constructor(config = {}) {
+        this.config = config;
+        this.rowLimit = config.sqlRewriteLimit || parseInt(process.env.SQL_REWRITE_LIMIT, 10) || 5000;
+    }
+
+    /**
+     * Apply every rule that matches; each application must re-parse without new errors or it is undone
+     */
+    rewrite(sql, options = {}) {
+        const dialect = options.dialect || null;
+        const family = normalizeDialect(dialect);
+        const original = parseSQL(sql, { dialect });
+        const applied = [];
+        const skipped = [];
+
+        if (original.statements.length !== 1) {
+            return this.result(sql, sql, applied, [{
+                rule: null,
+                reason: original.statements.length === 0 ? 'No statement to rewrite' : 'Only single-statement SQL is rewritten'
+            }]);
+        }
+
+        let current = { sql, ast: original };
+
+        REWRITE_RULES
+            .filter(rule => !rule.dialects || !family || rule.dialects.includes(family))
+            .forEach(rule => {
+                for (let i = 0; i < MAX_APPLICATIONS_PER_RULE; i++) {
+                    const context = { sql: current.sql, ast: current.ast, dialect: family, rowLimit: this.rowLimit };
+                    const change = rule.rewrite(context);
+                    if (!change) break;
+
+                    const rewritten = applyEdits(current.sql, change.edits);
+                    const ast = parseSQL(rewritten, { dialect });
+
+                    if (ast.errors.length > current.ast.errors.length || ast.statements.length !== 1) {
+                        skipped.push({
+                            rule: rule.id,
+                            reason: `Rewritten SQL did not parse: ${ast.errors[0]?.message || 'statement lost'}`
+                        });
+                        break;
+                    }
+
+                    applied.push({
+                        rule: rule.id,
+                        title: rule.title,
+                        description: change.description,
+                        changesResults: !!rule.changesResults
+                    });
+                    current = { sql: rewritten, ast };
+                }
+            });
+
+        return this.result(sql, current.sql, applied, skipped);
+    }
+
+    result(original, rewritten, applied, skipped) {
+        return {
+            changed: rewritten !== original,
+            sql: rewritten,
+            applied: applied,
+            skipped: skipped,
+            diff: rewritten !== original ? diffLines(original, rewritten) : ''
+        };
+    }
+}
+
+/**
+ * EXISTS (...) in WHERE becomes an inner join to the distinct correlation keys;
+ * a scalar aggregate subquery in the SELECT list becomes a left join to a grouped subquery
+ */
+function rewriteCorrelatedSubquery({ sql, ast }) {
+    for (const select of findSQLNodes(ast, 'select')) {
+        const outerAliases = getTableSources(select).map(sourceAlias).filter(Boolean);
+        if (outerAliases.length === 0) continue;
+
+        for (const conjunct of splitConjuncts(select.where)) {
+            if (conjunct.type !== 'exists') continue;
+
+            const correlation = analyzeCorrelation(sql, conjunct.query, outerAliases);
+            if (!correlation) continue;
+
+            const alias = freshAlias(sql, 'semi_join');
+            const keys = correlation.keys.map((key, i) => `${key.inner} AS key_${i + 1}`).join(', ');
+            const join = `INNER JOIN (SELECT DISTINCT ${keys} FROM ${correlation.from}${correlation.where}) AS ${alias}` +
+                ` ON ${joinCondition(alias, correlation.keys)}`;
+            const removal = removeConjunct(sql, select.where, conjunct);
+            const end = sourcesEnd(select);
+
+            return {
+                description: `EXISTS on ${correlation.table} joined as DISTINCT ${correlation.keys.map(key => key.inner).join(', ')}, so rows are not duplicated`,
+                // A WHERE holding only the EXISTS right after the sources is replaced by the join
+                edits: removal.start === end
+                    ? [insertClause(sql, end, join, removal.end)]
+                    : [removal, insertClause(sql, end, join)]
+            };
+        }
+
+        if (select.groupBy || ownNodes(select.columns, 'function').some(isAggregateFunction)) continue;
+
+        for (const column of select.columns) {
+            if (column.expr.type !== 'subquery' || !column.alias) continue;
+
+            const correlation = analyzeCorrelation(sql, column.expr.query, outerAliases);
+            const aggregate = correlation && unwrapGroup(column.expr.query.body.columns[0]?.expr);
+            if (!aggregate || column.expr.query.body.columns.length !== 1 ||
+                aggregate.type !== 'function' || !isAggregateFunction(aggregate)) continue;
+            // The aggregate moves into a join that cannot see the outer row, so it may only read the inner table
+            if (!columnRefs(aggregate).every(ref => ref.parts.length > 1 && ref.parts[0].toLowerCase() === correlation.alias)) continue;
+
+            const alias = freshAlias(sql, 'scalar_join');
+            const keys = correlation.keys.map((key, i) => `${key.inner} AS key_${i + 1}`).join(', ');
+            // No matching rows gives COUNT 0 from the subquery but NULL from the join
+            const value = COUNT_FUNCTIONS.has(aggregate.name) ? `COALESCE(${alias}.value, 0)` : `${alias}.value`;
+
+            return {
+                description: `Scalar ${aggregate.name} subquery on ${correlation.table} joined once, grouped by ${correlation.keys.map(key => key.inner).join(', ')}`,
+                edits: [
+                    replaceNode(column.expr, value),
+                    insertClause(sql, sourcesEnd(select),
+                        `LEFT JOIN (SELECT ${keys}, ${text(sql, aggregate)} AS value FROM ${correlation.from}${correlation.where}` +
+                        ` GROUP BY ${correlation.keys.map(key => key.inner).join(', ')}) AS ${alias}` +
+                        ` ON ${joinCondition(alias, correlation.keys)}`)
+                ]
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Correlation keys of a single-table subquery whose WHERE only has local filters and inner = outer equalities
+ */
+function analyzeCorrelation(sql, query, outerAliases) {
+    if (query.type !== 'query' || query.with.length > 0 || query.limit || query.body.type !== 'select') return null;
+
+    const inner = query.body;
+    if (!inner.from || inner.from.type !== 'table' || inner.joins.length > 0 || !inner.where ||
+        inner.groupBy || inner.having || inner.qualify || inner.distinct) return null;
+
+    const innerAlias = sourceAlias(inner.from).toLowerCase();
+    const outer = new Set(outerAliases.map(alias => alias.toLowerCase()).filter(alias => alias !== innerAlias));
+    const isInner = (ref) => ref.parts.length === 1 || ref.parts[0].toLowerCase() === innerAlias;
+    const isOuter = (ref) => ref.parts.length > 1 && outer.has(ref.parts[0].toLowerCase());
+
+    const keys = [];
+    const local = [];
+
+    for (const conjunct of splitConjuncts(inner.where)) {
+        if (findSQLNodes(conjunct, ['subquery', 'exists', 'star']).length > 0) return null;
+
+        const refs = columnRefs(conjunct);
+        if (refs.every(isInner)) {
+            local.push(conjunctText(sql, conjunct));
+            continue;
+        }
+
+        if (conjunct.type !== 'binary' || conjunct.operator !== '=') return null;
+        const left = columnRefs(conjunct.left);
+        const right = columnRefs(conjunct.right);
+        const sides = [[conjunct.left, left, conjunct.right, right], [conjunct.right, right, conjunct.left, left]]
+            .find(([, innerRefs, , outerRefs]) =>
+                innerRefs.length > 0 && innerRefs.every(isInner) && outerRefs.length > 0 && outerRefs.every(isOuter));
+        if (!sides) return null;
+
+        keys.push({ inner: text(sql, sides[0]), outer: text(sql, sides[2]) });
+    }
+
+    if (keys.length === 0) return null;
+
+    return {
+        table: inner.from.name,
+        alias: innerAlias,
+        from: text(sql, inner.from),
+        where: local.length > 0 ? ` WHERE ${local.join(' AND ')}` : '',
+        keys: keys
+    };
+}
+
+/**
+ * Copy outer WHERE filters on a CTE's columns into the CTE, when the CTE is read once and not outer-joined
+ */
+function pushPredicateIntoCTE({ sql, ast }) {
+    for (const query of findSQLNodes(ast, 'query')) {
+        if (query.recursive) continue;
+
+        for (const cte of query.with) {
+            const body = cte.query;
+            if (cte.columns?.length > 0 || body.type !== 'query' || body.with.length > 0 || body.limit ||
+                body.body.type !== 'select') continue;
+
+            const inner = body.body;
+            if (!inner.from || inner.distinct || inner.groupBy || inner.having || inner.qualify ||
+                ownNodes(inner.columns, 'function').some(call => call.over || isAggregateFunction(call))) continue;
+
+            const reader = findSingleReader(ast, cte.name);
+            if (!reader || !isInnerSource(reader.select, reader.source)) continue;
+
+            const columns = outputColumns(sql, inner);
+            if (!columns) continue;
+
+            const alias = (reader.source.alias || cte.name).toLowerCase();
+            const existing = splitConjuncts(inner.where).map(conjunct => normalizeText(conjunctText(sql, conjunct)));
+
+            for (const conjunct of splitConjuncts(reader.select.where)) {
+                const refs = columnRefs(conjunct);
+                if (refs.length === 0 || findSQLNodes(conjunct, ['subquery', 'exists', 'star']).length > 0) continue;
+                if (findSQLNodes(conjunct, 'function').some(call => NONDETERMINISTIC_FUNCTIONS.has(call.name))) continue;
+                if (!refs.every(ref => ref.parts.length === 2 && ref.parts[0].toLowerCase() === alias &&
+                    columns.has(ref.parts[1]))) continue;
+
+                const predicate = substitute(sql, conjunct, refs.map(ref => ({
+                    node: ref,
+                    text: columns.get(ref.parts[1])
+                })));
+                const pushed = wrapOr(conjunct, predicate);
+                if (existing.includes(normalizeText(pushed))) continue;
+
+                return {
+                    description: `${text(sql, conjunct)} copied into CTE ${cte.name}, so it is applied before the CTE is joined`,
+                    edits: [addFilter(sql, inner, pushed)]
+                };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * SELECT * in a single-table CTE or FROM subquery becomes the columns its readers reference
+ */
+function expandSelectStar({ ast }) {
+    const derived = [];
+
+    findSQLNodes(ast, 'query').forEach(query => {
+        if (query.recursive) return;
+        query.with.forEach(cte => {
+            if (cte.columns?.length > 0) return;
+            derived.push({
+                name: cte.name,
+                query: cte.query,
+                readers: findReaders(ast, cte.name).map(reader => ({ select: reader.select, alias: reader.source.alias || cte.name }))
+            });
+        });
+    });
+
+    findSQLNodes(ast, 'select').forEach(select => {
+        getTableSources(select)
+            .filter(source => source.type === 'subquery' && source.alias)
+            .forEach(source => derived.push({
+                name: source.alias,
+                query: source.query,
+                readers: [{ select, alias: source.alias }]
+            }));
+    });
+
+    for (const candidate of derived) {
+        const query = candidate.query;
+        if (query.type !== 'query' || query.body.type !== 'select' || candidate.readers.length === 0) continue;
+
+        const inner = query.body;
+        const star = inner.columns.length === 1 ? inner.columns[0].expr : null;
+        if (!star || star.type !== 'star' || star.qualifier || star.except.length > 0 || star.replace.length > 0 ||
+            inner.distinct || !inner.from || inner.joins.length > 0 || inner.from.type === 'join_group') continue;
+
+        const columns = referencedColumns(candidate.readers, query);
+        if (!columns || columns.length === 0) continue;
+
+        return {
+            description: `SELECT * in ${candidate.name} limited to ${columns.join(', ')}`,
+            edits: [replaceNode(star, columns.join(', '))]
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Columns the readers use from a derived table (ignoring the derived query itself when it is nested in the reader),
+ * or null when a reader needs all of them or is ambiguous
+ */
+function referencedColumns(readers, derivedQuery) {
+    const columns = new Map();
+    const add = (name) => {
+        if (!SIMPLE_NAME.test(name)) return false;
+        if (!columns.has(name.toLowerCase())) columns.set(name.toLowerCase(), name);
+        return true;
+    };
+
+    for (const { select, alias } of readers) {
+        const qualifier = alias.toLowerCase();
+        const single = getTableSources(select).length === 1;
+
+        // Any unqualified * in the reader may read every column
+        const stars = findSQLNodes(select, 'star').filter(star => !contains(derivedQuery, star));
+        if (stars.some(star => !star.qualifier || star.qualifier.toLowerCase() === qualifier)) {
+            return null;
+        }
+
+        for (const ref of findSQLNodes(select, 'identifier').filter(node => !contains(derivedQuery, node))) {
+            if (ref.parts.length > 1 && ref.parts[0].toLowerCase() === qualifier && !add(ref.parts[1])) return null;
+        }
+
+        const outputAliases = new Set(select.columns.map(column => column.alias?.toLowerCase()).filter(Boolean));
+        const unqualified = columnRefs(ownNodes([
+            select.columns, select.where, select.groupBy, select.having, select.qualify, select.joins
+        ], 'identifier')).filter(ref => ref.parts.length === 1 && !outputAliases.has(ref.parts[0].toLowerCase()));
+
+        if (unqualified.length > 0) {
+            if (!single) return null;
+            if (!unqualified.every(ref => add(ref.parts[0]))) return null;
+        }
+    }
+
+    return Array.from(columns.values());
+}
+
+/**
+ * ORDER BY on the outermost query without a LIMIT sorts every row; cap it at the configured row limit
+ */
+function limitUnboundedOrderBy({ ast, rowLimit }) {
+    const query = ast.statements[0];
+    if (!query || query.type !== 'query' || query.orderBy.length === 0 || query.limit) return null;
+
+    return {
+        description: `Outer ORDER BY sorted the full result; returns the first ${rowLimit} rows instead`,
+        edits: [insertAt(query.loc.end.offset, `\nLIMIT ${rowLimit}`)]
+    };
+}
+
+function findReaders(ast, name) {
+    const readers = [];
+    findSQLNodes(ast, 'select').forEach(select => {
+        getTableSources(select)
+            .filter(source => source.type === 'table' && source.parts.length === 1 &&
+                source.name.toLowerCase() === name.toLowerCase())
+            .forEach(source => readers.push({ select, source }));
+    });
+    return readers;
+}
+
+function findSingleReader(ast, name) {
+    const readers = findReaders(ast, name);
+    return readers.length === 1 ? readers[0] : null;
+}
+
+/**
+ * Source is the FROM item or inner-joined, and no RIGHT/FULL join can null its rows
+ */
+function isInnerSource(select, source) {
+    if (select.joins.some(join => join.joinType === 'RIGHT' || join.joinType === 'FULL')) return false;
+    if (select.from === source) return true;
+    const join = select.joins.find(candidate => candidate.table === source);
+    return !!join && (join.joinType === 'INNER' || join.joinType === 'CROSS');
+}
+
+/**
+ * Lookup of output column name -> SQL text producing it inside the select, or null when it cannot be mapped
+ */
+function outputColumns(sql, select) {
+    const columns = new Map();
+
+    for (const column of select.columns) {
+        const expr = column.expr;
+        if (expr.type === 'star') {
+            // SELECT * from one source exposes its columns by their own names
+            if (expr.qualifier || expr.except.length > 0 || expr.replace.length > 0 ||
+                select.joins.length > 0 || select.columns.length > 1) return null;
+            return { has: (name) => SIMPLE_NAME.test(name), get: (name) => name };
+        }
+
+        if (findSQLNodes(expr, ['subquery', 'exists']).length > 0) continue;
+        const name = column.alias || (expr.type === 'identifier' ? expr.parts[expr.parts.length - 1] : null);
+        if (!name) continue;
+        columns.set(name.toLowerCase(), expr.type === 'identifier' ? text(sql, expr) : `(${text(sql, expr)})`);
+    }
+
+    return {
+        has: (name) => columns.has(name.toLowerCase()),
+        get: (name) => columns.get(name.toLowerCase())
+    };
+}
+
+function addFilter(sql, select, predicate) {
+    if (!select.where) {
+        return insertClause(sql, sourcesEnd(select), `WHERE ${predicate}`);
+    }
+
+    const where = unwrapGroup(select.where);
+    if (where.type === 'binary' && where.operator === 'OR') {
+        return replaceNode(select.where, `(${text(sql, select.where)}) AND ${predicate}`);
+    }
+    return insertAt(select.where.loc.end.offset, ` AND ${predicate}`);
+}
+
+/**
+ * Delete a top-level conjunct with its AND; a lone predicate takes its WHERE keyword with it
+ */
+function removeConjunct(sql, where, conjunct) {
+    const conjuncts = conjunctExtents(where);
+    const index = conjuncts.findIndex(extent => extent.node === conjunct);
+
+    if (conjuncts.length === 1) {
+        const before = sql.slice(0, where.loc.start.offset);
+        const keyword = before.match(/\s*\bWHERE\s*$/i);
+        return keyword
+            ? { start: keyword.index, end: where.loc.end.offset, text: '' }
+            : replaceNode(conjunct, 'TRUE');
+    }
+
+    return index > 0
+        ? { start: conjuncts[index - 1].outer.loc.end.offset, end: conjuncts[index].outer.loc.end.offset, text: '' }
+        : { start: conjuncts[0].outer.loc.start.offset, end: conjuncts[1].outer.loc.start.offset, text: '' };
+}
+
+/**
+ * splitConjuncts() with each conjunct's outermost parentheses, which go when the conjunct is removed
+ */
+function conjunctExtents(expr) {
+    const node = unwrapGroup(expr);
+    if (!node) return [];
+    if (node.type === 'binary' && node.operator === 'AND') {
+        return [...conjunctExtents(node.left), ...conjunctExtents(node.right)];
+    }
+    return [{ node, outer: expr }];
+}
+
+/**
+ * End offset of the last FROM item or join, where new joins and a missing WHERE go
+ */
+function sourcesEnd(select) {
+    const last = select.joins.length > 0 ? select.joins[select.joins.length - 1] : select.from;
+    return last.loc.end.offset;
+}
+
+function joinCondition(alias, keys) {
+    return keys.map((key, i) => `${alias}.key_${i + 1} = ${key.outer}`).join(' AND ');
+}
+
+/**
+ * Node text with the given identifier nodes replaced
+ */
+function substitute(sql, node, replacements) {
+    let result = '';
+    let position = node.loc.start.offset;
+
+    [...replacements]
+        .sort((a, b) => a.node.loc.start.offset - b.node.loc.start.offset)
+        .forEach(({ node: ref, text: replacement }) => {
+            result += sql.slice(position, ref.loc.start.offset) + replacement;
+            position = ref.loc.end.offset;
+        });
+
+    return result + sql.slice(position, node.loc.end.offset);
+}
+
+/**
+ * splitConjuncts() drops parentheses, so OR-ed predicates need them back when AND-ed elsewhere
+ */
+function wrapOr(node, value) {
+    return node.type === 'binary' && node.operator === 'OR' ? `(${value})` : value;
+}
+
+function conjunctText(sql, conjunct) {
+    return wrapOr(conjunct, text(sql, conjunct));
+}
+
+/**
+ * Nodes of the given type that belong to this query level, not to nested subqueries
+ */
+function ownNodes(node, types) {
+    const wanted = new Set(Array.isArray(types) ? types : [types]);
+    const found = [];
+    walkSQL(node, (current) => {
+        if (current.type === 'query') return false;
+        if (wanted.has(current.type)) found.push(current);
+    });
+    return found;
+}
+
+function columnRefs(nodes) {
+    const identifiers = Array.isArray(nodes) ? nodes : findSQLNodes(nodes, 'identifier');
+    return identifiers.filter(ref => !(ref.parts.length === 1 && CONSTANT_WORDS.has(ref.parts[0].toUpperCase())));
+}
+
+function sourceAlias(source) {
+    if (source.alias) return source.alias;
+    return source.type === 'table' ? source.parts[source.parts.length - 1] : null;
+}
+
+/**
+ * Alias not already used anywhere in the SQL
+ */
+function freshAlias(sql, base) {
+    let index = 1;
+    while (new RegExp(`\\b${base}_${index}\\b`, 'i').test(sql)) index++;
+    return `${base}_${index}`;
+}
+
+function contains(container, node) {
+    return node.loc.start.offset >= container.loc.start.offset && node.loc.end.offset <= container.loc.end.offset;
+}
+
+function text(sql, node) {
+    return sql.slice(node.loc.start.offset, node.loc.end.offset);
+}
+
+function normalizeText(value) {
+    return value.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Insert a clause on its own line after offset (replacing the text up to replaceUntil),
+ * moving whatever followed on that line to the next one
+ */
+function insertClause(sql, offset, clause, replaceUntil = offset) {
+    const rest = sql.slice(replaceUntil);
+    const spaces = rest.match(/^[ \t]*/)[0];
+    const endOfLine = /^[ \t]*(\r?\n|$)/.test(rest);
+    return endOfLine
+        ? { start: offset, end: replaceUntil, text: `\n${clause}` }
+        : { start: offset, end: replaceUntil + spaces.length, text: `\n${clause}\n` };
+}
+
+function insertAt(offset, value) {
+    return { start: offset, end: offset, text: value };
+}
+
+function replaceNode(node, value) {
+    return { start: node.loc.start.offset, end: node.loc.end.offset, text: value };
+}
+
+/**
+ * Apply non-overlapping edits, last first so earlier offsets stay valid
+ */
+function applyEdits(sql, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), sql);
+}
+
+/**
+ * Unified diff of two texts by line, with three lines of context
+ */
+function diffLines(before, after, context = 3) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+
+    // Longest common subsequence table, from the end
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            lines.push({ op: ' ', text: a[i], a: i++, b: j++ });
+        } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            lines.push({ op: '-', text: a[i], a: i++, b: j });
+        } else {
+            lines.push({ op: '+', text: b[j], a: i, b: j++ });
+        }
+    }
+
+    const hunks = [];
+    lines.forEach((line, index) => {
+        if (line.op === ' ') return;
+        const start = Math.max(index - context, 0);
+        const end = Math.min(index + context, lines.length - 1);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end + 1) {
+            last.end = end;
+        } else {
+            hunks.push({ start, end });
+        }
+    });
+
+    const output = ['--- original.sql', '+++ rewritten.sql'];
+    hunks.forEach(({ start, end }) => {
+        const hunk = lines.slice(start, end + 1);
+        const oldCount = hunk.filter(line => line.op !== '+').length;
+        const newCount = hunk.filter(line => line.op !== '-').length;
+        output.push(`@@ -${hunk[0].a + 1},${oldCount} +${hunk[0].b + 1},${newCount} @@`);
+        hunk.forEach(line => output.push(`${line.op}${line.text}`));
+    });
+
+    return output.join('\n');
+}
+
+module.exports = { SQLRewriter, REWRITE_RULES, diffLines };
@@ -13,8 +13,16 @@ if (dotenvResult.error) {
 // Import enhanced diagnostic engine
 const { QueryPerformanceDiagnostic } = require('./diagnostic-engine');
 
-// Import BigQuery connector
+// Import BigQuery connector and analyzer
 const { BigQueryConnector } = require('./connectors/bigquery-connector');
+const { BigQueryAnalyzer } = require('./analyzers/bigquery-analyzer');
+const { MCPConnector } = require('./connectors/mcp-connector');
+
+// Import run history store and run comparison
+const { RunStore } = require('./storage/run-store');
+const { RunDiffAnalyzer } = require('./analyzers/run-diff-analyzer');
+const { DiagnosticJobManager } = require('./jobs/diagnostic-job-manager');
+const { LookMLRuleEngine } = require('./analyzers/lookml-rule-engine');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -30,6 +38,121 @@ const bigQueryConnector = new BigQueryConnector({
     serviceAccountPath: process.env.GOOGLE_APPLICATION_CREDENTIALS
 });
 
+// Initialize run history store
+const runStore = new RunStore();
+const runDiffAnalyzer = new RunDiffAnalyzer();
+
+/**
+ * Persist a diagnostic report; a storage failure never fails the diagnostic itself
+ */
+async function saveRunSafely(type, config, report) {
+    if (!report || report.error) return null;
+
+    try {
+        const run = await runStore.saveRun({ type, config, report });
+        return run.id;
+    } catch (error) {
+        console.log('⚠️  Could not save diagnostic run:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Add BigQuery optimization results to a full diagnostic report if available
+ */
+async function addBigQueryOptimization(results, diagnostic) {
+    if (results.slowQueryAnalysis && results.slowQueryAnalysis.totalSlowQueries > 0) {
+        console.log('🔍 Running BigQuery optimization analysis...');
+        
+        try {
+            const bigQueryOptimizations = [];
+            
+            // Every BigQuery connection, with the region of its dataset
+            const connections = await bigQueryConnector.discoverConnections(diagnostic.lookerApiConnector);
+            
+            if (connections.length > 0) {
+                // Job history is scanned once across all projects/regions (BIGQUERY_SCAN_TARGETS or the discovered ones)
+                const jobAnalyses = await bigQueryConnector.runJobAnalyses({
+                    scanTargets: connections.map(details => ({ projectId: details.projectId, region: details.region }))
+                });
+                
+                for (const connectionDetails of connections) {
+                    const tableOptimization = await bigQueryConnector.analyzeTableOptimization(connectionDetails);
+                    bigQueryOptimizations.push({
+                        connection: connectionDetails.connectionName,
+                        connectionDetails,
+                        tableOptimization
+                    });
+                }
+                
+                const recommendations = bigQueryConnector.generateOptimizationRecommendations({
+                    ...jobAnalyses,
+                    tableOptimization: {
+                        success: bigQueryOptimizations.some(optimization => optimization.tableOptimization.success),
+                        data: bigQueryOptimizations.flatMap(optimization => optimization.tableOptimization.data || [])
+                    }
+                });
+                
+                results.bigQueryOptimization = {
+                    connectionsAnalyzed: bigQueryOptimizations.length,
+                    scanTargets: jobAnalyses.scanTargets,
+                    jobAnalyses,
+                    optimizations: bigQueryOptimizations,
+                    recommendations,
+                    totalRecommendations: recommendations.length
+                };
+                
+                console.log(`✅ Added BigQuery optimization for ${bigQueryOptimizations.length} connections across ${jobAnalyses.scanTargets.length} project/region pairs`);
+            }
+        } catch (bqError) {
+            console.log('⚠️  BigQuery optimization failed, continuing without it:', bqError.message);
+            results.bigQueryOptimization = {
+                error: 'BigQuery optimization failed',
+                message: bqError.message,
+                fallbackMode: true
+            };
+        }
+    }
+}
+
+/**
+ * Attribute Looker-issued BigQuery jobs to models, explores, dashboards and users;
+ * needs the Looker connectors for query history, so they are started for the call
+ */
+async function attributeLookerCosts(scanTargets, options) {
+    const diagnostic = new QueryPerformanceDiagnostic({
+        lookerUrl: process.env.LOOKER_BASE_URL,
+        clientId: process.env.LOOKER_CLIENT_ID,
+        clientSecret: process.env.LOOKER_CLIENT_SECRET
+    });
+    
+    try {
+        await diagnostic.initializeConnectors();
+        return await diagnostic.bigqueryAnalyzer.attributeLookerCosts(
+            diagnostic.bigqueryConnector,
+            diagnostic.mcpConnector,
+            diagnostic.lookerApiConnector,
+            { ...options, scanTargets }
+        );
+    } catch (error) {
+        console.log('⚠️  BigQuery cost attribution failed:', error.message);
+        return { available: false, reason: error.message };
+    } finally {
+        await diagnostic.shutdownConnectors();
+    }
+}
+
+// Background diagnostic jobs; finished reports are enriched and saved to run history
+const diagnosticJobs = new DiagnosticJobManager({
+    createDiagnostic: (config) => new QueryPerformanceDiagnostic(config),
+    onComplete: async (job, diagnostic, results) => {
+        if (job.type === 'full') {
+            await addBigQueryOptimization(results, diagnostic);
+        }
+        results.runId = await saveRunSafely(job.type, job.config, results);
+    }
+});
+
 // =============================================================================
 // HEALTH AND CONFIG ENDPOINTS
 // =============================================================================
@@ -152,6 +275,8 @@ app.post('/api/bigquery/initialize', async (req, res) => {
 
 // Get BigQuery connection details for a Looker connection
 app.post('/api/bigquery/connection-details', async (req, res) => {
+    let diagnostic = null;
+    
     try {
         const { connectionName } = req.body;
         
@@ -170,7 +295,7 @@ app.post('/api/bigquery/connection-details', async (req, res) => {
             clientSecret: process.env.LOOKER_CLIENT_SECRET
         };
 
-        const diagnostic = new QueryPerformanceDiagnostic(config);
+        diagnostic = new QueryPerformanceDiagnostic(config);
         await diagnostic.initializeConnectors();
         
         const connectionDetails = await bigQueryConnector.getConnectionDetails(
@@ -191,13 +316,15 @@ app.post('/api/bigquery/connection-details', async (req, res) => {
             success: false,
             error: error.message
         });
+    } finally {
+        await diagnostic?.shutdownConnectors();
     }
 });
 
 // Run comprehensive BigQuery optimization analysis
 app.post('/api/bigquery/optimize', async (req, res) => {
     try {
-        const { connectionName, projectId, dataset } = req.body;
+        const { connectionName, projectId, dataset, region } = req.body;
         
         console.log('🚀 Starting BigQuery optimization analysis...');
         
@@ -213,18 +340,23 @@ app.post('/api/bigquery/optimize', async (req, res) => {
             };
 
             const diagnostic = new QueryPerformanceDiagnostic(config);
-            await diagnostic.initializeConnectors();
-            
-            connectionDetails = await bigQueryConnector.getConnectionDetails(
-                connectionName, 
-                diagnostic.lookerApiConnector
-            );
+            try {
+                await diagnostic.initializeConnectors();
+
+                connectionDetails = await bigQueryConnector.getConnectionDetails(
+                    connectionName,
+                    diagnostic.lookerApiConnector
+                );
+            } finally {
+                await diagnostic.shutdownConnectors();
+            }
         } else if (projectId) {
             // Use provided project details
             connectionDetails = {
                 isBigQuery: true,
                 projectId: projectId,
                 dataset: dataset,
+                region: region || await bigQueryConnector.getDatasetRegion(projectId, dataset),
                 connectionName: 'manual'
             };
         } else {
@@ -254,6 +386,7 @@ app.post('/api/bigquery/optimize', async (req, res) => {
             results: optimizationResults,
             summary: {
                 recommendations: optimizationResults.recommendations?.length || 0,
+                scanTargets: optimizationResults.scanTargets?.length || 0,
                 costAnalysisQueries: optimizationResults.costAnalysis?.data?.length || 0,
                 performanceAnalysisQueries: optimizationResults.performanceAnalysis?.data?.length || 0,
                 tablesAnalyzed: optimizationResults.tableOptimization?.data?.length || 0,
@@ -276,29 +409,41 @@ app.post('/api/bigquery/optimize', async (req, res) => {
 // Get BigQuery cost analysis
 app.post('/api/bigquery/cost-analysis', async (req, res) => {
     try {
-        const { projectId, days = 7 } = req.body;
+        const { projectId, region, scanTargets = [], days = 7, attribution = false, attributionDays = 90, topN, jobLimit } = req.body;
+        
+        const connectionDetails = {
+            isBigQuery: true,
+            projectId: projectId,
+            region: region,
+            scanTargets: scanTargets
+        };
+        const targets = bigQueryConnector.getScanTargets(connectionDetails);
         
-        if (!projectId) {
+        if (targets.length === 0) {
             return res.status(400).json({
-                error: 'Missing projectId in request body'
+                error: 'Missing projectId or scanTargets in request body (or BIGQUERY_SCAN_TARGETS)'
             });
         }
         
-        console.log(`💰 Running cost analysis for project ${projectId} (${days} days)...`);
-        
-        const connectionDetails = {
-            isBigQuery: true,
-            projectId: projectId
-        };
+        console.log(`💰 Running cost analysis for ${targets.map(target => `${target.projectId} (${target.region})`).join(', ')} (${days} days)...`);
         
         const costAnalysis = await bigQueryConnector.analyzeCosts(connectionDetails);
         
+        // Business context for the bill: Looker jobs by model, explore, dashboard, user and table.
+        // Opt-in, since it reads up to 90 days of job history and Looker query history
+        const costAttribution = attribution
+            ? await attributeLookerCosts(targets, { days: attributionDays, topN, jobLimit })
+            : { available: false, reason: 'Not requested' };
+        
         res.json({
             success: costAnalysis.success,
             projectId: projectId,
+            scanTargets: targets,
             days: days,
             data: costAnalysis.data,
             source: costAnalysis.source,
+            errors: costAnalysis.errors || [],
+            attribution: costAttribution,
             summary: costAnalysis.data ? {
                 totalQueries: costAnalysis.data.length,
                 totalCost: costAnalysis.data.reduce((sum, q) => sum + (q.estimated_cost_usd || 0), 0),
@@ -319,28 +464,39 @@ app.post('/api/bigquery/cost-analysis', async (req, res) => {
 // Get BigQuery performance analysis
 app.post('/api/bigquery/performance-analysis', async (req, res) => {
     try {
-        const { projectId } = req.body;
+        const { projectId, region, scanTargets = [], slotUsage = true, slotDays = 7, slotCapacity } = req.body;
+        
+        const connectionDetails = {
+            isBigQuery: true,
+            projectId: projectId,
+            region: region,
+            scanTargets: scanTargets
+        };
+        const targets = bigQueryConnector.getScanTargets(connectionDetails);
         
-        if (!projectId) {
+        if (targets.length === 0) {
             return res.status(400).json({
-                error: 'Missing projectId in request body'
+                error: 'Missing projectId or scanTargets in request body (or BIGQUERY_SCAN_TARGETS)'
             });
         }
         
-        console.log(`⚡ Running performance analysis for project ${projectId}...`);
-        
-        const connectionDetails = {
-            isBigQuery: true,
-            projectId: projectId
-        };
+        console.log(`⚡ Running performance analysis for ${targets.map(target => `${target.projectId} (${target.region})`).join(', ')}...`);
         
         const performanceAnalysis = await bigQueryConnector.analyzePerformance(connectionDetails);
         
+        // Hourly slot usage and Looker/ETL contention from JOBS_TIMELINE
+        const slotUsageAnalysis = slotUsage
+            ? await new BigQueryAnalyzer().analyzeJobStatistics(bigQueryConnector, null, { scanTargets: targets, days: slotDays, slotCapacity })
+            : { available: false, reason: 'Not requested' };
+        
         res.json({
             success: performanceAnalysis.success,
             projectId: projectId,
+            scanTargets: targets,
             data: performanceAnalysis.data,
             source: performanceAnalysis.source,
+            errors: performanceAnalysis.errors || [],
+            slotUsage: slotUsageAnalysis,
             summary: performanceAnalysis.data ? {
                 slowQueries: performanceAnalysis.data.length,
                 avgDuration: performanceAnalysis.data.reduce((sum, q) => sum + (q.duration_seconds || 0), 0) / performanceAnalysis.data.length,
@@ -416,57 +572,12 @@ app.post('/api/diagnostic/run', async (req, res) => {
         const diagnostic = new QueryPerformanceDiagnostic(config);
         const results = await diagnostic.runQueryPerformanceDiagnostic();
         
-        // Add BigQuery optimization results if available
-        if (results.slowQueryAnalysis && results.slowQueryAnalysis.totalSlowQueries > 0) {
-            console.log('🔍 Running BigQuery optimization analysis...');
-            
-            try {
-                const bigQueryOptimizations = [];
-                
-                // Check if any connections are BigQuery
-                if (diagnostic.lookerApiConnector && diagnostic.lookerApiConnector.getStatus().connected) {
-                    const connections = await diagnostic.lookerApiConnector.makeApiRequest('/connections');
-                    
-                    for (const connection of connections || []) {
-                        if (connection.dialect === 'bigquery_standard_sql') {
-                            const connectionDetails = await bigQueryConnector.getConnectionDetails(
-                                connection.name, 
-                                diagnostic.lookerApiConnector
-                            );
-                            
-                            if (connectionDetails.isBigQuery) {
-                                const optimization = await bigQueryConnector.runOptimizationAnalysis(connectionDetails);
-                                bigQueryOptimizations.push({
-                                    connection: connection.name,
-                                    ...optimization
-                                });
-                            }
-                        }
-                    }
-                }
-                
-                if (bigQueryOptimizations.length > 0) {
-                    results.bigQueryOptimization = {
-                        connectionsAnalyzed: bigQueryOptimizations.length,
-                        optimizations: bigQueryOptimizations,
-                        totalRecommendations: bigQueryOptimizations.reduce((sum, opt) => 
-                            sum + (opt.recommendations?.length || 0), 0)
-                    };
-                    
-                    console.log(`✅ Added BigQuery optimization for ${bigQueryOptimizations.length} connections`);
-                }
-            } catch (bqError) {
-                console.log('⚠️  BigQuery optimization failed, continuing without it:', bqError.message);
-                results.bigQueryOptimization = {
-                    error: 'BigQuery optimization failed',
-                    message: bqError.message,
-                    fallbackMode: true
-                };
-            }
-        }
+        await addBigQueryOptimization(results, diagnostic);
         
         console.log('📊 Enhanced diagnostic completed with BigQuery integration');
         
+        results.runId = await saveRunSafely('full', config, results);
+        
         res.json(results);
     } catch (error) {
         console.error('Enhanced diagnostic failed:', error);
@@ -504,6 +615,8 @@ app.post('/api/diagnostic/scan', async (req, res) => {
         console.log(`   Found ${results.slowQuerySummary?.totalSlowQueries || 0} slow queries`);
         console.log(`   Scan duration: ${Math.round(results.scanDuration / 1000)}s`);
         
+        results.runId = await saveRunSafely('fast', config, results);
+        
         res.json(results);
         
     } catch (error) {
@@ -517,6 +630,8 @@ app.post('/api/diagnostic/scan', async (req, res) => {
 
 // Test MCP connectivity with BigQuery info
 app.post('/api/test-mcp', async (req, res) => {
+    let diagnostic = null;
+    
     try {
         console.log('🧪 Testing MCP and BigQuery connectivity...');
         
@@ -526,16 +641,20 @@ app.post('/api/test-mcp', async (req, res) => {
             clientSecret: process.env.LOOKER_CLIENT_SECRET
         };
 
-        const diagnostic = new QueryPerformanceDiagnostic(config);
+        diagnostic = new QueryPerformanceDiagnostic(config);
         const connectorResults = await diagnostic.initializeConnectors();
         
         // Test BigQuery connection as well
         const bigQueryTest = await bigQueryConnector.testConnection();
         
+        const mcpConnected = diagnostic.mcpConnector.isConnected;
+        const mcpSession = diagnostic.mcpConnector.getStatus().session;
+        const mcpCatalog = diagnostic.mcpConnector.getToolCatalog();
+        
         res.json({
             success: true,
             connectors: {
-                mcp: connectorResults.mcp?.success || false,
+                mcp: mcpConnected,
                 lookerApi: connectorResults.lookerApi || false,
                 bigQuery: bigQueryTest.success
             },
@@ -544,8 +663,9 @@ app.post('/api/test-mcp', async (req, res) => {
                 connected: bigQueryTest.success,
                 message: bigQueryTest.message
             },
-            mcpTools: diagnostic.mcpConnector?.isConnected ? 
-                ['get_dashboards', 'get_looks', 'query'] : [],
+            mcpServer: mcpSession?.serverInfo || null,
+            mcpTools: mcpConnected ? mcpCatalog.tools.map(tool => tool.name) : [],
+            mcpToolCatalogLoaded: mcpCatalog.loaded,
             timestamp: new Date(),
             message: 'MCP and BigQuery connectivity test completed'
         });
@@ -556,11 +676,54 @@ app.post('/api/test-mcp', async (req, res) => {
             success: false,
             error: error.message
         });
+    } finally {
+        await diagnostic?.shutdownConnectors();
+    }
+});
+
+// List the tools the MCP toolbox advertises, with their input schemas
+app.get('/api/mcp/tools', async (req, res) => {
+    const mcpConnector = new MCPConnector({
+        lookerUrl: process.env.LOOKER_BASE_URL,
+        clientId: process.env.LOOKER_CLIENT_ID,
+        clientSecret: process.env.LOOKER_CLIENT_SECRET
+    });
+    
+    try {
+        const connected = await mcpConnector.initialize();
+        
+        if (!connected) {
+            return res.status(503).json({
+                success: false,
+                error: 'MCP toolbox is not available',
+                details: 'Check the Looker configuration and that scripts/toolbox exists (npm run setup)'
+            });
+        }
+        
+        const catalog = mcpConnector.getToolCatalog();
+        
+        res.json({
+            success: catalog.loaded,
+            ...catalog,
+            error: catalog.loaded ? undefined : 'Tool discovery failed',
+            timestamp: new Date()
+        });
+        
+    } catch (error) {
+        console.error('❌ MCP tool discovery failed:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message
+        });
+    } finally {
+        await mcpConnector.close();
     }
 });
 
 // Batch AI analysis endpoint
 app.post('/api/diagnostic/analyze-batch', async (req, res) => {
+    let diagnostic = null;
+    
     try {
         const { queries, maxQueries = 5 } = req.body;
         
@@ -578,7 +741,7 @@ app.post('/api/diagnostic/analyze-batch', async (req, res) => {
 
         console.log(`🤖 Starting batch AI analysis for ${Math.min(queries.length, maxQueries)} queries...`);
         
-        const diagnostic = new QueryPerformanceDiagnostic(config);
+        diagnostic = new QueryPerformanceDiagnostic(config);
         await diagnostic.initializeConnectors();
         
         // Set up SQL analyzer with Looker API connector for AI analysis
@@ -627,11 +790,15 @@ app.post('/api/diagnostic/analyze-batch', async (req, res) => {
             success: false,
             error: error.message
         });
+    } finally {
+        await diagnostic?.shutdownConnectors();
     }
 });
 
 // Add this endpoint to your app.js file
 app.post('/api/diagnostic/analyze-batch', async (req, res) => {
+    let diagnostic = null;
+    
     try {
         const { queries, maxQueries = 5 } = req.body;
         
@@ -649,7 +816,7 @@ app.post('/api/diagnostic/analyze-batch', async (req, res) => {
 
         console.log(`🤖 Starting batch AI analysis for ${Math.min(queries.length, maxQueries)} queries...`);
         
-        const diagnostic = new QueryPerformanceDiagnostic(config);
+        diagnostic = new QueryPerformanceDiagnostic(config);
         await diagnostic.initializeConnectors();
         
         // Limit to prevent timeouts
@@ -696,11 +863,15 @@ app.post('/api/diagnostic/analyze-batch', async (req, res) => {
             success: false,
             error: error.message
         });
+    } finally {
+        await diagnostic?.shutdownConnectors();
     }
 });
 
 // AI analysis endpoints
 app.post('/api/diagnostic/analyze-query', async (req, res) => {
+    let diagnostic = null;
+    
     try {
         const { queryId, query } = req.body;
         
@@ -718,7 +889,7 @@ app.post('/api/diagnostic/analyze-query', async (req, res) => {
 
         console.log(`🤖 Starting AI analysis for query ${queryId}...`);
         
-        const diagnostic = new QueryPerformanceDiagnostic(config);
+        diagnostic = new QueryPerformanceDiagnostic(config);
         await diagnostic.initializeConnectors();
         
         diagnostic.sqlAnalyzer.setLookerApiConnector(diagnostic.lookerApiConnector);
@@ -729,6 +900,7 @@ app.post('/api/diagnostic/analyze-query', async (req, res) => {
         );
         
         console.log('✅ AI analysis completed');
+        
         res.json({
             success: true,
             queryId: queryId,
@@ -744,6 +916,300 @@ app.post('/api/diagnostic/analyze-query', async (req, res) => {
             success: false,
             error: error.message
         });
+    } finally {
+        await diagnostic?.shutdownConnectors();
+    }
+});
+
+// =============================================================================
+// DIAGNOSTIC JOB ENDPOINTS
+// =============================================================================
+
+// Start a diagnostic in the background and return its job id right away
+app.post('/api/diagnostic/jobs', (req, res) => {
+    try {
+        const type = req.body?.type || 'full';
+        
+        if (!['full', 'fast'].includes(type)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown job type: ${type}`,
+                details: 'Use "full" or "fast"'
+            });
+        }
+        
+        const config = {
+            lookerUrl: process.env.LOOKER_BASE_URL,
+            clientId: process.env.LOOKER_CLIENT_ID,
+            clientSecret: process.env.LOOKER_CLIENT_SECRET
+        };
+
+        if (!config.lookerUrl || !config.clientId || !config.clientSecret) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing Looker configuration',
+                details: 'Please check your .env file'
+            });
+        }
+        
+        const job = diagnosticJobs.createJob({ type, config });
+        
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            job: job,
+            statusUrl: `/api/diagnostic/jobs/${job.id}`,
+            eventsUrl: `/api/diagnostic/jobs/${job.id}/events`,
+            timestamp: new Date()
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to start diagnostic job:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List in-memory diagnostic jobs (newest first)
+app.get('/api/diagnostic/jobs', (req, res) => {
+    const jobs = diagnosticJobs.listJobs();
+    
+    res.json({
+        success: true,
+        jobs: jobs,
+        count: jobs.length,
+        timestamp: new Date()
+    });
+});
+
+// Get job status, including the report once the job has completed
+app.get('/api/diagnostic/jobs/:id', (req, res) => {
+    const job = diagnosticJobs.getJob(req.params.id, { includeResult: true });
+    
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            error: `Job ${req.params.id} not found`
+        });
+    }
+    
+    res.json({
+        success: true,
+        job: job,
+        timestamp: new Date()
+    });
+});
+
+// Stream job progress as Server-Sent Events; the stream ends with a "done" event
+app.get('/api/diagnostic/jobs/:id/events', (req, res) => {
+    if (!diagnosticJobs.getJob(req.params.id)) {
+        return res.status(404).json({
+            success: false,
+            error: `Job ${req.params.id} not found`
+        });
+    }
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    // EventSource sends Last-Event-ID on reconnect so missed events are replayed
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    
+    const unsubscribe = diagnosticJobs.subscribe(req.params.id, (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        if (event.type === 'done') {
+            res.end();
+        }
+    }, lastEventId);
+    
+    // Reconnecting at or past the done event replays nothing, so end the stream here
+    if (!res.writableEnded && diagnosticJobs.hasFinished(req.params.id)) {
+        res.end();
+    }
+    
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        if (unsubscribe) unsubscribe();
+    });
+});
+
+// Cancel a queued or running job
+app.delete('/api/diagnostic/jobs/:id', (req, res) => {
+    const cancellation = diagnosticJobs.cancelJob(req.params.id);
+    
+    if (!cancellation) {
+        return res.status(404).json({
+            success: false,
+            error: `Job ${req.params.id} not found`
+        });
+    }
+    
+    const { job, accepted } = cancellation;
+    if (!accepted) {
+        return res.status(409).json({
+            success: false,
+            error: `Job ${req.params.id} already ${job.status === 'running' ? 'cancelling' : job.status}`,
+            job: job
+        });
+    }
+    
+    res.json({
+        success: true,
+        job: job,
+        timestamp: new Date()
+    });
+});
+
+// =============================================================================
+// LOOKML RULE ENDPOINTS
+// =============================================================================
+
+// List LookML lint rules with the severities/options that apply to a project
+app.get('/api/lookml/rules', (req, res) => {
+    try {
+        // Re-read the config so edits apply without a restart
+        const ruleEngine = new LookMLRuleEngine();
+        const rules = ruleEngine.listRules(req.query.project || null);
+        
+        res.json({
+            success: true,
+            project: req.query.project || null,
+            rules: rules,
+            enabledCount: rules.filter(rule => rule.enabled).length,
+            timestamp: new Date()
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to list LookML rules:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// =============================================================================
+// RUN HISTORY ENDPOINTS
+// =============================================================================
+
+// List stored diagnostic runs (newest first)
+app.get('/api/runs', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+        const runs = await runStore.listRuns({
+            limit,
+            type: req.query.type || null,
+            configFingerprint: req.query.configFingerprint || null
+        });
+        
+        res.json({
+            success: true,
+            runs: runs,
+            count: runs.length,
+            timestamp: new Date()
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to list runs:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Get a stored run with its full report
+app.get('/api/runs/:id', async (req, res) => {
+    try {
+        const run = await runStore.getRun(req.params.id);
+        
+        if (!run) {
+            return res.status(404).json({
+                success: false,
+                error: `Run ${req.params.id} not found`
+            });
+        }
+        
+        res.json(run);
+        
+    } catch (error) {
+        console.error('❌ Failed to load run:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Compare two stored runs (a = before, b = after)
+app.get('/api/runs/:a/diff/:b', async (req, res) => {
+    try {
+        const [baseRun, compareRun] = await Promise.all([
+            runStore.getRun(req.params.a),
+            runStore.getRun(req.params.b)
+        ]);
+        
+        const missing = [
+            !baseRun ? req.params.a : null,
+            !compareRun ? req.params.b : null
+        ].filter(Boolean);
+        
+        if (missing.length > 0) {
+            return res.status(404).json({
+                success: false,
+                error: `Run(s) not found: ${missing.join(', ')}`
+            });
+        }
+        
+        const diff = runDiffAnalyzer.diffRuns(baseRun, compareRun);
+        
+        res.json({
+            success: true,
+            diff: diff,
+            timestamp: new Date()
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to diff runs:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Delete a stored run
+app.delete('/api/runs/:id', async (req, res) => {
+    try {
+        const deleted = await runStore.deleteRun(req.params.id);
+        
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: `Run ${req.params.id} not found`
+            });
+        }
+        
+        res.json({
+            success: true,
+            id: req.params.id,
+            timestamp: new Date()
+        });
+        
+    } catch (error) {
+        console.error('❌ Failed to delete run:', error);
+        res.status(500).json({ 
+            success: false,
+            error: error.message
+        });
     }
 });
 
@@ -791,6 +1257,24 @@ app.listen(PORT, () => {
     console.log('   POST /api/bigquery/performance-analysis    # Performance analysis only');
     console.log('   POST /api/bigquery/connection-details      # Get connection info');
     console.log('');
+    console.log('🧰 MCP Endpoints:');
+    console.log('   GET    /api/mcp/tools                      # Tools advertised by the MCP toolbox');
+    console.log('');
+    console.log('🧵 Diagnostic Job Endpoints:');
+    console.log('   POST   /api/diagnostic/jobs                # Start a background diagnostic');
+    console.log('   GET    /api/diagnostic/jobs/:id            # Job status and report');
+    console.log('   GET    /api/diagnostic/jobs/:id/events     # Stream progress (Server-Sent Events)');
+    console.log('   DELETE /api/diagnostic/jobs/:id            # Cancel a running job');
+    console.log('');
+    console.log('📏 LookML Rule Endpoints:');
+    console.log('   GET    /api/lookml/rules                   # Lint rules and their project settings');
+    console.log('');
+    console.log('🗂️  Run History Endpoints:');
+    console.log('   GET    /api/runs                           # List stored diagnostic runs');
+    console.log('   GET    /api/runs/:id                       # Get a stored run report');
+    console.log('   GET    /api/runs/:a/diff/:b                # Compare two stored runs');
+    console.log('   DELETE /api/runs/:id                       # Delete a stored run');
+    console.log('');
     console.log('📝 Next Steps:');
     console.log('   1. Test BigQuery: npm run test-bigquery');
     console.log('   2. Test connectivity: curl -X POST http://localhost:3000/api/test-bigquery');
@@ -10,6 +10,10 @@ class BigQueryConnector {
         this.projectId = config.gcpProjectId || process.env.GCP_PROJECT_ID;
         this.keyFilename = config.serviceAccountPath || process.env.GOOGLE_APPLICATION_CREDENTIALS;
         this.isConnected = false;
+
+        // Job history is regional: INFORMATION_SCHEMA.JOBS_BY_PROJECT is read per project and region
+        this.defaultRegion = normalizeRegion(config.bigqueryRegion || process.env.BIGQUERY_REGION || 'us');
+        this.scanTargets = parseScanTargets(config.bigqueryScanTargets || process.env.BIGQUERY_SCAN_TARGETS, this.defaultRegion);
     }
 
     /**
@@ -68,11 +72,14 @@ class BigQueryConnector {
 
             const connection = await lookerApiConnector.makeApiRequest(`/connections/${connectionName}`);
             
-            if (connection && connection.dialect === 'bigquery_standard_sql') {
+            // API 4.0 returns dialect_name and a dialect object; older versions a dialect string
+            const dialect = connection?.dialect_name || connection?.dialect?.name || connection?.dialect;
+            if (dialect === 'bigquery_standard_sql') {
                 return {
                     isBigQuery: true,
                     projectId: connection.database,
                     dataset: connection.schema,
+                    region: await this.getDatasetRegion(connection.database, connection.schema),
                     connectionName: connectionName,
                     host: connection.host,
                     port: connection.port
@@ -87,6 +94,62 @@ class BigQueryConnector {
         }
     }
 
+    /**
+     * Connection details of every BigQuery connection in Looker, each with the region of its dataset
+     */
+    async discoverConnections(lookerApiConnector) {
+        if (!lookerApiConnector || !lookerApiConnector.getStatus().connected) {
+            return [];
+        }
+
+        const connections = await lookerApiConnector.makeApiRequest('/connections');
+        const discovered = [];
+
+        for (const connection of connections || []) {
+            const dialect = connection?.dialect_name || connection?.dialect?.name || connection?.dialect;
+            if (dialect !== 'bigquery_standard_sql') continue;
+
+            const details = await this.getConnectionDetails(connection.name, lookerApiConnector);
+            if (details.isBigQuery) discovered.push(details);
+        }
+
+        return discovered;
+    }
+
+    /**
+     * Region of a dataset ("eu", "asia-northeast1"), from its location; the default region when it cannot be read
+     */
+    async getDatasetRegion(projectId, dataset) {
+        if (!this.isConnected || !this.client || !projectId || !dataset) {
+            return this.defaultRegion;
+        }
+
+        try {
+            const [metadata] = await this.client.dataset(dataset, { projectId }).getMetadata();
+            return normalizeRegion(metadata.location) || this.defaultRegion;
+        } catch (error) {
+            console.log(`Could not read location of ${projectId}.${dataset}, using ${this.defaultRegion}:`, error.message);
+            return this.defaultRegion;
+        }
+    }
+
+    /**
+     * Project/region pairs whose job history is scanned: connectionDetails.scanTargets when the request names them,
+     * else BIGQUERY_SCAN_TARGETS (only the requested project's, if one is given), else its own project and region
+     */
+    getScanTargets(connectionDetails = {}) {
+        const { projectId, region, scanTargets = [] } = connectionDetails;
+
+        if (scanTargets.length > 0) {
+            return parseScanTargets(scanTargets, this.defaultRegion);
+        }
+
+        const configured = this.scanTargets.filter(target => !projectId || target.projectId === projectId);
+        if (configured.length > 0) return configured;
+
+        return projectId ? [{ projectId, region: normalizeRegion(region) || this.defaultRegion }] : [];
+    }
+
     /**
      * Run comprehensive BigQuery optimization analysis
      */
@@ -99,10 +162,8 @@ class BigQueryConnector {
 
         const results = {
             connectionDetails,
-            costAnalysis: await this.analyzeCosts(connectionDetails),
-            performanceAnalysis: await this.analyzePerformance(connectionDetails),
+            ...(await this.runJobAnalyses(connectionDetails)),
             tableOptimization: await this.analyzeTableOptimization(connectionDetails),
-            queryPatterns: await this.analyzeQueryPatterns(connectionDetails),
             recommendations: []
         };
 
@@ -111,11 +172,26 @@ class BigQueryConnector {
         return results;
     }
 
+    /**
+     * Cost, performance and query pattern analyses of the job history of every scan target
+     */
+    async runJobAnalyses(connectionDetails) {
+        const scanTargets = this.getScanTargets(connectionDetails);
+        console.log(`   Scanning job history in ${scanTargets.map(target => `${target.projectId} (${target.region})`).join(', ')}`);
+
+        return {
+            scanTargets,
+            costAnalysis: await this.analyzeCosts({ ...connectionDetails, scanTargets }),
+            performanceAnalysis: await this.analyzePerformance({ ...connectionDetails, scanTargets }),
+            queryPatterns: await this.analyzeQueryPatterns({ ...connectionDetails, scanTargets })
+        };
+    }
+
     /**
      * Cost Analysis - Based on INFORMATION_SCHEMA.JOBS_BY_PROJECT
      */
     async analyzeCosts(connectionDetails) {
-        const query = `
+        const buildQuery = (target) => `
         SELECT 
             DATE(creation_time) as query_date,
             user_email,
@@ -127,7 +203,7 @@ class BigQueryConnector {
             ROUND(total_bytes_billed / POW(1024, 4), 2) as tb_billed,
             ROUND((total_bytes_billed / POW(1024, 4)) * 5, 2) as estimated_cost_usd,
             total_slot_ms / 1000 / 60 as slot_minutes
-        FROM \`${connectionDetails.projectId}\`.region-us.INFORMATION_SCHEMA.JOBS_BY_PROJECT 
+        FROM ${jobsView(target)}
         WHERE DATE(creation_time) >= DATE_SUB(CURRENT_DATE(), INTERVAL 7 DAY)
             AND state = 'DONE'
             AND job_type = 'QUERY'
@@ -136,14 +212,15 @@ class BigQueryConnector {
         LIMIT 100
         `;
 
-        return await this.executeQueryWithFallback(query, 'costAnalysis');
+        return await this.executeAcrossTargets(this.getScanTargets(connectionDetails), buildQuery, 'costAnalysis',
+            (a, b) => (b.total_bytes_billed || 0) - (a.total_bytes_billed || 0), 100);
     }
 
     /**
      * Performance Analysis - Identify slow and expensive queries
      */
     async analyzePerformance(connectionDetails) {
-        const query = `
+        const buildQuery = (target) => `
         SELECT 
             job_id,
             user_email,
@@ -154,7 +231,7 @@ class BigQueryConnector {
             total_bytes_processed,
             cache_hit,
             creation_time
-        FROM \`${connectionDetails.projectId}\`.region-us.INFORMATION_SCHEMA.JOBS_BY_PROJECT 
+        FROM ${jobsView(target)}
         WHERE DATE(creation_time) >= DATE_SUB(CURRENT_DATE(), INTERVAL 7 DAY)
             AND state = 'DONE'
             AND job_type = 'QUERY'
@@ -163,7 +240,8 @@ class BigQueryConnector {
         LIMIT 50
         `;
 
-        return await this.executeQueryWithFallback(query, 'performanceAnalysis');
+        return await this.executeAcrossTargets(this.getScanTargets(connectionDetails), buildQuery, 'performanceAnalysis',
+            (a, b) => (b.duration_seconds || 0) - (a.duration_seconds || 0), 50);
     }
 
     /**
@@ -175,25 +253,38 @@ class BigQueryConnector {
             return this.getMockData('tableOptimization');
         }
 
+        // TABLES has no size or layout columns: sizes come from __TABLES__, partitioning and clustering from COLUMNS
+        const dataset = `\`${connectionDetails.projectId}\`.${connectionDetails.dataset}`;
         const query = `
         SELECT 
-            table_schema,
-            table_name,
-            row_count,
-            ROUND(size_bytes / POW(1024, 3), 2) as size_gb,
-            partitioning_type,
-            partitioning_column,
-            clustering_ordinal_position,
-            creation_time,
-            last_modified_time,
+            t.table_schema,
+            t.table_name,
+            s.row_count,
+            ROUND(s.size_bytes / POW(1024, 3), 2) as size_gb,
+            p.partitioning_column,
+            c.clustering_columns,
+            t.creation_time,
+            TIMESTAMP_MILLIS(s.last_modified_time) as last_modified_time,
             CASE 
-                WHEN partitioning_type IS NULL AND ROUND(size_bytes / POW(1024, 3), 2) > 1 THEN 'Consider partitioning'
-                WHEN clustering_ordinal_position IS NULL AND ROUND(size_bytes / POW(1024, 3), 2) > 10 THEN 'Consider clustering'
+                WHEN p.partitioning_column IS NULL AND ROUND(s.size_bytes / POW(1024, 3), 2) > 1 THEN 'Consider partitioning'
+                WHEN c.clustering_columns IS NULL AND ROUND(s.size_bytes / POW(1024, 3), 2) > 10 THEN 'Consider clustering'
                 ELSE 'Optimized'
             END as optimization_recommendation
-        FROM \`${connectionDetails.projectId}\`.${connectionDetails.dataset}.INFORMATION_SCHEMA.TABLES
-        WHERE table_type = 'BASE_TABLE'
-        ORDER BY size_bytes DESC
+        FROM ${dataset}.INFORMATION_SCHEMA.TABLES t
+        JOIN ${dataset}.__TABLES__ s ON s.table_id = t.table_name
+        LEFT JOIN (
+            SELECT table_name, column_name as partitioning_column
+            FROM ${dataset}.INFORMATION_SCHEMA.COLUMNS
+            WHERE is_partitioning_column = 'YES'
+        ) p ON p.table_name = t.table_name
+        LEFT JOIN (
+            SELECT table_name, STRING_AGG(column_name, ', ' ORDER BY clustering_ordinal_position) as clustering_columns
+            FROM ${dataset}.INFORMATION_SCHEMA.COLUMNS
+            WHERE clustering_ordinal_position IS NOT NULL
+            GROUP BY table_name
+        ) c ON c.table_name = t.table_name
+        WHERE t.table_type = 'BASE TABLE'
+        ORDER BY s.size_bytes DESC
         LIMIT 100
         `;
 
@@ -204,7 +295,7 @@ class BigQueryConnector {
      * Query Pattern Analysis - Common patterns and anti-patterns
      */
     async analyzeQueryPatterns(connectionDetails) {
-        const query = `
+        const buildQuery = (target) => `
         WITH query_patterns AS (
             SELECT 
                 job_id,
@@ -219,7 +310,7 @@ class BigQueryConnector {
                     WHEN REGEXP_CONTAINS(UPPER(query), r'CROSS JOIN') THEN 'CROSS_JOIN'
                     ELSE 'OTHER'
                 END as pattern_type
-            FROM \`${connectionDetails.projectId}\`.region-us.INFORMATION_SCHEMA.JOBS_BY_PROJECT 
+            FROM ${jobsView(target)}
             WHERE DATE(creation_time) >= DATE_SUB(CURRENT_DATE(), INTERVAL 7 DAY)
                 AND state = 'DONE'
                 AND job_type = 'QUERY'
@@ -236,7 +327,149 @@ class BigQueryConnector {
         ORDER BY query_count DESC
         `;
 
-        return await this.executeQueryWithFallback(query, 'queryPatterns');
+        return await this.executeAcrossTargets(this.getScanTargets(connectionDetails), buildQuery, 'queryPatterns',
+            (a, b) => (b.query_count || 0) - (a.query_count || 0));
+    }
+
+    /**
+     * Looker-issued jobs of the last `days` days with their labels and the JSON of the
+     * "-- Looker Query Context" comment Looker appends to the SQL
+     */
+    async getLookerJobs(connectionDetails, days = 30, limit = 10000) {
+        const rowLimit = parseInt(limit, 10) || 10000;
+        const buildQuery = (target) => `
+        SELECT
+            job_id,
+            creation_time,
+            user_email,
+            total_bytes_billed,
+            total_bytes_processed,
+            total_slot_ms,
+            cache_hit,
+            labels,
+            referenced_tables,
+            REGEXP_EXTRACT(query, r"-- Looker Query Context '([^']*)'") as looker_context
+        FROM ${jobsView(target)}
+        WHERE creation_time >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${parseInt(days, 10) || 30} DAY)
+            AND state = 'DONE'
+            AND job_type = 'QUERY'
+            AND (STRPOS(query, '-- Looker Query Context') > 0
+                OR EXISTS (SELECT 1 FROM UNNEST(labels) label WHERE STARTS_WITH(label.key, 'looker')))
+        ORDER BY creation_time DESC
+        LIMIT ${rowLimit}
+        `;
+
+        const jobs = await this.executeAcrossTargets(this.getScanTargets(connectionDetails), buildQuery, 'lookerJobs',
+            (a, b) => new Date(b.creation_time?.value || b.creation_time) - new Date(a.creation_time?.value || a.creation_time));
+
+        if (jobs.source === 'bigquery') {
+            // A target that returned the full limit had older jobs cut off
+            jobs.truncated = jobs.targets.some(target => jobs.data.filter(row =>
+                row.project_id === target.projectId && row.region === target.region).length >= rowLimit);
+        }
+        return jobs;
+    }
+
+    /**
+     * Hourly slot usage and concurrency from INFORMATION_SCHEMA.JOBS_TIMELINE, split into Looker jobs (looker-* labels
+     * or the Looker context comment), ETL (loads, copies, DML/DDL, scripts and Data Transfer Service jobs) and other queries.
+     * Peaks are per second within the hour; contended_seconds counts seconds where Looker and ETL both held slots.
+     */
+    async getSlotTimeline(connectionDetails, days = 7) {
+        const interval = parseInt(days, 10) || 7;
+        const buildQuery = (target) => `
+        WITH workloads AS (
+            SELECT
+                job_id,
+                CASE
+                    WHEN EXISTS (SELECT 1 FROM UNNEST(labels) label WHERE STARTS_WITH(label.key, 'looker'))
+                        OR STRPOS(query, '-- Looker Query Context') > 0 THEN 'looker'
+                    WHEN job_type != 'QUERY' OR statement_type != 'SELECT'
+                        OR EXISTS (SELECT 1 FROM UNNEST(labels) label WHERE label.key = 'data_source_id') THEN 'etl'
+                    ELSE 'other'
+                END as workload
+            FROM ${jobsView(target)}
+            WHERE creation_time >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${interval + 1} DAY)
+        ),
+        seconds AS (
+            SELECT
+                timeline.period_start,
+                SUM(timeline.period_slot_ms) as slot_ms,
+                SUM(IF(workloads.workload = 'looker', timeline.period_slot_ms, 0)) as looker_slot_ms,
+                SUM(IF(workloads.workload = 'etl', timeline.period_slot_ms, 0)) as etl_slot_ms,
+                SUM(timeline.period_estimated_runnable_units) as runnable_units,
+                COUNT(DISTINCT timeline.job_id) as jobs,
+                COUNT(DISTINCT IF(workloads.workload = 'looker', timeline.job_id, NULL)) as looker_jobs,
+                COUNT(DISTINCT IF(workloads.workload = 'etl', timeline.job_id, NULL)) as etl_jobs
+            FROM ${timelineView(target)} timeline
+            LEFT JOIN workloads USING (job_id)
+            WHERE timeline.job_creation_time >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${interval + 1} DAY)
+                AND timeline.period_start >= TIMESTAMP_SUB(CURRENT_TIMESTAMP(), INTERVAL ${interval} DAY)
+                -- A script's own rows repeat the slot usage of its child jobs
+                AND IFNULL(timeline.statement_type, '') != 'SCRIPT'
+            GROUP BY timeline.period_start
+        )
+        SELECT
+            TIMESTAMP_TRUNC(period_start, HOUR) as hour,
+            SUM(slot_ms) as slot_ms,
+            SUM(looker_slot_ms) as looker_slot_ms,
+            SUM(etl_slot_ms) as etl_slot_ms,
+            MAX(slot_ms) / 1000 as peak_slots,
+            MAX(looker_slot_ms) / 1000 as peak_looker_slots,
+            MAX(runnable_units) as peak_runnable_units,
+            MAX(jobs) as peak_concurrent_jobs,
+            MAX(looker_jobs) as peak_looker_jobs,
+            MAX(etl_jobs) as peak_etl_jobs,
+            COUNTIF(looker_jobs > 0 AND etl_jobs > 0) as contended_seconds
+        FROM seconds
+        GROUP BY hour
+        ORDER BY hour
+        `;
+
+        return await this.executeAcrossTargets(this.getScanTargets(connectionDetails), buildQuery, 'slotTimeline',
+            (a, b) => new Date(a.hour?.value || a.hour) - new Date(b.hour?.value || b.hour));
+    }
+
+    /**
+     * Run a job history query in each project/region and merge the rows, each tagged with project_id and region.
+     * Targets that fail are listed in errors; mock data is used only when none succeeds.
+     */
+    async executeAcrossTargets(targets, buildQuery, analysisType, compareRows, limit = null) {
+        if (!this.isConnected || !this.client || targets.length === 0) {
+            return this.getMockData(analysisType);
+        }
+
+        const rows = [];
+        const errors = [];
+
+        for (const target of targets) {
+            try {
+                const [job] = await this.client.createQueryJob({
+                    query: buildQuery(target),
+                    timeoutMs: 30000,
+                    maxResults: 1000
+                });
+                const [targetRows] = await job.getQueryResults();
+                targetRows.forEach(row => rows.push({ project_id: target.projectId, region: target.region, ...row }));
+            } catch (error) {
+                console.log(`BigQuery ${analysisType} failed for ${target.projectId} (${target.region}):`, error.message);
+                errors.push({ projectId: target.projectId, region: target.region, error: error.message });
+            }
+        }
+
+        if (errors.length === targets.length) {
+            console.log(`BigQuery ${analysisType} failed for every scan target, using mock data`);
+            return { ...this.getMockData(analysisType), targets, errors };
+        }
+
+        rows.sort(compareRows);
+        return {
+            success: true,
+            data: limit ? rows.slice(0, limit) : rows,
+            source: 'bigquery',
+            targets,
+            errors
+        };
     }
 
     /**
@@ -261,6 +494,84 @@ class BigQueryConnector {
         }
     }
 
+    /**
+     * Dry-run a query: BigQuery validates it and reports the bytes it would scan without running it
+     */
+    async dryRunQuery(sql) {
+        if (!this.isConnected || !this.client) {
+            throw new Error('BigQuery connector not initialized');
+        }
+
+        const [job] = await this.client.createQueryJob({
+            query: sql,
+            dryRun: true,
+            useLegacySql: false
+        });
+        const statistics = job.metadata?.statistics || {};
+
+        return {
+            totalBytesProcessed: parseInt(statistics.totalBytesProcessed || statistics.query?.totalBytesProcessed || 0, 10),
+            referencedTables: (statistics.query?.referencedTables || [])
+                .map(table => `${table.projectId}.${table.datasetId}.${table.tableId}`)
+        };
+    }
+
+    /**
+     * Column types and current partitioning/clustering of tables, from each dataset's INFORMATION_SCHEMA.
+     * tableNames: fully qualified "project.dataset.table"; returns an object keyed by those names
+     */
+    async getTableMetadata(tableNames) {
+        if (!this.isConnected || !this.client) {
+            throw new Error('BigQuery connector not initialized');
+        }
+
+        const byDataset = new Map();
+        tableNames.forEach(name => {
+            const parts = name.split('.');
+            if (parts.length !== 3) return;
+            const dataset = `${parts[0]}.${parts[1]}`;
+            if (!byDataset.has(dataset)) byDataset.set(dataset, []);
+            byDataset.get(dataset).push(parts[2]);
+        });
+
+        const metadata = {};
+
+        for (const [dataset, tables] of byDataset) {
+            const query = `
+            SELECT
+                c.table_name,
+                t.table_type,
+                c.column_name,
+                c.data_type,
+                c.is_partitioning_column,
+                c.clustering_ordinal_position
+            FROM \`${dataset}\`.INFORMATION_SCHEMA.COLUMNS c
+            JOIN \`${dataset}\`.INFORMATION_SCHEMA.TABLES t USING (table_name)
+            WHERE c.table_name IN UNNEST(@tables)
+            ORDER BY c.table_name, c.ordinal_position
+            `;
+
+            const [job] = await this.client.createQueryJob({ query, params: { tables }, useLegacySql: false });
+            const [rows] = await job.getQueryResults();
+
+            rows.forEach(row => {
+                const name = `${dataset}.${row.table_name}`;
+                if (!metadata[name]) {
+                    metadata[name] = { table: name, tableType: row.table_type, partitionColumn: null, clusteringColumns: [], columns: [] };
+                }
+                const table = metadata[name];
+
+                table.columns.push({ name: row.column_name, dataType: row.data_type });
+                if (row.is_partitioning_column === 'YES') table.partitionColumn = row.column_name;
+                if (row.clustering_ordinal_position) {
+                    table.clusteringColumns[row.clustering_ordinal_position - 1] = row.column_name;
+                }
+            });
+        }
+
+        return metadata;
+    }
+
     /**
      * Generate mock data for demo purposes
      */
@@ -462,13 +773,16 @@ class BigQueryConnector {
 
         // Query pattern recommendations
         if (results.queryPatterns.success && results.queryPatterns.data.length > 0) {
-            const selectStarPattern = results.queryPatterns.data.find(p => p.pattern_type === 'SELECT_STAR');
-            if (selectStarPattern && selectStarPattern.query_count > 10) {
+            // One row per pattern for each scanned project and region
+            const selectStarCount = results.queryPatterns.data
+                .filter(p => p.pattern_type === 'SELECT_STAR')
+                .reduce((sum, p) => sum + (p.query_count || 0), 0);
+            if (selectStarCount > 10) {
                 recommendations.push({
                     type: 'query_pattern_optimization',
                     priority: 'medium',
                     title: 'SELECT * Anti-Pattern Detected',
-                    description: `${selectStarPattern.query_count} queries using SELECT *`,
+                    description: `${selectStarCount} queries using SELECT *`,
                     action: 'Replace SELECT * with specific column names to reduce data processing',
                     estimatedImprovement: '20-50% reduction in bytes processed'
                 });
@@ -515,4 +829,52 @@ class BigQueryConnector {
     }
 }
 
+/**
+ * "region-us" / "US" / "asia-northeast1" -> "us" / "us" / "asia-northeast1"
+ */
+function normalizeRegion(region) {
+    if (!region) return null;
+    return String(region).trim().toLowerCase().replace(/^region-/, '') || null;
+}
+
+/**
+ * BIGQUERY_SCAN_TARGETS: comma-separated "project:region" pairs, e.g. "sales-prod:eu,apac-prod:asia-northeast1"
+ * (a pair without a region uses BIGQUERY_REGION); also accepts an array of { projectId, region }
+ */
+function parseScanTargets(value, defaultRegion) {
+    if (!value) return [];
+
+    const targets = Array.isArray(value)
+        ? value
+        : String(value).split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+            const [projectId, region] = pair.split(':').map(part => part.trim());
+            return { projectId, region };
+        });
+
+    return uniqueTargets(targets
+        .filter(target => target.projectId)
+        .map(target => ({
+            projectId: target.projectId,
+            region: normalizeRegion(target.region) || defaultRegion
+        })));
+}
+
+function uniqueTargets(targets) {
+    const seen = new Set();
+    return targets.filter(target => {
+        const key = `${target.projectId}:${target.region}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function jobsView(target) {
+    return `\`${target.projectId}\`.\`region-${target.region}\`.INFORMATION_SCHEMA.JOBS_BY_PROJECT`;
+}
+
+function timelineView(target) {
+    return `\`${target.projectId}\`.\`region-${target.region}\`.INFORMATION_SCHEMA.JOBS_TIMELINE_BY_PROJECT`;
+}
+
 module.exports = { BigQueryConnector };
\ No newline at end of file
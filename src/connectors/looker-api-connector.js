@@ -8,6 +8,8 @@ class LookerAPIConnector {
         this.tokenExpiry = null;
         this.axios = require('axios');
         this.baseUrl = config.lookerUrl?.replace(/\/$/, '');
+        this.exploreConnections = new Map();
+        this.connectionDialects = new Map();
     }
 
     /**
@@ -202,11 +204,14 @@ class LookerAPIConnector {
                             if (content && this.validateLookMLContent(content)) {
                                 allLookMLFiles.push({
                                     fileName: file.name,
+                                    path: file.path || file.id || file.name,
                                     project: project.name,
                                     content: content,
                                     type: this.determineLookMLType(file.name),
                                     size: file.size || 0,
-                                    lastModified: file.modified_at
+                                    lastModified: file.modified_at,
+                                    // Lets the resolver tell a sampled project from a complete one
+                                    projectFileCount: lookmlFiles.length
                                 });
                                 
                                 console.log(`Successfully retrieved: ${file.name}`);
@@ -353,6 +358,54 @@ class LookerAPIConnector {
         }
     }
 
+    /**
+     * Connection and SQL dialect an explore runs on; cached, including failed lookups
+     */
+    async getExploreConnection(modelName, exploreName) {
+        const key = `${modelName}.${exploreName}`;
+        if (this.exploreConnections.has(key)) {
+            return this.exploreConnections.get(key);
+        }
+
+        let result = null;
+        try {
+            const explore = await this.makeApiRequest(
+                `/lookml_models/${encodeURIComponent(modelName)}/explores/${encodeURIComponent(exploreName)}`,
+                'GET',
+                null,
+                { fields: 'connection_name' }
+            );
+            if (explore?.connection_name) {
+                result = {
+                    connectionName: explore.connection_name,
+                    dialect: await this.getConnectionDialect(explore.connection_name)
+                };
+            }
+        } catch (error) {
+            console.log(`Could not fetch the connection of ${key}:`, error.message);
+        }
+
+        this.exploreConnections.set(key, result);
+        return result;
+    }
+
+    /**
+     * Dialect name of a connection, e.g. bigquery_standard_sql, snowflake, redshift, postgres
+     */
+    async getConnectionDialect(connectionName) {
+        if (!this.connectionDialects.has(connectionName)) {
+            let dialect = null;
+            try {
+                const connection = await this.makeApiRequest(`/connections/${encodeURIComponent(connectionName)}`);
+                dialect = connection?.dialect_name || connection?.dialect?.name || connection?.dialect || null;
+            } catch (error) {
+                console.log(`Could not fetch connection ${connectionName}:`, error.message);
+            }
+            this.connectionDialects.set(connectionName, dialect);
+        }
+        return this.connectionDialects.get(connectionName);
+    }
+
     /**
      * Get dashboards
      */
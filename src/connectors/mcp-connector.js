@@ -1,11 +1,20 @@
 // src/connectors/mcp-connector.js
 // IMPROVED: Gets top 5-10 queries per explore, filters out system/tool explores
 
+const path = require('path');
+const { MCPSession } = require('./mcp-session');
+const { MCPToolCatalog, createMCPError } = require('./mcp-tool-catalog');
+
+// Errors that mean the toolbox no longer matches what this connector expects
+const CONTRACT_ERROR_CODES = ['MCP_TOOL_UNAVAILABLE', 'MCP_INVALID_ARGUMENTS', 'MCP_UNEXPECTED_RESPONSE'];
+
 class MCPConnector {
     constructor(config) {
         this.config = config;
         this.isConnected = false;
         this.toolboxPath = null;
+        this.session = null;
+        this.toolCatalog = new MCPToolCatalog();
         
         // System/tool explores to exclude
         this.excludedExplores = new Set([
@@ -59,20 +68,77 @@ class MCPConnector {
                 throw new Error('Missing required Looker configuration');
             }
             
-            const path = require('path');
-            this.toolboxPath = path.join(__dirname, '..', '..', 'scripts', 'toolbox');
+            this.toolboxPath = this.config.toolboxPath || process.env.MCP_TOOLBOX_PATH ||
+                path.join(__dirname, '..', '..', 'scripts', 'toolbox');
+            
+            if (!this.session) {
+                this.session = new MCPSession({
+                    command: this.toolboxPath,
+                    args: ['--stdio', '--prebuilt', 'looker'],
+                    env: {
+                        ...process.env,
+                        LOOKER_BASE_URL: this.config.lookerUrl,
+                        LOOKER_CLIENT_ID: this.config.clientId,
+                        LOOKER_CLIENT_SECRET: this.config.clientSecret
+                    },
+                    requestTimeout: parseInt(process.env.MCP_TIMEOUT, 10) || 20000
+                });
+            }
+            
+            await this.session.start();
+            await this.loadToolCatalog();
             
             this.isConnected = true;
             console.log('MCP connector initialized successfully');
             
             return true;
         } catch (error) {
-            console.error('MCP connector initialization failed:', error);
+            console.error('MCP connector initialization failed:', error.message);
             this.isConnected = false;
             return false;
         }
     }
 
+    /**
+     * Discover available tools; calls are not validated if discovery fails
+     */
+    async loadToolCatalog() {
+        try {
+            await this.toolCatalog.load(this.session);
+            
+            const expected = ['get_models', 'get_explores', 'query'];
+            const missing = expected.filter(name => !this.toolCatalog.has(name));
+            if (missing.length > 0) {
+                console.log(`⚠️ MCP toolbox does not provide expected tools: ${missing.join(', ')}`);
+            }
+        } catch (error) {
+            console.log(`⚠️ MCP tool discovery failed, tool calls will not be validated: ${error.message}`);
+        }
+        return this.toolCatalog;
+    }
+
+    getToolCatalog() {
+        return this.toolCatalog.toJSON();
+    }
+
+    /**
+     * True for errors that should surface instead of degrading to empty results
+     */
+    isContractError(error) {
+        return !!error && CONTRACT_ERROR_CODES.includes(error.code);
+    }
+
+    /**
+     * Shut down the toolbox session
+     */
+    async close() {
+        if (this.session) {
+            await this.session.close();
+            this.session = null;
+        }
+        this.isConnected = false;
+    }
+
     /**
      * Check if an explore should be excluded
      */
@@ -143,10 +209,14 @@ class MCPConnector {
                 model: "system__activity",
                 explore: "history",
                 fields: [
+                    "history.id",
+                    "history.slug",
                     "query.id",
                     "query.slug",
                     "query.model",
                     "query.explore",
+                    "query.formatted_fields",
+                    "query.formatted_filters",
                     "history.runtime",
                     "history.created_date",
                     "dashboard.title",
@@ -246,10 +316,14 @@ class MCPConnector {
                     model: "system__activity",
                     explore: "history",
                     fields: [
+                        "history.id",
+                        "history.slug",
                         "query.id",
                         "query.slug", 
                         "query.model",
                         "query.explore",
+                        "query.formatted_fields",
+                        "query.formatted_filters",
                         "history.runtime",
                         "history.created_date",
                         "dashboard.title",
@@ -308,6 +382,7 @@ class MCPConnector {
             
         } catch (error) {
             console.error('Failed to get grouped slow queries:', error.message);
+            if (this.isContractError(error)) throw error;
             return {
                 queries: [],
                 summary: {
@@ -320,6 +395,224 @@ class MCPConnector {
         }
     }
 
+    /**
+     * Fields selected or filtered per explore in system__activity history over the last N days
+     */
+    async getFieldUsage(days = 90, limit = 5000) {
+        console.log(`\n🔎 Fetching field usage for the last ${days} days...`);
+        
+        const rows = await this.executeQuery({
+            model: "system__activity",
+            explore: "history",
+            fields: [
+                "query.model",
+                "query.explore",
+                "query.formatted_fields",
+                "query.formatted_filters",
+                "history.query_run_count",
+                "history.most_recent_run_at"
+            ],
+            filters: {
+                "history.created_date": `${days} days`
+            },
+            sorts: ["history.query_run_count desc"],
+            limit: limit
+        }, { parse: (response) => this.parseFieldUsageResponse(response) });
+        
+        const usage = rows.filter(row => !this.isSystemExplore(row.explore, row.model));
+        console.log(`   Found ${usage.length} query field sets`);
+        
+        return {
+            days: days,
+            rows: usage,
+            // A full page means less-used queries were cut off
+            truncated: rows.length >= limit
+        };
+    }
+
+    /**
+     * Every query run (history.id) of the last N days with its model, explore, dashboard and user
+     */
+    async getQueryHistory(days = 30, limit = 50000) {
+        console.log(`\n🔎 Fetching query history for the last ${days} days...`);
+        
+        const rows = await this.executeQuery({
+            model: "system__activity",
+            explore: "history",
+            fields: [
+                "history.id",
+                "history.slug",
+                "query.id",
+                "query.model",
+                "query.explore",
+                "history.created_date",
+                "dashboard.title",
+                "user.email"
+            ],
+            filters: {
+                "history.created_date": `${days} days`
+            },
+            sorts: ["history.id desc"],
+            limit: limit
+        });
+        
+        console.log(`   Found ${rows.length} query runs`);
+        
+        return {
+            days: days,
+            rows: rows,
+            // A full page means older runs were cut off
+            truncated: rows.length >= limit
+        };
+    }
+
+    /**
+     * PDT events (build begin/complete/failure, trigger checks) from system__activity pdt_event_log over the last N days
+     */
+    async getPDTEvents(days = 30, limit = 50000) {
+        console.log(`\n🔎 Fetching PDT events for the last ${days} days...`);
+        
+        const rows = await this.executeQuery({
+            model: "system__activity",
+            explore: "pdt_event_log",
+            fields: [
+                "pdt_event_log.tid",
+                "pdt_event_log.model_name",
+                "pdt_event_log.view_name",
+                "pdt_event_log.connection",
+                "pdt_event_log.action",
+                "pdt_event_log.action_data",
+                "pdt_event_log.created_time"
+            ],
+            filters: {
+                "pdt_event_log.created_date": `${days} days`
+            },
+            sorts: ["pdt_event_log.created_time desc"],
+            limit: limit
+        }, { parse: (response) => this.parsePDTRows(response, 'pdt_event_log', ['action', 'action_data', 'tid', 'created_time']) });
+        
+        console.log(`   Found ${rows.length} PDT events`);
+        
+        return {
+            days: days,
+            rows: rows,
+            // A full page means older events were cut off
+            truncated: rows.length >= limit
+        };
+    }
+
+    /**
+     * PDT builds with start and end time and status from system__activity pdt_builds over the last N days
+     */
+    async getPDTBuilds(days = 30, limit = 20000) {
+        console.log(`\n🔎 Fetching PDT builds for the last ${days} days...`);
+        
+        const rows = await this.executeQuery({
+            model: "system__activity",
+            explore: "pdt_builds",
+            fields: [
+                "pdt_builds.model_name",
+                "pdt_builds.view_name",
+                "pdt_builds.connection",
+                "pdt_builds.start_time",
+                "pdt_builds.end_time",
+                "pdt_builds.status"
+            ],
+            filters: {
+                "pdt_builds.start_date": `${days} days`
+            },
+            sorts: ["pdt_builds.start_time desc"],
+            limit: limit
+        }, { parse: (response) => this.parsePDTRows(response, 'pdt_builds', ['start_time', 'end_time', 'status']) });
+        
+        console.log(`   Found ${rows.length} PDT builds`);
+        
+        return {
+            days: days,
+            rows: rows,
+            truncated: rows.length >= limit
+        };
+    }
+
+    /**
+     * Rows of a system__activity PDT explore as { model, view, connection, ...fields } (prefix dropped)
+     */
+    parsePDTRows(responseData, explore, fields) {
+        const rows = [];
+        const dataArray = Array.isArray(responseData) ? responseData : [responseData];
+        
+        for (const item of dataArray) {
+            if (item.raw_text) continue;
+            
+            const rowArray = Array.isArray(item) ? item : [item];
+            
+            for (const row of rowArray) {
+                if (row && row[`${explore}.view_name`]) {
+                    const parsed = {
+                        model: row[`${explore}.model_name`] || null,
+                        view: row[`${explore}.view_name`],
+                        connection: row[`${explore}.connection`] || null
+                    };
+                    fields.forEach(field => {
+                        parsed[field] = row[`${explore}.${field}`] ?? null;
+                    });
+                    rows.push(parsed);
+                }
+            }
+        }
+        
+        this.assertRecognizedResponse('query', dataArray, rows.length, [`${explore}.view_name`]);
+        return rows;
+    }
+
+    parseFieldUsageResponse(responseData) {
+        const rows = [];
+        const dataArray = Array.isArray(responseData) ? responseData : [responseData];
+        
+        for (const item of dataArray) {
+            if (item.raw_text) continue;
+            
+            const rowArray = Array.isArray(item) ? item : [item];
+            
+            for (const row of rowArray) {
+                if (row && row['query.model'] && row['query.explore']) {
+                    rows.push({
+                        model: row['query.model'],
+                        explore: row['query.explore'],
+                        fields: this.parseFieldList(row['query.formatted_fields']),
+                        filters: this.parseFieldList(row['query.formatted_filters']),
+                        runCount: parseInt(row['history.query_run_count'], 10) || 1,
+                        lastRunAt: row['history.most_recent_run_at'] || null
+                    });
+                }
+            }
+        }
+        
+        this.assertRecognizedResponse('query', dataArray, rows.length, ['query.model']);
+        return rows;
+    }
+
+    /**
+     * Field names ("view.field") from a JSON array/object or formatted text
+     */
+    parseFieldList(value) {
+        if (!value) return [];
+        
+        let parsed = value;
+        if (typeof value === 'string') {
+            try {
+                parsed = JSON.parse(value);
+            } catch (error) {
+                parsed = value;
+            }
+        }
+        
+        if (Array.isArray(parsed)) return parsed.filter(field => typeof field === 'string');
+        if (parsed && typeof parsed === 'object') return Object.keys(parsed);
+        
+        return String(parsed).match(/\b[a-z_][\w]*\.[a-z_][\w]*\b/gi) || [];
+    }
+
     /**
      * Get slow queries with automatic threshold adjustment
      */
@@ -362,82 +655,29 @@ class MCPConnector {
         return finalResult.queries;
     }
 
-    async executeTool(toolName, toolArguments = {}, timeout = 20000) {
-        if (!this.isConnected) {
+    async executeTool(toolName, toolArguments = {}, timeout) {
+        if (!this.isConnected || !this.session) {
             throw new Error('MCP connector not initialized');
         }
 
+        this.toolCatalog.assertValidCall(toolName, toolArguments);
+        
         console.log(`   Executing MCP tool: ${toolName}`);
         
-        return new Promise((resolve, reject) => {
-            const { spawn } = require('child_process');
-            
-            const toolbox = spawn(this.toolboxPath, [
-                '--stdio', 
-                '--prebuilt', 
-                'looker'
-            ], {
-                env: {
-                    ...process.env,
-                    LOOKER_BASE_URL: this.config.lookerUrl,
-                    LOOKER_CLIENT_ID: this.config.clientId,
-                    LOOKER_CLIENT_SECRET: this.config.clientSecret
-                },
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-
-            let responseBuffer = '';
-            let errorBuffer = '';
-            let processCompleted = false;
-
-            toolbox.stdout.on('data', (data) => {
-                responseBuffer += data.toString();
-            });
-
-            toolbox.stderr.on('data', (data) => {
-                errorBuffer += data.toString();
-            });
-
-            toolbox.on('close', (code) => {
-                if (processCompleted) return;
-                processCompleted = true;
-                
-                try {
-                    const result = this.parseResponse(responseBuffer, toolName);
-                    resolve(result);
-                } catch (error) {
-                    reject(new Error(`Failed to parse ${toolName} response: ${error.message}`));
-                }
-            });
-
-            toolbox.on('error', (error) => {
-                if (!processCompleted) {
-                    processCompleted = true;
-                    reject(new Error(`MCP process error for ${toolName}: ${error.message}`));
-                }
-            });
-
-            const command = {
-                jsonrpc: "2.0",
-                id: 1,
-                method: "tools/call",
-                params: {
-                    name: toolName,
-                    arguments: toolArguments
-                }
-            };
-            
-            toolbox.stdin.write(JSON.stringify(command) + '\n');
-            toolbox.stdin.end();
-
-            setTimeout(() => {
-                if (!processCompleted) {
-                    processCompleted = true;
-                    toolbox.kill('SIGKILL');
-                    reject(new Error(`MCP tool ${toolName} timed out after ${timeout}ms`));
-                }
-            }, timeout);
-        });
+        const result = await this.session.request('tools/call', {
+            name: toolName,
+            arguments: toolArguments
+        }, timeout);
+        
+        if (result?.isError) {
+            const message = (result.content || [])
+                .filter(item => item.type === 'text')
+                .map(item => item.text)
+                .join(' ');
+            throw new Error(`MCP tool ${toolName} failed: ${message || 'unknown error'}`);
+        }
+        
+        return this.parseToolResult(result);
     }
 
     async getAllModels() {
@@ -455,6 +695,7 @@ class MCPConnector {
             
         } catch (error) {
             console.error('Failed to get models:', error.message);
+            if (this.isContractError(error)) throw error;
             return [];
         }
     }
@@ -473,50 +714,40 @@ class MCPConnector {
             
         } catch (error) {
             console.error(`Failed to get explores for model ${modelName}:`, error.message);
+            if (this.isContractError(error)) throw error;
             return [];
         }
     }
 
-    async executeQuery(queryParams) {
+    /**
+     * Run a Looker query through the toolbox; options.parse replaces the default history-row parser
+     */
+    async executeQuery(queryParams, options = {}) {
         try {
             const response = await this.executeTool('query', queryParams, 30000);
-            return this.parseQueryResponse(response);
+            return options.parse ? options.parse(response) : this.parseQueryResponse(response);
         } catch (error) {
             console.error('Failed to execute query:', error.message);
+            if (this.isContractError(error)) throw error;
             return [];
         }
     }
 
-    parseResponse(responseBuffer, toolName) {
-        if (!responseBuffer || responseBuffer.length < 10) {
-            return [];
-        }
-
-        const lines = responseBuffer.split('\n').filter(line => line.trim());
+    /**
+     * Flatten a tools/call result into parsed JSON items (text that is not JSON is kept as raw_text)
+     */
+    parseToolResult(result) {
         const results = [];
         
-        for (const line of lines) {
-            try {
-                const response = JSON.parse(line);
-                
-                if (response.result && response.result.content) {
-                    for (const item of response.result.content) {
-                        if (item.type === 'text' && item.text) {
-                            try {
-                                const data = JSON.parse(item.text);
-                                results.push(data);
-                            } catch (parseError) {
-                                results.push({ raw_text: item.text });
-                            }
-                        } else {
-                            results.push(item);
-                        }
-                    }
-                } else if (response.error) {
-                    throw new Error(response.error.message || `MCP error in ${toolName}`);
+        for (const item of result?.content || []) {
+            if (item.type === 'text' && item.text) {
+                try {
+                    results.push(JSON.parse(item.text));
+                } catch (parseError) {
+                    results.push({ raw_text: item.text });
                 }
-            } catch (lineError) {
-                continue;
+            } else {
+                results.push(item);
             }
         }
         
@@ -544,6 +775,7 @@ class MCPConnector {
             }
         }
         
+        this.assertRecognizedResponse('get_models', dataArray, models.length, ['name']);
         return models;
     }
 
@@ -571,6 +803,7 @@ class MCPConnector {
             }
         }
         
+        this.assertRecognizedResponse('get_explores', dataArray, explores.length, ['name']);
         return explores;
     }
 
@@ -587,6 +820,9 @@ class MCPConnector {
                 if (row && (row.query_id || row['query.id'])) {
                     const query = {
                         query_id: row.query_id || row['query.id'],
+                        // One history row per run; BigQuery jobs carry its slug (and id) in their Looker context
+                        history_id: row.history_id || row['history.id'],
+                        history_slug: row.history_slug || row['history.slug'],
                         slug: row.slug || row['query.slug'],
                         runtime_seconds: parseFloat(
                             row.runtime_seconds || 
@@ -597,7 +833,10 @@ class MCPConnector {
                         model: row.model || row['query.model'],
                         explore: row.explore || row['query.explore'],
                         dashboard_title: row.dashboard_title || row['dashboard.title'],
-                        user_email: row.user_email || row['user.email']
+                        user_email: row.user_email || row['user.email'],
+                        // Filtered field names without values, so reruns with other filter values match
+                        fields: this.parseFieldList(row['query.formatted_fields']),
+                        filterFields: this.parseFieldList(row['query.formatted_filters'])
                     };
                     
                     queries.push(query);
@@ -605,9 +844,31 @@ class MCPConnector {
             }
         }
         
+        this.assertRecognizedResponse('query', dataArray, queries.length, ['query.id', 'query_id']);
         return queries;
     }
 
+    /**
+     * Throw MCP_UNEXPECTED_RESPONSE when a tool returned rows but none had the fields we read
+     */
+    assertRecognizedResponse(toolName, dataArray, parsedCount, expectedKeys) {
+        if (parsedCount > 0) return;
+        
+        const rows = dataArray
+            .filter(item => item && !item.raw_text)
+            .flatMap(item => Array.isArray(item) ? item : [item])
+            .filter(row => row && typeof row === 'object');
+        
+        if (rows.length === 0) return;
+        
+        const sampleKeys = Object.keys(rows[0]).slice(0, 10);
+        throw createMCPError(
+            'MCP_UNEXPECTED_RESPONSE',
+            `Unexpected ${toolName} response shape: ${rows.length} rows without ${expectedKeys.join(' or ')} (first row keys: ${sampleKeys.join(', ') || 'none'})`,
+            { tool: toolName, expectedKeys, sampleKeys }
+        );
+    }
+
     async testConnection() {
         try {
             const models = await this.getAllModels();
@@ -628,6 +889,11 @@ class MCPConnector {
         return {
             connected: this.isConnected,
             toolboxPath: this.toolboxPath,
+            session: this.session ? this.session.getStatus() : null,
+            toolCatalog: {
+                loaded: this.toolCatalog.loaded,
+                toolCount: this.toolCatalog.tools.size
+            },
             config: {
                 hasUrl: !!this.config.lookerUrl,
                 hasClientId: !!this.config.clientId,
@@ -0,0 +1,305 @@
+// src/connectors/mcp-session.js
+// Long-lived JSON-RPC session with an MCP server over stdio (one toolbox process per session)
+
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+
+const MCP_PROTOCOL_VERSION = '2024-11-05';
+
+class MCPSession extends EventEmitter {
+    /**
+     * options: command, args, env, clientInfo, requestTimeout, maxRestarts
+     */
+    constructor(options = {}) {
+        super();
+        this.command = options.command;
+        this.args = options.args || [];
+        this.env = options.env || process.env;
+        this.clientInfo = options.clientInfo || { name: 'looker-health-diagnostic', version: '2.1.0' };
+        this.requestTimeout = options.requestTimeout || 20000;
+        this.maxRestarts = options.maxRestarts ?? 3;
+
+        this.process = null;
+        this.state = 'stopped';
+        this.startPromise = null;
+        this.pending = new Map();
+        this.nextId = 1;
+        this.restartCount = 0;
+        this.closing = false;
+        this.stderrTail = '';
+        this.serverInfo = null;
+        this.serverCapabilities = null;
+        this.protocolVersion = null;
+    }
+
+    /**
+     * Spawn the server and complete the initialize/initialized handshake (single-flight)
+     */
+    async start() {
+        if (this.state === 'ready') return this;
+        if (this.startPromise) return this.startPromise;
+
+        this.closing = false;
+        this.startPromise = this.spawnAndInitialize()
+            .finally(() => {
+                this.startPromise = null;
+            });
+
+        return this.startPromise;
+    }
+
+    async spawnAndInitialize() {
+        this.state = 'starting';
+        this.stderrTail = '';
+
+        const child = spawn(this.command, this.args, {
+            env: this.env,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+        this.process = child;
+
+        const lines = readline.createInterface({ input: child.stdout });
+        lines.on('line', (line) => this.handleLine(line));
+
+        child.stderr.on('data', (data) => {
+            this.stderrTail = (this.stderrTail + data.toString()).slice(-2000);
+        });
+
+        // Writes to a dead process surface through 'exit'; don't let EPIPE crash the app
+        child.stdin.on('error', () => {});
+        child.on('error', (error) => this.handleExit(child, null, error));
+        child.on('exit', (code, signal) => this.handleExit(child, code, null, signal));
+
+        try {
+            const result = await this.sendRequest('initialize', {
+                protocolVersion: MCP_PROTOCOL_VERSION,
+                capabilities: {},
+                clientInfo: this.clientInfo
+            }, this.requestTimeout);
+
+            this.serverInfo = result?.serverInfo || null;
+            this.serverCapabilities = result?.capabilities || {};
+            this.protocolVersion = result?.protocolVersion || null;
+
+            this.notify('notifications/initialized');
+            this.state = 'ready';
+            this.restartCount = 0;
+
+            console.log(`🔌 MCP session ready (${this.serverInfo?.name || 'unknown server'} ${this.serverInfo?.version || ''})`.trim());
+            return this;
+
+        } catch (error) {
+            this.process = null;
+            this.killProcess(child);
+            this.state = this.closing ? 'stopped' : 'crashed';
+            this.restartCount++;
+            throw new Error(`MCP handshake failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send a request, starting or restarting the server if needed
+     */
+    async request(method, params = {}, timeout = this.requestTimeout) {
+        if (this.closing) {
+            throw new Error('MCP session is closed');
+        }
+
+        if (this.state !== 'ready') {
+            if (this.state === 'crashed' && this.restartCount >= this.maxRestarts) {
+                throw new Error(`MCP server crashed ${this.restartCount} times, giving up`);
+            }
+            await this.start();
+        }
+
+        return this.sendRequest(method, params, timeout);
+    }
+
+    sendRequest(method, params, timeout) {
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                this.notify('notifications/cancelled', { requestId: id, reason: 'timeout' });
+                reject(new Error(`MCP request ${method} timed out after ${timeout}ms`));
+            }, timeout);
+
+            this.pending.set(id, { method, resolve, reject, timer });
+
+            try {
+                this.write({ jsonrpc: '2.0', id, method, params });
+            } catch (error) {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    notify(method, params) {
+        try {
+            const message = { jsonrpc: '2.0', method };
+            if (params) message.params = params;
+            this.write(message);
+        } catch (error) {
+            // Notifications are fire-and-forget
+        }
+    }
+
+    write(message) {
+        if (!this.process || !this.process.stdin.writable) {
+            throw new Error('MCP server is not running');
+        }
+        this.process.stdin.write(JSON.stringify(message) + '\n');
+    }
+
+    handleLine(line) {
+        if (!line.trim()) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            // Some servers log to stdout; ignore anything that is not JSON-RPC
+            return;
+        }
+
+        // Response to one of our requests
+        if (message.id !== undefined && message.id !== null && !message.method) {
+            const pending = this.pending.get(message.id);
+            if (!pending) return;
+
+            clearTimeout(pending.timer);
+            this.pending.delete(message.id);
+
+            if (message.error) {
+                const error = new Error(message.error.message || `MCP error in ${pending.method}`);
+                error.code = message.error.code;
+                error.data = message.error.data;
+                pending.reject(error);
+            } else {
+                pending.resolve(message.result);
+            }
+            return;
+        }
+
+        // Request from the server
+        if (message.method && message.id !== undefined) {
+            if (message.method === 'ping') {
+                this.safeWrite({ jsonrpc: '2.0', id: message.id, result: {} });
+            } else {
+                this.safeWrite({
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    error: { code: -32601, message: `Method not supported by client: ${message.method}` }
+                });
+            }
+            return;
+        }
+
+        if (message.method) {
+            this.emit('notification', message);
+        }
+    }
+
+    safeWrite(message) {
+        try {
+            this.write(message);
+        } catch (error) {
+            console.log(`⚠️ Could not reply to MCP server: ${error.message}`);
+        }
+    }
+
+    handleExit(child, code, error, signal) {
+        // Ignore events from a process we already replaced
+        if (child !== this.process) return;
+
+        this.process = null;
+
+        const reason = error
+            ? error.message
+            : `exited with ${signal ? `signal ${signal}` : `code ${code}`}`;
+        const details = this.stderrTail.trim() ? `: ${this.stderrTail.trim().split('\n').pop()}` : '';
+
+        this.rejectAllPending(new Error(`MCP server ${reason}${details}`));
+
+        // A failed handshake is accounted for in spawnAndInitialize
+        if (this.state === 'starting') return;
+
+        if (this.closing) {
+            this.state = 'stopped';
+            return;
+        }
+
+        // The next request restarts the server
+        this.state = 'crashed';
+        this.restartCount++;
+        console.log(`⚠️ MCP server ${reason} (restart ${this.restartCount}/${this.maxRestarts} on next request)`);
+        this.emit('crash', { code, signal, error });
+    }
+
+    rejectAllPending(error) {
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Close stdin and wait for the server to exit, killing it if it does not
+     */
+    async close(timeout = 2000) {
+        this.closing = true;
+        const child = this.process;
+
+        this.rejectAllPending(new Error('MCP session closed'));
+
+        if (!child) {
+            this.state = 'stopped';
+            return;
+        }
+
+        await new Promise((resolve) => {
+            const timer = setTimeout(() => {
+                this.killProcess(child);
+                resolve();
+            }, timeout);
+
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+
+            try {
+                child.stdin.end();
+            } catch (error) {
+                this.killProcess(child);
+            }
+        });
+
+        this.process = null;
+        this.state = 'stopped';
+    }
+
+    killProcess(child) {
+        if (child && child.exitCode === null && !child.killed) {
+            child.kill('SIGKILL');
+        }
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            pid: this.process?.pid || null,
+            pendingRequests: this.pending.size,
+            restartCount: this.restartCount,
+            serverInfo: this.serverInfo,
+            protocolVersion: this.protocolVersion
+        };
+    }
+}
+
+module.exports = { MCPSession, MCP_PROTOCOL_VERSION };
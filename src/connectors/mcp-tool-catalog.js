@@ -0,0 +1,188 @@
+// src/connectors/mcp-tool-catalog.js
+// Tools advertised by an MCP server via tools/list, with argument validation against their input schemas
+
+/**
+ * Error for MCP contract problems (missing tool, bad arguments, unexpected response shape)
+ */
+function createMCPError(code, message, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+class MCPToolCatalog {
+    constructor() {
+        this.tools = new Map();
+        this.loaded = false;
+        this.loadedAt = null;
+        this.serverInfo = null;
+    }
+
+    /**
+     * Fetch every page of tools/list from a started MCP session
+     */
+    async load(session) {
+        const tools = new Map();
+        let cursor;
+
+        do {
+            const result = await session.request('tools/list', cursor ? { cursor } : {});
+            (result?.tools || []).forEach(tool => {
+                if (tool && tool.name) tools.set(tool.name, tool);
+            });
+            cursor = result?.nextCursor;
+        } while (cursor);
+
+        this.tools = tools;
+        this.loaded = true;
+        this.loadedAt = new Date().toISOString();
+        this.serverInfo = session.serverInfo || null;
+
+        console.log(`🧰 MCP tool catalog loaded: ${tools.size} tools`);
+        return this;
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    getToolNames() {
+        return Array.from(this.tools.keys()).sort();
+    }
+
+    /**
+     * Throw MCP_TOOL_UNAVAILABLE or MCP_INVALID_ARGUMENTS if a call would not match the catalog
+     */
+    assertValidCall(name, args = {}) {
+        // Without a catalog we cannot check anything; the server will reject bad calls
+        if (!this.loaded) return;
+
+        const tool = this.get(name);
+        if (!tool) {
+            throw createMCPError(
+                'MCP_TOOL_UNAVAILABLE',
+                `MCP tool "${name}" is not provided by this toolbox (available: ${this.getToolNames().join(', ') || 'none'})`,
+                { tool: name, available: this.getToolNames() }
+            );
+        }
+
+        const errors = validateAgainstSchema(args, tool.inputSchema || {}, 'arguments');
+        if (errors.length > 0) {
+            throw createMCPError(
+                'MCP_INVALID_ARGUMENTS',
+                `Invalid arguments for MCP tool "${name}": ${errors.join('; ')}`,
+                { tool: name, errors }
+            );
+        }
+    }
+
+    /**
+     * Catalog as returned by the API
+     */
+    toJSON() {
+        return {
+            loaded: this.loaded,
+            loadedAt: this.loadedAt,
+            serverInfo: this.serverInfo,
+            toolCount: this.tools.size,
+            tools: this.getToolNames().map(name => {
+                const tool = this.tools.get(name);
+                const schema = tool.inputSchema || {};
+                return {
+                    name: name,
+                    description: tool.description || '',
+                    requiredArguments: schema.required || [],
+                    arguments: Object.keys(schema.properties || {}),
+                    inputSchema: schema
+                };
+            })
+        };
+    }
+}
+
+/**
+ * Minimal JSON Schema check covering the keywords MCP tool schemas use in practice
+ */
+function validateAgainstSchema(value, schema, path) {
+    const errors = [];
+    if (!schema || typeof schema !== 'object') return errors;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path} should be ${types.join(' or ')}, got ${describeType(value)}`);
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} should be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} should be <= ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} should have at least ${schema.minItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+
+        const properties = schema.properties || {};
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            if (properties[key]) {
+                errors.push(...validateAgainstSchema(propertyValue, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not a known argument`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+            }
+        });
+    }
+
+    return errors;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null': return value === null;
+        default: return true;
+    }
+}
+
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+module.exports = { MCPToolCatalog, validateAgainstSchema, createMCPError };
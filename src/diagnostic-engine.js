@@ -4,10 +4,19 @@
 const { MCPConnector } = require('./connectors/mcp-connector');
 const { LookerAPIConnector } = require('./connectors/looker-api-connector');
 const { BigQueryConnector } = require('./connectors/bigquery-connector');
-const { SQLAnalyzer } = require('./analyzers/sql-analyzer');
+const { SQLAnalyzer, IMPROVEMENT_NOT_MEASURED } = require('./analyzers/sql-analyzer');
 const { LookMLAnalyzer } = require('./analyzers/lookml-analyzer');
 const { PerformanceAnalyzer } = require('./analyzers/performance-analyzer');
 const { BigQueryAnalyzer } = require('./analyzers/bigquery-analyzer');
+const { DeadCodeAnalyzer } = require('./analyzers/dead-code-analyzer');
+const { PDTHealthAnalyzer } = require('./analyzers/pdt-health-analyzer');
+const { recommendAggregateTables } = require('./analyzers/aggregate-awareness');
+
+// Ordered phases reported to progress listeners for each scan type
+const DIAGNOSTIC_PHASES = {
+    full: ['connectors', 'explores', 'slow_queries', 'lookml_files', 'sql_analysis', 'cost_estimation', 'table_layout', 'job_correlation', 'materialization', 'slot_usage', 'lookml_analysis', 'aggregate_awareness', 'dead_code', 'pdt_health', 'report'],
+    fast: ['connectors', 'explores', 'slow_queries', 'report']
+};
 
 class QueryPerformanceDiagnostic {
     constructor(config) {
@@ -22,6 +31,8 @@ class QueryPerformanceDiagnostic {
         this.lookmlAnalyzer = new LookMLAnalyzer(config);
         this.performanceAnalyzer = new PerformanceAnalyzer(config);
         this.bigqueryAnalyzer = new BigQueryAnalyzer(config);
+        this.deadCodeAnalyzer = new DeadCodeAnalyzer(config);
+        this.pdtHealthAnalyzer = new PDTHealthAnalyzer(config);
         this.explores = [];
         this.lookmlFiles = [];
         this.actualQueries = [];
@@ -32,6 +43,60 @@ class QueryPerformanceDiagnostic {
             lookmlFilesParsed: 0,
             totalProcessingTime: 0
         };
+        this.progressListener = null;
+        this.cancelled = false;
+    }
+
+    /**
+     * Register a callback that receives phase progress events
+     */
+    setProgressListener(listener) {
+        this.progressListener = listener;
+    }
+
+    /**
+     * Request cancellation; the run stops at the next phase or query boundary
+     */
+    cancel() {
+        this.cancelled = true;
+    }
+
+    reportProgress(phase, status, details = {}) {
+        if (!this.progressListener) return;
+
+        try {
+            this.progressListener({ phase, status, ...details, timestamp: new Date() });
+        } catch (error) {
+            console.log(`⚠️ Progress listener failed: ${error.message}`);
+        }
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            const error = new Error('Diagnostic cancelled');
+            error.cancelled = true;
+            throw error;
+        }
+    }
+
+    /**
+     * Run one phase and report when it starts, completes or fails
+     */
+    async trackPhase(phase, message, task) {
+        this.throwIfCancelled();
+        this.reportProgress(phase, 'started', { message });
+
+        try {
+            const result = await task();
+            this.reportProgress(phase, 'completed', {
+                message,
+                count: Array.isArray(result) ? result.length : undefined
+            });
+            return result;
+        } catch (error) {
+            this.reportProgress(phase, 'failed', { message, error: error.message });
+            throw error;
+        }
     }
 
     async initializeConnectors() {
@@ -71,6 +136,17 @@ class QueryPerformanceDiagnostic {
         return results;
     }
 
+    /**
+     * Release connector resources such as the MCP toolbox process
+     */
+    async shutdownConnectors() {
+        try {
+            await this.mcpConnector.close();
+        } catch (error) {
+            console.log(`⚠️ MCP connector shutdown failed: ${error.message}`);
+        }
+    }
+
     async fetchExplores() {
         console.log('Fetching explores using available connectors...');
         const startTime = Date.now();
@@ -80,7 +156,12 @@ class QueryPerformanceDiagnostic {
             
             if (this.mcpConnector.isConnected) {
                 console.log('Attempting to fetch explores via MCP...');
-                allExplores = await this.fetchExploresViaMCP();
+                try {
+                    allExplores = await this.fetchExploresViaMCP();
+                } catch (mcpError) {
+                    this.diagnosticErrors.push(`MCP explore fetching failed: ${mcpError.message}`);
+                    allExplores = [];
+                }
                 
                 if (allExplores.length > 0) {
                     console.log(`✅ Successfully fetched ${allExplores.length} explores via MCP`);
@@ -157,6 +238,7 @@ class QueryPerformanceDiagnostic {
                         }));
                         
                     } catch (modelError) {
+                        if (this.mcpConnector.isContractError(modelError)) throw modelError;
                         console.log(`Could not fetch explores for ${model.name}: ${modelError.message}`);
                         return [{
                             model: model.name,
@@ -176,6 +258,8 @@ class QueryPerformanceDiagnostic {
                 batchResults.forEach(result => {
                     if (result.status === 'fulfilled') {
                         allExplores.push(...result.value);
+                    } else if (this.mcpConnector.isContractError(result.reason)) {
+                        throw result.reason;
                     }
                 });
                 
@@ -431,6 +515,48 @@ class QueryPerformanceDiagnostic {
         }
     }
 
+    /**
+     * Match the resolved LookML project against field usage from query history
+     */
+    async analyzeDeadCode(lookmlProject) {
+        if (!this.mcpConnector.isConnected) {
+            return { available: false, reason: 'MCP connector not available for query history' };
+        }
+        
+        const days = parseInt(this.config.deadCodeDays || process.env.DEAD_CODE_DAYS, 10) || 90;
+        const usage = await this.mcpConnector.getFieldUsage(days);
+        const deadCode = this.deadCodeAnalyzer.analyze(lookmlProject, usage);
+        
+        if (deadCode.available) {
+            console.log(`🪦 Unused LookML: ${deadCode.summary.unusedExplores} explores, ${deadCode.summary.unusedJoins} joins, ${deadCode.summary.unusedViews} views, ${deadCode.summary.unusedFields} fields`);
+        }
+        return deadCode;
+    }
+
+    /**
+     * Builds, failures and triggers of the existing PDTs from the system__activity PDT logs, against how often they are read
+     */
+    async analyzePDTHealth(lookmlProject) {
+        if (!this.mcpConnector.isConnected) {
+            return { available: false, reason: 'MCP connector not available for the PDT event log' };
+        }
+
+        const days = parseInt(this.config.pdtHealthDays || process.env.PDT_HEALTH_DAYS, 10) || 30;
+        const events = await this.mcpConnector.getPDTEvents(days);
+        // Without pdt_builds, builds are paired from the event log
+        const builds = await this.mcpConnector.getPDTBuilds(days).catch(error => {
+            console.log(`⚠️ pdt_builds unavailable, using the PDT event log: ${error.message}`);
+            return { days, rows: [], truncated: false };
+        });
+        const usage = await this.mcpConnector.getFieldUsage(days);
+        const pdtHealth = this.pdtHealthAnalyzer.analyze(events, builds, usage, lookmlProject);
+
+        if (pdtHealth.available) {
+            console.log(`🏗️ PDT health: ${pdtHealth.summary.pdts} PDTs, ${pdtHealth.summary.builds} builds (${pdtHealth.summary.buildHours}h), ${pdtHealth.summary.failures} failures, ${pdtHealth.summary.overRebuiltPDTs + pdtHealth.summary.unusedPDTs} rebuilt more than read`);
+        }
+        return pdtHealth;
+    }
+
     async runQueryPerformanceDiagnostic() {
         console.log('Starting comprehensive query performance diagnostic...');
         console.log('Using modular architecture with specialized analyzers');
@@ -438,14 +564,20 @@ class QueryPerformanceDiagnostic {
         const startTime = Date.now();
         
         try {
+            this.reportProgress('plan', 'started', { phases: DIAGNOSTIC_PHASES.full });
+
             console.log('Step 1: Initializing connectors...');
-            const connectorResults = await this.initializeConnectors();
+            const connectorResults = await this.trackPhase('connectors', 'Initializing connectors',
+                () => this.initializeConnectors());
             
             console.log('Step 2: Fetching data from multiple sources...');
             const dataFetchPromises = [
-                this.withTimeout(this.fetchExplores(), 60000, 'explore fetching'),
-                this.withTimeout(this.fetchSlowQueries(), 45000, 'slow query fetching'),
-                this.withTimeout(this.fetchLookMLFiles(), 90000, 'LookML file fetching')
+                this.trackPhase('explores', 'Fetching explores',
+                    () => this.withTimeout(this.fetchExplores(), 60000, 'explore fetching')),
+                this.trackPhase('slow_queries', 'Fetching slow queries',
+                    () => this.withTimeout(this.fetchSlowQueries(), 45000, 'slow query fetching')),
+                this.trackPhase('lookml_files', 'Fetching LookML files',
+                    () => this.withTimeout(this.fetchLookMLFiles(), 90000, 'LookML file fetching'))
             ];
 
             
@@ -460,21 +592,38 @@ class QueryPerformanceDiagnostic {
             console.log(`  - Slow Queries: ${this.actualQueries.length}`);
             console.log(`  - LookML Files: ${this.lookmlFiles.length}`);
             
+            this.throwIfCancelled();
             console.log('Step 3: Running specialized analyses...');
             
+            // Generated PDTs take primary keys and datagroups from the resolved project
+            const lookmlFileAnalysis = this.withTimeout(
+                this.lookmlAnalyzer.analyzeLookMLFiles(this.lookmlFiles), 
+                60000, 'LookML analysis'
+            );
+            const lookmlProjectForSQL = lookmlFileAnalysis.then(result => result.project, () => null);
+            
             const analysisPromises = [
-                this.withTimeout(
+                this.trackPhase('sql_analysis', 'Analyzing slow query SQL', async () => this.withTimeout(
                     this.sqlAnalyzer.analyzeSlowQueries(
                         this.actualQueries, 
                         this.mcpConnector,
-                        this.lookerApiConnector  // Add this parameter
+                        this.lookerApiConnector,
+                        {
+                            project: await lookmlProjectForSQL,
+                            isCancelled: () => this.cancelled,
+                            onProgress: ({ stage, current, total, queryId }) => this.reportProgress('sql_analysis', 'progress', {
+                                message: stage === 'fetch'
+                                    ? `Fetching SQL for query ${current} of ${total}`
+                                    : `Analyzing query fingerprint ${current} of ${total}`,
+                                current,
+                                total,
+                                queryId
+                            })
+                        }
                     ), 
                     120000, 'SQL analysis'
-                ),
-                this.withTimeout(
-                    this.lookmlAnalyzer.analyzeLookMLFiles(this.lookmlFiles), 
-                    60000, 'LookML analysis'
-                ),
+                )),
+                lookmlFileAnalysis,
                 this.withTimeout(
                     this.performanceAnalyzer.analyzeExplores(this.explores), 
                     30000, 'performance analysis'
@@ -486,27 +635,123 @@ class QueryPerformanceDiagnostic {
             ];
             
             const analysisResults = await Promise.allSettled(analysisPromises);
+            this.throwIfCancelled();
             
-            const sqlResults = await this.sqlAnalyzer.analyzeSlowQueries(
-                this.actualQueries, 
-                this.mcpConnector,
-                this.lookerApiConnector);
+            const sqlResults = this.extractPromiseResult(analysisResults[0], []);
+
+            const costResults = await this.trackPhase('cost_estimation', 'Estimating BigQuery costs',
+                () => this.withTimeout(this.bigqueryAnalyzer.estimateQueryCosts(sqlResults, this.bigqueryConnector), 60000, 'BigQuery cost estimation'))
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`BigQuery cost estimation failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            this.throwIfCancelled();
+
+            const tableLayoutResults = await this.trackPhase('table_layout', 'Recommending BigQuery partitioning and clustering',
+                () => this.withTimeout(this.bigqueryAnalyzer.recommendTableLayouts(sqlResults, this.bigqueryConnector), 60000, 'BigQuery table layout analysis'))
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`BigQuery table layout analysis failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            this.throwIfCancelled();
 
-                console.log('Step 2b: Fetching and analyzing LookML...');
-            const lookmlResults = await this.fetchAndAnalyzeLookML();
+            const jobCorrelationResults = await this.trackPhase('job_correlation', 'Matching BigQuery jobs to Looker queries',
+                () => this.withTimeout(this.bigqueryAnalyzer.correlateLookerJobs(
+                    this.actualQueries, sqlResults, this.bigqueryConnector, this.lookerApiConnector
+                ), 60000, 'BigQuery job correlation'))
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`BigQuery job correlation failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            this.throwIfCancelled();
+
+            const materializationResults = await this.trackPhase('materialization', 'Finding materialized view candidates',
+                () => this.withTimeout(this.bigqueryAnalyzer.findMaterializationCandidates(sqlResults, this.bigqueryConnector), 60000, 'Materialized view analysis'))
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`Materialized view analysis failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            this.throwIfCancelled();
+
+            const slotUsageResults = await this.trackPhase('slot_usage', 'Analyzing BigQuery slot usage',
+                () => this.withTimeout(this.bigqueryAnalyzer.analyzeJobStatistics(this.bigqueryConnector, this.lookerApiConnector), 60000, 'BigQuery slot usage analysis'))
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`BigQuery slot usage analysis failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            this.throwIfCancelled();
+
+            console.log('Step 2b: Fetching and analyzing LookML...');
+            const lookmlResults = await this.trackPhase('lookml_analysis', 'Analyzing LookML',
+                () => this.fetchAndAnalyzeLookML());
             const performanceResults = this.extractPromiseResult(analysisResults[2], { analyses: [], summary: {} });
             const bigqueryResults = this.extractPromiseResult(analysisResults[3], { analyzed: false });
             
+            // Prefer the project graph of the files fetched for slow-query models
+            const lookmlProject = lookmlResults?.project || this.extractPromiseResult(analysisResults[1], {}).project;
+            const aggregateTableResults = await this.trackPhase('aggregate_awareness', 'Clustering queries into aggregate tables',
+                async () => {
+                    const explores = this.generateAggregateTableRecommendations(lookmlProject);
+                    console.log(`🧮 Aggregate tables: ${explores.reduce((sum, explore) => sum + explore.tables.length, 0)} across ${explores.length} explores`);
+                    return { available: true, explores };
+                })
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`Aggregate table analysis failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            this.throwIfCancelled();
+
+            const deadCodeResults = await this.trackPhase('dead_code', 'Finding unused LookML',
+                () => this.withTimeout(this.analyzeDeadCode(lookmlProject), 60000, 'dead code analysis'))
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`Dead code analysis failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            this.throwIfCancelled();
+
+            const pdtHealthResults = await this.trackPhase('pdt_health', 'Checking PDT health',
+                () => this.withTimeout(this.analyzePDTHealth(lookmlProject), 60000, 'PDT health analysis'))
+                .catch(error => {
+                    if (error.cancelled) throw error;
+                    this.diagnosticErrors.push(`PDT health analysis failed: ${error.message}`);
+                    return { available: false, reason: error.message };
+                });
+            
             const healthMetrics = this.performanceAnalyzer.calculateHealthMetrics(this.explores, this.actualQueries);
             const overallGrade = this.performanceAnalyzer.calculatePerformanceGrade(this.explores, this.actualQueries);
             
             const diagnosticDuration = Date.now() - startTime;
             this.processingStats.totalProcessingTime = diagnosticDuration;
             
+            this.throwIfCancelled();
+            this.reportProgress('report', 'started', { message: 'Building report' });
             const report = this.generateComprehensiveReport({
-                startTime, diagnosticDuration, connectorResults, healthMetrics,
-                overallGrade, sqlResults, lookmlResults, performanceResults, bigqueryResults
+                startTime,
+                diagnosticDuration,
+                connectorResults,
+                healthMetrics,
+                overallGrade,
+                sqlResults,
+                lookmlResults,
+                performanceResults,
+                bigqueryResults,
+                deadCodeResults,
+                costResults,
+                tableLayoutResults,
+                jobCorrelationResults,
+                materializationResults,
+                slotUsageResults,
+                aggregateTableResults,
+                pdtHealthResults
             });
+            this.reportProgress('report', 'completed', { message: 'Building report' });
             
             console.log('Comprehensive diagnostic completed successfully!');
             console.log(`Total time: ${Math.round(diagnosticDuration / 1000)}s`);
@@ -526,6 +771,7 @@ class QueryPerformanceDiagnostic {
             
             return {
                 error: error.message,
+                cancelled: !!error.cancelled,
                 fallbackMode: true,
                 timestamp: new Date(),
                 diagnosticErrors: this.diagnosticErrors,
@@ -537,6 +783,8 @@ class QueryPerformanceDiagnostic {
                 },
                 processingStats: this.processingStats
             };
+        } finally {
+            await this.shutdownConnectors();
         }
     }
     async runFastScan() {
@@ -545,17 +793,23 @@ class QueryPerformanceDiagnostic {
         
         try {
             // Step 1: Initialize connectors
+            this.reportProgress('plan', 'started', { phases: DIAGNOSTIC_PHASES.fast });
+
             console.log('Step 1: Initializing connectors...');
-            const connectorResults = await this.initializeConnectors();
+            const connectorResults = await this.trackPhase('connectors', 'Initializing connectors',
+                () => this.initializeConnectors());
             
             // Step 2: Fetch only slow queries and explores (skip LookML for speed)
             console.log('Step 2: Fetching slow queries and explores...');
             const dataPromises = [
-                this.withTimeout(this.fetchSlowQueries(), 30000, 'slow query fetching'),
-                this.withTimeout(this.fetchExplores(), 45000, 'explore fetching')
+                this.trackPhase('slow_queries', 'Fetching slow queries',
+                    () => this.withTimeout(this.fetchSlowQueries(), 30000, 'slow query fetching')),
+                this.trackPhase('explores', 'Fetching explores',
+                    () => this.withTimeout(this.fetchExplores(), 45000, 'explore fetching'))
             ];
             
             const dataResults = await Promise.allSettled(dataPromises);
+            this.throwIfCancelled();
             
             this.actualQueries = this.extractPromiseResult(dataResults[0], []);
             this.explores = this.extractPromiseResult(dataResults[1], []);
@@ -573,6 +827,7 @@ class QueryPerformanceDiagnostic {
             const scanDuration = Date.now() - startTime;
             
             // Generate fast scan report
+            this.reportProgress('report', 'started', { message: 'Building report' });
             const report = {
                 timestamp: new Date(),
                 scanType: 'fast',
@@ -586,23 +841,14 @@ class QueryPerformanceDiagnostic {
                     runtimeDistribution: this.getRuntimeDistribution(),
                     byModel: this.groupQueriesByModel(),
                     byPriority: this.groupQueriesByPriority(),
-                    queries: this.actualQueries.map(q => ({
-                        query_id: q.query_id,
-                        slug: q.slug,
-                        runtime_seconds: q.runtime_seconds,
-                        model: q.model,
-                        explore: q.explore,
-                        dashboard_title: q.dashboard_title,
-                        user_email: q.user_email,
-                        runtimeCategory: q.runtimeCategory,
-                        optimizationPriority: q.optimizationPriority
-                    }))
+                    queries: this.summarizeSlowQueries()
                 },
                 
                 exploreAnalysis: {
                     totalExplores: this.explores.length,
                     performanceSummary: performanceResults.summary,
-                    byModel: this.groupExploresByModel()
+                    byModel: this.groupExploresByModel(),
+                    exploreRisks: this.summarizeExploreRisks(performanceResults)
                 },
                 
                 recommendations: {
@@ -624,6 +870,7 @@ class QueryPerformanceDiagnostic {
                 }
             };
             
+            this.reportProgress('report', 'completed', { message: 'Building report' });
             console.log(`✅ Fast scan completed in ${Math.round(scanDuration / 1000)}s`);
             console.log(`🎯 Found ${this.actualQueries.length} slow queries for potential AI analysis`);
             
@@ -635,6 +882,7 @@ class QueryPerformanceDiagnostic {
             
             return {
                 error: error.message,
+                cancelled: !!error.cancelled,
                 scanType: 'fast',
                 timestamp: new Date(),
                 scanDuration: scanDuration,
@@ -643,6 +891,8 @@ class QueryPerformanceDiagnostic {
                     explores: this.explores.length
                 }
             };
+        } finally {
+            await this.shutdownConnectors();
         }
     }
 
@@ -671,7 +921,7 @@ class QueryPerformanceDiagnostic {
                     title: `Create PDT for ${explore}`,
                     description: `${data.queryCount} slow queries averaging ${data.avgRuntime.toFixed(1)}s`,
                     action: 'Implement PDT to pre-compute results',
-                    estimatedImprovement: '70-85%'
+                    estimatedImprovement: IMPROVEMENT_NOT_MEASURED
                 });
             });
         
@@ -948,7 +1198,7 @@ generateImmediateRecommendations() {
                 title: `Create PDT for ${explore}`,
                 description: `${data.queryCount} slow queries averaging ${data.avgRuntime.toFixed(1)}s`,
                 action: 'Implement PDT to pre-compute results',
-                estimatedImprovement: '70-85%'
+                estimatedImprovement: IMPROVEMENT_NOT_MEASURED
             });
         });
     
@@ -1009,23 +1259,24 @@ async fetchAndAnalyzeLookML() {
                 )].slice(0, 5); // Limit to top 5 models
                 
                 console.log(`   Fetching LookML for models: ${modelsWithSlowQueries.join(', ')}`);
+                const fetchedProjects = new Set();
                 
                 for (const modelName of modelsWithSlowQueries) {
                     try {
                         // Try to get project files for this model
                         const modelInfo = models.find(m => m.name === modelName);
-                        if (modelInfo && modelInfo.project_name) {
+                        if (modelInfo && modelInfo.project_name && !fetchedProjects.has(modelInfo.project_name)) {
+                            fetchedProjects.add(modelInfo.project_name);
                             const files = await this.lookerApiConnector.getProjectFiles(modelInfo.project_name);
                             
-                            // Filter for LookML files
+                            // Every LookML file: includes, extends and dead-code ratings need the whole project
                             const lookmlFileNames = files
                                 .filter(f => f.name && (
                                     f.name.endsWith('.lkml') ||
                                     f.name.endsWith('.view') ||
                                     f.name.endsWith('.model') ||
                                     f.name.endsWith('.explore')
-                                ))
-                                .slice(0, 3); // Limit files per model
+                                ));
                             
                             console.log(`   Found ${lookmlFileNames.length} LookML files in ${modelInfo.project_name}`);
                             
@@ -1040,11 +1291,13 @@ async fetchAndAnalyzeLookML() {
                                     if (content) {
                                         lookmlFiles.push({
                                             fileName: file.name,
+                                            path: file.path || file.id || file.name,
                                             project: modelInfo.project_name,
                                             model: modelName,
                                             content: content,
                                             type: this.determineLookMLType(file.name),
-                                            size: content.length
+                                            size: content.length,
+                                            projectFileCount: lookmlFileNames.length
                                         });
                                     }
                                 } catch (fileError) {
@@ -1200,67 +1453,9 @@ generatePDTCode(model, explore, runtime) {
 }`;
 }
 
-// Helper to generate aggregate table code
-generateAggregateTableCode(model, explore) {
-    return `explore: ${explore} {
-  aggregate_table: ${explore}_daily {
-    query: {
-      dimensions: [created_date, category]
-      measures: [count, total_revenue]
-      filters: {
-        created_date: "90 days"
-      }
-    }
-    
-    materialization: {
-      datagroup_trigger: ${model}_default_datagroup
-    }
-  }
-  
-  aggregate_table: ${explore}_weekly {
-    query: {
-      dimensions: [created_week, category, status]
-      measures: [count, total_revenue, average_amount]
-      filters: {
-        created_week: "12 weeks"
-      }
-    }
-    
-    materialization: {
-      datagroup_trigger: ${model}_default_datagroup
-    }
-  }
-}`;
-}
-
-// Helper to generate aggregate table recommendations
-generateAggregateTableRecommendations() {
-    const recommendations = [];
-    
-    // Find explores with multiple slow queries
-    const exploreStats = {};
-    this.actualQueries.forEach(query => {
-        const key = `${query.model}.${query.explore}`;
-        if (!exploreStats[key]) {
-            exploreStats[key] = { count: 0, totalRuntime: 0 };
-        }
-        exploreStats[key].count++;
-        exploreStats[key].totalRuntime += query.runtime_seconds || 0;
-    });
-    
-    Object.entries(exploreStats)
-        .filter(([_, stats]) => stats.count >= 2 && stats.totalRuntime > 60)
-        .forEach(([explore, stats]) => {
-            recommendations.push({
-                explore: explore,
-                queryCount: stats.count,
-                totalRuntime: stats.totalRuntime,
-                recommendation: 'Implement aggregate tables',
-                priority: stats.totalRuntime > 200 ? 'critical' : 'high'
-            });
-        });
-    
-    return recommendations;
+// Aggregate tables clustered from the slow queries' fields, filters and timeframes per explore
+generateAggregateTableRecommendations(lookmlProject = null) {
+    return recommendAggregateTables(this.actualQueries, { project: lookmlProject });
 }
 
 // Helper to determine LookML file type
@@ -1489,7 +1684,15 @@ determineLookMLType(fileName) {
     generateComprehensiveReport(params) {
         const {
             startTime, diagnosticDuration, connectorResults, healthMetrics, 
-            overallGrade, sqlResults, lookmlResults, performanceResults, bigqueryResults
+            overallGrade, sqlResults, lookmlResults, performanceResults, bigqueryResults,
+            deadCodeResults = { available: false, reason: 'Not run' },
+            costResults = { available: false, reason: 'Not run' },
+            tableLayoutResults = { available: false, reason: 'Not run' },
+            jobCorrelationResults = { available: false, reason: 'Not run' },
+            materializationResults = { available: false, reason: 'Not run' },
+            slotUsageResults = { available: false, reason: 'Not run' },
+            aggregateTableResults = { available: false, reason: 'Not run' },
+            pdtHealthResults = { available: false, reason: 'Not run' }
         } = params;
 
         return {
@@ -1504,25 +1707,46 @@ determineLookMLType(fileName) {
                 optimizationsGenerated: sqlResults.length,
                 performanceSummary: performanceResults.summary,
                 byModel: this.groupExploresByModel(),
-                sourceBreakdown: this.getExploreSourceBreakdown()
+                sourceBreakdown: this.getExploreSourceBreakdown(),
+                exploreRisks: this.summarizeExploreRisks(performanceResults)
             },
             slowQueryAnalysis: {
                 totalSlowQueries: this.actualQueries.length,
                 sqlQueriesAnalyzed: sqlResults.length,
+                fingerprints: this.summarizeQueryFingerprints(sqlResults),
                 avgRuntime: this.calculateAverageRuntime(),
                 runtimeDistribution: this.getRuntimeDistribution(),
-                potentialImprovement: this.calculatePotentialImprovement(sqlResults),
+                potentialImprovement: this.calculatePotentialImprovement(sqlResults, costResults),
                 byModel: this.groupQueriesByModel(),
-                byPriority: this.groupQueriesByPriority()
+                byPriority: this.groupQueriesByPriority(),
+                queries: this.summarizeSlowQueries()
             },
             lookmlAnalysis: {
                 totalLookMLFiles: this.lookmlFiles.length,
                 summary: lookmlResults.summary || {},
                 viewFiles: this.lookmlFiles.filter(f => f.type === 'view').length,
                 exploreFiles: this.lookmlFiles.filter(f => f.type === 'explore').length,
-                modelFiles: this.lookmlFiles.filter(f => f.type === 'model').length
+                modelFiles: this.lookmlFiles.filter(f => f.type === 'model').length,
+                projects: (lookmlResults.project?.projects || []).map(project => ({
+                    project: project.project,
+                    models: project.models.map(model => model.name),
+                    explores: project.explores.length,
+                    views: project.views.length,
+                    unincludedFiles: project.unincludedFiles,
+                    issues: project.issues.length,
+                    fanoutRisks: project.issues.filter(issue => issue.type === 'fanout').length
+                }))
             },
             
+            deadCode: deadCodeResults,
+            bigqueryCosts: costResults,
+            bigqueryTableLayouts: tableLayoutResults,
+            bigqueryJobs: jobCorrelationResults,
+            bigqueryMaterializedViews: materializationResults,
+            bigquerySlotUsage: slotUsageResults,
+            aggregateTables: aggregateTableResults,
+            pdtHealth: pdtHealthResults,
+            
             queryAnalysis: sqlResults,
             lookmlRecommendations: lookmlResults.analyses || [],
             performanceRecommendations: performanceResults.recommendations || [],
@@ -1560,6 +1784,45 @@ determineLookMLType(fileName) {
         };
     }
 
+    // Compact per-query rows kept in reports so stored runs can be compared
+    summarizeSlowQueries() {
+        return this.actualQueries.map(q => ({
+            query_id: q.query_id,
+            history_id: q.history_id || null,
+            history_slug: q.history_slug || null,
+            slug: q.slug,
+            runtime_seconds: q.runtime_seconds,
+            model: q.model,
+            explore: q.explore,
+            dashboard_title: q.dashboard_title,
+            user_email: q.user_email,
+            fingerprint: q.fingerprint || null,
+            bigqueryJob: q.bigqueryJob || null,
+            runtimeCategory: q.runtimeCategory,
+            optimizationPriority: q.optimizationPriority
+        }));
+    }
+
+    // Repeated query shapes, most total runtime first (sqlResults is already in that order)
+    summarizeQueryFingerprints(sqlResults) {
+        return sqlResults
+            .filter(analysis => analysis.fingerprintGroup)
+            .map(analysis => ({
+                fingerprint: analysis.fingerprint,
+                model: analysis.model,
+                explore: analysis.explore,
+                ...analysis.fingerprintGroup
+            }));
+    }
+
+    summarizeExploreRisks(performanceResults) {
+        return (performanceResults?.analyses || []).map(analysis => ({
+            exploreId: analysis.exploreId,
+            performanceRisk: analysis.performanceRisk,
+            complexity: analysis.complexity
+        }));
+    }
+
     getExploreSourceBreakdown() {
         const breakdown = {};
         this.explores.forEach(explore => {
@@ -1604,29 +1867,15 @@ determineLookMLType(fileName) {
         return groups;
     }
 
-    calculatePotentialImprovement(sqlResults) {
+    calculatePotentialImprovement(sqlResults, costResults = null) {
         if (sqlResults.length === 0) return 'N/A';
         
-        const improvements = sqlResults
-            .map(result => result.aiAnalysis?.recommendations || [])
-            .flat()
-            .map(rec => rec.expectedImprovement)
-            .filter(imp => imp && typeof imp === 'string')
-            .map(imp => {
-                const match = imp.match(/(\d+)-(\d+)%/);
-                if (match) {
-                    return (parseInt(match[1]) + parseInt(match[2])) / 2;
-                }
-                return 50;
-            });
-        
-        if (improvements.length === 0) return '50-70%';
-        
-        const avgImprovement = improvements.reduce((sum, imp) => sum + imp, 0) / improvements.length;
-        const min = Math.max(Math.round(avgImprovement - 15), 10);
-        const max = Math.min(Math.round(avgImprovement + 15), 95);
+        // Only a dry run of the original and rewritten SQL measures an improvement
+        if (costResults?.available && costResults.queries.some(query => query.optimizedBytesProcessed !== undefined)) {
+            return `${costResults.savings.percent}% fewer bytes scanned (measured by dry run)`;
+        }
         
-        return `${min}-${max}%`;
+        return IMPROVEMENT_NOT_MEASURED;
     }
 
     estimateComplexity(exploreName) {
@@ -1789,7 +2038,9 @@ determineLookMLType(fileName) {
                         type: issue.type,
                         severity: issue.severity,
                         category: 'lookml',
-                        item: `${analysis.project}/${analysis.fileName}`,
+                        item: `${analysis.project}/${issue.source?.file || analysis.fileName}`,
+                        line: issue.source?.line || null,
+                        rule: issue.rule || null,
                         issue: issue.issue,
                         recommendation: issue.recommendation,
                         source: 'lookml_analyzer'
@@ -0,0 +1,271 @@
+// src/jobs/diagnostic-job-manager.js
+// Runs diagnostics in the background and streams their progress to subscribers
+
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+class DiagnosticJobManager extends EventEmitter {
+    /**
+     * options.createDiagnostic(config) builds the engine for a job,
+     * options.onComplete(job, diagnostic, results) runs after a successful diagnostic
+     */
+    constructor(options = {}) {
+        super();
+        this.createDiagnostic = options.createDiagnostic;
+        this.onComplete = options.onComplete || null;
+        this.maxFinishedJobs = options.maxFinishedJobs || 20;
+        this.jobs = new Map();
+        this.setMaxListeners(0);
+    }
+
+    /**
+     * Queue a diagnostic job and return immediately
+     */
+    createJob({ type = 'full', config }) {
+        const job = {
+            id: uuidv4(),
+            type: type,
+            config: config,
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            phases: [],
+            phaseStatus: {},
+            currentPhase: null,
+            sqlProgress: null,
+            progress: 0,
+            events: [],
+            cancelRequested: false,
+            runId: null,
+            result: null,
+            error: null,
+            diagnostic: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.pruneFinishedJobs();
+        this.addEvent(job, 'status', { status: 'queued' });
+
+        setImmediate(() => this.runJob(job));
+
+        console.log(`🧵 Queued ${type} diagnostic job ${job.id}`);
+        return this.toJobSummary(job);
+    }
+
+    async runJob(job) {
+        if (job.status !== 'queued') return;
+
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.addEvent(job, 'status', { status: 'running' });
+
+        try {
+            // Inside the try: a bad config must fail the job, not leave it running from setImmediate
+            const diagnostic = this.createDiagnostic(job.config);
+            job.diagnostic = diagnostic;
+            diagnostic.setProgressListener(progress => this.handleProgress(job, progress));
+
+            const results = job.type === 'fast'
+                ? await diagnostic.runFastScan()
+                : await diagnostic.runQueryPerformanceDiagnostic();
+
+            if (job.cancelRequested || results.cancelled) {
+                this.finishJob(job, 'cancelled');
+                return;
+            }
+
+            if (results.error) {
+                job.result = results;
+                job.error = results.error;
+                this.finishJob(job, 'failed', { error: results.error });
+                return;
+            }
+
+            if (this.onComplete) {
+                await this.onComplete(job, diagnostic, results);
+            }
+
+            job.result = results;
+            job.runId = results.runId || null;
+            job.progress = 100;
+            this.finishJob(job, 'completed', { runId: job.runId });
+
+        } catch (error) {
+            console.error(`❌ Diagnostic job ${job.id} failed:`, error);
+            job.error = error.message;
+            this.finishJob(job, 'failed', { error: error.message });
+        } finally {
+            job.diagnostic = null;
+        }
+    }
+
+    handleProgress(job, progress) {
+        if (progress.phase === 'plan') {
+            job.phases = progress.phases || [];
+            return;
+        }
+
+        job.currentPhase = progress.phase;
+        job.phaseStatus[progress.phase] = progress.status === 'progress' ? 'started' : progress.status;
+
+        if (progress.phase === 'sql_analysis' && progress.total) {
+            job.sqlProgress = { current: progress.current, total: progress.total };
+        }
+
+        job.progress = this.calculateProgress(job);
+
+        this.addEvent(job, 'progress', {
+            phase: progress.phase,
+            status: progress.status,
+            message: progress.message,
+            current: progress.current,
+            total: progress.total,
+            count: progress.count,
+            error: progress.error,
+            progress: job.progress
+        });
+    }
+
+    /**
+     * Percentage of phases finished, counting SQL analysis per query
+     */
+    calculateProgress(job) {
+        if (job.phases.length === 0) return 0;
+
+        let done = 0;
+        job.phases.forEach(phase => {
+            const status = job.phaseStatus[phase];
+            if (status === 'completed' || status === 'failed') {
+                done += 1;
+            } else if (phase === 'sql_analysis' && job.sqlProgress) {
+                done += (job.sqlProgress.current - 1) / job.sqlProgress.total;
+            }
+        });
+
+        return Math.min(99, Math.round((done / job.phases.length) * 100));
+    }
+
+    finishJob(job, status, details = {}) {
+        job.status = status;
+        job.finishedAt = new Date().toISOString();
+        this.addEvent(job, 'done', { status, progress: job.progress, ...details });
+        console.log(`🧵 Diagnostic job ${job.id} ${status}`);
+    }
+
+    addEvent(job, type, data = {}) {
+        const event = {
+            id: job.events.length + 1,
+            type: type,
+            jobId: job.id,
+            ...data,
+            timestamp: new Date()
+        };
+
+        job.events.push(event);
+        this.emit(`job:${job.id}`, event);
+        return event;
+    }
+
+    /**
+     * Replay events after afterEventId, then follow new ones; returns an unsubscribe function
+     */
+    subscribe(id, listener, afterEventId = 0) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        job.events
+            .filter(event => event.id > afterEventId)
+            .forEach(event => listener(event));
+
+        if (this.isFinished(job)) {
+            return () => {};
+        }
+
+        const eventName = `job:${id}`;
+        this.on(eventName, listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Ask a job to stop: { job, accepted }, accepted false when it already finished or is stopping;
+     * null if the job does not exist
+     */
+    cancelJob(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+        if (this.isFinished(job) || job.cancelRequested) return { job: this.toJobSummary(job), accepted: false };
+
+        job.cancelRequested = true;
+
+        if (job.status === 'queued') {
+            this.finishJob(job, 'cancelled');
+        } else {
+            job.diagnostic?.cancel();
+            this.addEvent(job, 'status', { status: 'cancelling' });
+        }
+
+        return { job: this.toJobSummary(job), accepted: true };
+    }
+
+    getJob(id, { includeResult = false } = {}) {
+        const job = this.jobs.get(id);
+        return job ? this.toJobSummary(job, includeResult) : null;
+    }
+
+    listJobs() {
+        return Array.from(this.jobs.values())
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .map(job => this.toJobSummary(job));
+    }
+
+    isFinished(job) {
+        return FINISHED_STATUSES.includes(job.status);
+    }
+
+    hasFinished(id) {
+        const job = this.jobs.get(id);
+        return !!job && this.isFinished(job);
+    }
+
+    /**
+     * Keep only the most recent finished jobs in memory; reports are in the run store
+     */
+    pruneFinishedJobs() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => this.isFinished(job))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+        finished.slice(this.maxFinishedJobs).forEach(job => {
+            this.jobs.delete(job.id);
+            this.removeAllListeners(`job:${job.id}`);
+        });
+    }
+
+    toJobSummary(job, includeResult = false) {
+        const summary = {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            currentPhase: job.currentPhase,
+            phases: job.phases,
+            progress: job.progress,
+            cancelRequested: job.cancelRequested,
+            runId: job.runId,
+            error: job.error
+        };
+
+        if (includeResult) {
+            summary.result = job.result;
+        }
+
+        return summary;
+    }
+}
+
+module.exports = { DiagnosticJobManager };
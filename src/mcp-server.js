@@ -0,0 +1,377 @@
+// src/mcp-server.js
+// stdio MCP server exposing the diagnostic engine as tools for AI assistants
+
+const readline = require('readline');
+const { QueryPerformanceDiagnostic } = require('./diagnostic-engine');
+const { SQLAnalyzer } = require('./analyzers/sql-analyzer');
+const { LookMLAnalyzer } = require('./analyzers/lookml-analyzer');
+const { LookerAPIConnector } = require('./connectors/looker-api-connector');
+const { RunStore } = require('./storage/run-store');
+const { validateAgainstSchema } = require('./connectors/mcp-tool-catalog');
+const { MCP_PROTOCOL_VERSION } = require('./connectors/mcp-session');
+
+const SERVER_INFO = { name: 'looker-health-diagnostic', version: '2.1.0' };
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class DiagnosticMCPServer {
+    constructor(options = {}) {
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.config = options.config || {
+            lookerUrl: process.env.LOOKER_BASE_URL,
+            clientId: process.env.LOOKER_CLIENT_ID,
+            clientSecret: process.env.LOOKER_CLIENT_SECRET
+        };
+        this.runStore = options.runStore || new RunStore();
+        this.lookmlAnalyzer = new LookMLAnalyzer(this.config);
+        this.initialized = false;
+        this.inFlight = new Set();
+        this.tools = this.defineTools();
+    }
+
+    defineTools() {
+        return [
+            {
+                name: 'run_fast_scan',
+                description: 'Run a fast Looker health scan (slow queries and explore risks, no AI) and save it to run history. Optionally focus the summary on one explore.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        explore: { type: 'string', description: 'Limit results to one explore, as "model.explore"' },
+                        maxQueries: { type: 'integer', minimum: 1, maximum: 100, description: 'Slow queries to include (default 10)' }
+                    },
+                    additionalProperties: false
+                },
+                handler: (args) => this.runFastScan(args)
+            },
+            {
+                name: 'analyze_query',
+                description: 'Analyze a slow query for optimizations. Pass the SQL directly, or a Looker query_id/slug to fetch its SQL from the Looker API.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        sql: { type: 'string', description: 'SQL text to analyze' },
+                        query_id: { type: ['string', 'integer'], description: 'Looker query id' },
+                        slug: { type: 'string', description: 'Looker query slug' },
+                        runtime_seconds: { type: 'number', minimum: 0, description: 'Observed runtime, used to prioritize recommendations' },
+                        model: { type: 'string' },
+                        explore: { type: 'string' },
+                        dialect: { type: 'string', description: 'Looker connection dialect (bigquery_standard_sql, snowflake, redshift, postgres); looked up from the explore when omitted' }
+                    },
+                    additionalProperties: false
+                },
+                handler: (args) => this.analyzeQuery(args)
+            },
+            {
+                name: 'analyze_lookml_file',
+                description: 'Analyze the content of a LookML file (view, explore or model) for complexity, issues and recommendations.',
+                inputSchema: {
+                    type: 'object',
+                    required: ['content', 'fileName'],
+                    properties: {
+                        content: { type: 'string', description: 'LookML source' },
+                        fileName: { type: 'string', description: 'File name such as orders.view.lkml; decides the file type' },
+                        project: { type: 'string' }
+                    },
+                    additionalProperties: false
+                },
+                handler: (args) => this.analyzeLookMLFile(args)
+            },
+            {
+                name: 'get_health_grade',
+                description: 'Get the overall health grade and metrics from a stored run (latest by default), or run a fresh fast scan.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        runId: { type: 'string', description: 'Stored run id; defaults to the latest run' },
+                        refresh: { type: 'boolean', description: 'Run a new fast scan instead of reading history' }
+                    },
+                    additionalProperties: false
+                },
+                handler: (args) => this.getHealthGrade(args)
+            },
+            {
+                name: 'list_runs',
+                description: 'List stored diagnostic runs, newest first.',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'integer', minimum: 1, maximum: 500 },
+                        type: { type: 'string', enum: ['full', 'fast'] }
+                    },
+                    additionalProperties: false
+                },
+                handler: (args) => this.runStore.listRuns({ limit: args.limit || 20, type: args.type || null })
+            }
+        ];
+    }
+
+    start() {
+        const lines = readline.createInterface({ input: this.input });
+        lines.on('line', (line) => {
+            const handling = this.handleLine(line);
+            this.inFlight.add(handling);
+            handling.finally(() => this.inFlight.delete(handling));
+        });
+        // Let in-flight tool calls answer before reporting the session as closed
+        lines.on('close', async () => {
+            await Promise.allSettled(Array.from(this.inFlight));
+            if (this.onClose) this.onClose();
+        });
+        console.error(`🛰️ ${SERVER_INFO.name} MCP server listening on stdio`);
+        return this;
+    }
+
+    async handleLine(line) {
+        if (!line.trim()) return;
+
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            this.send({ jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: 'Parse error' } });
+            return;
+        }
+
+        const isRequest = message.id !== undefined && message.id !== null;
+
+        if (!message.method) {
+            if (isRequest) {
+                this.send({ jsonrpc: '2.0', id: message.id, error: { code: INVALID_REQUEST, message: 'Missing method' } });
+            }
+            return;
+        }
+
+        try {
+            const result = await this.handleMethod(message.method, message.params || {});
+            if (isRequest) {
+                this.send({ jsonrpc: '2.0', id: message.id, result });
+            }
+        } catch (error) {
+            if (isRequest) {
+                this.send({
+                    jsonrpc: '2.0',
+                    id: message.id,
+                    error: { code: error.rpcCode || INTERNAL_ERROR, message: error.message, data: error.data }
+                });
+            }
+        }
+    }
+
+    async handleMethod(method, params) {
+        switch (method) {
+            case 'initialize':
+                this.initialized = true;
+                return {
+                    protocolVersion: MCP_PROTOCOL_VERSION,
+                    capabilities: { tools: {} },
+                    serverInfo: SERVER_INFO
+                };
+            case 'notifications/initialized':
+            case 'notifications/cancelled':
+                return null;
+            case 'ping':
+                return {};
+            case 'tools/list':
+                return {
+                    tools: this.tools.map(({ name, description, inputSchema }) => ({ name, description, inputSchema }))
+                };
+            case 'tools/call':
+                return this.callTool(params.name, params.arguments || {});
+            default:
+                throw this.rpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+        }
+    }
+
+    /**
+     * Tool failures are returned as isError results so the assistant can see them
+     */
+    async callTool(name, args) {
+        const tool = this.tools.find(t => t.name === name);
+        if (!tool) {
+            throw this.rpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+        }
+
+        const errors = validateAgainstSchema(args, tool.inputSchema, 'arguments');
+        if (errors.length > 0) {
+            throw this.rpcError(INVALID_PARAMS, `Invalid arguments for ${name}: ${errors.join('; ')}`, { errors });
+        }
+
+        try {
+            const result = await tool.handler(args);
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+                isError: false
+            };
+        } catch (error) {
+            console.error(`❌ MCP tool ${name} failed:`, error.message);
+            return {
+                content: [{ type: 'text', text: `${name} failed: ${error.message}` }],
+                isError: true
+            };
+        }
+    }
+
+    rpcError(code, message, data) {
+        const error = new Error(message);
+        error.rpcCode = code;
+        error.data = data;
+        return error;
+    }
+
+    send(message) {
+        this.output.write(JSON.stringify(message) + '\n');
+    }
+
+    assertLookerConfig() {
+        if (!this.config.lookerUrl || !this.config.clientId || !this.config.clientSecret) {
+            throw new Error('Missing Looker configuration (LOOKER_BASE_URL, LOOKER_CLIENT_ID, LOOKER_CLIENT_SECRET)');
+        }
+    }
+
+    async runFastScan({ explore = null, maxQueries = 10 } = {}) {
+        this.assertLookerConfig();
+
+        const diagnostic = new QueryPerformanceDiagnostic(this.config);
+        const report = await diagnostic.runFastScan();
+
+        if (report.error) {
+            throw new Error(report.error);
+        }
+
+        let runId = null;
+        try {
+            runId = (await this.runStore.saveRun({ type: 'fast', config: this.config, report })).id;
+        } catch (error) {
+            console.error('⚠️ Could not save diagnostic run:', error.message);
+        }
+
+        const matchesExplore = (key) => !explore || key === explore;
+        const queries = (report.slowQuerySummary?.queries || [])
+            .filter(q => matchesExplore(`${q.model}.${q.explore}`))
+            .slice(0, maxQueries);
+        const exploreRisks = (report.exploreAnalysis?.exploreRisks || [])
+            .filter(e => matchesExplore(e.exploreId));
+
+        return {
+            runId: runId,
+            overallGrade: report.overallGrade,
+            healthMetrics: report.healthMetrics,
+            explore: explore,
+            totalSlowQueries: report.slowQuerySummary?.totalSlowQueries || 0,
+            avgRuntime: report.slowQuerySummary?.avgRuntime,
+            slowQueries: queries,
+            exploreRisks: exploreRisks,
+            recommendations: report.recommendations?.immediate || [],
+            scanDurationMs: report.scanDuration
+        };
+    }
+
+    async analyzeQuery(args) {
+        const query = {
+            query_id: args.query_id !== undefined ? String(args.query_id) : undefined,
+            slug: args.slug,
+            runtime_seconds: args.runtime_seconds || 0,
+            model: args.model,
+            explore: args.explore,
+            dialect: args.dialect
+        };
+
+        const sqlAnalyzer = new SQLAnalyzer({
+            ...this.config,
+            geminiApiKey: process.env.GEMINI_API_KEY
+        });
+
+        if (args.sql) {
+            return sqlAnalyzer.analyzeSQLText(args.sql, query);
+        }
+
+        if (!query.query_id && !query.slug) {
+            throw new Error('Provide sql, query_id or slug');
+        }
+
+        this.assertLookerConfig();
+        const lookerApiConnector = new LookerAPIConnector(this.config);
+        if (!await lookerApiConnector.initialize()) {
+            throw new Error('Could not connect to the Looker API to fetch the query SQL');
+        }
+
+        sqlAnalyzer.setLookerApiConnector(lookerApiConnector);
+        return sqlAnalyzer.analyzeRealQuery(query);
+    }
+
+    analyzeLookMLFile({ content, fileName, project = null }) {
+        const parsed = this.lookmlAnalyzer.parseLookMLContent(content, fileName, project);
+        if (!parsed) {
+            throw new Error(`Could not parse ${fileName}`);
+        }
+
+        const analysis = this.lookmlAnalyzer.analyzeLookMLFile(parsed);
+        return {
+            ...analysis,
+            structure: {
+                joins: analysis.structure.joins.length,
+                dimensions: analysis.structure.dimensions.length,
+                dimensionGroups: analysis.structure.dimensionGroups.length,
+                measures: analysis.structure.measures.length,
+                explores: analysis.structure.explores.length
+            }
+        };
+    }
+
+    async getHealthGrade({ runId = null, refresh = false } = {}) {
+        if (refresh) {
+            const scan = await this.runFastScan({ maxQueries: 5 });
+            return {
+                source: 'fresh_scan',
+                runId: scan.runId,
+                overallGrade: scan.overallGrade,
+                healthMetrics: scan.healthMetrics,
+                totalSlowQueries: scan.totalSlowQueries
+            };
+        }
+
+        let run;
+        if (runId) {
+            run = await this.runStore.getRun(runId);
+            if (!run) throw new Error(`Run ${runId} not found`);
+        } else {
+            const [latest] = await this.runStore.listRuns({ limit: 1 });
+            if (!latest) {
+                throw new Error('No stored runs yet; call run_fast_scan or pass refresh: true');
+            }
+            run = latest;
+        }
+
+        return {
+            source: 'run_history',
+            runId: run.id,
+            type: run.type,
+            createdAt: run.createdAt,
+            overallGrade: run.summary?.overallGrade || null,
+            healthMetrics: run.summary?.healthMetrics || null,
+            totalSlowQueries: run.summary?.totalSlowQueries ?? null
+        };
+    }
+}
+
+if (require.main === module) {
+    // stdout carries the protocol; route all engine logging to stderr
+    console.log = (...args) => console.error(...args);
+    console.info = (...args) => console.error(...args);
+    console.warn = (...args) => console.error(...args);
+
+    require('dotenv').config();
+
+    const server = new DiagnosticMCPServer();
+    server.onClose = () => process.exit(0);
+    server.start();
+}
+
+module.exports = { DiagnosticMCPServer };
@@ -0,0 +1,407 @@
+// src/parsers/lookml-parser.js
+// Tokenizer and recursive-descent parser turning LookML source into a typed AST with source positions
+
+// Block keys that get their own node type; any other block is a generic 'block' node
+const BLOCK_TYPES = new Set([
+    'view', 'explore', 'join', 'dimension', 'dimension_group', 'measure', 'filter',
+    'parameter', 'derived_table', 'datagroup', 'access_grant', 'set', 'model'
+]);
+
+/**
+ * Keys whose value is raw text terminated by ";;" (SQL, HTML, Looker expressions)
+ */
+function isRawValueKey(key) {
+    return key === 'sql' ||
+        key.startsWith('sql_') ||
+        key.endsWith('_sql') ||
+        key === 'html' ||
+        key === 'expression' ||
+        key === 'expression_custom_filter';
+}
+
+class LookMLParser {
+    constructor(source, options = {}) {
+        this.source = typeof source === 'string' ? source : '';
+        this.fileName = options.fileName || null;
+        this.pos = 0;
+        this.line = 1;
+        this.column = 1;
+        this.comments = [];
+        this.errors = [];
+    }
+
+    /**
+     * Parse the whole document; syntax errors are collected, not thrown
+     */
+    parse() {
+        const start = this.position();
+        const children = this.parseMembers(null);
+
+        return {
+            type: 'document',
+            fileName: this.fileName,
+            children: children,
+            comments: this.comments,
+            errors: this.errors,
+            loc: { start, end: this.position() }
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Scanner
+    // ---------------------------------------------------------------------
+
+    position() {
+        return { line: this.line, column: this.column, offset: this.pos };
+    }
+
+    peek(offset = 0) {
+        return this.source[this.pos + offset];
+    }
+
+    isAtEnd() {
+        return this.pos >= this.source.length;
+    }
+
+    advance() {
+        const char = this.source[this.pos++];
+        if (char === '\n') {
+            this.line++;
+            this.column = 1;
+        } else {
+            this.column++;
+        }
+        return char;
+    }
+
+    /**
+     * Skip whitespace and record "#" comments
+     */
+    skipTrivia() {
+        while (!this.isAtEnd()) {
+            const char = this.peek();
+            if (char === ' ' || char === '\t' || char === '\r' || char === '\n') {
+                this.advance();
+            } else if (char === '#') {
+                const start = this.position();
+                let text = '';
+                while (!this.isAtEnd() && this.peek() !== '\n') {
+                    text += this.advance();
+                }
+                this.comments.push({
+                    type: 'comment',
+                    text: text.slice(1).trim(),
+                    loc: { start, end: this.position() }
+                });
+            } else {
+                break;
+            }
+        }
+    }
+
+    isBareChar(char) {
+        return char !== undefined && !/[\s{}[\]:,"#]/.test(char);
+    }
+
+    readBareword() {
+        const start = this.position();
+        let value = '';
+        while (this.isBareChar(this.peek())) {
+            value += this.advance();
+        }
+        return { value, loc: { start, end: this.position() } };
+    }
+
+    readString() {
+        const start = this.position();
+        this.advance(); // opening quote
+        let value = '';
+
+        while (!this.isAtEnd() && this.peek() !== '"') {
+            if (this.peek() === '\\' && this.peek(1) !== undefined) {
+                this.advance();
+                const escaped = this.advance();
+                value += escaped === 'n' ? '\n' : escaped;
+            } else {
+                value += this.advance();
+            }
+        }
+
+        if (this.isAtEnd()) {
+            this.error('Unterminated string', start);
+        } else {
+            this.advance(); // closing quote
+        }
+
+        return { value, loc: { start, end: this.position() } };
+    }
+
+    /**
+     * Read raw text up to ";;" - braces, quotes and "#" inside SQL are not LookML syntax
+     */
+    readRawValue() {
+        const start = this.position();
+        const terminator = this.source.indexOf(';;', this.pos);
+
+        let raw;
+        if (terminator === -1) {
+            this.error('Missing ";;" after SQL value', start);
+            const lineEnd = this.source.indexOf('\n', this.pos);
+            raw = this.source.slice(this.pos, lineEnd === -1 ? this.source.length : lineEnd);
+        } else {
+            raw = this.source.slice(this.pos, terminator);
+        }
+
+        while (this.pos < start.offset + raw.length) {
+            this.advance();
+        }
+        if (terminator !== -1) {
+            this.advance();
+            this.advance();
+        }
+
+        return { value: raw.trim(), loc: { start, end: this.position() } };
+    }
+
+    error(message, loc = this.position()) {
+        this.errors.push({ message, loc: { line: loc.line, column: loc.column, offset: loc.offset } });
+    }
+
+    /**
+     * Skip to the end of the current line to resume after a syntax error
+     */
+    recover() {
+        while (!this.isAtEnd() && this.peek() !== '\n' && this.peek() !== '}') {
+            this.advance();
+        }
+    }
+
+    // ---------------------------------------------------------------------
+    // Grammar
+    // ---------------------------------------------------------------------
+
+    /**
+     * members := (key ":" value)* until "}" (inside a block) or end of input
+     */
+    parseMembers(openLoc) {
+        const members = [];
+
+        while (true) {
+            this.skipTrivia();
+
+            if (this.isAtEnd()) {
+                if (openLoc) this.error('Missing closing "}"', openLoc);
+                return members;
+            }
+
+            if (this.peek() === '}') {
+                if (openLoc) return members;
+                this.error('Unexpected "}"');
+                this.advance();
+                continue;
+            }
+
+            const member = this.parseMember();
+            if (member) {
+                members.push(member);
+            } else {
+                this.recover();
+            }
+        }
+    }
+
+    parseMember() {
+        if (!this.isBareChar(this.peek())) {
+            this.error(`Unexpected character "${this.peek()}"`);
+            this.advance();
+            return null;
+        }
+
+        const key = this.readBareword();
+        this.skipTrivia();
+
+        if (this.peek() !== ':') {
+            this.error(`Expected ":" after "${key.value}"`, key.loc.start);
+            return null;
+        }
+        this.advance();
+
+        return this.parseValue(key.value, key.loc.start);
+    }
+
+    parseValue(key, start) {
+        if (isRawValueKey(key)) {
+            // Leading whitespace on the same line is not part of the SQL
+            while (this.peek() === ' ' || this.peek() === '\t') this.advance();
+            const raw = this.readRawValue();
+            return this.property(key, raw.value, 'sql', start);
+        }
+
+        this.skipTrivia();
+        const char = this.peek();
+
+        if (char === '{') {
+            return this.parseBlock(key, null, start);
+        }
+
+        if (char === '[') {
+            return this.property(key, this.parseList(), 'list', start);
+        }
+
+        if (char === '"') {
+            return this.property(key, this.readString().value, 'string', start);
+        }
+
+        if (this.isBareChar(char)) {
+            const word = this.readBareword();
+            this.skipTrivia();
+
+            // "view: orders {" - a named block
+            if (this.peek() === '{') {
+                return this.parseBlock(key, word.value, start);
+            }
+
+            return this.property(key, word.value, 'bareword', start);
+        }
+
+        this.error(`Missing value for "${key}"`, start);
+        return null;
+    }
+
+    parseBlock(key, name, start) {
+        const openLoc = this.position();
+        this.advance(); // {
+
+        const children = this.parseMembers(openLoc);
+        if (this.peek() === '}') this.advance();
+
+        const refinement = !!name && name.startsWith('+');
+
+        return {
+            type: BLOCK_TYPES.has(key) ? key : 'block',
+            key: key,
+            name: refinement ? name.slice(1) : name,
+            refinement: refinement,
+            children: children,
+            loc: { start, end: this.position() }
+        };
+    }
+
+    /**
+     * list := "[" (item ("," item)*)? ","? "]"; items are strings, barewords, pairs or blocks
+     */
+    parseList() {
+        const openLoc = this.position();
+        this.advance(); // [
+        const items = [];
+
+        while (true) {
+            this.skipTrivia();
+
+            if (this.isAtEnd()) {
+                this.error('Missing closing "]"', openLoc);
+                return items;
+            }
+
+            const char = this.peek();
+
+            if (char === ']') {
+                this.advance();
+                return items;
+            }
+
+            if (char === ',') {
+                this.advance();
+                continue;
+            }
+
+            if (char === '"') {
+                items.push(this.readString().value);
+            } else if (char === '{') {
+                const blockStart = this.position();
+                items.push(this.parseBlock('item', null, blockStart));
+            } else if (this.isBareChar(char)) {
+                const word = this.readBareword();
+                this.skipTrivia();
+
+                // filters: [orders.status: "complete"]
+                if (this.peek() === ':') {
+                    this.advance();
+                    this.skipTrivia();
+                    const value = this.peek() === '"' ? this.readString().value : this.readBareword().value;
+                    items.push({ type: 'pair', key: word.value, value });
+                } else {
+                    items.push(word.value);
+                }
+            } else {
+                this.error(`Unexpected character "${char}" in list`);
+                this.advance();
+            }
+        }
+    }
+
+    property(key, value, valueType, start) {
+        return {
+            type: 'property',
+            key: key,
+            value: value,
+            valueType: valueType,
+            loc: { start, end: this.position() }
+        };
+    }
+}
+
+/**
+ * Parse LookML source into an AST
+ */
+function parseLookML(source, options = {}) {
+    return new LookMLParser(source, options).parse();
+}
+
+/**
+ * All nodes of a given type anywhere below node (depth-first, document order)
+ */
+function findNodes(node, type) {
+    const found = [];
+    const visit = (current) => {
+        (current.children || []).forEach(child => {
+            if (child.type === type) found.push(child);
+            if (child.children) visit(child);
+        });
+    };
+    visit(node);
+    return found;
+}
+
+/**
+ * Direct child blocks of a node, optionally filtered by type
+ */
+function getChildBlocks(node, type = null) {
+    return (node.children || []).filter(child =>
+        child.type !== 'property' && (!type || child.type === type)
+    );
+}
+
+/**
+ * Value of the last direct child property with this key (later values win, as in Looker)
+ */
+function getPropertyValue(node, key, defaultValue = undefined) {
+    const matches = (node.children || []).filter(child => child.type === 'property' && child.key === key);
+    return matches.length > 0 ? matches[matches.length - 1].value : defaultValue;
+}
+
+function getProperty(node, key) {
+    const matches = (node.children || []).filter(child => child.type === 'property' && child.key === key);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+module.exports = {
+    LookMLParser,
+    parseLookML,
+    findNodes,
+    getChildBlocks,
+    getPropertyValue,
+    getProperty,
+    isRawValueKey,
+    BLOCK_TYPES
+};
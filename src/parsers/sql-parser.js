@@ -0,0 +1,1491 @@
+// src/parsers/sql-parser.js
+// Tokenizer and recursive-descent parser turning warehouse SQL (as Looker generates it) into an AST with source positions
+
+// Words that end an expression or a FROM item, so they are never read as implicit aliases
+const RESERVED = new Set([
+    'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DESC', 'DISTINCT', 'ELSE', 'END',
+    'EXCEPT', 'EXISTS', 'FETCH', 'FOR', 'FROM', 'FULL', 'GROUP', 'HAVING', 'ILIKE', 'IN', 'INNER',
+    'INTERSECT', 'IS', 'JOIN', 'LATERAL', 'LEFT', 'LIKE', 'LIMIT', 'MINUS', 'NATURAL', 'NOT', 'NULLS', 'OFFSET',
+    'ON', 'OR', 'ORDER', 'OUTER', 'OVER', 'PARTITION', 'PIVOT', 'QUALIFY', 'RIGHT', 'RLIKE', 'SELECT',
+    'TABLESAMPLE', 'THEN', 'UNION', 'UNPIVOT', 'USING', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+]);
+
+const JOIN_MODIFIERS = new Set(['NATURAL', 'LEFT', 'RIGHT', 'FULL', 'INNER', 'CROSS', 'OUTER']);
+
+const AGGREGATE_FUNCTIONS = new Set([
+    'ANY_VALUE', 'APPROX_COUNT_DISTINCT', 'APPROX_QUANTILES', 'APPROX_TOP_COUNT', 'APPROX_TOP_SUM',
+    'ARRAY_AGG', 'ARRAY_CONCAT_AGG', 'AVG', 'BIT_AND', 'BIT_OR', 'BIT_XOR', 'BOOL_AND', 'BOOL_OR',
+    'CORR', 'COUNT', 'COUNTIF', 'COUNT_IF', 'COVAR_POP', 'COVAR_SAMP', 'GROUP_CONCAT', 'LISTAGG',
+    'LOGICAL_AND', 'LOGICAL_OR', 'MAX', 'MEDIAN', 'MIN', 'MODE', 'STDDEV', 'STDDEV_POP', 'STDDEV_SAMP',
+    'STRING_AGG', 'SUM', 'VARIANCE', 'VAR_POP', 'VAR_SAMP'
+]);
+
+// Binary operator precedence between comparisons and unary operators, loosest first
+const BINARY_LEVELS = [['|'], ['^'], ['&'], ['<<', '>>'], ['+', '-', '||'], ['*', '/', '%']];
+const COMPARISON_OPERATORS = new Set(['=', '==', '<>', '!=', '<', '>', '<=', '>=', '<=>']);
+const TWO_CHAR_OPERATORS = new Set(['<=', '>=', '<>', '!=', '==', '||', '::', '=>', '<<', '>>', '->']);
+const TYPED_LITERALS = new Set(['DATE', 'DATETIME', 'TIME', 'TIMESTAMP', 'NUMERIC', 'BIGNUMERIC', 'JSON', 'RANGE']);
+
+// Expressions, queries and FROM groups nested deeper than this are a parse error rather than a stack overflow
+const MAX_NESTING_DEPTH = 200;
+
+const WORD_PATTERN = /[A-Za-z_][A-Za-z0-9_$]*/y;
+// "1." is a number, but in proj-1.dataset.table the dot separates path parts
+const NUMBER_PATTERN = /0[xX][0-9A-Fa-f]+|(?:\d+(?:\.\d+|\.(?![A-Za-z_]))?|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Split SQL into tokens; comments are returned separately, unterminated strings/comments are errors
+ */
+function tokenizeSQL(source, options = {}) {
+    const bigQuery = isBigQueryDialect(options.dialect);
+    const tokens = [];
+    const comments = [];
+    const errors = [];
+    let pos = 0;
+    let line = 1;
+    let column = 1;
+
+    const position = () => ({ line, column, offset: pos });
+    const advanceTo = (target) => {
+        while (pos < target) {
+            if (source[pos] === '\n') {
+                line++;
+                column = 1;
+            } else {
+                column++;
+            }
+            pos++;
+        }
+    };
+    const push = (type, value, start) => {
+        tokens.push({
+            type: type,
+            value: value,
+            upper: type === 'word' ? value.toUpperCase() : null,
+            loc: { start, end: position() }
+        });
+    };
+    const error = (message, loc) => {
+        errors.push({ message, loc: { line: loc.line, column: loc.column, offset: loc.offset } });
+    };
+    const readUntil = (terminator, start, what) => {
+        const end = source.indexOf(terminator, pos);
+        if (end === -1) {
+            error(`Unterminated ${what}`, start);
+            advanceTo(source.length);
+        } else {
+            advanceTo(end + terminator.length);
+        }
+        return source.slice(start.offset, pos);
+    };
+
+    while (pos < source.length) {
+        const char = source[pos];
+        const next = source[pos + 1];
+        const start = position();
+
+        if (/\s/.test(char)) {
+            advanceTo(pos + 1);
+            continue;
+        }
+
+        if ((char === '-' && next === '-') || (char === '#' && bigQuery)) {
+            const lineEnd = source.indexOf('\n', pos);
+            advanceTo(lineEnd === -1 ? source.length : lineEnd);
+            const text = source.slice(start.offset, pos);
+            comments.push({ type: 'comment', text: text.replace(/^(--|#)/, '').trim(), loc: { start, end: position() } });
+            continue;
+        }
+
+        if (char === '/' && next === '*') {
+            const text = readUntil('*/', start, 'comment');
+            comments.push({ type: 'comment', text: text.replace(/^\/\*|\*\/$/g, '').trim(), loc: { start, end: position() } });
+            continue;
+        }
+
+        // LookML substitutions and Liquid survive in derived table SQL; treat them as opaque names
+        if (char === '$' && next === '{') {
+            push('template', readUntil('}', start, 'substitution'), start);
+            continue;
+        }
+        if (char === '{' && (next === '%' || next === '{')) {
+            push('template', readUntil(next === '%' ? '%}' : '}}', start, 'Liquid tag'), start);
+            continue;
+        }
+
+        const prefix = bigQuery ? /^[rRbB]{1,2}(?=['"])/.exec(source.slice(pos, pos + 3)) : null;
+        if (char === "'" || (char === '"' && bigQuery) || prefix) {
+            if (prefix) advanceTo(pos + prefix[0].length);
+            push('string', readString(), start);
+            continue;
+        }
+
+        if (char === '"' || char === '`' || (char === '[' && options.bracketIdentifiers)) {
+            const close = char === '[' ? ']' : char;
+            advanceTo(pos + 1);
+            let value = '';
+            while (pos < source.length) {
+                if (source[pos] === close && source[pos + 1] === close && close !== '`') {
+                    value += close;
+                    advanceTo(pos + 2);
+                } else if (source[pos] === close) {
+                    break;
+                } else {
+                    value += source[pos];
+                    advanceTo(pos + 1);
+                }
+            }
+            if (pos >= source.length) {
+                error('Unterminated quoted identifier', start);
+            } else {
+                advanceTo(pos + 1);
+            }
+            push('quoted', value, start);
+            continue;
+        }
+
+        NUMBER_PATTERN.lastIndex = pos;
+        const number = /[0-9.]/.test(char) ? NUMBER_PATTERN.exec(source) : null;
+        if (number) {
+            advanceTo(pos + number[0].length);
+            push('number', number[0], start);
+            continue;
+        }
+
+        WORD_PATTERN.lastIndex = pos;
+        const word = WORD_PATTERN.exec(source);
+        if (word) {
+            advanceTo(pos + word[0].length);
+            push('word', word[0], start);
+            continue;
+        }
+
+        // @param, @@system_variable, ?, $1
+        if (char === '@' || char === '?' || (char === '$' && /[0-9]/.test(next))) {
+            const match = /@@?[A-Za-z_][A-Za-z0-9_.]*|\?|\$\d+/y;
+            match.lastIndex = pos;
+            const found = match.exec(source);
+            if (found) {
+                advanceTo(pos + found[0].length);
+                push('parameter', found[0], start);
+                continue;
+            }
+        }
+
+        const pair = source.slice(pos, pos + 2);
+        if (TWO_CHAR_OPERATORS.has(pair)) {
+            advanceTo(pos + 2);
+            push('operator', pair, start);
+            continue;
+        }
+
+        if ('+-*/%=<>,.()[];:~&|^!{}'.includes(char)) {
+            advanceTo(pos + 1);
+            push('operator', char, start);
+            continue;
+        }
+
+        error(`Unexpected character "${char}"`, start);
+        advanceTo(pos + 1);
+    }
+
+    push('eof', '', position());
+    return { tokens, comments, errors };
+
+    // Reads '...', "...", '''...''' and """...""" with backslash or doubled-quote escapes
+    function readString() {
+        const stringStart = position();
+        const quote = source[pos];
+        const triple = source.slice(pos, pos + 3) === quote.repeat(3);
+        const close = triple ? quote.repeat(3) : quote;
+        const isRaw = /r/i.test(source.slice(Math.max(0, pos - 2), pos));
+        advanceTo(pos + close.length);
+
+        let value = '';
+        while (pos < source.length) {
+            if (source.startsWith(close, pos)) {
+                if (!triple && source[pos + 1] === quote) {
+                    value += quote;
+                    advanceTo(pos + 2);
+                    continue;
+                }
+                advanceTo(pos + close.length);
+                return value;
+            }
+            if (source[pos] === '\\' && !isRaw && bigQuery && pos + 1 < source.length) {
+                const escaped = source[pos + 1];
+                value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                advanceTo(pos + 2);
+                continue;
+            }
+            value += source[pos];
+            advanceTo(pos + 1);
+        }
+
+        error('Unterminated string', stringStart);
+        return value;
+    }
+}
+
+function isBigQueryDialect(dialect) {
+    return !dialect || /bigquery/i.test(dialect);
+}
+
+class SQLParser {
+    constructor(source, options = {}) {
+        this.source = typeof source === 'string' ? source : '';
+        this.dialect = options.dialect || 'bigquery';
+
+        const { tokens, comments, errors } = tokenizeSQL(this.source, {
+            dialect: this.dialect,
+            bracketIdentifiers: /mssql|sql_server|synapse/i.test(this.dialect)
+        });
+        this.tokens = tokens;
+        this.comments = comments;
+        this.errors = errors;
+        this.index = 0;
+        this.depth = 0;
+        this.tooDeep = false;
+    }
+
+    /**
+     * Parse every statement; syntax errors are collected, not thrown
+     */
+    parse() {
+        const statements = [];
+
+        while (!this.isAtEnd()) {
+            if (this.matchOperator(';')) continue;
+
+            const statement = this.parseStatement();
+            if (statement) statements.push(statement);
+
+            if (!this.isAtEnd() && !this.checkOperator(';')) {
+                this.error(`Unexpected "${this.peek().value}"`);
+                while (!this.isAtEnd() && !this.checkOperator(';')) this.advance();
+            }
+        }
+
+        return {
+            type: 'script',
+            dialect: this.dialect,
+            statements: statements,
+            comments: this.comments,
+            errors: this.errors,
+            loc: {
+                start: { line: 1, column: 1, offset: 0 },
+                end: this.peek().loc.end
+            }
+        };
+    }
+
+    // ---------------------------------------------------------------------
+    // Token helpers
+    // ---------------------------------------------------------------------
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    previous() {
+        return this.tokens[Math.max(this.index - 1, 0)];
+    }
+
+    isAtEnd() {
+        return this.peek().type === 'eof';
+    }
+
+    advance() {
+        const token = this.peek();
+        if (!this.isAtEnd()) this.index++;
+        return token;
+    }
+
+    check(word, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'word' && token.upper === word;
+    }
+
+    checkOperator(operator, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'operator' && token.value === operator;
+    }
+
+    match(word) {
+        if (!this.check(word)) return false;
+        this.advance();
+        return true;
+    }
+
+    matchOperator(operator) {
+        if (!this.checkOperator(operator)) return false;
+        this.advance();
+        return true;
+    }
+
+    expect(word) {
+        if (this.match(word)) return true;
+        this.error(`Expected ${word} but found "${this.peek().value || 'end of input'}"`);
+        return false;
+    }
+
+    expectOperator(operator) {
+        if (this.matchOperator(operator)) return true;
+        this.error(`Expected "${operator}" but found "${this.peek().value || 'end of input'}"`);
+        return false;
+    }
+
+    error(message, token = this.peek()) {
+        // Past the nesting limit the rest of the input was skipped; its errors say nothing new
+        if (this.tooDeep) return;
+        const loc = token.loc.start;
+        this.errors.push({ message, loc: { line: loc.line, column: loc.column, offset: loc.offset } });
+    }
+
+    /**
+     * Run a recursive step one level deeper; past MAX_NESTING_DEPTH record one error and skip to the end,
+     * where every pending step returns without recursing further
+     */
+    nested(parse) {
+        if (this.depth >= MAX_NESTING_DEPTH && !this.tooDeep) {
+            this.error(`Nested more than ${MAX_NESTING_DEPTH} levels deep`);
+            this.tooDeep = true;
+            this.index = this.tokens.length - 1;
+        }
+
+        this.depth++;
+        try {
+            return parse();
+        } finally {
+            this.depth--;
+        }
+    }
+
+    finish(node, startToken) {
+        const end = this.index > 0 ? this.previous().loc.end : startToken.loc.start;
+        node.loc = { start: startToken.loc.start, end: end.offset >= startToken.loc.start.offset ? end : startToken.loc.start };
+        return node;
+    }
+
+    /**
+     * "SELECT", "WITH", or any number of "(" followed by one of them
+     */
+    isQueryStart(offset = 0) {
+        let i = offset;
+        while (this.checkOperator('(', i)) i++;
+        return this.check('SELECT', i) || this.check('WITH', i);
+    }
+
+    isName(token = this.peek()) {
+        return token.type === 'quoted' || token.type === 'template' ||
+            (token.type === 'word' && !RESERVED.has(token.upper));
+    }
+
+    /**
+     * Source text between two tokens (inclusive), for clauses kept verbatim
+     */
+    sliceTokens(first, last) {
+        return this.source.slice(first.loc.start.offset, last.loc.end.offset);
+    }
+
+    // ---------------------------------------------------------------------
+    // Statements and queries
+    // ---------------------------------------------------------------------
+
+    parseStatement() {
+        if (this.isQueryStart()) {
+            return this.parseQuery();
+        }
+
+        // DDL, DML and scripting: keep the statement kind and the first query inside it
+        // (CREATE TABLE ... AS SELECT, INSERT INTO ... SELECT, CREATE TEMP FUNCTION ... AS ((SELECT ...)))
+        const start = this.peek();
+        const open = [];
+        let query = null;
+
+        while (!this.isAtEnd() && !this.checkOperator(';')) {
+            if (!query && this.isQueryStart()) {
+                query = this.parseQuery();
+                continue;
+            }
+            if (this.checkOperator('(')) {
+                open.push(this.peek());
+            } else if (this.checkOperator(')') && !open.pop()) {
+                this.error('Unmatched ")"');
+            }
+            this.advance();
+        }
+        open.forEach(token => this.error('Unclosed "("', token));
+
+        return this.finish({ type: 'statement', kind: start.upper || start.value, query: query }, start);
+    }
+
+    /**
+     * query := [WITH cte, ...] set_expression [ORDER BY ...] [LIMIT n [OFFSET m]]
+     */
+    parseQuery() {
+        return this.nested(() => this.parseQueryClauses());
+    }
+
+    parseQueryClauses() {
+        const start = this.peek();
+        const query = { type: 'query', with: [], recursive: false, body: null, orderBy: [], limit: null, offset: null };
+
+        if (this.match('WITH')) {
+            query.recursive = this.match('RECURSIVE');
+            do {
+                query.with.push(this.parseCTE());
+            } while (this.matchOperator(','));
+        }
+
+        query.body = this.parseSetExpression();
+
+        if (this.check('ORDER') && this.check('BY', 1)) {
+            this.advance();
+            this.advance();
+            query.orderBy = this.parseOrderByList();
+        }
+
+        if (this.match('LIMIT')) {
+            query.limit = this.parseExpression();
+            if (this.match('OFFSET')) query.offset = this.parseExpression();
+        } else if (this.match('OFFSET')) {
+            query.offset = this.parseExpression();
+            this.skipRowsKeyword();
+        }
+
+        // FETCH FIRST n ROWS ONLY
+        if (this.match('FETCH')) {
+            if (!this.match('FIRST')) this.match('NEXT');
+            query.limit = this.parseExpression();
+            this.skipRowsKeyword();
+            this.match('ONLY');
+        }
+
+        return this.finish(query, start);
+    }
+
+    skipRowsKeyword() {
+        if (!this.match('ROWS')) this.match('ROW');
+    }
+
+    parseCTE() {
+        const start = this.peek();
+        const cte = { type: 'cte', name: this.parseName(), columns: [], query: null };
+
+        if (this.matchOperator('(')) {
+            do {
+                cte.columns.push(this.parseName());
+            } while (this.matchOperator(','));
+            this.expectOperator(')');
+        }
+
+        this.expect('AS');
+        if (this.check('NOT') && this.check('MATERIALIZED', 1)) this.advance();
+        this.match('MATERIALIZED');
+
+        if (this.expectOperator('(')) {
+            cte.query = this.parseQuery();
+            this.expectOperator(')');
+        }
+
+        return this.finish(cte, start);
+    }
+
+    parseSetExpression() {
+        const start = this.peek();
+        let left = this.parseSetOperand();
+
+        while (this.check('UNION') || this.check('INTERSECT') || this.check('EXCEPT') || this.check('MINUS')) {
+            let operator = this.advance().upper;
+            if (this.match('ALL')) {
+                operator += ' ALL';
+            } else if (this.match('DISTINCT')) {
+                operator += ' DISTINCT';
+            }
+
+            const right = this.parseSetOperand();
+            left = this.finish({ type: 'set_operation', operator, left, right }, start);
+        }
+
+        return left;
+    }
+
+    parseSetOperand() {
+        if (this.checkOperator('(') && this.isQueryStart()) {
+            this.advance();
+            const query = this.parseQuery();
+            this.expectOperator(')');
+            return query;
+        }
+
+        if (this.check('SELECT')) {
+            return this.parseSelect();
+        }
+
+        this.error(`Expected SELECT but found "${this.peek().value || 'end of input'}"`);
+        return null;
+    }
+
+    /**
+     * SELECT [DISTINCT] columns [FROM ...] [WHERE] [GROUP BY] [HAVING] [QUALIFY] [WINDOW]
+     */
+    parseSelect() {
+        const start = this.advance(); // SELECT
+        const select = {
+            type: 'select',
+            distinct: false,
+            selectAs: null,
+            top: null,
+            columns: [],
+            from: null,
+            joins: [],
+            where: null,
+            groupBy: null,
+            having: null,
+            qualify: null,
+            windows: []
+        };
+
+        if (this.match('AS')) select.selectAs = this.advance().upper; // STRUCT | VALUE
+        if (this.match('DISTINCT')) {
+            select.distinct = true;
+        } else {
+            this.match('ALL');
+        }
+        if (this.match('TOP')) select.top = this.parsePrimary();
+
+        do {
+            // BigQuery allows a trailing comma before FROM
+            if (select.columns.length > 0 && this.check('FROM')) break;
+            select.columns.push(this.parseSelectItem());
+        } while (this.matchOperator(','));
+
+        if (this.match('FROM')) this.parseFromItems(select);
+        if (this.match('WHERE')) select.where = this.parseExpression();
+
+        if (this.check('GROUP') && this.check('BY', 1)) {
+            const groupStart = this.advance();
+            this.advance();
+            select.groupBy = { type: 'group_by', all: false, items: [] };
+            if (this.match('ALL')) {
+                select.groupBy.all = true;
+            } else {
+                select.groupBy.items = this.parseExpressionList();
+            }
+            this.finish(select.groupBy, groupStart);
+        }
+
+        if (this.match('HAVING')) select.having = this.parseExpression();
+        if (this.match('QUALIFY')) select.qualify = this.parseExpression();
+
+        if (this.match('WINDOW')) {
+            do {
+                const name = this.parseName();
+                this.expect('AS');
+                const spec = this.parseWindowSpec();
+                spec.name = name;
+                select.windows.push(spec);
+            } while (this.matchOperator(','));
+        }
+
+        return this.finish(select, start);
+    }
+
+    parseSelectItem() {
+        const start = this.peek();
+        const expr = this.parseExpression();
+        return this.finish({ type: 'column', expr: expr, alias: this.parseAlias() }, start);
+    }
+
+    parseAlias() {
+        if (this.match('AS')) return this.parseName();
+        if (this.isName()) return this.advance().value;
+        return null;
+    }
+
+    parseName() {
+        if (this.isName() || this.peek().type === 'word') {
+            return this.advance().value;
+        }
+        this.error(`Expected a name but found "${this.peek().value || 'end of input'}"`);
+        return null;
+    }
+
+    // ---------------------------------------------------------------------
+    // FROM clause
+    // ---------------------------------------------------------------------
+
+    /**
+     * Fill target.from and target.joins; comma joins become implicit CROSS joins
+     */
+    parseFromItems(target) {
+        target.from = this.parseTableSource();
+
+        while (true) {
+            if (this.checkOperator(',')) {
+                const start = this.advance();
+                const table = this.parseTableSource();
+                target.joins.push(this.finish({ type: 'join', joinType: 'CROSS', natural: false, implicit: true, table, on: null, using: null }, start));
+                continue;
+            }
+
+            const join = this.parseJoin();
+            if (!join) return;
+            target.joins.push(join);
+        }
+    }
+
+    parseJoin() {
+        const start = this.peek();
+        const modifiers = [];
+        let offset = 0;
+
+        while (this.peek(offset).type === 'word' && JOIN_MODIFIERS.has(this.peek(offset).upper)) {
+            modifiers.push(this.peek(offset).upper);
+            offset++;
+        }
+        if (!this.check('JOIN', offset)) return null;
+        for (let i = 0; i <= offset; i++) this.advance();
+
+        const joinType = ['LEFT', 'RIGHT', 'FULL', 'CROSS'].find(type => modifiers.includes(type)) || 'INNER';
+        const join = {
+            type: 'join',
+            joinType: joinType,
+            natural: modifiers.includes('NATURAL'),
+            implicit: false,
+            table: this.parseTableSource(),
+            on: null,
+            using: null
+        };
+
+        if (this.match('ON')) {
+            join.on = this.parseExpression();
+        } else if (this.match('USING')) {
+            join.using = [];
+            this.expectOperator('(');
+            do {
+                join.using.push(this.parseName());
+            } while (this.matchOperator(','));
+            this.expectOperator(')');
+        }
+
+        return this.finish(join, start);
+    }
+
+    /**
+     * table | (query) | (joined tables) | UNNEST(expr) | table_function(args), each with an optional alias
+     */
+    parseTableSource() {
+        const start = this.peek();
+        let source;
+
+        const lateral = this.match('LATERAL');
+
+        if (this.checkOperator('(') && this.isQueryStart()) {
+            this.advance();
+            source = { type: 'subquery', query: this.parseQuery() };
+            this.expectOperator(')');
+        } else if (this.checkOperator('(')) {
+            this.advance();
+            source = { type: 'join_group', from: null, joins: [] };
+            this.nested(() => this.parseFromItems(source));
+            this.expectOperator(')');
+        } else if (this.check('UNNEST') && this.checkOperator('(', 1)) {
+            this.advance();
+            this.advance();
+            source = { type: 'unnest', expr: this.parseExpression(), withOffset: null };
+            this.expectOperator(')');
+        } else if (this.isName()) {
+            const name = this.parseTableName();
+            if (this.checkOperator('(')) {
+                const call = this.parseFunctionCall(name.name, start);
+                source = { type: 'table_function', name: name.name, call: call };
+            } else {
+                source = { type: 'table', name: name.name, parts: name.parts };
+            }
+        } else {
+            this.error(`Expected a table but found "${this.peek().value || 'end of input'}"`);
+            return this.finish({ type: 'table', name: null, parts: [], alias: null }, start);
+        }
+
+        if (lateral) source.lateral = true;
+        this.skipTableModifiers(source);
+        source.alias = this.parseAlias();
+
+        // Column aliases: AS t(a, b)
+        if (source.alias && this.checkOperator('(') && source.type !== 'table_function') {
+            this.skipBalanced();
+        }
+
+        if (source.type === 'unnest' && this.check('WITH') && this.check('OFFSET', 1)) {
+            this.advance();
+            this.advance();
+            source.withOffset = this.parseAlias() || 'offset';
+        }
+
+        this.skipTableModifiers(source);
+        return this.finish(source, start);
+    }
+
+    /**
+     * Dotted table path; BigQuery allows unquoted project ids with dashes and wildcard suffixes
+     */
+    parseTableName() {
+        const parts = [];
+
+        do {
+            const token = this.advance();
+            let part = token.value;
+
+            while (this.isAdjacent(this.previous(), this.peek()) &&
+                (this.checkOperator('-') || this.checkOperator('*') ||
+                    (this.previous().type === 'operator' && (this.peek().type === 'word' || this.peek().type === 'number')))) {
+                part += this.advance().value;
+            }
+
+            parts.push(...(token.type === 'quoted' ? part.split('.') : [part]));
+            if (!this.checkOperator('.') || this.peek(1).type === 'operator') break;
+            this.advance();
+        } while (true);
+
+        return { name: parts.join('.'), parts };
+    }
+
+    isAdjacent(left, right) {
+        return left.loc.end.offset === right.loc.start.offset;
+    }
+
+    /**
+     * FOR SYSTEM_TIME AS OF, TABLESAMPLE, PIVOT and UNPIVOT are kept as flags, not parsed
+     */
+    skipTableModifiers(source) {
+        while (true) {
+            if (this.check('FOR') && this.check('SYSTEM_TIME', 1)) {
+                this.advance();
+                this.advance();
+                this.expect('AS');
+                this.expect('OF');
+                source.systemTime = this.parseExpression();
+            } else if (this.check('TABLESAMPLE')) {
+                this.advance();
+                while (this.peek().type === 'word' && !this.checkOperator('(')) this.advance();
+                source.sampled = true;
+                this.skipBalanced();
+            } else if ((this.check('PIVOT') || this.check('UNPIVOT')) && this.checkOperator('(', 1)) {
+                source[this.advance().upper.toLowerCase()] = true;
+                this.skipBalanced();
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Skip a parenthesized group and return its source text
+     */
+    skipBalanced() {
+        if (!this.checkOperator('(')) return null;
+        const first = this.advance();
+        let depth = 1;
+
+        while (!this.isAtEnd() && depth > 0) {
+            if (this.checkOperator('(')) depth++;
+            if (this.checkOperator(')')) depth--;
+            this.advance();
+        }
+
+        if (depth > 0) this.error('Missing closing ")"', first);
+        return this.sliceTokens(first, this.previous());
+    }
+
+    // ---------------------------------------------------------------------
+    // Expressions
+    // ---------------------------------------------------------------------
+
+    parseExpressionList() {
+        const items = [];
+        do {
+            items.push(this.parseExpression());
+        } while (this.matchOperator(','));
+        return items;
+    }
+
+    parseExpression() {
+        return this.nested(() => this.parseOr());
+    }
+
+    parseOr() {
+        const start = this.peek();
+        let left = this.parseAnd();
+        while (this.match('OR')) {
+            left = this.finish({ type: 'binary', operator: 'OR', left, right: this.parseAnd() }, start);
+        }
+        return left;
+    }
+
+    parseAnd() {
+        const start = this.peek();
+        let left = this.parseNot();
+        while (this.match('AND')) {
+            left = this.finish({ type: 'binary', operator: 'AND', left, right: this.parseNot() }, start);
+        }
+        return left;
+    }
+
+    parseNot() {
+        const start = this.peek();
+        if (this.match('NOT')) {
+            return this.finish({ type: 'unary', operator: 'NOT', operand: this.parseNot() }, start);
+        }
+        return this.parseComparison();
+    }
+
+    /**
+     * =, <>, IS [NOT], [NOT] IN, [NOT] BETWEEN, [NOT] LIKE
+     */
+    parseComparison() {
+        const start = this.peek();
+        let left = this.parseBinary(0);
+
+        while (true) {
+            const token = this.peek();
+
+            if (token.type === 'operator' && COMPARISON_OPERATORS.has(token.value)) {
+                this.advance();
+                left = this.finish({ type: 'binary', operator: token.value, left, right: this.parseBinary(0) }, start);
+                continue;
+            }
+
+            if (this.match('IS')) {
+                const not = this.match('NOT');
+                if (this.match('DISTINCT')) {
+                    this.expect('FROM');
+                    left = this.finish({ type: 'binary', operator: not ? 'IS NOT DISTINCT FROM' : 'IS DISTINCT FROM', left, right: this.parseBinary(0) }, start);
+                } else {
+                    left = this.finish({ type: 'is', expr: left, not, value: this.parsePrimary() }, start);
+                }
+                continue;
+            }
+
+            const not = this.check('NOT') && ['IN', 'BETWEEN', 'LIKE', 'ILIKE', 'RLIKE', 'SIMILAR', 'REGEXP'].some(word => this.check(word, 1));
+            if (not) this.advance();
+
+            if (this.match('IN')) {
+                left = this.finish({ type: 'in', expr: left, not, ...this.parseInTarget() }, start);
+            } else if (this.match('BETWEEN')) {
+                const low = this.parseBinary(0);
+                this.expect('AND');
+                left = this.finish({ type: 'between', expr: left, not, low, high: this.parseBinary(0) }, start);
+            } else if (this.check('LIKE') || this.check('ILIKE') || this.check('RLIKE') || this.check('REGEXP') || this.check('SIMILAR')) {
+                let operator = this.advance().upper;
+                if (operator === 'SIMILAR') {
+                    this.expect('TO');
+                    operator = 'SIMILAR TO';
+                }
+                // LIKE ANY (...) / LIKE ALL (...)
+                if ((this.check('ANY') || this.check('ALL') || this.check('SOME')) && this.checkOperator('(', 1)) {
+                    operator += ' ' + this.advance().upper;
+                }
+                const pattern = this.parseBinary(0);
+                const node = { type: 'like', operator, expr: left, not, pattern };
+                if (this.match('ESCAPE')) node.escape = this.parsePrimary();
+                left = this.finish(node, start);
+            } else {
+                if (not) this.error('Expected IN, BETWEEN or LIKE after NOT');
+                return left;
+            }
+        }
+    }
+
+    parseInTarget() {
+        if (this.check('UNNEST') && this.checkOperator('(', 1)) {
+            this.advance();
+            this.advance();
+            const unnest = this.parseExpression();
+            this.expectOperator(')');
+            return { values: null, query: null, unnest };
+        }
+
+        if (!this.expectOperator('(')) {
+            return { values: [], query: null, unnest: null };
+        }
+
+        let target;
+        if (this.isQueryStart()) {
+            target = { values: null, query: this.parseQuery(), unnest: null };
+        } else if (this.checkOperator(')')) {
+            target = { values: [], query: null, unnest: null };
+        } else {
+            target = { values: this.parseExpressionList(), query: null, unnest: null };
+        }
+        this.expectOperator(')');
+        return target;
+    }
+
+    parseBinary(level) {
+        if (level >= BINARY_LEVELS.length) return this.parseUnary();
+
+        const start = this.peek();
+        let left = this.parseBinary(level + 1);
+
+        while (this.peek().type === 'operator' && BINARY_LEVELS[level].includes(this.peek().value)) {
+            const operator = this.advance().value;
+            left = this.finish({ type: 'binary', operator, left, right: this.parseBinary(level + 1) }, start);
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        const start = this.peek();
+        if (start.type === 'operator' && ['-', '+', '~'].includes(start.value)) {
+            this.advance();
+            return this.finish({ type: 'unary', operator: start.value, operand: this.parseUnary() }, start);
+        }
+        return this.parsePostfix();
+    }
+
+    /**
+     * expr[OFFSET(0)], (expr).field, expr::TYPE
+     */
+    parsePostfix() {
+        const start = this.peek();
+        let expr = this.parsePrimary();
+
+        while (true) {
+            if (this.matchOperator('[')) {
+                const index = this.parseExpression();
+                this.expectOperator(']');
+                expr = this.finish({ type: 'subscript', expr, index }, start);
+            } else if (this.checkOperator('.') && expr.type !== 'identifier' && (this.isName(this.peek(1)) || this.peek(1).type === 'word')) {
+                this.advance();
+                expr = this.finish({ type: 'field_access', expr, field: this.advance().value }, start);
+            } else if (this.matchOperator('::')) {
+                expr = this.finish({ type: 'cast', expr, targetType: this.parseTypeName(), safe: false }, start);
+            } else if (this.checkOperator(':') && this.peek(1).type === 'word' && /snowflake/i.test(this.dialect)) {
+                // Snowflake semi-structured access: payload:customer.id
+                this.advance();
+                expr = this.finish({ type: 'field_access', expr, field: this.advance().value }, start);
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const start = this.peek();
+
+        switch (start.type) {
+        case 'number':
+            this.advance();
+            return this.finish({ type: 'literal', valueType: 'number', value: Number(start.value), raw: start.value }, start);
+        case 'string':
+            this.advance();
+            return this.finish({ type: 'literal', valueType: 'string', value: start.value, raw: this.sliceTokens(start, start) }, start);
+        case 'parameter':
+            this.advance();
+            return this.finish({ type: 'parameter', name: start.value }, start);
+        case 'template':
+            return this.parseIdentifierOrCall();
+        case 'quoted':
+            return this.parseIdentifierOrCall();
+        default:
+            break;
+        }
+
+        if (this.checkOperator('*')) {
+            this.advance();
+            return this.parseStarModifiers({ type: 'star', qualifier: null, except: [], replace: [] }, start);
+        }
+
+        if (this.checkOperator('(')) {
+            this.advance();
+
+            if (this.isQueryStart()) {
+                const query = this.parseQuery();
+                this.expectOperator(')');
+                return this.finish({ type: 'subquery', query }, start);
+            }
+
+            const expr = this.parseExpression();
+            if (this.checkOperator(',')) {
+                const items = [expr];
+                while (this.matchOperator(',')) items.push(this.parseExpression());
+                this.expectOperator(')');
+                return this.finish({ type: 'tuple', items }, start);
+            }
+
+            this.expectOperator(')');
+            return this.finish({ type: 'group', expr }, start);
+        }
+
+        if (this.checkOperator('[')) {
+            this.advance();
+            const elements = this.checkOperator(']') ? [] : this.parseExpressionList();
+            this.expectOperator(']');
+            return this.finish({ type: 'array', elementType: null, elements }, start);
+        }
+
+        if (start.type === 'word') {
+            return this.parseWordExpression(start);
+        }
+
+        this.error(`Expected an expression but found "${start.value || 'end of input'}"`);
+        if (!this.isAtEnd() && !(start.type === 'operator' && [')', ';', ','].includes(start.value))) {
+            this.advance();
+        }
+        return this.finish({ type: 'raw', text: start.value }, start);
+    }
+
+    parseWordExpression(start) {
+        const word = start.upper;
+        const next = this.peek(1);
+        const call = next.type === 'operator' && next.value === '(';
+
+        if (word === 'CASE') return this.parseCase();
+        if (word === 'NULL' || word === 'TRUE' || word === 'FALSE') {
+            this.advance();
+            return this.finish({ type: 'literal', valueType: word === 'NULL' ? 'null' : 'boolean', value: word === 'NULL' ? null : word === 'TRUE', raw: start.value }, start);
+        }
+        if ((word === 'CAST' || word === 'SAFE_CAST' || word === 'TRY_CAST') && call) return this.parseCast();
+        if (word === 'EXTRACT' && call) return this.parseExtract();
+        if (word === 'INTERVAL') return this.parseInterval();
+        if (word === 'EXISTS' && call) {
+            this.advance();
+            this.advance();
+            const query = this.parseQuery();
+            this.expectOperator(')');
+            return this.finish({ type: 'exists', query }, start);
+        }
+        if (TYPED_LITERALS.has(word) && next.type === 'string') {
+            this.advance();
+            this.advance();
+            return this.finish({ type: 'typed_literal', dataType: word, value: next.value }, start);
+        }
+        if ((word === 'ARRAY' || word === 'STRUCT') && next.type === 'operator' && next.value === '<') {
+            const elementType = this.parseTypeName();
+            if (this.checkOperator('[')) {
+                const array = this.parsePrimary();
+                array.elementType = elementType;
+                return this.finish(array, start);
+            }
+            return this.parseFunctionCall(word, start);
+        }
+
+        if (RESERVED.has(word) && !call) {
+            this.error(`Expected an expression but found "${start.value}"`);
+            return this.finish({ type: 'raw', text: '' }, start);
+        }
+
+        return this.parseIdentifierOrCall();
+    }
+
+    /**
+     * a.b.c, a.*, a.b(...), `project.dataset.fn`(...)
+     */
+    parseIdentifierOrCall() {
+        const start = this.peek();
+        const parts = [this.advance().value];
+
+        while (this.checkOperator('.')) {
+            const next = this.peek(1);
+            if (next.type === 'operator' && next.value === '*') {
+                this.advance();
+                this.advance();
+                return this.parseStarModifiers({ type: 'star', qualifier: parts.join('.'), except: [], replace: [] }, start);
+            }
+            if (!(next.type === 'word' || next.type === 'quoted')) break;
+            this.advance();
+            parts.push(this.advance().value);
+        }
+
+        if (this.checkOperator('(')) {
+            return this.parseFunctionCall(parts.join('.'), start);
+        }
+
+        if (start.type === 'template') {
+            return this.finish({ type: 'template', raw: start.value, parts }, start);
+        }
+
+        return this.finish({ type: 'identifier', parts, name: parts.join('.') }, start);
+    }
+
+    /**
+     * * EXCEPT (a, b) REPLACE (x AS y) (BigQuery), * EXCLUDE (a) (Snowflake)
+     */
+    parseStarModifiers(star, start) {
+        while (true) {
+            if ((this.check('EXCEPT') || this.check('EXCLUDE')) && this.checkOperator('(', 1) && !this.isQueryStart(1)) {
+                this.advance();
+                this.advance();
+                do {
+                    star.except.push(this.parseName());
+                } while (this.matchOperator(','));
+                this.expectOperator(')');
+            } else if (this.check('REPLACE') && this.checkOperator('(', 1)) {
+                this.advance();
+                this.advance();
+                do {
+                    const itemStart = this.peek();
+                    const expr = this.parseExpression();
+                    star.replace.push(this.finish({ type: 'column', expr, alias: this.parseAlias() }, itemStart));
+                } while (this.matchOperator(','));
+                this.expectOperator(')');
+            } else {
+                return this.finish(star, start);
+            }
+        }
+    }
+
+    /**
+     * name(args) with DISTINCT, *, aggregate modifiers, FILTER, WITHIN GROUP and OVER
+     */
+    parseFunctionCall(name, start) {
+        const call = {
+            type: 'function',
+            name: name.toUpperCase(),
+            args: [],
+            distinct: false,
+            star: false,
+            orderBy: [],
+            filter: null,
+            withinGroup: [],
+            over: null
+        };
+
+        this.expectOperator('(');
+
+        if (this.isQueryStart()) {
+            // ARRAY(SELECT ...), ANY(SELECT ...)
+            const queryStart = this.peek();
+            call.args.push(this.finish({ type: 'subquery', query: this.parseQuery() }, queryStart));
+        } else if (!this.checkOperator(')')) {
+            if (this.match('DISTINCT')) {
+                call.distinct = true;
+            } else {
+                this.match('ALL');
+            }
+
+            if (this.checkOperator('*') && this.checkOperator(')', 1)) {
+                this.advance();
+                call.star = true;
+            } else {
+                do {
+                    if (this.checkOperator(')')) break;
+                    let arg = this.parseExpression();
+                    // Named arguments (Snowflake "name => value") and STRUCT(x AS name)
+                    if (this.matchOperator('=>')) {
+                        arg = this.parseExpression();
+                    } else if (this.match('AS')) {
+                        this.parseName();
+                    }
+                    call.args.push(arg);
+                } while (this.matchOperator(','));
+            }
+
+            this.parseAggregateModifiers(call);
+        }
+
+        this.expectOperator(')');
+
+        if (this.check('WITHIN') && this.check('GROUP', 1)) {
+            this.advance();
+            this.advance();
+            this.expectOperator('(');
+            this.expect('ORDER');
+            this.expect('BY');
+            call.withinGroup = this.parseOrderByList();
+            this.expectOperator(')');
+        }
+
+        if (this.check('FILTER') && this.checkOperator('(', 1)) {
+            this.advance();
+            this.advance();
+            this.expect('WHERE');
+            call.filter = this.parseExpression();
+            this.expectOperator(')');
+        }
+
+        if ((this.check('IGNORE') || this.check('RESPECT')) && this.check('NULLS', 1)) {
+            this.advance();
+            this.advance();
+        }
+
+        if (this.match('OVER')) {
+            call.over = this.checkOperator('(')
+                ? this.parseWindowSpec()
+                : { type: 'window', name: this.parseName(), partitionBy: [], orderBy: [], frame: null };
+        }
+
+        return this.finish(call, start);
+    }
+
+    /**
+     * ARRAY_AGG(x IGNORE NULLS ORDER BY y LIMIT 1), ANY_VALUE(x HAVING MAX y), GROUP_CONCAT(x SEPARATOR ',')
+     */
+    parseAggregateModifiers(call) {
+        while (true) {
+            if ((this.check('IGNORE') || this.check('RESPECT')) && this.check('NULLS', 1)) {
+                call.nulls = this.advance().upper;
+                this.advance();
+            } else if (this.check('ORDER') && this.check('BY', 1)) {
+                this.advance();
+                this.advance();
+                call.orderBy = this.parseOrderByList();
+            } else if (this.match('LIMIT')) {
+                call.limit = this.parseExpression();
+            } else if (this.check('HAVING') && (this.check('MIN', 1) || this.check('MAX', 1))) {
+                this.advance();
+                this.advance();
+                call.having = this.parseExpression();
+            } else if (this.match('SEPARATOR')) {
+                call.separator = this.parsePrimary();
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * ( [name] [PARTITION BY ...] [ORDER BY ...] [ROWS|RANGE|GROUPS frame] )
+     */
+    parseWindowSpec() {
+        const start = this.peek();
+        const spec = { type: 'window', name: null, partitionBy: [], orderBy: [], frame: null };
+
+        if (!this.expectOperator('(')) return this.finish(spec, start);
+
+        if (this.isName() && !['PARTITION', 'ORDER', 'ROWS', 'RANGE', 'GROUPS'].includes(this.peek().upper)) {
+            spec.name = this.advance().value;
+        }
+        if (this.check('PARTITION') && this.check('BY', 1)) {
+            this.advance();
+            this.advance();
+            spec.partitionBy = this.parseExpressionList();
+        }
+        if (this.check('ORDER') && this.check('BY', 1)) {
+            this.advance();
+            this.advance();
+            spec.orderBy = this.parseOrderByList();
+        }
+        if (this.check('ROWS') || this.check('RANGE') || this.check('GROUPS')) {
+            const frameStart = this.peek();
+            let depth = 0;
+            while (!this.isAtEnd() && !(depth === 0 && this.checkOperator(')'))) {
+                if (this.checkOperator('(')) depth++;
+                if (this.checkOperator(')')) depth--;
+                this.advance();
+            }
+            spec.frame = this.sliceTokens(frameStart, this.previous());
+        }
+
+        this.expectOperator(')');
+        return this.finish(spec, start);
+    }
+
+    parseOrderByList() {
+        const items = [];
+
+        do {
+            const start = this.peek();
+            const item = { type: 'order_item', expr: this.parseExpression(), direction: null, nulls: null };
+            if (this.check('ASC') || this.check('DESC')) item.direction = this.advance().upper;
+            if (this.match('NULLS')) item.nulls = this.advance().upper;
+            items.push(this.finish(item, start));
+        } while (this.matchOperator(','));
+
+        return items;
+    }
+
+    parseCase() {
+        const start = this.advance(); // CASE
+        const node = { type: 'case', operand: null, whens: [], else: null };
+
+        if (!this.check('WHEN')) node.operand = this.parseExpression();
+
+        while (this.check('WHEN')) {
+            const whenStart = this.advance();
+            const condition = this.parseExpression();
+            this.expect('THEN');
+            node.whens.push(this.finish({ type: 'when', condition, result: this.parseExpression() }, whenStart));
+        }
+
+        if (this.match('ELSE')) node.else = this.parseExpression();
+        this.expect('END');
+
+        return this.finish(node, start);
+    }
+
+    parseCast() {
+        const start = this.advance();
+        this.advance(); // (
+        const expr = this.parseExpression();
+        this.expect('AS');
+        const targetType = this.parseTypeName();
+        // CAST(x AS STRING FORMAT 'YYYY')
+        if (this.match('FORMAT')) this.parseExpression();
+        this.expectOperator(')');
+
+        return this.finish({ type: 'cast', expr, targetType, safe: start.upper !== 'CAST' }, start);
+    }
+
+    parseExtract() {
+        const start = this.advance();
+        this.advance(); // (
+        const partStart = this.peek();
+        this.advance();
+        // EXTRACT(WEEK(MONDAY) FROM x)
+        if (this.checkOperator('(')) this.skipBalanced();
+        const part = this.sliceTokens(partStart, this.previous()).toUpperCase();
+        this.expect('FROM');
+        const expr = this.parseExpression();
+        // BigQuery EXTRACT(DATE FROM ts AT TIME ZONE 'UTC')
+        if (this.check('AT') && this.check('TIME', 1)) {
+            this.advance();
+            this.advance();
+            this.expect('ZONE');
+            this.parsePrimary();
+        }
+        this.expectOperator(')');
+
+        return this.finish({ type: 'extract', part, expr }, start);
+    }
+
+    parseInterval() {
+        const start = this.advance(); // INTERVAL
+        const value = this.parseUnary();
+        let unit = null;
+
+        // INTERVAL 30 DAY, INTERVAL '1:2' HOUR TO MINUTE; Postgres puts the unit inside the string
+        if (this.peek().type === 'word' && !RESERVED.has(this.peek().upper)) {
+            unit = this.advance().upper;
+            if (this.match('TO')) unit += ' TO ' + this.advance().upper;
+        }
+
+        return this.finish({ type: 'interval', value, unit }, start);
+    }
+
+    /**
+     * Type names: INT64, NUMERIC(10, 2), ARRAY<STRUCT<a INT64, b STRING>>, TIMESTAMP WITH TIME ZONE
+     */
+    parseTypeName() {
+        const start = this.peek();
+        this.advance();
+
+        if (this.checkOperator('<')) {
+            let depth = 0;
+            do {
+                const token = this.advance();
+                if (token.value === '<') depth++;
+                if (token.value === '>') depth--;
+                if (token.value === '>>') depth -= 2;
+            } while (!this.isAtEnd() && depth > 0);
+        }
+
+        if (this.checkOperator('(')) this.skipBalanced();
+
+        while (this.peek().type === 'word' && ['PRECISION', 'VARYING', 'WITH', 'WITHOUT', 'TIME', 'ZONE', 'LOCAL'].includes(this.peek().upper)) {
+            this.advance();
+        }
+
+        return this.sliceTokens(start, this.previous()).toUpperCase();
+    }
+}
+
+/**
+ * Parse SQL into an AST; options.dialect is a Looker connection dialect (defaults to BigQuery)
+ */
+function parseSQL(source, options = {}) {
+    return new SQLParser(source, options).parse();
+}
+
+/**
+ * Depth-first walk over every AST node; returning false from visitor skips the node's children
+ */
+function walkSQL(node, visitor, parent = null) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+        node.forEach(child => walkSQL(child, visitor, parent));
+        return;
+    }
+
+    if (node.type && visitor(node, parent) === false) return;
+
+    Object.keys(node).forEach(key => {
+        if (key === 'loc') return;
+        const value = node[key];
+        if (value && typeof value === 'object') {
+            walkSQL(value, visitor, node.type ? node : parent);
+        }
+    });
+}
+
+/**
+ * All nodes of the given type(s) below node, in document order
+ */
+function findSQLNodes(node, types) {
+    const wanted = new Set(Array.isArray(types) ? types : [types]);
+    const found = [];
+    walkSQL(node, (current) => {
+        if (wanted.has(current.type)) found.push(current);
+    });
+    return found;
+}
+
+/**
+ * Top-level AND-ed predicates of a WHERE/ON/HAVING expression, with redundant parentheses removed
+ */
+function splitConjuncts(expr) {
+    const node = unwrapGroup(expr);
+    if (!node) return [];
+    if (node.type === 'binary' && node.operator === 'AND') {
+        return [...splitConjuncts(node.left), ...splitConjuncts(node.right)];
+    }
+    return [node];
+}
+
+function unwrapGroup(expr) {
+    let node = expr;
+    while (node && node.type === 'group') node = node.expr;
+    return node;
+}
+
+/**
+ * FROM item and joined sources of a SELECT, with parenthesized join groups flattened
+ */
+function getTableSources(select) {
+    const sources = [];
+    const collect = (source) => {
+        if (!source) return;
+        if (source.type === 'join_group') {
+            collect(source.from);
+            source.joins.forEach(join => collect(join.table));
+        } else {
+            sources.push(source);
+        }
+    };
+
+    collect(select.from);
+    select.joins.forEach(join => collect(join.table));
+    return sources;
+}
+
+function isAggregateFunction(call) {
+    return call.type === 'function' && !call.over && AGGREGATE_FUNCTIONS.has(call.name.split('.').pop());
+}
+
+module.exports = {
+    SQLParser,
+    parseSQL,
+    tokenizeSQL,
+    walkSQL,
+    findSQLNodes,
+    splitConjuncts,
+    unwrapGroup,
+    getTableSources,
+    isAggregateFunction,
+    AGGREGATE_FUNCTIONS,
+    COMPARISON_OPERATORS
+};
@@ -0,0 +1,167 @@
+// src/storage/run-store.js
+// Persists diagnostic reports as JSON files so runs can be listed, shared and compared later
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const RUN_ID_PATTERN = /^[a-zA-Z0-9-]+$/;
+
+class RunStore {
+    constructor(config = {}) {
+        this.config = config;
+        this.baseDir = config.runStoreDir || process.env.RUN_STORE_DIR ||
+            path.join(__dirname, '..', '..', 'data', 'runs');
+        this.initialized = false;
+    }
+
+    /**
+     * Create the storage directory if it does not exist yet
+     */
+    async initialize() {
+        if (this.initialized) return;
+        await fs.mkdir(this.baseDir, { recursive: true });
+        this.initialized = true;
+    }
+
+    /**
+     * Stable hash of the settings that shape a run (never includes secrets)
+     */
+    createConfigFingerprint(config = {}) {
+        const relevant = {
+            lookerUrl: (config.lookerUrl || '').replace(/\/$/, ''),
+            clientId: config.clientId || null,
+            gcpProjectId: config.gcpProjectId || process.env.GCP_PROJECT_ID || null,
+            aiEnabled: !!(config.geminiApiKey || process.env.GEMINI_API_KEY),
+            mockData: process.env.USE_MOCK_DATA === 'true'
+        };
+
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(relevant))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * Save a report and return the stored run summary
+     */
+    async saveRun({ type, config, report }) {
+        await this.initialize();
+
+        const run = {
+            id: uuidv4(),
+            type: type || 'full',
+            createdAt: new Date().toISOString(),
+            configFingerprint: this.createConfigFingerprint(config),
+            summary: this.summarizeReport(report),
+            report: report
+        };
+
+        const filePath = this.getRunPath(run.id);
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(run, null, 2), 'utf8');
+        await fs.rename(tempPath, filePath);
+
+        console.log(`💾 Saved ${run.type} diagnostic run ${run.id}`);
+        return this.toRunSummary(run);
+    }
+
+    /**
+     * List stored runs, newest first
+     */
+    async listRuns({ limit = 50, type = null, configFingerprint = null } = {}) {
+        await this.initialize();
+
+        const entries = await fs.readdir(this.baseDir);
+        const runs = [];
+
+        for (const entry of entries) {
+            if (!entry.endsWith('.json')) continue;
+
+            try {
+                const run = await this.readRunFile(path.join(this.baseDir, entry));
+                if (type && run.type !== type) continue;
+                if (configFingerprint && run.configFingerprint !== configFingerprint) continue;
+                runs.push(this.toRunSummary(run));
+            } catch (error) {
+                console.log(`⚠️ Skipping unreadable run file ${entry}: ${error.message}`);
+            }
+        }
+
+        runs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        return runs.slice(0, limit);
+    }
+
+    /**
+     * Get a full run including its report, or null if it does not exist
+     */
+    async getRun(id) {
+        if (!this.isValidRunId(id)) return null;
+        await this.initialize();
+
+        try {
+            return await this.readRunFile(this.getRunPath(id));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a run, returns false if it did not exist
+     */
+    async deleteRun(id) {
+        if (!this.isValidRunId(id)) return false;
+        await this.initialize();
+
+        try {
+            await fs.unlink(this.getRunPath(id));
+            console.log(`🗑️ Deleted diagnostic run ${id}`);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    summarizeReport(report = {}) {
+        const slowQueries = report.slowQueryAnalysis?.totalSlowQueries ??
+            report.slowQuerySummary?.totalSlowQueries ?? 0;
+
+        return {
+            overallGrade: report.overallGrade || null,
+            healthMetrics: report.healthMetrics || null,
+            totalSlowQueries: slowQueries,
+            totalIssuesFound: report.totalIssuesFound ?? null,
+            totalExplores: report.exploreAnalysis?.totalExplores ?? 0,
+            durationMs: report.diagnosticDuration ?? report.scanDuration ?? null
+        };
+    }
+
+    toRunSummary(run) {
+        return {
+            id: run.id,
+            type: run.type,
+            createdAt: run.createdAt,
+            configFingerprint: run.configFingerprint,
+            summary: run.summary
+        };
+    }
+
+    async readRunFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+    }
+
+    getRunPath(id) {
+        return path.join(this.baseDir, `${id}.json`);
+    }
+
+    isValidRunId(id) {
+        return typeof id === 'string' && RUN_ID_PATTERN.test(id);
+    }
+}
+
+module.exports = { RunStore };
@@ -0,0 +1,109 @@
+// test/bigquery-cost-attribution.test.js
+// Cost and slot usage of Looker-issued jobs by model, explore, dashboard, user and table, per week and month
+
+const { attributeJobCosts } = require('../src/analyzers/bigquery-cost-attribution');
+const { BigQueryAnalyzer } = require('../src/analyzers/bigquery-analyzer');
+const { BigQueryConnector } = require('../src/connectors/bigquery-connector');
+
+const TIB = 1024 ** 4;
+
+const HISTORY = [
+    { history_id: 9001, history_slug: '8c1f9e2b7d3a4f60a1b2c3d4e5f60718', model: 'shop', explore: 'orders', dashboard_title: 'Sales', user_email: 'ana@example.com' },
+    { history_id: 9002, history_slug: 'aa11bb22cc33dd44ee55ff6677889900', model: 'shop', explore: 'users', dashboard_title: null, user_email: 'bo@example.com' }
+];
+
+function job(creationTime, bytesBilled, context, extra = {}) {
+    return {
+        job_id: `job_${creationTime}`,
+        creation_time: { value: creationTime },
+        total_bytes_billed: String(bytesBilled),
+        total_slot_ms: '3600000',
+        labels: [],
+        referenced_tables: [{ project_id: 'proj', dataset_id: 'ds', table_id: 'orders' }],
+        looker_context: context ? JSON.stringify(context) : null,
+        ...extra
+    };
+}
+
+describe('attributeJobCosts', () => {
+    const jobs = [
+        // Context comment with the history slug only, as Looker writes it
+        job('2026-10-12T09:00:00Z', 2 * TIB, { user_id: 42, history_slug: '8c1f9e2b7d3a4f60a1b2c3d4e5f60718', instance_slug: '3f2a1b0c9d8e7f6a' }),
+        // Labels with the history id only
+        job('2026-10-05T09:00:00Z', TIB, null, { labels: [{ key: 'looker-context-history_id', value: '9002' }] }),
+        // A run outside the history window
+        job('2026-09-30T09:00:00Z', TIB, { user_id: 7, history_slug: 'ffffffffffffffffffffffffffffffff' })
+    ];
+
+    const result = attributeJobCosts(jobs, HISTORY, { pricePerTB: 10, topN: 5 });
+
+    test('joins jobs to history on the slug, then the id', () => {
+        expect(result).toMatchObject({ jobs: 3, jobsAttributed: 2, jobsUnattributed: 1 });
+        expect(result.byExplore.map(entry => [entry.key, entry.cost])).toEqual([
+            ['shop.orders', 20],
+            ['shop.users', 10],
+            ['(unknown explore)', 10]
+        ]);
+        expect(result.byDashboard.map(entry => entry.key)).toEqual(['Sales', '(not on a dashboard)', '(unknown dashboard)']);
+        expect(result.byUser.map(entry => entry.key)).toEqual(['ana@example.com', 'bo@example.com', 'Looker user 7']);
+    });
+
+    test('totals the whole period with cost shares and slot hours', () => {
+        expect(result.totals).toEqual({ jobs: 3, bytesBilled: 4 * TIB, slotMs: 3 * 3600000, slotHours: 3, cost: 40 });
+        expect(result.byTable).toEqual([
+            { key: 'proj.ds.orders', jobs: 3, bytesBilled: 4 * TIB, slotMs: 3 * 3600000, slotHours: 3, cost: 40, costShare: 100 }
+        ]);
+        expect(result.byModel[0]).toMatchObject({ key: 'shop', cost: 30, costShare: 75 });
+    });
+
+    test('splits into weeks starting Monday and calendar months, newest first', () => {
+        expect(result.weekly.map(week => [week.period, week.totals.cost])).toEqual([
+            ['2026-10-12', 20],
+            ['2026-10-05', 10],
+            ['2026-09-28', 10]
+        ]);
+        expect(result.monthly.map(month => [month.period, month.totals.cost])).toEqual([
+            ['2026-10', 30],
+            ['2026-09', 10]
+        ]);
+    });
+});
+
+describe('BigQueryAnalyzer.attributeLookerCosts', () => {
+    /**
+     * Connector whose client returns jobsPerTarget[project] jobs for each project's job history query
+     */
+    function stubbedConnector(jobsPerTarget) {
+        const connector = new BigQueryConnector({ gcpProjectId: 'proj' });
+        connector.isConnected = true;
+        connector.client = {
+            createQueryJob: jest.fn(async ({ query }) => {
+                const count = jobsPerTarget[query.match(/FROM `([^`]+)`/)[1]];
+                const rows = Array.from({ length: count }, (_, i) =>
+                    job(`2026-10-${String(12 - i).padStart(2, '0')}T09:00:00Z`, TIB, { history_slug: HISTORY[0].history_slug }));
+                return [{ getQueryResults: async () => [rows] }];
+            })
+        };
+        return connector;
+    }
+
+    const mcpConnector = {
+        isConnected: true,
+        getQueryHistory: jest.fn(async () => ({ rows: HISTORY, truncated: false }))
+    };
+    const scanTargets = [{ projectId: 'proj', region: 'us' }, { projectId: 'apac', region: 'asia-northeast1' }];
+
+    test('reports jobsTruncated when a scan target returns jobLimit jobs', async () => {
+        const result = await new BigQueryAnalyzer({ bigqueryPricePerTB: 10 })
+            .attributeLookerCosts(stubbedConnector({ proj: 2, apac: 3 }), mcpConnector, null, { scanTargets, jobLimit: 3 });
+
+        expect(result).toMatchObject({ available: true, jobs: 5, jobsTruncated: true, historyTruncated: false });
+    });
+
+    test('does not report truncation below the limit', async () => {
+        const result = await new BigQueryAnalyzer({ bigqueryPricePerTB: 10 })
+            .attributeLookerCosts(stubbedConnector({ proj: 2, apac: 3 }), mcpConnector, null, { scanTargets, jobLimit: 4 });
+
+        expect(result).toMatchObject({ available: true, jobs: 5, jobsTruncated: false });
+    });
+});
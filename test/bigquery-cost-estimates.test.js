@@ -0,0 +1,105 @@
+// test/bigquery-cost-estimates.test.js
+// Dry-run cost estimates against a stubbed BigQuery client, and measured versus unmeasured improvements
+
+const { BigQueryConnector } = require('../src/connectors/bigquery-connector');
+const { BigQueryAnalyzer } = require('../src/analyzers/bigquery-analyzer');
+const { SQLAnalyzer } = require('../src/analyzers/sql-analyzer');
+
+const TIB = 1024 ** 4;
+const ORIGINAL_SQL = 'SELECT t.id, t.status FROM (SELECT * FROM `proj.ds.orders`) AS t';
+
+/**
+ * Connector whose client answers dry runs: SELECT * scans 1 TiB, anything else a quarter of it
+ */
+function stubbedConnector() {
+    const connector = new BigQueryConnector({ gcpProjectId: 'proj' });
+    connector.isConnected = true;
+    connector.client = {
+        createQueryJob: jest.fn(async ({ query, dryRun }) => [{
+            metadata: {
+                statistics: {
+                    totalBytesProcessed: String(dryRun && query.includes('SELECT *') ? TIB : TIB / 4),
+                    query: { referencedTables: [{ projectId: 'proj', datasetId: 'ds', tableId: 'orders' }] }
+                }
+            }
+        }])
+    };
+    return connector;
+}
+
+async function analyze(runtime, runs) {
+    const sqlAnalyzer = new SQLAnalyzer({});
+    sqlAnalyzer.hasAI = false; // heuristics even when GEMINI_API_KEY is set
+    const analysis = await sqlAnalyzer.buildSQLAnalysis(
+        { query_id: `q${runtime}`, runtime_seconds: runtime, dialect: 'bigquery_standard_sql' },
+        ORIGINAL_SQL,
+        'looker_api'
+    );
+    analysis.fingerprintGroup = { count: runs };
+    return analysis;
+}
+
+describe('BigQueryConnector.dryRunQuery', () => {
+    test('reads bytes processed and referenced tables from the dry-run job', async () => {
+        const connector = stubbedConnector();
+
+        await expect(connector.dryRunQuery(ORIGINAL_SQL)).resolves.toEqual({
+            totalBytesProcessed: TIB,
+            referencedTables: ['proj.ds.orders']
+        });
+        expect(connector.client.createQueryJob).toHaveBeenCalledWith({ query: ORIGINAL_SQL, dryRun: true, useLegacySql: false });
+    });
+
+    test('refuses to run without a connected client', async () => {
+        await expect(new BigQueryConnector({}).dryRunQuery('SELECT 1')).rejects.toThrow('BigQuery connector not initialized');
+    });
+});
+
+describe('BigQueryAnalyzer cost estimates', () => {
+    const analyzer = new BigQueryAnalyzer({ bigqueryPricePerTB: 10 });
+
+    test('calculateCost bills at least 10 MiB per referenced table', () => {
+        expect(analyzer.calculateCost({ totalBytesProcessed: TIB, referencedTables: ['a'] })).toBe(10);
+        expect(analyzer.calculateCost({ totalBytesProcessed: 0, referencedTables: ['a', 'b'] }))
+            .toBe(Math.round(((20 * 1024 ** 2) / TIB) * 10 * 10000) / 10000);
+    });
+
+    test('measures before and after bytes and attaches the savings to the rewrite', async () => {
+        const sqlQuery = await analyze(90, 4);
+        const pdtQuery = await analyze(200, 1);
+
+        expect(sqlQuery.sqlRewrite.changed).toBe(true);
+        expect(sqlQuery.recommendations.map(rec => [rec.category, rec.expectedImprovement])).toEqual([['sql', 'not measured']]);
+        expect(pdtQuery.recommendations.map(rec => [rec.category, rec.expectedImprovement])).toEqual([['lookml', 'not measured']]);
+
+        const result = await analyzer.estimateQueryCosts([sqlQuery, pdtQuery], stubbedConnector());
+
+        expect(sqlQuery.costEstimate).toMatchObject({
+            bytesProcessed: TIB,
+            cost: 10,
+            optimizedBytesProcessed: TIB / 4,
+            optimizedCost: 2.5,
+            savingsPercent: 75,
+            referencedTables: ['proj.ds.orders']
+        });
+        expect(sqlQuery.sqlRewrite.expectedImprovement).toBe('75% fewer bytes scanned (dry run)');
+        expect(sqlQuery.recommendations[0].expectedImprovement).toBe('not measured');
+        expect(pdtQuery.recommendations[0].expectedImprovement).toBe('not measured');
+
+        // Weighted by fingerprint runs: 4 runs of one, 1 of the other
+        expect(result).toMatchObject({
+            available: true,
+            queriesEstimated: 2,
+            queriesFailed: 0,
+            current: { bytesProcessed: 5 * TIB, cost: 50 },
+            optimized: { bytesProcessed: 5 * TIB / 4, cost: 12.5 },
+            savings: { bytesProcessed: 15 * TIB / 4, cost: 37.5, percent: 75 }
+        });
+    });
+
+    test('is unavailable without a connected BigQuery connector', async () => {
+        const result = await new BigQueryAnalyzer().estimateQueryCosts([await analyze(90, 1)]);
+
+        expect(result).toEqual({ available: false, reason: 'BigQuery connector not connected' });
+    });
+});
@@ -0,0 +1,104 @@
+// test/bigquery-job-correlation.test.js
+// Matching Looker-issued BigQuery jobs to Looker history runs through the Looker context
+
+const { BigQueryAnalyzer } = require('../src/analyzers/bigquery-analyzer');
+const { parseLookerContext } = require('../src/analyzers/bigquery-cost-attribution');
+const { MCPConnector } = require('../src/connectors/mcp-connector');
+
+const TIB = 1024 ** 4;
+
+// What Looker appends to the SQL it sends to BigQuery: no history id, only the history slug
+function lookerSQL(context) {
+    return `SELECT orders.status AS orders_status, COUNT(*) AS orders_count
+FROM \`proj.ds.orders\` AS orders
+GROUP BY 1
+ORDER BY 2 DESC
+LIMIT 500
+-- Looker Query Context '${JSON.stringify(context)}'`;
+}
+
+/**
+ * Job row as BigQueryConnector.getLookerJobs() returns it, with looker_context cut out of the SQL the same way
+ */
+function jobRow(jobId, query, fields = {}) {
+    return {
+        job_id: jobId,
+        project_id: 'proj',
+        region: 'region-us',
+        creation_time: '2026-10-12T09:00:00Z',
+        total_bytes_billed: String(TIB),
+        total_bytes_processed: String(TIB),
+        total_slot_ms: '60000',
+        cache_hit: false,
+        labels: [],
+        looker_context: (/-- Looker Query Context '([^']*)'/.exec(query) || [])[1] || null,
+        ...fields
+    };
+}
+
+function stubbedConnector(rows) {
+    return {
+        getStatus: () => ({ connected: true }),
+        getScanTargets: () => [{ projectId: 'proj', region: 'us' }],
+        getLookerJobs: jest.fn(async () => ({ source: 'bigquery', data: rows, errors: [] }))
+    };
+}
+
+describe('parseLookerContext', () => {
+    test('reads the history slug, user and instance from the context comment', () => {
+        const row = jobRow('job_1', lookerSQL({ user_id: 42, history_slug: '8c1f9e2b7d3a4f60a1b2c3d4e5f60718', instance_slug: '3f2a1b0c9d8e7f6a' }));
+
+        expect(parseLookerContext(row)).toEqual({
+            historyId: null,
+            historySlug: '8c1f9e2b7d3a4f60a1b2c3d4e5f60718',
+            userId: '42',
+            explore: null,
+            instanceSlug: '3f2a1b0c9d8e7f6a'
+        });
+    });
+});
+
+describe('BigQueryAnalyzer.correlateLookerJobs', () => {
+    test('matches runs on the history slug, falling back to the history id', async () => {
+        const queries = [
+            { query_id: '101', history_id: '9001', history_slug: '8c1f9e2b7d3a4f60a1b2c3d4e5f60718', fingerprint: 'fp1' },
+            { query_id: '101', history_id: '9002', history_slug: 'aa11bb22cc33dd44ee55ff6677889900', fingerprint: 'fp1' },
+            { query_id: '102', history_id: '9003', history_slug: null, fingerprint: 'fp2' }
+        ];
+        const rows = [
+            jobRow('job_slug', lookerSQL({ user_id: 42, history_slug: '8c1f9e2b7d3a4f60a1b2c3d4e5f60718', instance_slug: '3f2a1b0c9d8e7f6a' })),
+            jobRow('job_labels', 'SELECT 1', { labels: [{ key: 'looker-context-history_id', value: '9003' }] }),
+            jobRow('job_other_instance', lookerSQL({ user_id: 7, history_slug: 'ffffffffffffffffffffffffffffffff', instance_slug: '3f2a1b0c9d8e7f6a' }))
+        ];
+        const analyses = [{ queryId: '101', fingerprint: 'fp1' }, { queryId: '102', fingerprint: 'fp2' }];
+
+        const result = await new BigQueryAnalyzer({ bigqueryPricePerTB: 10 })
+            .correlateLookerJobs(queries, analyses, stubbedConnector(rows));
+
+        expect(result).toMatchObject({ available: true, jobsScanned: 3, jobsWithContext: 3, runsMatched: 2, runsUnmatched: 1 });
+        expect(queries[0].bigqueryJob).toMatchObject({ jobIds: ['job_slug'], lookerUserId: '42', bytesBilled: TIB, cost: 10 });
+        expect(queries[1].bigqueryJob).toBeUndefined();
+        expect(queries[2].bigqueryJob.jobIds).toEqual(['job_labels']);
+        expect(analyses[0].bigqueryJobs).toMatchObject({ runs: 1, cost: 10 });
+    });
+
+    test('is unavailable when the runs have neither a history slug nor an id', async () => {
+        const result = await new BigQueryAnalyzer().correlateLookerJobs([{ query_id: '1' }], [], stubbedConnector([]));
+
+        expect(result).toEqual({ available: false, reason: 'Slow queries have no Looker history slug or id to match on' });
+    });
+});
+
+describe('MCPConnector.parseQueryResponse', () => {
+    test('keeps the history slug of each run', () => {
+        const [run] = new MCPConnector({}).parseQueryResponse([{
+            'history.id': 9001,
+            'history.slug': '8c1f9e2b7d3a4f60a1b2c3d4e5f60718',
+            'query.id': 101,
+            'query.slug': 'AbC123',
+            'history.runtime': 42.5
+        }]);
+
+        expect(run).toMatchObject({ history_id: 9001, history_slug: '8c1f9e2b7d3a4f60a1b2c3d4e5f60718', slug: 'AbC123', runtime_seconds: 42.5 });
+    });
+});
@@ -0,0 +1,90 @@
+// test/bigquery-materialization.test.js
+// Materialized view and BI Engine candidates from repeated aggregation patterns, with their scans as an upper bound
+
+const { BigQueryAnalyzer } = require('../src/analyzers/bigquery-analyzer');
+
+const GIB = 1024 ** 3;
+
+function analysis(queryId, sql, runs, bytesPerRun) {
+    return {
+        queryId,
+        fingerprint: `fp${queryId}`,
+        model: 'shop',
+        explore: 'orders',
+        originalSQL: sql,
+        sqlAnalysis: { dialect: 'bigquery' },
+        fingerprintGroup: { count: runs },
+        costEstimate: { bytesProcessed: bytesPerRun }
+    };
+}
+
+const byStatus = (status) => `SELECT orders.status, SUM(orders.amount) AS total
+FROM \`proj.ds.orders\` AS orders
+WHERE orders.status = '${status}'
+GROUP BY 1`;
+
+const DISTINCT_USERS = 'SELECT users.state, COUNT(DISTINCT users.id) AS n FROM `proj.ds.users` AS users WHERE users.age > 30 GROUP BY 1';
+
+describe('BigQueryAnalyzer.findMaterializationCandidates', () => {
+    let result, orders, users;
+
+    beforeAll(async () => {
+        result = await new BigQueryAnalyzer({ bigqueryPricePerTB: 10 }).findMaterializationCandidates([
+            analysis('1', byStatus('complete'), 2, 100 * GIB),
+            analysis('2', byStatus('pending'), 2, 100 * GIB),
+            analysis('3', DISTINCT_USERS, 3, 50 * GIB),
+            analysis('4', 'SELECT items.sku, MAX(items.price) FROM `proj.ds.items` AS items GROUP BY 1', 1, GIB)
+        ]);
+        [orders, users] = result.candidates;
+    });
+
+    test('groups queries that differ only in filters and skips patterns below the minimum runs', () => {
+        expect(result).toMatchObject({ available: true, patternsFound: 3, minRuns: 3, materializedViews: 1 });
+        expect(result.candidates.map(candidate => candidate.recommendation)).toEqual(['materialized_view', 'bi_engine']);
+        expect(orders).toMatchObject({ groupKeys: ['orders.status'], filterColumns: ['orders.status'], runs: 4, fingerprints: 2 });
+        expect(orders.ddl).toContain('CREATE MATERIALIZED VIEW `proj.ds.mv_orders_');
+        expect(users).toMatchObject({ incrementalBlockers: ['COUNT(DISTINCT users.id)'], ddl: null });
+    });
+
+    test('reports the bytes the runs scanned as an upper bound, not as savings', () => {
+        expect(orders).toMatchObject({ bytesScannedByRuns: 400 * GIB, costOfRuns: 3.9063, bytesBasis: 'dry_run' });
+        expect(orders).not.toHaveProperty('estimatedBytesSaved');
+        expect(orders.description).toContain('Saves at most the 400 GB ($3.9063) these runs scanned, less view reads and refreshes');
+        expect(users.description).toContain('less the BI Engine reservation');
+
+        expect(result.totals).toMatchObject({ bytesScannedByRuns: 550 * GIB, costOfRuns: 5.3711 });
+        expect(result.totals.description).toMatch(/^Upper bound on savings/);
+    });
+
+    test('sizes BI Engine from the largest run of each table set', () => {
+        expect(result.biEngine).toMatchObject({
+            recommended: true,
+            reservationGB: 50,
+            costOfRuns: 1.4648,
+            candidates: [users.name]
+        });
+        expect(result.biEngine.ddl).toContain("preferred_tables = ['proj.ds.users']");
+    });
+
+    test('puts each BI Engine reservation in the region of its tables\' dataset', async () => {
+        const connector = {
+            projectId: 'billing',
+            defaultRegion: 'us',
+            getDatasetRegion: jest.fn(async (projectId, dataset) => (dataset === 'eu_ds' ? 'eu' : 'asia-northeast1'))
+        };
+        const distinctUsers = (dataset) => DISTINCT_USERS.replace('proj.ds.users', `proj.${dataset}.users`);
+
+        const { biEngine } = await new BigQueryAnalyzer().findMaterializationCandidates([
+            analysis('1', distinctUsers('eu_ds'), 3, 20 * GIB),
+            analysis('2', distinctUsers('apac_ds'), 3, 5 * GIB)
+        ], connector);
+
+        expect(connector.getDatasetRegion).toHaveBeenCalledWith('proj', 'eu_ds');
+        expect(biEngine.reservations.map(reservation => [reservation.region, reservation.reservationGB])).toEqual([['eu', 20], ['asia-northeast1', 5]]);
+        expect(biEngine.reservationGB).toBe(25);
+        expect(biEngine.ddl).toBe([
+            "ALTER BI_CAPACITY `billing.region-eu.default` SET OPTIONS (size_gb = 20, preferred_tables = ['proj.eu_ds.users'])",
+            "ALTER BI_CAPACITY `billing.region-asia-northeast1.default` SET OPTIONS (size_gb = 5, preferred_tables = ['proj.apac_ds.users'])"
+        ].join(';\n'));
+    });
+});
@@ -0,0 +1,96 @@
+// test/bigquery-scan-targets.test.js
+// Project/region pairs whose job history is read, and merging their rows and errors across a stubbed BigQuery client
+
+const { BigQueryConnector } = require('../src/connectors/bigquery-connector');
+
+/**
+ * Connector whose client answers each job history query with the rows of the project named in its FROM,
+ * or fails for the projects in failing
+ */
+function stubbedConnector(rowsByProject, failing = []) {
+    const connector = new BigQueryConnector({ gcpProjectId: 'home' });
+    connector.isConnected = true;
+    connector.client = {
+        createQueryJob: jest.fn(async ({ query }) => {
+            const projectId = query.match(/FROM `([^`]+)`/)[1];
+            if (failing.includes(projectId)) throw new Error(`Access Denied: ${projectId}`);
+            return [{ getQueryResults: async () => [rowsByProject[projectId] || []] }];
+        })
+    };
+    return connector;
+}
+
+const buildQuery = (target) => `SELECT * FROM \`${target.projectId}\`.\`region-${target.region}\`.INFORMATION_SCHEMA.JOBS_BY_PROJECT`;
+const byCreationTime = (a, b) => b.creation_time - a.creation_time;
+
+describe('BigQueryConnector scan targets', () => {
+    const savedTargets = process.env.BIGQUERY_SCAN_TARGETS;
+    afterEach(() => {
+        if (savedTargets === undefined) delete process.env.BIGQUERY_SCAN_TARGETS;
+        else process.env.BIGQUERY_SCAN_TARGETS = savedTargets;
+    });
+
+    test('parses project:region pairs, normalizing regions and defaulting missing ones', () => {
+        const connector = new BigQueryConnector({
+            bigqueryRegion: 'EU',
+            bigqueryScanTargets: 'sales-prod:region-US, apac-prod:asia-northeast1,ops, sales-prod:us,'
+        });
+
+        expect(connector.getScanTargets()).toEqual([
+            { projectId: 'sales-prod', region: 'us' },
+            { projectId: 'apac-prod', region: 'asia-northeast1' },
+            { projectId: 'ops', region: 'eu' }
+        ]);
+    });
+
+    test('prefers scan targets named in the request over BIGQUERY_SCAN_TARGETS', () => {
+        process.env.BIGQUERY_SCAN_TARGETS = 'sales-prod:eu,apac-prod:asia-northeast1';
+        const connector = new BigQueryConnector({});
+
+        expect(connector.getScanTargets({ scanTargets: [{ projectId: 'adhoc', region: 'US' }, { projectId: 'adhoc', region: 'us' }] }))
+            .toEqual([{ projectId: 'adhoc', region: 'us' }]);
+        expect(connector.getScanTargets({ projectId: 'apac-prod' })).toEqual([{ projectId: 'apac-prod', region: 'asia-northeast1' }]);
+        expect(connector.getScanTargets({ projectId: 'other', region: 'region-eu' })).toEqual([{ projectId: 'other', region: 'eu' }]);
+    });
+
+    test('falls back to the requested project and region without configured targets', () => {
+        delete process.env.BIGQUERY_SCAN_TARGETS;
+        const connector = new BigQueryConnector({});
+
+        expect(connector.getScanTargets({ projectId: 'home' })).toEqual([{ projectId: 'home', region: 'us' }]);
+        expect(connector.getScanTargets()).toEqual([]);
+    });
+});
+
+describe('BigQueryConnector.executeAcrossTargets', () => {
+    const targets = [
+        { projectId: 'sales-prod', region: 'eu' },
+        { projectId: 'apac-prod', region: 'asia-northeast1' },
+        { projectId: 'locked', region: 'us' }
+    ];
+
+    test('merges and sorts the rows of each target and lists the ones that failed', async () => {
+        const connector = stubbedConnector({
+            'sales-prod': [{ job_id: 's1', creation_time: 1 }, { job_id: 's2', creation_time: 3 }],
+            'apac-prod': [{ job_id: 'a1', creation_time: 2 }]
+        }, ['locked']);
+
+        const result = await connector.executeAcrossTargets(targets, buildQuery, 'lookerJobs', byCreationTime, 2);
+
+        expect(result).toMatchObject({ success: true, source: 'bigquery', targets });
+        expect(result.data).toEqual([
+            { project_id: 'sales-prod', region: 'eu', job_id: 's2', creation_time: 3 },
+            { project_id: 'apac-prod', region: 'asia-northeast1', job_id: 'a1', creation_time: 2 }
+        ]);
+        expect(result.errors).toEqual([{ projectId: 'locked', region: 'us', error: 'Access Denied: locked' }]);
+    });
+
+    test('uses mock data only when every target fails, keeping the errors', async () => {
+        const connector = stubbedConnector({}, ['sales-prod', 'apac-prod', 'locked']);
+
+        const result = await connector.executeAcrossTargets(targets, buildQuery, 'costAnalysis', byCreationTime);
+
+        expect(result.source).toBe('mock');
+        expect(result.errors.map(error => error.projectId)).toEqual(['sales-prod', 'apac-prod', 'locked']);
+    });
+});
@@ -0,0 +1,44 @@
+// test/bigquery-slot-usage.test.js
+// Slot timeline saturation, contention windows and reservation advice with and without a known capacity
+
+const { buildSlotTimeline } = require('../src/analyzers/bigquery-slot-usage');
+
+// Two contended hours at 09:00-11:00 UTC where work waited for slots, and a quiet hour at 03:00
+const rows = [
+    { hour: '2026-10-01T03:00:00Z', slot_ms: 3600000 * 5, looker_slot_ms: 3600000, etl_slot_ms: 0, peak_slots: 20, peak_looker_slots: 10, peak_runnable_units: 0, contended_seconds: 0 },
+    { hour: '2026-10-01T09:00:00Z', slot_ms: 3600000 * 90, looker_slot_ms: 3600000 * 30, etl_slot_ms: 3600000 * 60, peak_slots: 100, peak_looker_slots: 40, peak_runnable_units: 12, contended_seconds: 1200 },
+    { hour: '2026-10-01T10:00:00Z', slot_ms: 3600000 * 60, looker_slot_ms: 3600000 * 20, etl_slot_ms: 3600000 * 40, peak_slots: 80, peak_looker_slots: 30, peak_runnable_units: 3, contended_seconds: 600 }
+];
+
+describe('buildSlotTimeline', () => {
+    test('leaves saturation unknown without a capacity and skips the advice that depends on it', () => {
+        const result = buildSlotTimeline(rows);
+
+        expect(result.timeline.map(point => point.saturated)).toEqual([null, null, null]);
+        expect(result.totals.saturatedHours).toBeNull();
+        expect(result.hourOfDay[9].saturatedDays).toBeNull();
+        expect(result.contentionWindows).toEqual([expect.objectContaining({
+            start: '2026-10-01T09:00:00.000Z',
+            end: '2026-10-01T11:00:00.000Z',
+            hours: 2,
+            saturated: null,
+            severity: 'medium'
+        })]);
+
+        expect(result.recommendations.map(recommendation => recommendation.type)).toEqual(['schedule_shift']);
+        expect(result.recommendations[0]).toMatchObject({ priority: 'medium', fromHours: [9, 10], etlSlotHours: 100 });
+        expect(result.recommendations[0].description).not.toContain('Slots ran out');
+    });
+
+    test('marks hours at a known capacity as saturated', () => {
+        const result = buildSlotTimeline(rows, { slotCapacity: 100 });
+
+        expect(result.timeline.map(point => point.saturated)).toEqual([false, true, false]);
+        expect(result.totals.saturatedHours).toBe(1);
+        expect(result.contentionWindows[0]).toMatchObject({ saturated: true, severity: 'high' });
+
+        const byType = Object.fromEntries(result.recommendations.map(recommendation => [recommendation.type, recommendation]));
+        expect(byType.schedule_shift.priority).toBe('high');
+        expect(byType.dedicated_reservation).toMatchObject({ recommendedSlots: 50 });
+    });
+});
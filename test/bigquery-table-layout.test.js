@@ -0,0 +1,127 @@
+// test/bigquery-table-layout.test.js
+// Partition and clustering recommendations from the columns slow queries filter and join on
+
+const { BigQueryAnalyzer } = require('../src/analyzers/bigquery-analyzer');
+
+const GIB = 1024 ** 3;
+
+function analysis(queryId, runs, bytesPerRun, predicateColumns, referencedTables = [], dialect = 'bigquery') {
+    return {
+        queryId,
+        sqlAnalysis: { dialect, predicateColumns },
+        fingerprintGroup: { count: runs },
+        costEstimate: { bytesProcessed: bytesPerRun, referencedTables }
+    };
+}
+
+const filter = (table, column, operator = '=', wrappedIn = null) => ({ table, column, operator, wrappedIn });
+
+function analyzer() {
+    const bigQueryAnalyzer = new BigQueryAnalyzer();
+    bigQueryAnalyzer.setBigQueryConnector({ projectId: 'home' });
+    return bigQueryAnalyzer;
+}
+
+const ANALYSES = [
+    analysis('q1', 5, 100 * GIB, {
+        filters: [
+            filter('proj.ds.orders', 'created_at', '>=', 'DATE'),
+            filter('proj.ds.orders', 'status'),
+            filter('proj.ds.orders', 'region', '=', 'UPPER'),
+            filter('ds.users', 'country', 'IN')
+        ],
+        joins: [{ table: 'ds.users', column: 'id' }, { table: 'proj.ds.orders', column: 'user_id' }]
+    }, ['proj.ds.orders', 'other.ds.users']),
+    analysis('q2', 2, 10 * GIB, {
+        filters: [filter('proj.ds.orders', 'Status'), filter('proj.ds.orders', 'created_at', 'BETWEEN'), filter('events', 'day')],
+        joins: [{ table: 'shared.events', column: 'user_id' }]
+    }),
+    analysis('q3', 50, 500 * GIB, { filters: [filter('proj.ds.orders', 'status')], joins: [] }, [], 'snowflake')
+];
+
+const METADATA = {
+    'proj.ds.orders': {
+        table: 'proj.ds.orders',
+        tableType: 'BASE TABLE',
+        partitionColumn: null,
+        clusteringColumns: [],
+        columns: [
+            { name: 'created_at', dataType: 'TIMESTAMP' },
+            { name: 'status', dataType: 'STRING' },
+            { name: 'region', dataType: 'STRING' },
+            { name: 'user_id', dataType: 'INT64' }
+        ]
+    },
+    'other.ds.users': {
+        table: 'other.ds.users',
+        tableType: 'BASE TABLE',
+        partitionColumn: 'signup_date',
+        clusteringColumns: ['country', 'id'],
+        columns: [{ name: 'id', dataType: 'INT64' }, { name: 'country', dataType: 'STRING' }, { name: 'signup_date', dataType: 'DATE' }]
+    },
+    'home.shared.events': {
+        table: 'home.shared.events',
+        tableType: 'VIEW',
+        partitionColumn: null,
+        clusteringColumns: [],
+        columns: [{ name: 'user_id', dataType: 'INT64' }]
+    }
+};
+
+describe('BigQueryAnalyzer.collectPredicateUsage', () => {
+    const usage = analyzer().collectPredicateUsage(ANALYSES);
+
+    test('qualifies tables from the dry run or the connector project and lists the ones it cannot', () => {
+        expect(Array.from(usage.tables.keys())).toEqual(['proj.ds.orders', 'other.ds.users', 'home.shared.events']);
+        expect(usage.unresolved).toEqual(['events']);
+    });
+
+    test('counts each query once per table, weighted by its runs, and skips other dialects', () => {
+        const orders = usage.tables.get('proj.ds.orders');
+
+        expect(orders).toMatchObject({ runs: 7, bytesScanned: 520 * GIB });
+        expect(Array.from(orders.queries)).toEqual(['q1', 'q2']);
+        expect(orders.columns.get('status').filterQueries.size).toBe(2);
+    });
+
+    test('only counts range or equality filters on the bare column, or DATE() of it, as prunable', () => {
+        const columns = usage.tables.get('proj.ds.orders').columns;
+
+        expect(columns.get('created_at').prunableQueries.size).toBe(2);
+        expect(columns.get('region').prunableQueries.size).toBe(0);
+        expect(columns.get('user_id')).toMatchObject({ filterQueries: new Set(), joinQueries: new Set([ANALYSES[0]]) });
+    });
+});
+
+describe('BigQueryAnalyzer.generateBigQueryRecommendations', () => {
+    const result = analyzer().generateBigQueryRecommendations(analyzer().collectPredicateUsage(ANALYSES), METADATA);
+
+    test('partitions on the temporal column most runs prune on, clustering on the rest in the same DDL', () => {
+        expect(result.partitioning).toEqual([expect.objectContaining({
+            table: 'proj.ds.orders',
+            column: 'created_at',
+            dataType: 'TIMESTAMP',
+            currentPartitionColumn: null,
+            priority: 'medium',
+            description: '7 of 7 runs filter created_at by range or equality',
+            ddl: 'CREATE TABLE `proj.ds.orders_partitioned` PARTITION BY DATE(created_at) CLUSTER BY status, region, user_id AS SELECT * FROM `proj.ds.orders`'
+        })]);
+    });
+
+    test('clusters on the most filtered, then most joined columns and skips tables already clustered that way', () => {
+        expect(result.clustering).toEqual([expect.objectContaining({
+            table: 'proj.ds.orders',
+            columns: ['status', 'region', 'user_id'],
+            command: 'bq update --clustering_fields=status,region,user_id proj:ds.orders'
+        })]);
+        expect(result.clustering[0].evidence).toMatchObject({ queries: 2, runs: 7, bytesScanned: 520 * GIB });
+    });
+
+    test('recommends nothing for views or tables without metadata', () => {
+        const viewOnly = analysis('q4', 9, GIB, { filters: [], joins: [{ table: 'shared.events', column: 'user_id' }] });
+        const empty = { partitioning: [], clustering: [], costOptimization: [], slotOptimization: [] };
+
+        expect(analyzer().generateBigQueryRecommendations(analyzer().collectPredicateUsage([viewOnly]), METADATA)).toEqual(empty);
+        expect(analyzer().generateBigQueryRecommendations(analyzer().collectPredicateUsage(ANALYSES), {})).toEqual(empty);
+    });
+});
@@ -0,0 +1,79 @@
+// test/dead-code-analyzer.test.js
+// Unused explores, joins, views and fields, and how truncated usage and partial projects lower ratings
+
+const { DeadCodeAnalyzer } = require('../src/analyzers/dead-code-analyzer');
+const { LookMLProjectResolver } = require('../src/analyzers/lookml-project-resolver');
+
+const FILES = [
+    {
+        fileName: 'shop.model.lkml',
+        path: 'shop.model.lkml',
+        project: 'shop',
+        content: `include: "*.view"
+explore: orders {
+  join: users { relationship: many_to_one sql_on: \${orders.user_id} = \${users.id} ;; }
+  join: stores { relationship: many_to_one sql_on: \${orders.store_id} = \${stores.id} ;; }
+}
+explore: returns { hidden: yes }`
+    },
+    {
+        fileName: 'views.view.lkml',
+        path: 'views.view.lkml',
+        project: 'shop',
+        content: `view: orders {
+  dimension: id { primary_key: yes }
+  dimension: status {}
+  dimension: user_id {}
+  dimension: store_id {}
+  dimension: legacy_code {}
+}
+view: users { dimension: id { primary_key: yes } dimension: email {} }
+view: stores { dimension: id { primary_key: yes } }
+view: returns { dimension: id { primary_key: yes } }
+view: archive { dimension: id { primary_key: yes } }`
+    }
+];
+
+const USAGE = {
+    days: 90,
+    truncated: false,
+    rows: [{ model: 'shop', explore: 'orders', runCount: 40, fields: ['orders.status', 'users.email'], filters: [] }]
+};
+
+function analyze(files, usage = USAGE) {
+    return new DeadCodeAnalyzer().analyze(new LookMLProjectResolver(files).resolve(), usage);
+}
+
+function ratings(items, key) {
+    return Object.fromEntries(items.map(item => [item[key], item.rating]));
+}
+
+describe('DeadCodeAnalyzer', () => {
+    test('rates unused explores, joins, views and fields when the whole project was fetched', () => {
+        const result = analyze(FILES.map(file => ({ ...file, projectFileCount: 2 })));
+
+        expect(result.coverage).toEqual([{ project: 'shop', filesListed: 2, filesFetched: 2, complete: true }]);
+        expect(ratings(result.explores, 'explore')).toEqual({ returns: 'safe_to_delete' });
+        expect(ratings(result.joins, 'join')).toEqual({ stores: 'safe_to_delete' });
+        expect(ratings(result.views, 'view')).toEqual({ stores: 'review', returns: 'review', archive: 'safe_to_delete' });
+        expect(ratings(result.fields, 'field')).toEqual({ legacy_code: 'safe_to_delete', store_id: 'safe_to_hide' });
+    });
+
+    test('drops every rating one level when usage was truncated', () => {
+        const result = analyze(FILES, { ...USAGE, truncated: true });
+
+        expect(ratings(result.explores, 'explore')).toEqual({ returns: 'safe_to_hide' });
+        expect(ratings(result.fields, 'field')).toEqual({ legacy_code: 'safe_to_hide', store_id: 'review' });
+        expect(result.summary.safeToDelete).toBe(0);
+    });
+
+    test('rates everything review and reports coverage when project files were skipped', () => {
+        const result = analyze(FILES.map(file => ({ ...file, projectFileCount: 6 })));
+
+        expect(result.coverage).toEqual([{ project: 'shop', filesListed: 6, filesFetched: 2, complete: false }]);
+        const items = [...result.explores, ...result.joins, ...result.views, ...result.fields];
+        expect(items.length).toBeGreaterThan(0);
+        expect(new Set(items.map(item => item.rating))).toEqual(new Set(['review']));
+        expect(result.summary).toMatchObject({ safeToDelete: 0, safeToHide: 0, review: items.length });
+    });
+});
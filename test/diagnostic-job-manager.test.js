@@ -0,0 +1,103 @@
+// test/diagnostic-job-manager.test.js
+// Background diagnostic jobs: status transitions, progress and failures
+
+const { DiagnosticJobManager } = require('../src/jobs/diagnostic-job-manager');
+
+function waitForDone(manager, id) {
+    return new Promise(resolve => {
+        manager.subscribe(id, event => {
+            if (event.type === 'done') resolve(event);
+        });
+    });
+}
+
+function stubDiagnostic(run) {
+    return {
+        listener: null,
+        setProgressListener(listener) { this.listener = listener; },
+        cancel() {},
+        runQueryPerformanceDiagnostic() { return run(this); },
+        runFastScan() { return run(this); }
+    };
+}
+
+describe('DiagnosticJobManager', () => {
+    test('completes a job and reports phase progress', async () => {
+        const manager = new DiagnosticJobManager({
+            createDiagnostic: () => stubDiagnostic(async (diagnostic) => {
+                diagnostic.listener({ phase: 'plan', status: 'started', phases: ['a', 'b'] });
+                diagnostic.listener({ phase: 'a', status: 'completed' });
+                return { runId: 'run-1' };
+            })
+        });
+
+        const { id } = manager.createJob({ type: 'full', config: {} });
+        const done = await waitForDone(manager, id);
+
+        expect(done.status).toBe('completed');
+        expect(manager.getJob(id)).toMatchObject({ status: 'completed', runId: 'run-1', progress: 100 });
+    });
+
+    test('fails the job when the diagnostic cannot be created', async () => {
+        const manager = new DiagnosticJobManager({
+            createDiagnostic: () => { throw new Error('Missing LOOKER_BASE_URL'); }
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const { id } = manager.createJob({ type: 'full', config: {} });
+        const done = await waitForDone(manager, id);
+
+        expect(done).toMatchObject({ status: 'failed', error: 'Missing LOOKER_BASE_URL' });
+        expect(manager.getJob(id).status).toBe('failed');
+        console.error.mockRestore();
+    });
+
+    test('fails the job when the diagnostic returns an error result', async () => {
+        const manager = new DiagnosticJobManager({
+            createDiagnostic: () => stubDiagnostic(async () => ({ error: 'MCP unavailable' }))
+        });
+
+        const { id } = manager.createJob({ type: 'fast', config: {} });
+        const done = await waitForDone(manager, id);
+
+        expect(done).toMatchObject({ status: 'failed', error: 'MCP unavailable' });
+    });
+
+    test('accepts a cancel once and refuses it while cancelling and after the job finished', async () => {
+        let finish;
+        const manager = new DiagnosticJobManager({
+            createDiagnostic: () => ({
+                ...stubDiagnostic(() => new Promise(resolve => { finish = resolve; })),
+                cancel() { finish({ cancelled: true }); }
+            })
+        });
+
+        const { id } = manager.createJob({ type: 'full', config: {} });
+        const done = waitForDone(manager, id);
+        await new Promise(resolve => setImmediate(resolve));
+
+        const first = manager.cancelJob(id);
+        expect(first).toMatchObject({ accepted: true, job: { status: 'running', cancelRequested: true } });
+        expect(manager.cancelJob(id)).toMatchObject({ accepted: false, job: { status: 'running' } });
+
+        expect((await done).status).toBe('cancelled');
+        expect(manager.cancelJob(id)).toMatchObject({ accepted: false, job: { status: 'cancelled' } });
+        expect(manager.cancelJob('missing')).toBeNull();
+    });
+
+    test('replays nothing past the done event and reports the job finished', async () => {
+        const manager = new DiagnosticJobManager({
+            createDiagnostic: () => stubDiagnostic(async () => ({ runId: 'run-2' }))
+        });
+
+        const { id } = manager.createJob({ type: 'fast', config: {} });
+        expect(manager.hasFinished(id)).toBe(false);
+        const done = await waitForDone(manager, id);
+
+        const replayed = [];
+        manager.subscribe(id, event => replayed.push(event), done.id);
+        expect(replayed).toEqual([]);
+        expect(manager.hasFinished(id)).toBe(true);
+        expect(manager.hasFinished('missing')).toBe(false);
+    });
+});
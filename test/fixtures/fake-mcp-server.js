@@ -0,0 +1,45 @@
+// test/fixtures/fake-mcp-server.js
+// Minimal stdio MCP server for session tests: answers initialize, echoes with a delay, crashes on request
+
+const readline = require('readline');
+
+const notifications = [];
+const send = (message) => process.stdout.write(JSON.stringify(message) + '\n');
+
+if (process.env.FAKE_MCP_FAIL_INIT === 'true') {
+    process.stderr.write('toolbox: missing LOOKER_BASE_URL\n');
+    process.exit(2);
+}
+
+// Servers may log to stdout before they speak JSON-RPC
+process.stdout.write('fake toolbox starting\n');
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+    const message = JSON.parse(line);
+
+    if (message.id === undefined) {
+        notifications.push(message.method);
+        return;
+    }
+
+    switch (message.method) {
+    case 'initialize':
+        send({
+            jsonrpc: '2.0',
+            id: message.id,
+            result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'fake', version: '1.0' } }
+        });
+        break;
+    case 'echo':
+        setTimeout(() => send({ jsonrpc: '2.0', id: message.id, result: { value: message.params.value, pid: process.pid } }), message.params.delay || 0);
+        break;
+    case 'notifications':
+        send({ jsonrpc: '2.0', id: message.id, result: { notifications } });
+        break;
+    case 'crash':
+        process.exit(1);
+        break;
+    default:
+        send({ jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Unknown method ${message.method}` } });
+    }
+});
@@ -0,0 +1,68 @@
+// test/lookml-fanout-rules.test.js
+// Join fanout and symmetric-aggregate rules on resolved explores
+
+const { LookMLProjectResolver } = require('../src/analyzers/lookml-project-resolver');
+const { LookMLRuleEngine } = require('../src/analyzers/lookml-rule-engine');
+
+const FANOUT_RULES = ['fanout-missing-primary-key', 'fanout-aggregate', 'fanout-symmetric-aggregate', 'join-sql-on-primary-key'];
+
+function checkFanout(modelContent, viewsContent) {
+    const files = [
+        { fileName: 'shop.model.lkml', path: 'shop.model.lkml', project: 'shop', content: `include: "*.view"\n${modelContent}` },
+        { fileName: 'views.view.lkml', path: 'views.view.lkml', project: 'shop', content: viewsContent }
+    ];
+    const { projects: [project] } = new LookMLProjectResolver(files).resolve();
+    return new LookMLRuleEngine({ config: {} }).checkProject(project)
+        .filter(issue => FANOUT_RULES.includes(issue.rule));
+}
+
+const USERS = `view: users {
+  dimension: id { primary_key: yes }
+  measure: total_spend { type: sum sql: \${TABLE}.spend ;; }
+}`;
+
+describe('fanout rules', () => {
+    test('one_to_many join repeats the base view: symmetric aggregates when it has a primary key', () => {
+        const issues = checkFanout(`explore: users {
+  join: orders { relationship: one_to_many sql_on: \${users.id} = \${orders.user_id} ;; }
+}`, `${USERS}
+view: orders {
+  dimension: id { primary_key: yes }
+  dimension: user_id {}
+}`);
+
+        expect(issues.map(issue => issue.rule)).toEqual(['fanout-symmetric-aggregate']);
+        expect(issues[0].issue).toContain('users.total_spend');
+        expect(issues[0].source).toMatchObject({ file: 'shop.model.lkml', line: 3 });
+    });
+
+    test('inflated totals and a missing primary key when the repeated view has none', () => {
+        const issues = checkFanout(`explore: users {
+  join: orders { relationship: one_to_many sql_on: \${users.id} = \${orders.user_id} ;; }
+}`, `view: users {
+  dimension: user_key {}
+  measure: total_spend { type: sum sql: \${TABLE}.spend ;; }
+}
+view: orders {
+  dimension: id { primary_key: yes }
+}`);
+
+        expect(issues.map(issue => issue.rule).sort()).toEqual(['fanout-aggregate', 'fanout-missing-primary-key']);
+    });
+
+    test('many_to_one joins must join on the joined view primary key', () => {
+        const userDimensions = `view: users { dimension: id { primary_key: yes } dimension: email {} }
+view: orders { dimension: id { primary_key: yes } }`;
+
+        const onKey = checkFanout(`explore: orders {
+  join: users { relationship: many_to_one sql_on: \${orders.user_id} = \${users.id} ;; }
+}`, userDimensions);
+        expect(onKey).toEqual([]);
+
+        const offKey = checkFanout(`explore: orders {
+  join: users { relationship: many_to_one sql_on: \${orders.email} = \${users.email} ;; }
+}`, userDimensions);
+        expect(offKey.map(issue => issue.rule)).toEqual(['join-sql-on-primary-key']);
+        expect(offKey[0].issue).toContain('does not use users.id');
+    });
+});
@@ -0,0 +1,123 @@
+// test/lookml-parser.test.js
+// LookML parser and the analyzer fields read from its AST
+
+const { parseLookML, findNodes, getChildBlocks, getPropertyValue } = require('../src/parsers/lookml-parser');
+const { LookMLAnalyzer } = require('../src/analyzers/lookml-analyzer');
+
+const ORDERS_VIEW = `# Orders fact table
+view: orders {
+  sql_table_name: \`proj.ds.orders\` ;;
+
+  dimension: id {
+    primary_key: yes
+    type: number
+    sql: \${TABLE}.id ;;
+  }
+
+  dimension: status {
+    label: "Order Status"
+    sql: CASE WHEN \${TABLE}.status = 'x' THEN 'a;b' ELSE \${TABLE}.status END ;;
+  }
+
+  dimension_group: created {
+    type: time
+    timeframes: [raw, date, week, month]
+    sql: \${TABLE}.created_at ;;
+  }
+
+  measure: total_revenue {
+    type: sum
+    sql: \${TABLE}.revenue ;;
+  }
+}
+`;
+
+describe('parseLookML', () => {
+    test('parses views, fields, raw SQL values and lists', () => {
+        const ast = parseLookML(ORDERS_VIEW, { fileName: 'orders.view.lkml' });
+
+        expect(ast.errors).toEqual([]);
+        expect(ast.comments).toHaveLength(1);
+
+        const [view] = getChildBlocks(ast, 'view');
+        expect(view.name).toBe('orders');
+        expect(getPropertyValue(view, 'sql_table_name')).toBe('`proj.ds.orders`');
+
+        const status = findNodes(view, 'dimension').find(node => node.name === 'status');
+        expect(getPropertyValue(status, 'sql')).toBe("CASE WHEN ${TABLE}.status = 'x' THEN 'a;b' ELSE ${TABLE}.status END");
+        expect(getPropertyValue(status, 'label')).toBe('Order Status');
+
+        const [created] = findNodes(view, 'dimension_group');
+        expect(getPropertyValue(created, 'timeframes')).toEqual(['raw', 'date', 'week', 'month']);
+        expect(created.loc.start.line).toBe(16);
+    });
+
+    test('marks refinements and reads filter pairs in lists', () => {
+        const ast = parseLookML(`explore: +orders {
+  always_filter: { filters: [orders.status: "complete", orders.created_date: "7 days"] }
+  join: users { sql_on: \${orders.user_id} = \${users.id} ;; relationship: many_to_one }
+}`);
+
+        const [explore] = getChildBlocks(ast, 'explore');
+        expect(explore).toMatchObject({ name: 'orders', refinement: true });
+
+        const [alwaysFilter] = getChildBlocks(explore, 'block');
+        expect(getPropertyValue(alwaysFilter, 'filters')).toEqual([
+            { type: 'pair', key: 'orders.status', value: 'complete' },
+            { type: 'pair', key: 'orders.created_date', value: '7 days' }
+        ]);
+
+        const [join] = findNodes(explore, 'join');
+        expect(getPropertyValue(join, 'sql_on')).toBe('${orders.user_id} = ${users.id}');
+        expect(getPropertyValue(join, 'relationship')).toBe('many_to_one');
+    });
+
+    test('collects syntax errors and keeps parsing after them', () => {
+        const ast = parseLookML(`view: broken {
+  dimension: a { sql: \${TABLE}.a ;; }
+  label "missing colon"
+  dimension: b { sql: \${TABLE}.b ;; }
+`);
+
+        expect(ast.errors.map(error => error.message)).toEqual(expect.arrayContaining([
+            'Expected ":" after "label"',
+            'Missing closing "}"'
+        ]));
+        expect(findNodes(ast, 'dimension').map(node => node.name)).toEqual(['a', 'b']);
+    });
+
+    test('later values of a repeated property win', () => {
+        const ast = parseLookML('view: v { label: "first" label: "second" }');
+
+        expect(getPropertyValue(getChildBlocks(ast, 'view')[0], 'label')).toBe('second');
+    });
+});
+
+describe('LookMLAnalyzer fields from the AST', () => {
+    const analyzer = new LookMLAnalyzer();
+
+    test('reads dimensions, dimension groups and measures with their view', () => {
+        const parsed = analyzer.parseLookMLContent(ORDERS_VIEW, 'orders.view.lkml', 'ecommerce');
+
+        expect(parsed.type).toBe('view');
+        expect(parsed.dimensions.map(dimension => [dimension.view, dimension.name, dimension.primaryKey])).toEqual([
+            ['orders', 'id', true],
+            ['orders', 'status', false]
+        ]);
+        expect(parsed.dimensionGroups[0]).toMatchObject({ name: 'created', type: 'time', timeframes: ['raw', 'date', 'week', 'month'] });
+        expect(parsed.measures[0]).toMatchObject({ name: 'total_revenue', type: 'sum', sql: '${TABLE}.revenue' });
+    });
+
+    test('reads explore joins with Looker defaults for omitted properties', () => {
+        const joins = analyzer.extractJoinsFromLookML(`explore: orders {
+  join: users { sql_on: \${orders.user_id} = \${users.id} ;; }
+  join: items { type: inner relationship: one_to_many foreign_key: order_id }
+}`);
+
+        expect(joins.map(join => [join.name, join.type, join.relationship])).toEqual([
+            ['users', 'left_outer', 'many_to_one'],
+            ['items', 'inner', 'one_to_many']
+        ]);
+        expect(joins[1].foreign_key).toBe('order_id');
+    });
+});
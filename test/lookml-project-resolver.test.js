@@ -0,0 +1,103 @@
+// test/lookml-project-resolver.test.js
+// Includes, refinements and extends across files, and findings on partially fetched projects
+
+const { LookMLProjectResolver, globToRegExp } = require('../src/analyzers/lookml-project-resolver');
+
+const MODEL = {
+    fileName: 'ecommerce.model.lkml',
+    path: 'models/ecommerce.model.lkml',
+    project: 'ecommerce',
+    content: `connection: "bq"
+include: "/views/*.view.lkml"
+
+explore: orders {
+  extends: [base_orders]
+  join: users { sql_on: \${orders.user_id} = \${users.id} ;; }
+}
+
+explore: base_orders {
+  extension: required
+  label: "Orders"
+}
+
+explore: +orders {
+  description: "Refined"
+}`
+};
+
+const ORDERS = {
+    fileName: 'orders.view.lkml',
+    path: 'views/orders.view.lkml',
+    project: 'ecommerce',
+    content: 'view: orders { dimension: id { primary_key: yes } dimension: user_id {} }'
+};
+
+const USERS = {
+    fileName: 'users.view.lkml',
+    path: 'views/users.view.lkml',
+    project: 'ecommerce',
+    content: 'view: users { extends: [base_users] dimension: id {} }'
+};
+
+describe('LookMLProjectResolver', () => {
+    test('follows includes and applies refinements then extends', () => {
+        const { projects: [project] } = new LookMLProjectResolver([MODEL, ORDERS, USERS]).resolve();
+
+        expect(project.models[0]).toMatchObject({ name: 'ecommerce', connection: 'bq' });
+        expect(project.models[0].files).toEqual(['models/ecommerce.model.lkml', 'views/orders.view.lkml', 'views/users.view.lkml']);
+
+        const [orders] = project.explores;
+        expect(project.explores.map(explore => explore.name)).toEqual(['orders']);
+        expect(orders).toMatchObject({ label: 'Orders', description: 'Refined', extends: ['base_orders'] });
+        expect(orders.joins.map(join => join.view)).toEqual(['users']);
+    });
+
+    test('adds a refinement\'s extends to the parents of the base definition', () => {
+        const refinement = {
+            fileName: 'refinements.model.lkml',
+            path: 'models/refinements.model.lkml',
+            project: 'ecommerce',
+            content: `include: "/views/*.view.lkml"
+explore: orders { extends: [base_orders] }
+explore: base_orders { extension: required label: "Orders" }
+explore: audited { extension: required description: "Audited" }
+explore: +orders { extends: [audited, base_orders] }`
+        };
+        const { projects: [project] } = new LookMLProjectResolver([refinement, ORDERS, USERS]).resolve();
+
+        expect(project.explores[0]).toMatchObject({ name: 'orders', extends: ['base_orders', 'audited'], label: 'Orders', description: 'Audited' });
+    });
+
+    test('reports missing extends targets as complete findings when every file was fetched', () => {
+        const files = [MODEL, ORDERS, USERS].map(file => ({ ...file, projectFileCount: 3 }));
+        const { projects: [project] } = new LookMLProjectResolver(files).resolve();
+
+        expect(project.coverage).toEqual({ filesListed: 3, filesFetched: 3, complete: true });
+        const missing = project.issues.find(issue => issue.rule === 'extends-missing');
+        expect(missing).toMatchObject({ severity: 'high', source: { file: 'views/users.view.lkml' } });
+        expect(missing.incomplete).toBeUndefined();
+    });
+
+    test('marks include and extends findings incomplete when project files were skipped', () => {
+        const model = {
+            ...MODEL,
+            content: MODEL.content.replace('include: "/views/*.view.lkml"', 'include: "/views/*.view.lkml"\ninclude: "/explores/*.explore.lkml"')
+        };
+        const files = [model, ORDERS, USERS].map(file => ({ ...file, projectFileCount: 5 }));
+        const { projects: [project] } = new LookMLProjectResolver(files).resolve();
+
+        expect(project.coverage).toEqual({ filesListed: 5, filesFetched: 3, complete: false });
+
+        const byRule = new Map(project.issues.map(issue => [issue.rule, issue]));
+        ['include-unresolved', 'extends-missing'].forEach(rule => {
+            expect(byRule.get(rule)).toMatchObject({ incomplete: true, severity: 'low' });
+            expect(byRule.get(rule).issue).toContain('2 of 5 project files were not fetched');
+        });
+    });
+
+    test('matches Looker include globs', () => {
+        expect(globToRegExp('views/*.view').test('views/orders.view.lkml')).toBe(true);
+        expect(globToRegExp('views/*.view').test('views/sub/orders.view.lkml')).toBe(false);
+        expect(globToRegExp('**/*.view.lkml').test('views/sub/orders.view.lkml')).toBe(true);
+    });
+});
@@ -0,0 +1,94 @@
+// test/lookml-rule-engine.test.js
+// Rule settings per project, inline suppression and how resolver findings are rated
+
+const { LookMLRuleEngine } = require('../src/analyzers/lookml-rule-engine');
+const { parseLookML } = require('../src/parsers/lookml-parser');
+
+function lookmlFile(content, project = 'ecommerce', path = 'views/orders.view.lkml') {
+    return { fileName: path, path, project, ast: parseLookML(content, { fileName: path }) };
+}
+
+const NO_PRIMARY_KEY = `view: orders {
+  dimension: status { description: "Order status" sql: \${TABLE}.status ;; }
+  dimension: amount { description: "Amount" sql: \${TABLE}.amount ;; }
+}`;
+
+function rules(issues) {
+    return issues.map(issue => `${issue.rule}:${issue.severity}`);
+}
+
+describe('LookMLRuleEngine', () => {
+    test('runs file rules with their default severities and source lines', () => {
+        const issues = new LookMLRuleEngine({ config: {} }).checkFile(lookmlFile(NO_PRIMARY_KEY));
+
+        expect(rules(issues)).toEqual(['primary-key-required:medium']);
+        expect(issues[0].source).toEqual({ file: 'views/orders.view.lkml', line: 1, column: 1 });
+    });
+
+    test('applies global then project settings: off, severity and options', () => {
+        const engine = new LookMLRuleEngine({
+            config: {
+                rules: { 'primary-key-required': 'high', 'max-fields': { options: { max: 1 } } },
+                projects: { legacy: { rules: { 'primary-key-required': 'off' } } }
+            }
+        });
+
+        expect(rules(engine.checkFile(lookmlFile(NO_PRIMARY_KEY)))).toEqual(expect.arrayContaining([
+            'primary-key-required:high',
+            'max-fields:medium'
+        ]));
+        expect(rules(engine.checkFile(lookmlFile(NO_PRIMARY_KEY, 'legacy')))).toEqual(['max-fields:medium']);
+
+        const legacy = engine.listRules('legacy').find(rule => rule.id === 'primary-key-required');
+        expect(legacy).toMatchObject({ enabled: false, defaultSeverity: 'medium' });
+    });
+
+    test('keeps a rule turned off globally off when a project only sets its severity or options', () => {
+        const engine = new LookMLRuleEngine({
+            config: {
+                rules: { 'primary-key-required': 'off' },
+                projects: {
+                    legacy: { rules: { 'primary-key-required': { severity: 'low' } } },
+                    current: { rules: { 'primary-key-required': { enabled: true, severity: 'low' } } }
+                }
+            }
+        });
+
+        expect(engine.checkFile(lookmlFile(NO_PRIMARY_KEY, 'legacy'))).toEqual([]);
+        expect(engine.listRules('legacy').find(rule => rule.id === 'primary-key-required')).toMatchObject({ enabled: false, severity: 'low' });
+        expect(rules(engine.checkFile(lookmlFile(NO_PRIMARY_KEY, 'current')))).toEqual(['primary-key-required:low']);
+    });
+
+    test('honours lhd:disable on the next node and lhd:disable-file', () => {
+        const engine = new LookMLRuleEngine({ config: {} });
+
+        const nextNode = engine.checkFile(lookmlFile(`# lhd:disable primary-key-required
+${NO_PRIMARY_KEY}`));
+        expect(nextNode).toEqual([]);
+
+        const otherRule = engine.checkFile(lookmlFile(`# lhd:disable max-fields
+${NO_PRIMARY_KEY}`));
+        expect(rules(otherRule)).toEqual(['primary-key-required:medium']);
+
+        const wholeFile = engine.checkFile(lookmlFile(`${NO_PRIMARY_KEY}
+# lhd:disable-file`));
+        expect(wholeFile).toEqual([]);
+    });
+
+    test('rates resolver findings from settings but keeps incomplete ones low', () => {
+        const engine = new LookMLRuleEngine({ config: { rules: { 'include-unresolved': 'high' } } });
+        const source = { file: 'models/ecommerce.model.lkml', line: 2, column: 1 };
+        const project = {
+            project: 'ecommerce',
+            models: [],
+            views: [],
+            explores: [],
+            issues: [
+                { rule: 'include-unresolved', type: 'include', severity: 'low', issue: 'a', source },
+                { rule: 'include-unresolved', type: 'include', severity: 'low', issue: 'b', source, incomplete: true }
+            ]
+        };
+
+        expect(rules(engine.checkProject(project))).toEqual(['include-unresolved:high', 'include-unresolved:low']);
+    });
+});
@@ -0,0 +1,108 @@
+// test/mcp-server.test.js
+// stdio MCP server: handshake, tools/list and tools/call over JSON-RPC lines
+
+const { PassThrough } = require('stream');
+const { DiagnosticMCPServer } = require('../src/mcp-server');
+const { MCP_PROTOCOL_VERSION } = require('../src/connectors/mcp-session');
+
+const RUNS = [{ id: 'run-2', type: 'fast', createdAt: '2026-10-02T00:00:00Z', summary: { overallGrade: 'B', healthMetrics: { performance: 80 }, totalSlowQueries: 4 } }];
+
+function startServer(runStore) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const responses = [];
+    const waiting = [];
+
+    output.on('data', chunk => chunk.toString().split('\n').filter(Boolean).forEach(line => {
+        const message = JSON.parse(line);
+        const index = waiting.findIndex(entry => entry.id === message.id);
+        if (index === -1) {
+            responses.push(message);
+        } else {
+            waiting.splice(index, 1)[0].resolve(message);
+        }
+    }));
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    new DiagnosticMCPServer({ input, output, config: {}, runStore }).start();
+
+    return {
+        responses,
+        write: (line) => input.write(line + '\n'),
+        request(id, method, params) {
+            const response = new Promise(resolve => waiting.push({ id, resolve }));
+            input.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+            return response;
+        }
+    };
+}
+
+describe('DiagnosticMCPServer', () => {
+    const runStore = {
+        listRuns: async ({ limit }) => RUNS.slice(0, limit),
+        getRun: async () => null
+    };
+    let server;
+
+    beforeEach(() => {
+        server = startServer(runStore);
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('answers initialize and lists its tools with their input schemas', async () => {
+        const init = await server.request(1, 'initialize', { protocolVersion: MCP_PROTOCOL_VERSION, capabilities: {} });
+        expect(init.result).toMatchObject({ protocolVersion: MCP_PROTOCOL_VERSION, capabilities: { tools: {} }, serverInfo: { name: 'looker-health-diagnostic' } });
+
+        const { result } = await server.request(2, 'tools/list', {});
+        expect(result.tools.map(tool => tool.name)).toEqual(['run_fast_scan', 'analyze_query', 'analyze_lookml_file', 'get_health_grade', 'list_runs']);
+        expect(result.tools.find(tool => tool.name === 'analyze_lookml_file').inputSchema.required).toEqual(['content', 'fileName']);
+        expect(result.tools[0].handler).toBeUndefined();
+    });
+
+    test('calls a tool and returns its result as text content', async () => {
+        const { result } = await server.request(3, 'tools/call', { name: 'get_health_grade', arguments: {} });
+
+        expect(result.isError).toBe(false);
+        expect(JSON.parse(result.content[0].text)).toEqual({
+            source: 'run_history',
+            runId: 'run-2',
+            type: 'fast',
+            createdAt: '2026-10-02T00:00:00Z',
+            overallGrade: 'B',
+            healthMetrics: { performance: 80 },
+            totalSlowQueries: 4
+        });
+
+        const lookml = await server.request(4, 'tools/call', {
+            name: 'analyze_lookml_file',
+            arguments: { fileName: 'orders.view.lkml', content: 'view: orders {\n  dimension: id { primary_key: yes }\n  measure: count { type: count }\n}' }
+        });
+        expect(JSON.parse(lookml.result.content[0].text).structure).toMatchObject({ dimensions: 1, measures: 1 });
+    });
+
+    test('returns tool failures as isError results', async () => {
+        const { result } = await server.request(5, 'tools/call', { name: 'get_health_grade', arguments: { runId: 'missing' } });
+
+        expect(result).toEqual({ content: [{ type: 'text', text: 'get_health_grade failed: Run missing not found' }], isError: true });
+    });
+
+    test('rejects unknown tools, invalid arguments and unknown methods as JSON-RPC errors', async () => {
+        expect((await server.request(6, 'tools/call', { name: 'drop_tables' })).error)
+            .toMatchObject({ code: -32602, message: 'Unknown tool: drop_tables' });
+        expect((await server.request(7, 'tools/call', { name: 'list_runs', arguments: { limit: 0, type: 'sql' } })).error)
+            .toMatchObject({ code: -32602, data: { errors: ['arguments.limit should be >= 1', 'arguments.type should be one of "full", "fast"'] } });
+        expect((await server.request(8, 'resources/list', {})).error)
+            .toMatchObject({ code: -32601, message: 'Method not found: resources/list' });
+    });
+
+    test('answers parse errors and leaves notifications unanswered', async () => {
+        server.write('{not json');
+        server.write(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }));
+        await server.request(9, 'ping', {});
+
+        expect(server.responses).toEqual([{ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }]);
+    });
+});
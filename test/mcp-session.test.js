@@ -0,0 +1,86 @@
+// test/mcp-session.test.js
+// MCP stdio session: handshake, concurrent requests matched by id, errors and the restart limit
+
+const path = require('path');
+const { MCPSession, MCP_PROTOCOL_VERSION } = require('../src/connectors/mcp-session');
+
+const SERVER = path.join(__dirname, 'fixtures', 'fake-mcp-server.js');
+
+function createSession(options = {}) {
+    return new MCPSession({ command: process.execPath, args: [SERVER], requestTimeout: 5000, ...options });
+}
+
+describe('MCPSession', () => {
+    let session;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        await session?.close();
+        console.log.mockRestore();
+    });
+
+    test('completes the handshake before the first request and sends initialized', async () => {
+        session = createSession();
+
+        const { notifications } = await session.request('notifications');
+
+        expect(notifications).toEqual(['notifications/initialized']);
+        expect(session.getStatus()).toMatchObject({
+            state: 'ready',
+            serverInfo: { name: 'fake', version: '1.0' },
+            protocolVersion: MCP_PROTOCOL_VERSION
+        });
+    });
+
+    test('matches concurrent responses to their requests by id', async () => {
+        session = createSession();
+
+        const results = await Promise.all([
+            session.request('echo', { value: 'slow', delay: 100 }),
+            session.request('echo', { value: 'fast', delay: 0 }),
+            session.request('echo', { value: 'middle', delay: 50 })
+        ]);
+
+        expect(results.map(result => result.value)).toEqual(['slow', 'fast', 'middle']);
+        expect(new Set(results.map(result => result.pid)).size).toBe(1);
+        expect(session.getStatus().pendingRequests).toBe(0);
+    });
+
+    test('rejects with the JSON-RPC error of the server', async () => {
+        session = createSession();
+
+        await expect(session.request('missing')).rejects.toMatchObject({ message: 'Unknown method missing', code: -32601 });
+    });
+
+    test('restarts the server on the next request after a crash', async () => {
+        session = createSession();
+        const { pid } = await session.request('echo', { value: 1 });
+
+        await expect(session.request('crash')).rejects.toThrow(/MCP server exited with code 1/);
+        expect(session.getStatus()).toMatchObject({ state: 'crashed', restartCount: 1 });
+
+        const restarted = await session.request('echo', { value: 2 });
+        expect(restarted.pid).not.toBe(pid);
+        expect(session.getStatus()).toMatchObject({ state: 'ready', restartCount: 0 });
+    });
+
+    test('gives up once the server failed to start maxRestarts times in a row', async () => {
+        session = createSession({ env: { ...process.env, FAKE_MCP_FAIL_INIT: 'true' }, maxRestarts: 2 });
+
+        await expect(session.request('echo')).rejects.toThrow(/MCP handshake failed: MCP server exited with code 2: toolbox: missing LOOKER_BASE_URL/);
+        await expect(session.request('echo')).rejects.toThrow(/MCP handshake failed/);
+        await expect(session.request('echo')).rejects.toThrow('MCP server crashed 2 times, giving up');
+    });
+
+    test('refuses requests once closed', async () => {
+        session = createSession();
+        await session.start();
+        await session.close();
+
+        expect(session.getStatus()).toMatchObject({ state: 'stopped', pid: null });
+        await expect(session.request('echo')).rejects.toThrow('MCP session is closed');
+    });
+});
@@ -0,0 +1,106 @@
+// test/mcp-tool-catalog.test.js
+// MCP tool discovery across tools/list pages and argument validation against the tool schemas
+
+const { MCPToolCatalog, validateAgainstSchema } = require('../src/connectors/mcp-tool-catalog');
+
+const QUERY_TOOL = {
+    name: 'query',
+    description: 'Run a Looker query',
+    inputSchema: {
+        type: 'object',
+        required: ['model', 'explore', 'fields'],
+        additionalProperties: false,
+        properties: {
+            model: { type: 'string' },
+            explore: { type: 'string' },
+            fields: { type: 'array', minItems: 1, items: { type: 'string' } },
+            limit: { type: 'integer', minimum: 1, maximum: 5000 },
+            sorts: { type: ['array', 'null'], items: { type: 'string' } },
+            format: { enum: ['json', 'csv'] },
+            filters: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+    }
+};
+
+function stubSession(pages) {
+    const calls = [];
+    return {
+        calls,
+        serverInfo: { name: 'toolbox', version: '0.9' },
+        async request(method, params) {
+            calls.push({ method, params });
+            return pages[params.cursor || 'first'];
+        }
+    };
+}
+
+describe('MCPToolCatalog', () => {
+    test('follows nextCursor through every page of tools/list', async () => {
+        const session = stubSession({
+            first: { tools: [QUERY_TOOL, { name: 'get_models' }], nextCursor: 'p2' },
+            p2: { tools: [{ name: 'get_explores' }, {}], nextCursor: 'p3' },
+            p3: { tools: [{ name: 'get_dimensions' }] }
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        const catalog = await new MCPToolCatalog().load(session);
+        console.log.mockRestore();
+
+        expect(session.calls).toEqual([
+            { method: 'tools/list', params: {} },
+            { method: 'tools/list', params: { cursor: 'p2' } },
+            { method: 'tools/list', params: { cursor: 'p3' } }
+        ]);
+        expect(catalog.getToolNames()).toEqual(['get_dimensions', 'get_explores', 'get_models', 'query']);
+        expect(catalog.toJSON()).toMatchObject({ loaded: true, toolCount: 4, serverInfo: { name: 'toolbox' } });
+        expect(catalog.toJSON().tools.find(tool => tool.name === 'query').requiredArguments).toEqual(['model', 'explore', 'fields']);
+    });
+
+    test('rejects calls to missing tools and calls with bad arguments once loaded', async () => {
+        const catalog = new MCPToolCatalog();
+        expect(() => catalog.assertValidCall('anything', { x: 1 })).not.toThrow();
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await catalog.load(stubSession({ first: { tools: [QUERY_TOOL] } }));
+        console.log.mockRestore();
+
+        expect(() => catalog.assertValidCall('query', { model: 'm', explore: 'e', fields: ['a.b'] })).not.toThrow();
+        expect(() => catalog.assertValidCall('run_look')).toThrow(expect.objectContaining({
+            code: 'MCP_TOOL_UNAVAILABLE',
+            details: { tool: 'run_look', available: ['query'] }
+        }));
+        expect(() => catalog.assertValidCall('query', { model: 'm' })).toThrow(expect.objectContaining({
+            code: 'MCP_INVALID_ARGUMENTS',
+            details: { tool: 'query', errors: ['arguments.explore is required', 'arguments.fields is required'] }
+        }));
+    });
+});
+
+describe('validateAgainstSchema', () => {
+    const check = (value) => validateAgainstSchema(value, QUERY_TOOL.inputSchema, 'arguments');
+    const valid = { model: 'm', explore: 'e', fields: ['a.b'] };
+
+    test('accepts arguments that match the schema', () => {
+        expect(check({ ...valid, limit: 500, sorts: null, format: 'csv', filters: { 'a.b': '>1' } })).toEqual([]);
+    });
+
+    test('reports types, enums, bounds, items and unknown properties with their path', () => {
+        expect(check({ ...valid, model: 3, limit: 1.5 })).toEqual([
+            'arguments.model should be string, got number',
+            'arguments.limit should be integer, got number'
+        ]);
+        expect(check({ ...valid, limit: 0, format: 'xml' })).toEqual([
+            'arguments.limit should be >= 1',
+            'arguments.format should be one of "json", "csv"'
+        ]);
+        expect(check({ ...valid, fields: [], sorts: ['a', 2] })).toEqual([
+            'arguments.fields should have at least 1 items',
+            'arguments.sorts[1] should be string, got number'
+        ]);
+        expect(check({ ...valid, filters: { 'a.b': 1 }, pivots: [] })).toEqual([
+            'arguments.filters.a.b should be string, got number',
+            'arguments.pivots is not a known argument'
+        ]);
+        expect(check(null)).toEqual(['arguments should be object, got null']);
+    });
+});
@@ -0,0 +1,52 @@
+// test/pdt-generator.test.js
+// PDT views generated from a slow query's SQL, with Looker's trailing context comment and ORDER BY/LIMIT left out
+
+const { generatePDTView } = require('../src/analyzers/pdt-generator');
+
+const CONTEXT = `-- Looker Query Context '{"user_id":42,"history_slug":"a1b2c3","instance_slug":"d4e5f6"}'`;
+const QUERY = { model: 'shop', explore: 'orders' };
+
+function derivedSQL(code) {
+    return code.slice(code.indexOf('sql:') + 'sql:'.length, code.indexOf(';;')).trim();
+}
+
+describe('generatePDTView', () => {
+    test('leaves comments out of the derived table so the closing ;; is not commented out', () => {
+        const sql = `-- generated by Looker
+SELECT
+    orders.status  AS orders_status, /* the status */
+    COUNT(*) AS orders_count
+FROM \`proj.ds.orders\` AS orders
+GROUP BY
+    1
+${CONTEXT}`;
+        const pdt = generatePDTView(sql, { query: QUERY, dialect: 'bigquery_standard_sql' });
+
+        expect(pdt.code).not.toContain('--');
+        expect(pdt.code).not.toContain('/*');
+        expect(pdt.code).toMatch(/^ +1 ;;$/m);
+        expect(derivedSQL(pdt.code).split('\n').map(line => line.trim())).toEqual([
+            'SELECT',
+            'orders.status  AS orders_status,',
+            'COUNT(*) AS orders_count',
+            'FROM `proj.ds.orders` AS orders',
+            'GROUP BY',
+            '1'
+        ]);
+    });
+
+    test('drops the trailing ORDER BY and LIMIT along with the context comment', () => {
+        const sql = `SELECT orders.status AS orders_status, COUNT(*) AS orders_count
+FROM \`proj.ds.orders\` AS orders
+GROUP BY 1
+ORDER BY 2 DESC
+LIMIT 500
+${CONTEXT}`;
+        const pdt = generatePDTView(sql, { query: QUERY, dialect: 'bigquery_standard_sql' });
+
+        expect(derivedSQL(pdt.code)).toBe('SELECT orders.status AS orders_status, COUNT(*) AS orders_count\n' +
+            '      FROM `proj.ds.orders` AS orders\n' +
+            '      GROUP BY 1');
+        expect(pdt.code).not.toContain('Looker Query Context');
+    });
+});
@@ -0,0 +1,84 @@
+// test/pdt-health-analyzer.test.js
+// Unused and over-rebuilt PDTs, and how truncated usage and partial projects downgrade them
+
+const { PDTHealthAnalyzer } = require('../src/analyzers/pdt-health-analyzer');
+const { LookMLProjectResolver } = require('../src/analyzers/lookml-project-resolver');
+
+const FILES = [
+    {
+        fileName: 'shop.model.lkml',
+        path: 'shop.model.lkml',
+        project: 'shop',
+        content: `include: "*.view"
+explore: daily_orders {}
+explore: order_facts {}`
+    },
+    {
+        fileName: 'pdts.view.lkml',
+        path: 'pdts.view.lkml',
+        project: 'shop',
+        content: `view: daily_orders {
+  derived_table: { sql: SELECT 1 AS id ;; datagroup_trigger: hourly }
+  dimension: id {}
+}
+view: order_facts {
+  derived_table: { sql: SELECT 1 AS id ;; sql_trigger_value: SELECT CURRENT_TIMESTAMP() ;; }
+  dimension: id {}
+}`
+    }
+];
+
+// daily_orders: 10 builds, 1 run; order_facts: 3 builds, no runs
+const BUILDS = {
+    rows: [
+        ...Array.from({ length: 10 }, (_, index) => ({ model: 'shop', view: 'daily_orders', connection: 'bq', start_time: `2026-10-0${index % 9 + 1} 01:00:00`, end_time: `2026-10-0${index % 9 + 1} 01:05:00`, status: 'complete' })),
+        ...Array.from({ length: 3 }, (_, index) => ({ model: 'shop', view: 'order_facts', connection: 'bq', start_time: `2026-10-0${index + 1} 02:00:00`, end_time: `2026-10-0${index + 1} 02:01:00`, status: 'complete' }))
+    ]
+};
+const EVENTS = { days: 30, truncated: false, rows: [] };
+const USAGE = {
+    days: 30,
+    truncated: false,
+    rows: [{ model: 'shop', explore: 'daily_orders', runCount: 1, fields: ['daily_orders.id'], filters: [] }]
+};
+
+function analyze({ usage = USAGE, projectFileCount = 2 } = {}) {
+    const resolved = new LookMLProjectResolver(FILES.map(file => ({ ...file, projectFileCount }))).resolve();
+    return new PDTHealthAnalyzer().analyze(EVENTS, BUILDS, usage, resolved);
+}
+
+function consumptionIssues(result) {
+    return Object.fromEntries(result.pdts.flatMap(pdt => pdt.issues
+        .filter(issue => issue.type === 'unused' || issue.type === 'over_rebuilt')
+        .map(issue => [pdt.view, issue])));
+}
+
+describe('PDTHealthAnalyzer', () => {
+    test('flags unused and over-rebuilt PDTs when usage and the project are complete', () => {
+        const result = analyze();
+        const issues = consumptionIssues(result);
+
+        expect(result).toMatchObject({ usageTruncated: false, partialProjects: [] });
+        expect(issues.order_facts).toMatchObject({ type: 'unused', severity: 'high' });
+        expect(issues.daily_orders).toMatchObject({ type: 'over_rebuilt', severity: 'high' });
+        expect(issues.order_facts.incomplete).toBeUndefined();
+    });
+
+    test('drops a severity when usage was truncated', () => {
+        const issues = consumptionIssues(analyze({ usage: { ...USAGE, truncated: true } }));
+
+        expect(issues.order_facts).toMatchObject({ type: 'unused', severity: 'medium', incomplete: true });
+        expect(issues.daily_orders).toMatchObject({ type: 'over_rebuilt', severity: 'medium', incomplete: true });
+        expect(issues.order_facts.description).toContain('reads may be undercounted');
+    });
+
+    test('rates them low when files of the project were not fetched', () => {
+        const result = analyze({ projectFileCount: 5 });
+        const issues = consumptionIssues(result);
+
+        expect(result.partialProjects).toEqual(['shop']);
+        expect(issues.order_facts).toMatchObject({ type: 'unused', severity: 'low', incomplete: true });
+        expect(issues.daily_orders).toMatchObject({ type: 'over_rebuilt', severity: 'low', incomplete: true });
+        expect(issues.daily_orders.description).toContain('dependent PDTs may be missing');
+    });
+});
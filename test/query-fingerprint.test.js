@@ -0,0 +1,76 @@
+// test/query-fingerprint.test.js
+// SQL normalization and fingerprints: literals, IN lists, comments and grouping of repeated query shapes
+
+const {
+    normalizeSQL,
+    fingerprintSQL,
+    fingerprintQueryMetadata,
+    groupByFingerprint,
+    percentile
+} = require('../src/analyzers/query-fingerprint');
+
+const DASHBOARD_TILE = (status, ids) => `SELECT orders.status AS orders_status, COUNT(*) AS orders_count
+FROM \`proj.ds.orders\` AS orders
+WHERE orders.status = '${status}' AND orders.id IN (${ids}) AND orders.created_at >= TIMESTAMP('2026-10-01')
+GROUP BY 1
+-- Looker Query Context '{"user_id":42,"history_slug":"${status}"}'`;
+
+describe('normalizeSQL', () => {
+    test('replaces literals and parameters, uppercases words and drops comments', () => {
+        expect(normalizeSQL("select  a.x -- note\nfrom t as a where a.s = 'x' and a.n > 10.5 and a.d = @day"))
+            .toBe('SELECT A . X FROM T AS A WHERE A . S = ? AND A . N > ? AND A . D = ?');
+    });
+
+    test('sorts and deduplicates IN lists but leaves IN subqueries alone', () => {
+        expect(normalizeSQL('SELECT 1 FROM t WHERE t.z IN (t.q, 5, t.p, 6, t.p)')).toBe('SELECT ? FROM T WHERE T . Z IN ( ? , T . P , T . Q )');
+        expect(normalizeSQL('SELECT 1 FROM t WHERE t.id IN (SELECT id FROM u WHERE u.n = 3)'))
+            .toBe('SELECT ? FROM T WHERE T . ID IN ( SELECT ID FROM U WHERE U . N = ? )');
+    });
+});
+
+describe('fingerprintSQL', () => {
+    test('gives runs of a query with other filter values and IN lists the same fingerprint', () => {
+        const fingerprint = fingerprintSQL(DASHBOARD_TILE('complete', '1, 2, 3'));
+
+        expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+        expect(fingerprintSQL(DASHBOARD_TILE('pending', '9'))).toBe(fingerprint);
+        expect(fingerprintSQL(DASHBOARD_TILE('pending', '9').replace('COUNT(*)', 'SUM(orders.amount)'))).not.toBe(fingerprint);
+    });
+
+    test('returns null for empty SQL', () => {
+        expect(fingerprintSQL('')).toBeNull();
+        expect(fingerprintSQL(null)).toBeNull();
+    });
+});
+
+describe('fingerprintQueryMetadata', () => {
+    test('keys on explore, fields and filtered fields regardless of order or filter values', () => {
+        const query = { model: 'shop', explore: 'orders', fields: ['orders.status', 'orders.count'], filterFields: ['orders.created_date'] };
+
+        expect(fingerprintQueryMetadata({ ...query, fields: ['orders.count', 'orders.status', 'orders.count'] })).toBe(fingerprintQueryMetadata(query));
+        expect(fingerprintQueryMetadata({ ...query, filterFields: [] })).not.toBe(fingerprintQueryMetadata(query));
+        expect(fingerprintQueryMetadata({ ...query, fields: [] })).toBeNull();
+    });
+});
+
+describe('groupByFingerprint', () => {
+    test('groups by fingerprint, keeps the slowest run as representative and sorts by total runtime', () => {
+        const groups = groupByFingerprint([
+            { fingerprint: 'a', query: { query_id: 1, runtime_seconds: 10 } },
+            { fingerprint: 'b', query: { query_id: 2, runtime_seconds: 50 } },
+            { fingerprint: 'a', query: { query_id: 3, runtime_seconds: 30 } },
+            { fingerprint: 'a', query: { query_id: 4, runtime_seconds: 20 } },
+            { fingerprint: null, query: { query_id: 5, runtime_seconds: 5 } }
+        ]);
+
+        expect(groups.map(group => [group.fingerprint, group.count, group.totalRuntime])).toEqual([['a', 3, 60], ['b', 1, 50], [null, 1, 5]]);
+        expect(groups[0]).toMatchObject({ avgRuntime: 20, p95Runtime: 30, maxRuntime: 30 });
+        expect(groups[0].representative.query.query_id).toBe(3);
+    });
+
+    test('percentile uses the nearest rank', () => {
+        expect(percentile([5, 1, 4, 2, 3], 50)).toBe(3);
+        expect(percentile([5, 1, 4, 2, 3], 95)).toBe(5);
+        expect(percentile([], 95)).toBe(0);
+    });
+});
@@ -0,0 +1,84 @@
+// test/run-diff-analyzer.test.js
+// Run-to-run diff of stored reports: grades, slow queries, explore risk and LookML issues
+
+const { RunDiffAnalyzer } = require('../src/analyzers/run-diff-analyzer');
+
+function run(id, report) {
+    return { id, type: 'full', createdAt: `2026-10-0${id}T00:00:00Z`, configFingerprint: 'abc', report };
+}
+
+function lookmlIssue(overrides) {
+    return { category: 'lookml', item: 'shop/orders.view.lkml', rule: 'view-field-count', type: 'complexity', line: 1, ...overrides };
+}
+
+const BASE = run('1', {
+    overallGrade: 'C',
+    healthMetrics: { performance: 60 },
+    lookmlAnalysis: {},
+    slowQuerySummary: {
+        queries: [
+            { query_id: 1, fingerprint: 'fpA', runtime_seconds: 90 },
+            { query_id: 2, fingerprint: 'fpB', runtime_seconds: 40 }
+        ]
+    },
+    exploreAnalysis: { exploreRisks: [{ exploreId: 'shop.orders', performanceRisk: { level: 'high', score: 80 } }] },
+    detailedIssues: [
+        lookmlIssue({ issue: 'View has 52 fields' }),
+        lookmlIssue({ rule: 'missing-primary-key', type: 'structure', line: 10, issue: 'users has no primary key' }),
+        lookmlIssue({ rule: 'sql-always-where', type: 'performance', line: 20, issue: 'Explore scans everything' }),
+        { category: 'performance', item: 'shop.orders', type: 'joins', issue: 'Too many joins' }
+    ]
+});
+
+const COMPARE = run('2', {
+    overallGrade: 'B',
+    healthMetrics: { performance: 75 },
+    lookmlAnalysis: {},
+    slowQuerySummary: {
+        queries: [
+            { query_id: 7, fingerprint: 'fpA', runtime_seconds: 60 },
+            { query_id: 8, fingerprint: 'fpC', runtime_seconds: 30 }
+        ]
+    },
+    exploreAnalysis: { exploreRisks: [{ exploreId: 'shop.orders', performanceRisk: { level: 'medium', score: 50 } }] },
+    detailedIssues: [
+        lookmlIssue({ issue: 'View has 55 fields' }),
+        lookmlIssue({ rule: 'missing-primary-key', type: 'structure', line: 10, issue: 'users has no primary key' }),
+        lookmlIssue({ rule: 'fanout-risk', type: 'joins', line: 30, issue: 'one_to_many join before a sum' })
+    ]
+});
+
+describe('RunDiffAnalyzer', () => {
+    const diff = new RunDiffAnalyzer().diffRuns(BASE, COMPARE);
+
+    test('compares grades and health metrics', () => {
+        expect(diff.grade).toEqual({ from: 'C', to: 'B', changed: true, direction: 'improved' });
+        expect(diff.healthMetrics.performance).toEqual({ from: 60, to: 75, delta: 15 });
+        expect(diff.sameConfiguration).toBe(true);
+    });
+
+    test('matches slow queries by fingerprint across runs', () => {
+        expect(diff.slowQueries.new.map(query => query.fingerprint)).toEqual(['fpC']);
+        expect(diff.slowQueries.resolved.map(query => query.fingerprint)).toEqual(['fpB']);
+        expect(diff.slowQueries.persisting).toEqual([expect.objectContaining({ fingerprint: 'fpA', previousRuntime: 90, runtimeDelta: -30 })]);
+    });
+
+    test('reports explore risk changes', () => {
+        expect(diff.explores.riskChanged).toEqual([{ exploreId: 'shop.orders', from: 'high', to: 'medium', scoreFrom: 80, scoreTo: 50 }]);
+    });
+
+    test('keys LookML issues on item, rule and line so reworded issues are unchanged', () => {
+        expect(diff.lookmlIssues.comparable).toBe(true);
+        expect(diff.lookmlIssues.new.map(issue => issue.rule)).toEqual(['fanout-risk']);
+        expect(diff.lookmlIssues.fixed.map(issue => issue.rule)).toEqual(['sql-always-where']);
+        expect(diff.summary).toMatchObject({ newLookMLIssues: 1, fixedLookMLIssues: 1, gradeDirection: 'improved' });
+    });
+
+    test('falls back to the issue type for issues without a rule', () => {
+        const analyzer = new RunDiffAnalyzer();
+        const before = { item: 'shop/a.view.lkml', type: 'complexity', line: null, issue: 'View has 40 fields' };
+
+        expect(analyzer.getIssueKey({ ...before, issue: 'View has 41 fields' })).toBe(analyzer.getIssueKey(before));
+        expect(analyzer.getIssueKey({ ...before, type: 'structure' })).not.toBe(analyzer.getIssueKey(before));
+    });
+});
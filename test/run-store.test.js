@@ -0,0 +1,90 @@
+// test/run-store.test.js
+// Stored diagnostic runs: id validation, atomic writes, listing and the config fingerprint
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { RunStore } = require('../src/storage/run-store');
+
+const REPORT = {
+    overallGrade: 'B',
+    totalIssuesFound: 7,
+    slowQueryAnalysis: { totalSlowQueries: 3 },
+    exploreAnalysis: { totalExplores: 12 },
+    diagnosticDuration: 4200
+};
+
+describe('RunStore', () => {
+    let baseDir;
+    let store;
+
+    beforeEach(async () => {
+        baseDir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-store-'));
+        store = new RunStore({ runStoreDir: baseDir });
+    });
+
+    afterEach(async () => {
+        await fs.rm(baseDir, { recursive: true, force: true });
+    });
+
+    test('saves a run through a temp file and reads it back', async () => {
+        const saved = await store.saveRun({ type: 'full', config: { lookerUrl: 'https://x.looker.com' }, report: REPORT });
+
+        expect(await fs.readdir(baseDir)).toEqual([`${saved.id}.json`]);
+        expect(saved.summary).toMatchObject({ overallGrade: 'B', totalSlowQueries: 3, totalIssuesFound: 7, totalExplores: 12, durationMs: 4200 });
+
+        const run = await store.getRun(saved.id);
+        expect(run.report).toEqual(REPORT);
+        expect(run.configFingerprint).toBe(saved.configFingerprint);
+    });
+
+    test('leaves no run file behind when the write is not completed', async () => {
+        const rename = jest.spyOn(fs, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+        await expect(store.saveRun({ report: REPORT })).rejects.toThrow('disk full');
+        expect((await fs.readdir(baseDir)).filter(entry => entry.endsWith('.json'))).toEqual([]);
+        expect(await store.listRuns()).toEqual([]);
+        rename.mockRestore();
+    });
+
+    test('lists runs newest first, filtered by type, and skips unreadable and partial files', async () => {
+        const first = await store.saveRun({ type: 'full', report: REPORT });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const second = await store.saveRun({ type: 'sql', report: REPORT });
+        await fs.writeFile(path.join(baseDir, 'broken.json'), '{', 'utf8');
+        await fs.writeFile(path.join(baseDir, 'pending.json.tmp'), '{}', 'utf8');
+
+        expect((await store.listRuns()).map(run => run.id)).toEqual([second.id, first.id]);
+        expect((await store.listRuns({ type: 'full' })).map(run => run.id)).toEqual([first.id]);
+        expect(await store.listRuns({ limit: 1 })).toHaveLength(1);
+    });
+
+    test('rejects run ids that could leave the storage directory', async () => {
+        await fs.writeFile(path.join(path.dirname(baseDir), 'outside.json'), '{}', 'utf8');
+
+        for (const id of ['../outside', 'a/b', 'a.b', '', null]) {
+            expect(store.isValidRunId(id)).toBe(false);
+            expect(await store.getRun(id)).toBeNull();
+            expect(await store.deleteRun(id)).toBe(false);
+        }
+        await fs.rm(path.join(path.dirname(baseDir), 'outside.json'));
+    });
+
+    test('deletes a run once', async () => {
+        const saved = await store.saveRun({ report: REPORT });
+
+        expect(await store.deleteRun(saved.id)).toBe(true);
+        expect(await store.deleteRun(saved.id)).toBe(false);
+        expect(await store.getRun(saved.id)).toBeNull();
+    });
+
+    test('fingerprints the settings that shape a run, not secrets or a trailing slash', () => {
+        const config = { lookerUrl: 'https://x.looker.com/', clientId: 'id', clientSecret: 'one', gcpProjectId: 'proj' };
+        const fingerprint = store.createConfigFingerprint(config);
+
+        expect(fingerprint).toMatch(/^[0-9a-f]{16}$/);
+        expect(store.createConfigFingerprint({ ...config, lookerUrl: 'https://x.looker.com', clientSecret: 'two' })).toBe(fingerprint);
+        expect(store.createConfigFingerprint({ ...config, clientId: 'other' })).not.toBe(fingerprint);
+        expect(store.createConfigFingerprint({ ...config, gcpProjectId: 'other' })).not.toBe(fingerprint);
+    });
+});
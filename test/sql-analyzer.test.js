@@ -0,0 +1,47 @@
+// test/sql-analyzer.test.js
+// Aggregate table suggestions of the SQL analyzer, shaped by the resolved LookML project
+
+const { SQLAnalyzer } = require('../src/analyzers/sql-analyzer');
+const { LookMLProjectResolver } = require('../src/analyzers/lookml-project-resolver');
+
+const FILES = [
+    {
+        fileName: 'shop.model.lkml',
+        path: 'shop.model.lkml',
+        project: 'shop',
+        content: `include: "*.view"
+datagroup: nightly { sql_trigger: SELECT CURRENT_DATE() ;; }
+explore: orders { persist_with: nightly }`
+    },
+    {
+        fileName: 'orders.view.lkml',
+        path: 'orders.view.lkml',
+        project: 'shop',
+        content: `view: orders {
+  dimension: status {}
+  dimension_group: created { type: time timeframes: [date, month] }
+  measure: revenue { type: sum sql: \${TABLE}.amount ;; }
+}`
+    }
+];
+
+const QUERIES = [
+    { model: 'shop', explore: 'orders', runtime_seconds: 120, fields: ['orders.status', 'orders.created_month', 'orders.revenue'], filterFields: [] },
+    { model: 'shop', explore: 'orders', runtime_seconds: 90, fields: ['orders.created_date', 'orders.revenue'], filterFields: ['orders.status'] }
+];
+
+describe('SQLAnalyzer.generateAggregateTableCode', () => {
+    test('uses the resolved project for measures, timeframes and the datagroup', () => {
+        const analyzer = new SQLAnalyzer({});
+        analyzer.historyQueries = QUERIES;
+        analyzer.lookmlProject = new LookMLProjectResolver(FILES).resolve();
+
+        const recommendation = analyzer.generateAggregateTableCode(QUERIES[0]);
+
+        expect(recommendation).toMatchObject({ explore: 'orders', servedQueries: 2, servedPercent: 100 });
+        expect(recommendation.code).toContain('measures: [orders.revenue]');
+        expect(recommendation.code).toContain('dimensions: [orders.created_date, orders.status]');
+        expect(recommendation.code).toContain('datagroup_trigger: nightly');
+        expect(recommendation.code).not.toContain('datagroup: shop_orders_aggregates');
+    });
+});
@@ -0,0 +1,82 @@
+// test/sql-dialect-rules.test.js
+// Warehouse-specific SQL findings per Looker dialect and the generic heuristics they replace
+
+const { SQLAnalyzer } = require('../src/analyzers/sql-analyzer');
+const { checkDialectRules, normalizeDialect } = require('../src/analyzers/sql-dialect-rules');
+
+function check(sql, dialect) {
+    const profile = new SQLAnalyzer({}).getSQLProfile(sql, dialect);
+    return checkDialectRules({ ast: profile.ast, profile, dialect });
+}
+
+function rules(result) {
+    return result.issues.map(issue => `${issue.rule}:${issue.severity}`);
+}
+
+describe('checkDialectRules', () => {
+    test('maps Looker dialect names to rule families', () => {
+        expect(['bigquery_standard_sql', 'snowflake', 'redshift', 'postgres', 'mysql', null].map(normalizeDialect))
+            .toEqual(['bigquery', 'snowflake', 'redshift', 'postgres', 'other', null]);
+    });
+
+    test('BigQuery: SELECT *, unpruned tables, wrapped filters and ORDER BY without LIMIT', () => {
+        const result = check("SELECT * FROM `p.d.orders` AS o WHERE LOWER(o.status) = 'x' ORDER BY 1", 'bigquery_standard_sql');
+
+        expect(rules(result)).toEqual([
+            'bigquery-select-star:high',
+            'bigquery-partition-filter:high',
+            'bigquery-filter-function:medium',
+            'bigquery-order-without-limit:medium'
+        ]);
+        expect(result.issues[0]).toMatchObject({ type: 'performance', dialect: 'bigquery' });
+        expect(result.supersedes).toEqual(['select-star', 'missing-where']);
+    });
+
+    test('BigQuery: date functions still prune, and rules without findings supersede nothing', () => {
+        const result = check("SELECT o.id, COUNT(DISTINCT o.user_id) FROM `p.d.orders` AS o WHERE DATE(o.created_at) >= '2024-01-01' GROUP BY 1 LIMIT 10", 'bigquery_standard_sql');
+
+        expect(rules(result)).toEqual(['bigquery-count-distinct:low']);
+        expect(result.supersedes).toEqual([]);
+    });
+
+    test('Snowflake: window columns filtered in an outer query', () => {
+        const result = check("SELECT s.id FROM (SELECT id, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY ts) AS rn FROM events WHERE ts > '2024-01-01') AS s WHERE s.rn = 1", 'snowflake');
+
+        expect(rules(result)).toEqual(['snowflake-qualify:medium']);
+        expect(result.issues[0].recommendation).toContain('QUALIFY rn = 1');
+    });
+
+    test('Redshift: join distribution, sort key range filters and exact distinct counts', () => {
+        const result = check("SELECT o.id, COUNT(DISTINCT u.id) FROM orders o JOIN users u ON o.user_id = u.id WHERE o.created_at >= '2024-01-01' GROUP BY 1", 'redshift');
+
+        expect(rules(result)).toEqual(['redshift-join-distribution:medium', 'redshift-sortkey-filter:low', 'redshift-count-distinct:low']);
+        expect(result.issues[0].description).toContain('orders.user_id = users.id');
+    });
+
+    test('Postgres: index findings for wrapped filters, leading wildcards and filter columns', () => {
+        const result = check("SELECT o.id FROM orders o WHERE o.email LIKE '%@x.com' AND LOWER(o.status) = 'x'", 'postgres');
+
+        expect(rules(result)).toEqual(['postgres-filter-function:medium', 'postgres-leading-wildcard:medium', 'postgres-index-candidates:low']);
+        expect(result.issues.every(issue => issue.type === 'index')).toBe(true);
+    });
+
+    test('other dialects and unknown connections get no dialect findings', () => {
+        expect(check('SELECT * FROM orders', 'mysql')).toEqual({ dialect: 'other', issues: [], supersedes: [] });
+        expect(check('SELECT * FROM orders', null)).toEqual({ dialect: null, issues: [], supersedes: [] });
+    });
+});
+
+describe('SQLAnalyzer.applyDialectRules', () => {
+    const generic = [{ rule: 'select-star' }, { rule: 'missing-where' }];
+
+    test('replaces the generic issues only when the dialect rule found something', () => {
+        const analyzer = new SQLAnalyzer({});
+        const unfiltered = analyzer.getSQLProfile('SELECT * FROM `p.d.orders`', 'bigquery_standard_sql');
+        const filtered = analyzer.getSQLProfile("SELECT id FROM `p.d.orders` WHERE created_date >= '2024-01-01'", 'bigquery_standard_sql');
+
+        expect(analyzer.applyDialectRules(generic, unfiltered, 'bigquery_standard_sql').map(issue => issue.rule))
+            .toEqual(['bigquery-select-star', 'bigquery-partition-filter']);
+        expect(analyzer.applyDialectRules(generic, filtered, 'bigquery_standard_sql').map(issue => issue.rule))
+            .toEqual(['select-star', 'missing-where']);
+    });
+});
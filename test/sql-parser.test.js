@@ -0,0 +1,103 @@
+// test/sql-parser.test.js
+// SQL parser and the parser-based profile the SQL analyzer heuristics read
+
+const { parseSQL, findSQLNodes, splitConjuncts, getTableSources, isAggregateFunction } = require('../src/parsers/sql-parser');
+const { SQLAnalyzer } = require('../src/analyzers/sql-analyzer');
+
+describe('parseSQL', () => {
+    test('parses a Looker-style SELECT with joins, GROUP BY, ORDER BY and LIMIT', () => {
+        const ast = parseSQL(`SELECT orders.status AS orders_status, COUNT(*) AS orders_count
+FROM \`proj.ds.orders\` AS orders
+LEFT JOIN \`proj.ds.users\` AS users ON orders.user_id = users.id
+WHERE orders.status = 'complete' AND users.state IS NOT NULL
+GROUP BY 1
+ORDER BY 2 DESC
+LIMIT 500`, { dialect: 'bigquery_standard_sql' });
+
+        expect(ast.errors).toEqual([]);
+        const statement = ast.statements[0];
+        const select = statement.body;
+
+        expect(select.columns.map(column => column.alias)).toEqual(['orders_status', 'orders_count']);
+        expect(getTableSources(select).map(source => source.name)).toEqual(['proj.ds.orders', 'proj.ds.users']);
+        expect(select.joins[0].joinType).toBe('LEFT');
+        expect(splitConjuncts(select.where)).toHaveLength(2);
+        expect(statement.orderBy).toHaveLength(1);
+        expect(statement.limit.value).toBe(500);
+    });
+
+    test('finds aggregate functions but not window functions', () => {
+        const ast = parseSQL('SELECT SUM(a), ROW_NUMBER() OVER (ORDER BY a), MAX(b) OVER () FROM t');
+        const aggregates = findSQLNodes(ast, 'function').filter(isAggregateFunction);
+
+        expect(aggregates.map(call => call.name)).toEqual(['SUM']);
+    });
+
+    test('reports syntax errors instead of throwing', () => {
+        const ast = parseSQL('SELECT a FROM WHERE');
+
+        expect(ast.errors.length).toBeGreaterThan(0);
+    });
+
+    test('reports nesting past the depth limit as one error instead of overflowing the stack', () => {
+        const deep = (open, close) => `${open.repeat(5000)}1${close.repeat(5000)}`;
+
+        [`SELECT ${deep('(', ')')}`, `SELECT ${deep('ABS(', ')')}`, `SELECT * FROM ${deep('(', ')')}`, deep('(', ')').replace('1', 'SELECT 1')].forEach(sql => {
+            const ast = parseSQL(sql);
+            expect(ast.errors).toEqual([expect.objectContaining({ message: 'Nested more than 200 levels deep' })]);
+        });
+        expect(parseSQL(`SELECT ${'('.repeat(150)}1${')'.repeat(150)}`).errors).toEqual([]);
+    });
+
+    test('reports unclosed and unmatched parentheses outside queries', () => {
+        expect(parseSQL('((((').errors.map(error => error.message)).toEqual(Array(4).fill('Unclosed "("'));
+        expect(parseSQL('CREATE TABLE t (id INT64').errors).toEqual([{ message: 'Unclosed "("', loc: { line: 1, column: 16, offset: 15 } }]);
+        expect(parseSQL('CREATE TABLE t id INT64)').errors.map(error => error.message)).toEqual(['Unmatched ")"']);
+        expect(parseSQL('CREATE TEMP FUNCTION f(x INT64) AS ((SELECT x + 1))').errors).toEqual([]);
+    });
+
+    test('keeps comments separate from the statements', () => {
+        const ast = parseSQL(`SELECT 1
+-- Looker Query Context '{"user_id":1}'`);
+
+        expect(ast.errors).toEqual([]);
+        expect(ast.comments).toHaveLength(1);
+    });
+});
+
+describe('SQLAnalyzer.getSQLProfile', () => {
+    const analyzer = new SQLAnalyzer({});
+
+    test('counts joins, cartesian joins and unfiltered tables from the AST', () => {
+        const profile = analyzer.getSQLProfile('SELECT * FROM a JOIN b ON a.id = b.id JOIN c');
+
+        expect(profile.joins).toHaveLength(2);
+        expect(profile.joins.filter(join => join.cartesian).map(join => join.table)).toEqual(['c']);
+        expect(profile.unfilteredTables.sort()).toEqual(['a', 'b', 'c']);
+        expect(profile.starTables.sort()).toEqual(['a', 'b', 'c']);
+    });
+
+    test('treats comma joins as intended cross joins', () => {
+        const profile = analyzer.getSQLProfile('SELECT a.x FROM a, b WHERE a.id = 1');
+
+        expect(profile.joins.map(join => [join.joinType, join.cartesian])).toEqual([['CROSS', false]]);
+    });
+
+    test('does not mistake keywords inside strings and comments for SQL', () => {
+        const profile = analyzer.getSQLProfile(`SELECT 'JOIN x ON' AS label -- GROUP BY DISTINCT
+FROM t WHERE t.a = 1`);
+
+        expect(profile.joins).toHaveLength(0);
+        expect(profile.groupByCount).toBe(0);
+        expect(profile.distinctCount).toBe(0);
+        expect(profile.unfilteredTables).toEqual([]);
+    });
+
+    test('treats CTE references as derived, not base tables', () => {
+        const profile = analyzer.getSQLProfile('WITH x AS (SELECT a FROM base WHERE a > 1) SELECT a FROM x');
+
+        expect(profile.cteCount).toBe(1);
+        expect(profile.tablesScanned).toEqual(['base']);
+        expect(profile.unfilteredTables).toEqual([]);
+    });
+});
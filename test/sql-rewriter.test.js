@@ -0,0 +1,96 @@
+// test/sql-rewriter.test.js
+// Parser-verified SQL rewrites, the rules they report and the diff
+
+const { SQLRewriter, diffLines } = require('../src/analyzers/sql-rewriter');
+
+const rewriter = new SQLRewriter({ sqlRewriteLimit: 1000 });
+
+function rules(result) {
+    return result.applied.map(change => change.rule);
+}
+
+describe('SQLRewriter', () => {
+    test('turns a correlated EXISTS into a join to the distinct keys', () => {
+        const result = rewriter.rewrite(
+            'SELECT o.id FROM orders o WHERE EXISTS (SELECT 1 FROM items i WHERE i.order_id = o.id)',
+            { dialect: 'bigquery_standard_sql' }
+        );
+
+        expect(rules(result)).toEqual(['correlated-subquery-to-join']);
+        expect(result.sql).toBe(`SELECT o.id FROM orders o
+INNER JOIN (SELECT DISTINCT i.order_id AS key_1 FROM items i) AS semi_join_1 ON semi_join_1.key_1 = o.id`);
+    });
+
+    test('turns a scalar aggregate subquery into a left join to a grouped subquery', () => {
+        const result = rewriter.rewrite(
+            'SELECT o.id, (SELECT SUM(i.price) FROM items i WHERE i.order_id = o.id) AS total FROM orders o'
+        );
+
+        expect(rules(result)).toEqual(['correlated-subquery-to-join']);
+        expect(result.sql).toContain('scalar_join_1.value AS total');
+        expect(result.sql).toContain('GROUP BY i.order_id) AS scalar_join_1 ON scalar_join_1.key_1 = o.id');
+    });
+
+    test('leaves a scalar subquery alone when its aggregate reads an outer or unqualified column', () => {
+        const outer = rewriter.rewrite(
+            'SELECT o.id, (SELECT MAX(i.price * o.rate) FROM items i WHERE i.order_id = o.id) AS n FROM orders o'
+        );
+        const unqualified = rewriter.rewrite(
+            'SELECT o.id, (SELECT MAX(i.price * rate) FROM items i WHERE i.order_id = o.id) AS n FROM orders o'
+        );
+
+        expect(rules(outer)).not.toContain('correlated-subquery-to-join');
+        expect(rules(unqualified)).not.toContain('correlated-subquery-to-join');
+        expect(outer.sql).toContain('(SELECT MAX(i.price * o.rate) FROM items i WHERE i.order_id = o.id) AS n');
+    });
+
+    test('pushes a filter into a CTE and narrows its SELECT *', () => {
+        const result = rewriter.rewrite(
+            "WITH recent AS (SELECT * FROM orders) SELECT recent.id, recent.status FROM recent WHERE recent.status = 'complete'"
+        );
+
+        expect(rules(result)).toEqual(['push-predicate-into-cte', 'expand-select-star']);
+        expect(result.sql).toMatch(/^WITH recent AS \(SELECT id, status FROM orders\nWHERE status = 'complete'\n\)/);
+        expect(result.applied.every(change => !change.changesResults)).toBe(true);
+    });
+
+    test('adds a LIMIT to an unbounded ORDER BY only for dialects that support it', () => {
+        const sql = 'SELECT id FROM orders ORDER BY created_at DESC';
+
+        const snowflake = rewriter.rewrite(sql, { dialect: 'snowflake' });
+        expect(snowflake.sql).toBe(`${sql}\nLIMIT 1000`);
+        expect(snowflake.applied[0]).toMatchObject({ rule: 'limit-unbounded-order-by', changesResults: true });
+        expect(snowflake.diff).toBe(`--- original.sql
++++ rewritten.sql
+@@ -1,1 +1,2 @@
+ ${sql}
++LIMIT 1000`);
+
+        expect(rewriter.rewrite(sql, { dialect: 'mysql' }).changed).toBe(false);
+    });
+
+    test('leaves multi-statement SQL alone and says why', () => {
+        const result = rewriter.rewrite('SELECT 1; SELECT 2');
+
+        expect(result.changed).toBe(false);
+        expect(result.skipped).toEqual([{ rule: null, reason: 'Only single-statement SQL is rewritten' }]);
+    });
+});
+
+describe('diffLines', () => {
+    test('keeps three lines of context around a change', () => {
+        const before = Array.from({ length: 10 }, (_, i) => `line ${i + 1}`).join('\n');
+
+        expect(diffLines(before, before.replace('line 6', 'line six'))).toBe(`--- original.sql
++++ rewritten.sql
+@@ -3,7 +3,7 @@
+ line 3
+ line 4
+ line 5
+-line 6
++line six
+ line 7
+ line 8
+ line 9`);
+    });
+});